@@ -0,0 +1,40 @@
+-- Provably fair dice (commit-reveal)
+-- Each room gets a secret seed; only sha256(seed) is published while the game runs.
+-- Rolls are HMAC-SHA256(seed, '<room_id>:<roll_index>') mapped to 1..6.
+
+CREATE TABLE IF NOT EXISTS public.room_dice_seeds (
+  room_id text NOT NULL,
+  table_name text NOT NULL,
+  seed text NOT NULL,
+  commitment text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  revealed_at timestamptz,
+  PRIMARY KEY (room_id, table_name)
+);
+
+-- Seeds must never be readable by clients: RLS on, no policies (service role only)
+ALTER TABLE public.room_dice_seeds ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE IF EXISTS public.game_rooms
+  ADD COLUMN IF NOT EXISTS dice_commitment text,
+  ADD COLUMN IF NOT EXISTS dice_seed text,
+  ADD COLUMN IF NOT EXISTS dice_roll_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dice_history jsonb DEFAULT '[]'::jsonb;
+
+ALTER TABLE IF EXISTS public.friend_rooms
+  ADD COLUMN IF NOT EXISTS dice_commitment text,
+  ADD COLUMN IF NOT EXISTS dice_seed text,
+  ADD COLUMN IF NOT EXISTS dice_roll_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dice_history jsonb DEFAULT '[]'::jsonb;
+
+ALTER TABLE IF EXISTS public.team_up_rooms
+  ADD COLUMN IF NOT EXISTS dice_commitment text,
+  ADD COLUMN IF NOT EXISTS dice_seed text,
+  ADD COLUMN IF NOT EXISTS dice_roll_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dice_history jsonb DEFAULT '[]'::jsonb;
+
+ALTER TABLE IF EXISTS public.tournament_rooms
+  ADD COLUMN IF NOT EXISTS dice_commitment text,
+  ADD COLUMN IF NOT EXISTS dice_seed text,
+  ADD COLUMN IF NOT EXISTS dice_roll_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dice_history jsonb DEFAULT '[]'::jsonb;
@@ -0,0 +1,7 @@
+-- When each disconnected team up player is removed from the game: { "<user_id>": "<timestamptz>" }
+-- Stored on the room (not in a server timer) so whichever instance owns the
+-- room can run the removal, including after the instance that saw the
+-- disconnect has gone away.
+
+ALTER TABLE IF EXISTS public.team_up_rooms
+  ADD COLUMN IF NOT EXISTS disconnect_deadlines jsonb NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,15 @@
+-- Matchmaking for team up rooms and for parties (see services/matchmakingService.js)
+-- mode: 'online' (game_rooms) | 'teamup' (team_up_rooms, always 4 players)
+-- A party queues one ticket per member sharing party_id; the matcher seats
+-- those tickets together (same team in team up) or not at all.
+
+ALTER TABLE IF EXISTS public.matchmaking_tickets
+  ADD COLUMN IF NOT EXISTS mode text NOT NULL DEFAULT 'online'
+    CHECK (mode IN ('online', 'teamup'));
+
+ALTER TABLE IF EXISTS public.matchmaking_tickets
+  ADD COLUMN IF NOT EXISTS party_id uuid REFERENCES public.parties(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_matchmaking_tickets_party
+  ON public.matchmaking_tickets (party_id)
+  WHERE party_id IS NOT NULL;
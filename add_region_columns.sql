@@ -0,0 +1,19 @@
+-- Region players are matched in (see utils/regions.js)
+-- NULL: the client reported no region and matches anywhere.
+
+ALTER TABLE IF EXISTS public.game_rooms
+  ADD COLUMN IF NOT EXISTS region text;
+
+ALTER TABLE IF EXISTS public.team_up_rooms
+  ADD COLUMN IF NOT EXISTS region text;
+
+ALTER TABLE IF EXISTS public.matchmaking_tickets
+  ADD COLUMN IF NOT EXISTS region text;
+
+-- Quick match looks for same-region rooms first
+CREATE INDEX IF NOT EXISTS idx_game_rooms_quick_match_region
+  ON public.game_rooms (game_state, no_of_players, entry_fee, rule_variant, region, created_at);
+
+-- Queue depth per region
+CREATE INDEX IF NOT EXISTS idx_matchmaking_tickets_region
+  ON public.matchmaking_tickets (status, region);
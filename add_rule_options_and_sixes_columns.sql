@@ -0,0 +1,24 @@
+-- Per-room rule overrides and three-sixes tracking (see utils/ruleVariants.js)
+-- rule_options:          { "threeSixesPenalty": "off" | "forfeit" | "forfeit_undo", ... }
+-- consecutive_sixes:     { "user_id": count }
+-- sixes_start_positions: positions snapshot before the current streak's first six (for undo)
+
+ALTER TABLE IF EXISTS public.game_rooms
+  ADD COLUMN IF NOT EXISTS rule_options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS consecutive_sixes jsonb DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS sixes_start_positions jsonb;
+
+ALTER TABLE IF EXISTS public.friend_rooms
+  ADD COLUMN IF NOT EXISTS rule_options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS consecutive_sixes jsonb DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS sixes_start_positions jsonb;
+
+ALTER TABLE IF EXISTS public.team_up_rooms
+  ADD COLUMN IF NOT EXISTS rule_options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS consecutive_sixes jsonb DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS sixes_start_positions jsonb;
+
+ALTER TABLE IF EXISTS public.tournament_rooms
+  ADD COLUMN IF NOT EXISTS rule_options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS consecutive_sixes jsonb DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS sixes_start_positions jsonb;
@@ -0,0 +1,17 @@
+-- Rule variant per room (see utils/ruleVariants.js: classic, quick, casual)
+
+ALTER TABLE IF EXISTS public.game_rooms
+  ADD COLUMN IF NOT EXISTS rule_variant text NOT NULL DEFAULT 'classic';
+
+ALTER TABLE IF EXISTS public.friend_rooms
+  ADD COLUMN IF NOT EXISTS rule_variant text NOT NULL DEFAULT 'classic';
+
+ALTER TABLE IF EXISTS public.team_up_rooms
+  ADD COLUMN IF NOT EXISTS rule_variant text NOT NULL DEFAULT 'classic';
+
+ALTER TABLE IF EXISTS public.tournament_rooms
+  ADD COLUMN IF NOT EXISTS rule_variant text NOT NULL DEFAULT 'classic';
+
+-- Quick match filters waiting rooms by variant
+CREATE INDEX IF NOT EXISTS idx_game_rooms_quick_match
+  ON public.game_rooms (game_state, no_of_players, entry_fee, rule_variant, created_at);
@@ -0,0 +1,49 @@
+-- Optimistic concurrency for room rows (see utils/stateVersion.js)
+-- Writers set state_version = <version read> + 1 and filter on the version they read.
+-- The trigger keeps the counter monotonic for writes that do not set it themselves.
+
+ALTER TABLE IF EXISTS public.game_rooms
+  ADD COLUMN IF NOT EXISTS state_version bigint NOT NULL DEFAULT 0;
+
+ALTER TABLE IF EXISTS public.friend_rooms
+  ADD COLUMN IF NOT EXISTS state_version bigint NOT NULL DEFAULT 0;
+
+ALTER TABLE IF EXISTS public.team_up_rooms
+  ADD COLUMN IF NOT EXISTS state_version bigint NOT NULL DEFAULT 0;
+
+ALTER TABLE IF EXISTS public.tournament_rooms
+  ADD COLUMN IF NOT EXISTS state_version bigint NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION public.bump_room_state_version()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.state_version IS NOT DISTINCT FROM OLD.state_version THEN
+    NEW.state_version := OLD.state_version + 1;
+  ELSIF NEW.state_version <= OLD.state_version THEN
+    RAISE EXCEPTION 'state_version must increase (% -> %)', OLD.state_version, NEW.state_version;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_game_rooms_state_version ON public.game_rooms;
+CREATE TRIGGER trg_game_rooms_state_version
+  BEFORE UPDATE ON public.game_rooms
+  FOR EACH ROW EXECUTE FUNCTION public.bump_room_state_version();
+
+DROP TRIGGER IF EXISTS trg_friend_rooms_state_version ON public.friend_rooms;
+CREATE TRIGGER trg_friend_rooms_state_version
+  BEFORE UPDATE ON public.friend_rooms
+  FOR EACH ROW EXECUTE FUNCTION public.bump_room_state_version();
+
+DROP TRIGGER IF EXISTS trg_team_up_rooms_state_version ON public.team_up_rooms;
+CREATE TRIGGER trg_team_up_rooms_state_version
+  BEFORE UPDATE ON public.team_up_rooms
+  FOR EACH ROW EXECUTE FUNCTION public.bump_room_state_version();
+
+DROP TRIGGER IF EXISTS trg_tournament_rooms_state_version ON public.tournament_rooms;
+CREATE TRIGGER trg_tournament_rooms_state_version
+  BEFORE UPDATE ON public.tournament_rooms
+  FOR EACH ROW EXECUTE FUNCTION public.bump_room_state_version();
@@ -0,0 +1,32 @@
+-- Time-limited offers, purchase limits and eligibility for store packs
+-- (see services/storeService.js)
+-- starts_at / ends_at    - when the pack is on sale (NULL = no bound)
+-- purchase_limit         - purchases per player (NULL = unlimited) ...
+-- purchase_limit_period  - ... ever ('lifetime') or per calendar week, from
+--                          Monday 00:00 UTC ('week')
+-- eligibility            - who may buy it, every rule must hold:
+--                          { "max_account_age_days": 7 }  account created at most 7 days ago
+--                          { "max_games_played": 20 }     at most 20 games won + lost
+--                          { "first_purchase": true }     no earlier store purchase
+
+ALTER TABLE public.store
+  ADD COLUMN IF NOT EXISTS starts_at timestamptz,
+  ADD COLUMN IF NOT EXISTS ends_at timestamptz,
+  ADD COLUMN IF NOT EXISTS purchase_limit integer CHECK (purchase_limit IS NULL OR purchase_limit > 0),
+  ADD COLUMN IF NOT EXISTS purchase_limit_period text NOT NULL DEFAULT 'lifetime'
+    CHECK (purchase_limit_period IN ('lifetime', 'week')),
+  ADD COLUMN IF NOT EXISTS eligibility jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN public.store.purchase_limit IS 'Purchases per player and purchase_limit_period (NULL = unlimited)';
+COMMENT ON COLUMN public.store.eligibility IS 'Rules a player must meet to buy the pack (max_account_age_days, max_games_played, first_purchase)';
+
+-- The starter pack is for new players, once; the weekly deal once a week
+UPDATE public.store
+  SET purchase_limit = 1, purchase_limit_period = 'lifetime', eligibility = '{"max_account_age_days": 7}'::jsonb
+  WHERE item_id = 'starter_pack' AND purchase_limit IS NULL;
+UPDATE public.store
+  SET purchase_limit = 1, purchase_limit_period = 'week'
+  WHERE item_id = 'weekly_deal' AND purchase_limit IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_store_purchases_user_item
+  ON public.store_purchases (user_id, store_item_id, created_at DESC);
@@ -0,0 +1,23 @@
+-- Single-elimination brackets of any size (see utils/tournamentBrackets.js
+-- and services/tournamentService.js)
+-- table_size       - players per match table: 2, or 4 (winner of each table moves on)
+-- bracket          - the bracket: rounds, matches, players, winners and champion
+-- bracket_version  - bumped by every bracket write; writers filter on the
+--                    version they read (compare-and-swap)
+-- champion_id      - winner of the final, set when the tournament completes
+
+ALTER TABLE public.tournaments
+  ADD COLUMN IF NOT EXISTS table_size integer NOT NULL DEFAULT 2 CHECK (table_size IN (2, 4)),
+  ADD COLUMN IF NOT EXISTS bracket jsonb,
+  ADD COLUMN IF NOT EXISTS bracket_version bigint NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS champion_id uuid;
+
+COMMENT ON COLUMN public.tournaments.bracket IS 'Single-elimination bracket, written with bracket_version compare-and-swap';
+COMMENT ON COLUMN public.tournaments.max_players IS 'Registration cap; brackets take 4 to 256 players';
+
+-- Rooms are named after their round: final, semifinal, quarterfinal, round_<n>
+ALTER TABLE public.tournament_rooms DROP CONSTRAINT IF EXISTS tournament_rooms_room_level_check;
+ALTER TABLE public.tournament_rooms ADD CONSTRAINT tournament_rooms_room_level_check
+  CHECK (room_level IN ('final', 'semifinal', 'quarterfinal') OR room_level ~ '^round_[0-9]+$');
+
+COMMENT ON COLUMN public.tournament_rooms.room_level IS 'Round of the match: final, semifinal, quarterfinal or round_<n>';
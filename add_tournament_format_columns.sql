@@ -0,0 +1,18 @@
+-- Tournament formats (see utils/tournamentLeagues.js and services/tournamentService.js)
+-- format         - single_elimination (bracket by table_size), swiss or round_robin
+-- league_rounds  - rounds of a Swiss league (NULL = ceil(log2(players)));
+--                  a round robin always plays everyone once
+-- tiebreaks      - how league players level on points are split, in order:
+--                  kills, tokens_home, head_to_head
+-- Leagues are kept in the bracket column as well, with their rounds,
+-- per-match kills and tokens home, and champion.
+
+ALTER TABLE public.tournaments
+  ADD COLUMN IF NOT EXISTS format text NOT NULL DEFAULT 'single_elimination'
+    CHECK (format IN ('single_elimination', 'swiss', 'round_robin')),
+  ADD COLUMN IF NOT EXISTS league_rounds integer CHECK (league_rounds IS NULL OR league_rounds > 0),
+  ADD COLUMN IF NOT EXISTS tiebreaks jsonb NOT NULL DEFAULT '["kills", "tokens_home", "head_to_head"]'::jsonb
+    CHECK (jsonb_typeof(tiebreaks) = 'array');
+
+COMMENT ON COLUMN public.tournaments.bracket IS 'Single-elimination bracket or Swiss/round-robin league, written with bracket_version compare-and-swap';
+COMMENT ON COLUMN public.tournaments.format IS 'single_elimination, swiss or round_robin';
@@ -0,0 +1,9 @@
+-- Rules the rooms of a tournament are played with (see utils/ruleVariants.js)
+-- rule_variant  - classic, quick or casual
+-- rule_options  - per-tournament overrides, e.g. { "threeSixesPenalty": "forfeit_undo" }
+-- Both are copied onto every tournament room; /start refuses unknown values.
+
+ALTER TABLE public.tournaments
+  ADD COLUMN IF NOT EXISTS rule_variant text NOT NULL DEFAULT 'classic',
+  ADD COLUMN IF NOT EXISTS rule_options jsonb NOT NULL DEFAULT '{}'::jsonb
+    CHECK (jsonb_typeof(rule_options) = 'object');
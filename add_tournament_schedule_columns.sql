@@ -0,0 +1,47 @@
+-- Tournament lifecycle run by the server (see services/tournamentScheduler.js)
+-- registration_opens_at   - joining opens (NULL = open as soon as the tournament exists)
+-- registration_closes_at  - joining closes (NULL = at tournament_start_time)
+-- tournament_start_time   - the bracket is seeded and the first rooms open
+--                           (NULL = started by hand through /api/tournaments/start)
+-- tournament_end_time     - a tournament still running is cancelled and its
+--                           entry fees refunded
+-- tournament_rooms.checked_in_players - players who opened their match room;
+-- the others forfeit once TOURNAMENT_NO_SHOW_GRACE_MS has passed
+
+ALTER TABLE public.tournaments
+  ADD COLUMN IF NOT EXISTS registration_opens_at timestamptz,
+  ADD COLUMN IF NOT EXISTS registration_closes_at timestamptz,
+  ADD COLUMN IF NOT EXISTS tournament_start_time timestamptz,
+  ADD COLUMN IF NOT EXISTS tournament_end_time timestamptz;
+
+-- The schedule moves to the new columns, for tournaments still to be played
+-- only: the scheduler must not start, advance or cancel rows from before it
+UPDATE public.tournaments
+  SET tournament_start_time = tournament_starting_time,
+      tournament_end_time = CASE WHEN tournament_end_date > now() THEN tournament_end_date END
+  WHERE tournament_start_time IS NULL
+    AND bracket IS NULL
+    AND status IN ('upcoming', 'registration')
+    AND tournament_starting_time > now();
+
+-- Older tournaments that are still open are closed as they stand
+UPDATE public.tournaments
+  SET status = 'completed'
+  WHERE tournament_start_time IS NULL
+    AND bracket IS NULL
+    AND tournament_starting_time IS NOT NULL
+    AND status IN ('upcoming', 'registration', 'in_progress', 'finals');
+
+ALTER TABLE public.tournaments ALTER COLUMN tournament_starting_time DROP NOT NULL;
+
+ALTER TABLE public.tournaments DROP CONSTRAINT IF EXISTS tournaments_status_check;
+ALTER TABLE public.tournaments ADD CONSTRAINT tournaments_status_check
+  CHECK (status IN ('upcoming', 'registration', 'registration_closed', 'in_progress', 'finals', 'completed', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_start_time ON public.tournaments (tournament_start_time);
+
+ALTER TABLE public.tournament_rooms
+  ADD COLUMN IF NOT EXISTS checked_in_players jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN public.tournaments.tournament_end_time IS 'A tournament still running at this time is cancelled and refunded';
+COMMENT ON COLUMN public.tournament_rooms.checked_in_players IS 'Players who checked in to the match; the rest forfeit after the no-show grace period';
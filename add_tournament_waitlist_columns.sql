@@ -0,0 +1,19 @@
+-- Tournament registration with seats, a waitlist and escrowed entry fees
+-- (see services/tournamentService.js and services/escrowService.js)
+-- min_players - a tournament short of this many players at its scheduled
+--               start is cancelled and refunded (never below the 4 a
+--               bracket takes)
+-- waitlist    - players waiting for a seat once max_players are seated, in
+--               order: [{ user_id, joined_at, entry_fee_paid, escrow_id }]
+-- Entry fees are held in room_escrows (table_name 'tournaments', room_id the
+-- tournament id) until the tournament completes, and refunded when the
+-- player leaves, does not get a seat, or the tournament is cancelled.
+
+ALTER TABLE public.tournaments
+  ADD COLUMN IF NOT EXISTS min_players integer NOT NULL DEFAULT 4 CHECK (min_players > 0),
+  ADD COLUMN IF NOT EXISTS waitlist jsonb NOT NULL DEFAULT '[]'::jsonb
+    CHECK (jsonb_typeof(waitlist) = 'array');
+
+COMMENT ON COLUMN public.tournaments.current_players IS 'Seated players; the waitlist is not counted';
+COMMENT ON COLUMN public.tournaments.bracket_version IS 'Bumped by every registration and bracket write; writers filter on the version they read (compare-and-swap)';
+COMMENT ON COLUMN public.room_escrows.table_name IS 'game_rooms, friend_rooms, team_up_rooms, matchmaking_tickets or tournaments';
@@ -0,0 +1,784 @@
+/**
+ * In-Memory Storage Backend - SUPABASE CLIENT STAND-IN
+ *
+ * Implements the part of the supabase-js client the server uses, against
+ * plain in-process tables, so the game can run with no Supabase project
+ * (local development, CI, load tests). Selected with STORAGE_BACKEND=memory
+ * in config/supabase.js.
+ *
+ * Covered: from(table) with select/insert/update/upsert/delete, the filters
+ * eq/neq/gt/gte/lt/lte/in/is/not, order/range/limit, single/maybeSingle,
+ * rpc() for the functions registered below, realtime `postgres_changes`
+ * channels, and auth.getUser (the bearer token is taken as the user id) with
+ * the app_metadata set through auth.admin.updateUserById.
+ *
+ * Database behaviour the routes depend on is mirrored here: column defaults
+ * for room/user rows, the room state_version trigger and the RPC bodies.
+ * When a migration changes one of those, update this file too.
+ */
+
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+
+const ROOM_TABLE_NAMES = ['game_rooms', 'friend_rooms', 'team_up_rooms', 'tournament_rooms'];
+
+const ROOM_DEFAULTS = () => ({
+  players: {},
+  board_theme: 'classic',
+  dice_state: 'waiting',
+  pending_steps: {},
+  consecutive_sixes: {},
+  game_state: 'waiting',
+  winners: [],
+  escaped_players: [],
+  disconnected_players: [],
+  kicked_players: [],
+  timeout_misses: {},
+  rule_variant: 'classic',
+  rule_options: {},
+  dice_roll_count: 0,
+  dice_history: [],
+  entry_fee: 0,
+  payout_processed: false,
+  exited_players: [],
+  events_tracked: false,
+  state_version: 0,
+});
+
+// Column defaults from the SQL migrations (id/created_at/updated_at apply to every table)
+const TABLE_DEFAULTS = {
+  ...Object.fromEntries(ROOM_TABLE_NAMES.map((name) => [name, ROOM_DEFAULTS])),
+  game_rooms: () => ({ ...ROOM_DEFAULTS(), region: null }),
+  team_up_rooms: () => ({ ...ROOM_DEFAULTS(), disconnect_deadlines: {}, region: null }),
+  tournament_rooms: () => ({ ...ROOM_DEFAULTS(), checked_in_players: [] }),
+  users: () => ({
+    total_coins: 2500,
+    total_diamonds: 150,
+    talk_time_end_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    friends: [],
+    friend_requests: [],
+    games_won: 0,
+    games_lost: 0,
+    win_streak: 0,
+    tournaments_won: 0,
+  }),
+  room_events: () => ({ payload: {} }),
+  tournaments: () => ({
+    status: 'upcoming',
+    max_players: 8,
+    current_players: 0,
+    registered_players: [],
+    tournament_participants: {},
+    table_size: 2,
+    format: 'single_elimination',
+    league_rounds: null,
+    tiebreaks: ['kills', 'tokens_home', 'head_to_head'],
+    rule_variant: 'classic',
+    rule_options: {},
+    bracket: null,
+    bracket_version: 0,
+    min_players: 4,
+    waitlist: [],
+    champion_id: null,
+    registration_opens_at: null,
+    registration_closes_at: null,
+    tournament_start_time: null,
+    tournament_end_time: null,
+  }),
+  wallet_transactions: () => ({
+    user_id: null,
+    balance_after: null,
+    reference_type: null,
+    reference_id: null,
+    idempotency_key: null,
+  }),
+  store: () => ({
+    bundle_items: [],
+    discount_percent: 0,
+    is_featured: false,
+    is_active: true,
+    starts_at: null,
+    ends_at: null,
+    purchase_limit: null,
+    purchase_limit_period: 'lifetime',
+    eligibility: {},
+  }),
+  store_purchases: () => ({
+    status: 'pending',
+    grants: [],
+    granted_at: null,
+  }),
+  room_escrows: () => ({
+    refunded_amount: 0,
+    status: 'held',
+    settled_at: null,
+  }),
+  matchmaking_tickets: () => ({
+    status: 'queued',
+    mode: 'online',
+    party_id: null,
+    region: null,
+    entry_fee: 0,
+    rule_variant: 'classic',
+    board_theme: 'classic',
+    rating: 1200,
+    fill_with_bots_after_ms: null,
+    room_id: null,
+    matched_at: null,
+  }),
+};
+
+const NO_ROWS_ERROR = {
+  code: 'PGRST116',
+  details: 'The result contains 0 rows',
+  hint: null,
+  message: 'JSON object requested, multiple (or no) rows returned',
+};
+
+const MANY_ROWS_ERROR = {
+  ...NO_ROWS_ERROR,
+  details: 'The result contains more than one row',
+};
+
+function dbError(code, message) {
+  return { code, details: null, hint: null, message };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// PostgREST compares through the column type; text comparison covers numbers,
+// booleans and uuids sent either as strings or native values.
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(numA) && !Number.isNaN(numB)) return numA - numB;
+  return String(a).localeCompare(String(b));
+}
+
+function parseColumns(columns) {
+  if (!columns || columns.trim() === '*') return null;
+  return columns.split(',').map((column) => column.trim()).filter(Boolean);
+}
+
+function project(row, columns) {
+  if (!columns) return clone(row);
+  const out = {};
+  for (const column of columns) out[column] = clone(row[column] ?? null);
+  return out;
+}
+
+const FILTERS = {
+  eq: (value, arg) => sameValue(value, arg),
+  neq: (value, arg) => value !== null && value !== undefined && !sameValue(value, arg),
+  gt: (value, arg) => value !== null && value !== undefined && compareValues(value, arg) > 0,
+  gte: (value, arg) => value !== null && value !== undefined && compareValues(value, arg) >= 0,
+  lt: (value, arg) => value !== null && value !== undefined && compareValues(value, arg) < 0,
+  lte: (value, arg) => value !== null && value !== undefined && compareValues(value, arg) <= 0,
+  in: (value, arg) => (arg || []).some((candidate) => sameValue(value, candidate)),
+  is: (value, arg) => (arg === null ? value === null || value === undefined : value === arg),
+};
+
+// Realtime filter strings look like `room_id=eq.ABC123`
+function matchesRealtimeFilter(row, filter) {
+  if (!filter) return true;
+  const match = /^([^=]+)=(\w+)\.(.*)$/.exec(filter);
+  if (!match) return false;
+  const [, column, op, raw] = match;
+  const test = FILTERS[op];
+  if (!test) return false;
+  const arg = op === 'in' ? raw.replace(/^\(|\)$/g, '').split(',') : raw;
+  return test(row?.[column], arg);
+}
+
+class MemoryQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.payload = null;
+    this.upsertOptions = null;
+    this.columns = null;
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.offset = 0;
+    this.limitCount = null;
+    this.singleMode = null; // 'single' | 'maybe'
+  }
+
+  select(columns = '*') {
+    this.columns = parseColumns(columns);
+    if (this.action !== 'select') this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, { onConflict } = {}) {
+    this.action = 'upsert';
+    this.payload = rows;
+    this.upsertOptions = { onConflict: onConflict ? onConflict.split(',').map((c) => c.trim()) : ['id'] };
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push({ column, op, value, negate: false });
+    return this;
+  }
+
+  not(column, op, value) {
+    this.filters.push({ column, op, value, negate: true });
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  matches(row) {
+    return this.filters.every(({ column, op, value, negate }) => {
+      const test = FILTERS[op];
+      if (!test) throw dbError('PGRST100', `Unsupported filter operator: ${op}`);
+      const result = test(row[column], value);
+      return negate ? !result : result;
+    });
+  }
+
+  execute() {
+    try {
+      const rows = this.run();
+      return this.shape(rows);
+    } catch (error) {
+      return { data: null, error, count: null, status: 400, statusText: 'Bad Request' };
+    }
+  }
+
+  run() {
+    switch (this.action) {
+      case 'insert':
+        return this.db.insertRows(this.table, [].concat(this.payload));
+      case 'upsert':
+        return this.db.upsertRows(this.table, [].concat(this.payload), this.upsertOptions.onConflict);
+      case 'update':
+        return this.db.updateRows(this.table, (row) => this.matches(row), this.payload);
+      case 'delete':
+        return this.db.deleteRows(this.table, (row) => this.matches(row));
+      default:
+        return this.selectRows();
+    }
+  }
+
+  selectRows() {
+    let rows = this.db.rows(this.table).filter((row) => this.matches(row));
+
+    if (this.orders.length > 0) {
+      rows = [...rows].sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          const left = a[column] ?? null;
+          const right = b[column] ?? null;
+          if (left === right) continue;
+          // Postgres puts NULLs last ascending, first descending
+          if (left === null) return ascending ? 1 : -1;
+          if (right === null) return ascending ? -1 : 1;
+          const diff = compareValues(left, right);
+          if (diff !== 0) return ascending ? diff : -diff;
+        }
+        return 0;
+      });
+    }
+
+    const end = this.limitCount === null ? undefined : this.offset + this.limitCount;
+    return rows.slice(this.offset, end);
+  }
+
+  shape(rows) {
+    const isRead = this.action === 'select';
+    const status = this.action === 'insert' || this.action === 'upsert' ? 201 : 200;
+    if (!isRead && !this.returning) {
+      return { data: null, error: null, count: null, status: 204, statusText: 'No Content' };
+    }
+
+    const data = rows.map((row) => project(row, this.columns));
+
+    if (this.singleMode) {
+      // Like postgrest-js: maybeSingle() turns "0 rows" into null data, reads and writes alike
+      if (data.length === 0 && this.singleMode === 'maybe') {
+        return { data: null, error: null, count: null, status, statusText: 'OK' };
+      }
+      if (data.length !== 1) {
+        const error = data.length === 0 ? NO_ROWS_ERROR : MANY_ROWS_ERROR;
+        return { data: null, error: { ...error }, count: null, status: 406, statusText: 'Not Acceptable' };
+      }
+      return { data: data[0], error: null, count: null, status, statusText: 'OK' };
+    }
+
+    return { data, error: null, count: null, status, statusText: 'OK' };
+  }
+}
+
+for (const op of Object.keys(FILTERS)) {
+  MemoryQuery.prototype[op] = function applyFilter(column, value) {
+    return this.filter(column, op, value);
+  };
+}
+
+class MemoryChannel {
+  constructor(db, name) {
+    this.db = db;
+    this.topic = name;
+    this.listeners = [];
+    this.state = 'closed';
+  }
+
+  on(type, filter, callback) {
+    if (type === 'postgres_changes') this.listeners.push({ filter, callback });
+    return this;
+  }
+
+  subscribe(callback) {
+    this.state = 'joined';
+    this.db.channels.add(this);
+    if (callback) setImmediate(() => callback('SUBSCRIBED'));
+    return this;
+  }
+
+  async unsubscribe() {
+    this.state = 'closed';
+    this.db.channels.delete(this);
+    return 'ok';
+  }
+
+  deliver(change) {
+    for (const { filter, callback } of this.listeners) {
+      const event = filter?.event ?? '*';
+      if (event !== '*' && event !== change.eventType) continue;
+      if (filter?.schema && filter.schema !== change.schema) continue;
+      if (filter?.table && filter.table !== change.table) continue;
+      const row = change.eventType === 'DELETE' ? change.old : change.new;
+      if (!matchesRealtimeFilter(row, filter?.filter)) continue;
+
+      Promise.resolve()
+        .then(() => callback(clone(change)))
+        .catch((error) => console.error(`❌ [MEMORY] Realtime handler on ${this.topic} failed:`, error));
+    }
+  }
+}
+
+class MemoryDatabase {
+  constructor() {
+    this.tables = new Map();
+    this.channels = new Set();
+    this.rpcHandlers = new Map();
+    this.serials = new Map();
+    this.appMetadata = new Map();
+  }
+
+  // bigserial columns
+  nextSerial(table) {
+    const next = (this.serials.get(table) ?? 0) + 1;
+    this.serials.set(table, next);
+    return next;
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) this.tables.set(table, []);
+    return this.tables.get(table);
+  }
+
+  withDefaults(table, row) {
+    const now = new Date().toISOString();
+    return {
+      id: randomUUID(),
+      created_at: now,
+      updated_at: now,
+      ...(TABLE_DEFAULTS[table]?.() ?? {}),
+      ...clone(row),
+    };
+  }
+
+  insertRows(table, rows) {
+    const stored = rows.map((row) => this.withDefaults(table, row));
+    this.rows(table).push(...stored);
+    for (const row of stored) this.emit(table, 'INSERT', row, {});
+    return stored;
+  }
+
+  upsertRows(table, rows, conflictColumns) {
+    const saved = [];
+    for (const row of rows) {
+      const existing = this.rows(table).find((candidate) =>
+        conflictColumns.every((column) => sameValue(candidate[column], row[column])));
+      if (existing) {
+        saved.push(...this.updateRows(table, (candidate) => candidate === existing, row));
+      } else {
+        saved.push(...this.insertRows(table, [row]));
+      }
+    }
+    return saved;
+  }
+
+  updateRows(table, predicate, values) {
+    const list = this.rows(table);
+    const updated = [];
+
+    // Build every new row first so a trigger error leaves the table untouched
+    list.forEach((old, index) => {
+      if (!predicate(old)) return;
+      const next = { ...old, ...clone(values) };
+      if (ROOM_TABLE_NAMES.includes(table)) applyStateVersionTrigger(old, next);
+      updated.push({ index, old, next });
+    });
+
+    for (const { index, next } of updated) list[index] = next;
+    for (const { old, next } of updated) this.emit(table, 'UPDATE', next, old);
+    return updated.map(({ next }) => next);
+  }
+
+  deleteRows(table, predicate) {
+    const list = this.rows(table);
+    const removed = list.filter((row) => predicate(row));
+    this.tables.set(table, list.filter((row) => !removed.includes(row)));
+    for (const row of removed) this.emit(table, 'DELETE', {}, row);
+    return removed;
+  }
+
+  emit(table, eventType, row, old) {
+    if (this.channels.size === 0) return;
+    const change = {
+      schema: 'public',
+      table,
+      commit_timestamp: new Date().toISOString(),
+      eventType,
+      new: clone(row),
+      old: clone(old),
+      errors: null,
+    };
+    // Delivered after the write returns, like the realtime socket
+    setImmediate(() => {
+      for (const channel of this.channels) channel.deliver(change);
+    });
+  }
+}
+
+// Mirror of public.bump_room_state_version() (add_state_version_column.sql)
+function applyStateVersionTrigger(old, next) {
+  const previous = Number(old.state_version ?? 0);
+  if (next.state_version === undefined || Number(next.state_version) === previous) {
+    next.state_version = previous + 1;
+  } else if (Number(next.state_version) <= previous) {
+    throw dbError('P0001', `state_version must increase (${previous} -> ${next.state_version})`);
+  }
+}
+
+// Bodies of the SQL functions the server calls through rpc()
+const DEFAULT_RPC_HANDLERS = {
+  // create_tournament_participants_table.sql (redefined in create_wallet_ledger.sql)
+  add_coins(db, { p_user_id, p_amount }) {
+    DEFAULT_RPC_HANDLERS.apply_wallet_change(db, {
+      p_user_id,
+      p_currency: 'coins',
+      p_delta: p_amount,
+      p_reason: 'adjustment',
+      p_counter_account: 'adjustments',
+    });
+    return null;
+  },
+
+  // create_wallet_ledger.sql
+  apply_wallet_change(db, {
+    p_user_id,
+    p_currency,
+    p_delta,
+    p_reason,
+    p_counter_account,
+    p_reference_type = null,
+    p_reference_id = null,
+    p_idempotency_key = null,
+    p_clamp_to_zero = false,
+  }) {
+    if (p_idempotency_key !== null) {
+      const previous = db.rows('wallet_transactions').filter((row) =>
+        sameValue(row.user_id, p_user_id) && row.currency === p_currency && row.idempotency_key === p_idempotency_key);
+      if (previous.length > 0) return previous;
+    }
+
+    const column = { coins: 'total_coins', diamonds: 'total_diamonds' }[p_currency];
+    if (!column) throw dbError('22023', `Unknown currency: ${p_currency}`);
+
+    const user = db.rows('users').find((row) => sameValue(row.uid, p_user_id));
+    if (!user) throw dbError('P0002', `User not found: ${p_user_id}`);
+
+    const balance = Number(user[column] ?? 0);
+    let delta = Number(p_delta);
+    if (balance + delta < 0) {
+      if (!p_clamp_to_zero) return [];
+      delta = -balance;
+    }
+
+    db.updateRows('users', (row) => row === user, { [column]: balance + delta });
+
+    const transactionId = randomUUID();
+    const leg = {
+      transaction_id: transactionId,
+      currency: p_currency,
+      reason: p_reason,
+      reference_type: p_reference_type,
+      reference_id: p_reference_id,
+    };
+    const [, userLeg] = db.insertRows('wallet_transactions', [
+      { ...leg, account: `system:${p_counter_account}`, user_id: null, delta: -delta, balance_after: null },
+      {
+        ...leg,
+        account: `user:${p_user_id}`,
+        user_id: p_user_id,
+        delta,
+        balance_after: balance + delta,
+        idempotency_key: p_idempotency_key,
+      },
+    ]);
+    return [userLeg];
+  },
+
+  // create_room_events_table.sql
+  append_room_events(db, { p_room_id, p_table_name, p_events }) {
+    const existing = db.rows('room_events')
+      .filter((row) => row.room_id === p_room_id && row.table_name === p_table_name);
+    let seq = existing.reduce((max, row) => Math.max(max, row.seq), 0);
+
+    const rows = (p_events || []).map((event) => ({
+      id: db.nextSerial('room_events'),
+      room_id: p_room_id,
+      table_name: p_table_name,
+      seq: ++seq,
+      event_type: event.type,
+      user_id: event.user_id ?? null,
+      payload: event.payload ?? {},
+    }));
+    return db.insertRows('room_events', rows);
+  },
+
+  // create_room_leases_table.sql
+  acquire_room_lease(db, { p_lease_key, p_owner_id, p_ttl_ms }) {
+    const now = Date.now();
+    const expiresAt = new Date(now + Number(p_ttl_ms)).toISOString();
+    const lease = db.rows('room_leases').find((row) => row.lease_key === p_lease_key);
+
+    if (!lease) {
+      return db.insertRows('room_leases', [{
+        lease_key: p_lease_key,
+        owner_id: p_owner_id,
+        expires_at: expiresAt,
+        acquired_at: new Date(now).toISOString(),
+      }])[0];
+    }
+    if (lease.owner_id !== p_owner_id && Date.parse(lease.expires_at) > now) return lease;
+
+    return db.updateRows('room_leases', (row) => row === lease, {
+      owner_id: p_owner_id,
+      expires_at: expiresAt,
+      acquired_at: lease.owner_id === p_owner_id ? lease.acquired_at : new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    })[0];
+  },
+
+  renew_room_leases(db, { p_owner_id, p_lease_keys, p_ttl_ms }) {
+    const now = Date.now();
+    const renewed = db.updateRows(
+      'room_leases',
+      (row) => row.owner_id === p_owner_id
+        && (p_lease_keys || []).includes(row.lease_key)
+        && Date.parse(row.expires_at) > now,
+      {
+        expires_at: new Date(now + Number(p_ttl_ms)).toISOString(),
+        updated_at: new Date(now).toISOString(),
+      },
+    );
+    return renewed.map((row) => row.lease_key);
+  },
+
+  release_room_leases(db, { p_owner_id, p_lease_keys }) {
+    db.deleteRows('room_leases', (row) => row.owner_id === p_owner_id && (p_lease_keys || []).includes(row.lease_key));
+    return null;
+  },
+
+  // create_matchmaking_tickets_table.sql
+  claim_matchmaking_tickets(db, { p_ticket_ids, p_room_id }) {
+    const ids = p_ticket_ids || [];
+    const queued = db.rows('matchmaking_tickets')
+      .filter((row) => ids.includes(row.id) && row.status === 'queued');
+    if (queued.length !== ids.length) return false;
+
+    const now = new Date().toISOString();
+    db.updateRows('matchmaking_tickets', (row) => queued.includes(row), {
+      status: 'matched',
+      room_id: p_room_id,
+      matched_at: now,
+      updated_at: now,
+    });
+    return true;
+  },
+
+  // create_add_owned_item_function.sql
+  add_owned_item(db, { p_user_id, p_item_id }) {
+    const user = db.rows('users').find((row) => sameValue(row.uid, p_user_id));
+    if (!user) throw dbError('P0002', `User not found: ${p_user_id}`);
+
+    const owned = Array.isArray(user.owned_items) ? user.owned_items : [];
+    if (owned.includes(p_item_id)) return [...owned];
+    const [saved] = db.updateRows('users', (row) => row === user, { owned_items: [...owned, p_item_id] });
+    return [...saved.owned_items];
+  },
+
+  // create_rate_limits_table.sql
+  consume_rate_limit(db, { p_limit_key, p_max_hits, p_window_ms }) {
+    const now = Date.now();
+    const window = db.rows('rate_limit_windows').find((row) => row.limit_key === p_limit_key);
+
+    if (!window || Date.parse(window.window_ends_at) <= now) {
+      db.upsertRows('rate_limit_windows', [{
+        limit_key: p_limit_key,
+        hits: 1,
+        window_ends_at: new Date(now + Number(p_window_ms)).toISOString(),
+      }], ['limit_key']);
+      return p_max_hits >= 1;
+    }
+
+    const [saved] = db.updateRows('rate_limit_windows', (row) => row === window, { hits: window.hits + 1 });
+    return saved.hits <= p_max_hits;
+  },
+};
+
+/**
+ * Create a client backed by a fresh in-memory database.
+ * `seed` is { tableName: [rows] }; `rpc` adds or overrides RPC handlers.
+ */
+export function createMemoryClient({ seed = {}, rpc = {} } = {}) {
+  const db = new MemoryDatabase();
+
+  for (const [name, handler] of Object.entries({ ...DEFAULT_RPC_HANDLERS, ...rpc })) {
+    db.rpcHandlers.set(name, handler);
+  }
+  for (const [table, rows] of Object.entries(seed)) {
+    db.insertRows(table, rows);
+  }
+
+  return {
+    from(table) {
+      return new MemoryQuery(db, table);
+    },
+
+    async rpc(name, params = {}) {
+      const handler = db.rpcHandlers.get(name);
+      if (!handler) {
+        return {
+          data: null,
+          error: dbError('PGRST202', `Could not find the function public.${name} in the schema cache`),
+          status: 404,
+          statusText: 'Not Found',
+        };
+      }
+      try {
+        const data = await handler(db, params);
+        return { data: clone(data) ?? null, error: null, status: 200, statusText: 'OK' };
+      } catch (error) {
+        return { data: null, error, status: 400, statusText: 'Bad Request' };
+      }
+    },
+
+    channel(name) {
+      return new MemoryChannel(db, name);
+    },
+
+    async removeChannel(channel) {
+      return channel.unsubscribe();
+    },
+
+    async removeAllChannels() {
+      const channels = [...db.channels];
+      return Promise.all(channels.map((channel) => channel.unsubscribe()));
+    },
+
+    getChannels() {
+      return [...db.channels];
+    },
+
+    auth: {
+      // Local-only: any non-empty bearer token is accepted as that user's id
+      async getUser(token) {
+        if (!token) {
+          return { data: { user: null }, error: { message: 'Auth session missing!', status: 401 } };
+        }
+        const user = { id: token, aud: 'authenticated', role: 'authenticated', app_metadata: clone(db.appMetadata.get(token) ?? {}) };
+        return { data: { user }, error: null };
+      },
+
+      admin: {
+        async updateUserById(id, { app_metadata: appMetadata } = {}) {
+          if (appMetadata) db.appMetadata.set(id, { ...(db.appMetadata.get(id) ?? {}), ...appMetadata });
+          return { data: { user: { id, app_metadata: clone(db.appMetadata.get(id) ?? {}) } }, error: null };
+        },
+      },
+    },
+
+    // Direct table access for tests and seeding scripts
+    tables: db.tables,
+  };
+}
+
+// Seed file format: { "users": [ {...}, ... ], "store": [ ... ] }
+export function loadMemorySeed(path) {
+  if (!path) return {};
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
@@ -1,16 +1,35 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { createMemoryClient, loadMemorySeed } from './memoryClient.js';
 
 dotenv.config();
 
-// Supabase client with service role (for admin operations)
-export const supabaseAdmin = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// STORAGE_BACKEND=supabase (default) | memory
+// The memory backend keeps every table in-process and is reset on restart;
+// MEMORY_SEED_FILE may point at a JSON file of initial rows ({ "users": [...] }).
+export const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
 
-// Supabase client with anon key (for JWT verification)
-export const supabaseAnon = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+if (!['supabase', 'memory'].includes(STORAGE_BACKEND)) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected "supabase" or "memory")`);
+}
+
+function createClients() {
+  if (STORAGE_BACKEND === 'memory') {
+    console.log('🧪 Using in-memory storage backend (data is lost on restart)');
+    const client = createMemoryClient({ seed: loadMemorySeed(process.env.MEMORY_SEED_FILE) });
+    // One database: the anon client is only used for auth.getUser
+    return { admin: client, anon: client };
+  }
+
+  return {
+    // Supabase client with service role (for admin operations)
+    admin: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY),
+    // Supabase client with anon key (for JWT verification)
+    anon: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY),
+  };
+}
+
+const clients = createClients();
+
+export const supabaseAdmin = clients.admin;
+export const supabaseAnon = clients.anon;
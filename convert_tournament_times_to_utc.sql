@@ -0,0 +1,12 @@
+-- Tournament times are stored and compared in UTC; clients convert them to
+-- the player's local time. Listing times used to be entered as India Standard
+-- Time (UTC+05:30) wall-clock values, which /api/tournaments shifted by
+-- 330 minutes before comparing. Move the existing rows to real UTC.
+-- Run this once.
+
+UPDATE public.tournament
+  SET tournament_start_time = tournament_start_time - interval '330 minutes',
+      tournament_end_time = tournament_end_time - interval '330 minutes';
+
+COMMENT ON COLUMN public.tournament.tournament_start_time IS 'UTC';
+COMMENT ON COLUMN public.tournament.tournament_end_time IS 'UTC';
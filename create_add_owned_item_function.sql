@@ -0,0 +1,36 @@
+-- Add an item to users.owned_items in one statement, so purchases running at
+-- the same time never write over each other's items (routes/wallet.js /spend,
+-- storeService.addOwnedItem). Returns the owned items afterwards; an item the
+-- user already owns is left as it is.
+
+CREATE OR REPLACE FUNCTION public.add_owned_item(
+  p_user_id uuid,
+  p_item_id text
+)
+RETURNS text[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owned text[];
+BEGIN
+  UPDATE public.users
+    SET owned_items = array_append(COALESCE(owned_items, ARRAY[]::text[]), p_item_id)
+    WHERE uid = p_user_id
+      AND NOT (p_item_id = ANY (COALESCE(owned_items, ARRAY[]::text[])))
+    RETURNING owned_items INTO v_owned;
+
+  IF NOT FOUND THEN
+    SELECT owned_items INTO v_owned FROM public.users WHERE uid = p_user_id;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'User not found: %', p_user_id USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+
+  RETURN COALESCE(v_owned, ARRAY[]::text[]);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.add_owned_item(uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.add_owned_item(uuid, text) TO service_role;
@@ -0,0 +1,82 @@
+-- Matchmaking queue (see services/matchmakingService.js, routes/matchmaking.js)
+-- A player enqueues one ticket; the matcher assembles full online rooms from
+-- compatible tickets and marks them matched with the new room_id.
+-- Clients poll GET /api/matchmaking/tickets/:id or subscribe to their row.
+
+CREATE TABLE IF NOT EXISTS public.matchmaking_tickets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.users(uid) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'matched', 'cancelled', 'expired')),
+  no_of_players integer NOT NULL CHECK (no_of_players BETWEEN 2 AND 6),
+  entry_fee integer NOT NULL DEFAULT 0,
+  rule_variant text NOT NULL DEFAULT 'classic',
+  board_theme text NOT NULL DEFAULT 'classic',
+  rating integer NOT NULL DEFAULT 1200,        -- 'online' rating when enqueued
+  -- Ticket policies
+  max_wait_ms integer NOT NULL,                -- expire if still queued after this long
+  fill_with_bots_after_ms integer,             -- NULL: only ever match with players
+  room_id text,
+  expires_at timestamptz NOT NULL,
+  matched_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- One queued ticket per player
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matchmaking_tickets_one_queued
+  ON public.matchmaking_tickets (user_id)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_matchmaking_tickets_queue
+  ON public.matchmaking_tickets (status, created_at);
+
+ALTER TABLE public.matchmaking_tickets ENABLE ROW LEVEL SECURITY;
+
+-- Players may read (and subscribe to) their own tickets; writes go through the backend
+DROP POLICY IF EXISTS "Users can read their own tickets" ON public.matchmaking_tickets;
+CREATE POLICY "Users can read their own tickets"
+  ON public.matchmaking_tickets FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE public.matchmaking_tickets;
+
+-- Mark every ticket in p_ticket_ids matched to p_room_id, or none of them if
+-- any is no longer queued (cancelled or expired meanwhile).
+CREATE OR REPLACE FUNCTION public.claim_matchmaking_tickets(
+  p_ticket_ids uuid[],
+  p_room_id text
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_queued integer;
+BEGIN
+  SELECT count(*) INTO v_queued
+  FROM (
+    SELECT 1 FROM public.matchmaking_tickets
+    WHERE id = ANY (p_ticket_ids) AND status = 'queued'
+    FOR UPDATE
+  ) AS queued;
+
+  IF v_queued <> cardinality(p_ticket_ids) THEN
+    RETURN false;
+  END IF;
+
+  UPDATE public.matchmaking_tickets
+  SET status = 'matched',
+      room_id = p_room_id,
+      matched_at = now(),
+      updated_at = now()
+  WHERE id = ANY (p_ticket_ids);
+
+  RETURN true;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.claim_matchmaking_tickets(uuid[], text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_matchmaking_tickets(uuid[], text) TO service_role;
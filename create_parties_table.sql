@@ -0,0 +1,46 @@
+-- Parties: a leader plus friends who queue for matchmaking as one unit
+-- (see services/partyService.js, routes/parties.js). A player is in at most
+-- one party (party_members primary key); joining needs an invite from the leader.
+
+CREATE TABLE IF NOT EXISTS public.parties (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  leader_id uuid NOT NULL REFERENCES public.users(uid) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.party_members (
+  user_id uuid PRIMARY KEY REFERENCES public.users(uid) ON DELETE CASCADE,
+  party_id uuid NOT NULL REFERENCES public.parties(id) ON DELETE CASCADE,
+  joined_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_members_party
+  ON public.party_members (party_id, joined_at);
+
+CREATE TABLE IF NOT EXISTS public.party_invites (
+  party_id uuid NOT NULL REFERENCES public.parties(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES public.users(uid) ON DELETE CASCADE,
+  invited_by uuid NOT NULL REFERENCES public.users(uid) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (party_id, user_id)
+);
+
+ALTER TABLE public.parties ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.party_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.party_invites ENABLE ROW LEVEL SECURITY;
+
+-- Players may read (and subscribe to) their own membership and invites; writes go through the backend
+DROP POLICY IF EXISTS "Users can read their own party membership" ON public.party_members;
+CREATE POLICY "Users can read their own party membership"
+  ON public.party_members FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can read their own party invites" ON public.party_invites;
+CREATE POLICY "Users can read their own party invites"
+  ON public.party_invites FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE public.party_invites;
@@ -0,0 +1,46 @@
+-- Fixed-window rate limits shared by every server instance (chat messages and gifts)
+-- Used by routes/chat.js through consume_rate_limit().
+
+CREATE TABLE IF NOT EXISTS public.rate_limit_windows (
+  limit_key text PRIMARY KEY,            -- '<scope>:<user_id>'
+  hits integer NOT NULL DEFAULT 0,
+  window_ends_at timestamptz NOT NULL
+);
+
+-- Written and read by the backend only (service role)
+ALTER TABLE public.rate_limit_windows ENABLE ROW LEVEL SECURITY;
+
+-- Count one hit against p_limit_key. Returns false once the window already
+-- holds p_max_hits hits; the window restarts p_window_ms after its first hit.
+CREATE OR REPLACE FUNCTION public.consume_rate_limit(
+  p_limit_key text,
+  p_max_hits integer,
+  p_window_ms integer
+)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hits integer;
+BEGIN
+  INSERT INTO public.rate_limit_windows (limit_key, hits, window_ends_at)
+  VALUES (p_limit_key, 1, now() + p_window_ms * interval '1 millisecond')
+  ON CONFLICT (limit_key) DO UPDATE
+    SET hits = CASE
+          WHEN rate_limit_windows.window_ends_at <= now() THEN 1
+          ELSE rate_limit_windows.hits + 1
+        END,
+        window_ends_at = CASE
+          WHEN rate_limit_windows.window_ends_at <= now() THEN EXCLUDED.window_ends_at
+          ELSE rate_limit_windows.window_ends_at
+        END
+  RETURNING hits INTO v_hits;
+
+  RETURN v_hits <= p_max_hits;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.consume_rate_limit(text, integer, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_rate_limit(text, integer, integer) TO service_role;
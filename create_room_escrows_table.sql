@@ -0,0 +1,39 @@
+-- Entry fees held for paid rooms (see services/escrowService.js)
+-- A row per seated player: the fee is debited from the player's wallet when
+-- they take a seat (reason 'entry_fee') and stays 'held' until the room
+-- settles. Matchmaking tickets hold the fee while queued
+-- (table_name 'matchmaking_tickets', room_id = ticket id); the hold moves
+-- to the room the ticket is matched into.
+
+CREATE TABLE IF NOT EXISTS public.room_escrows (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name text NOT NULL,                   -- 'game_rooms' | 'friend_rooms' | 'team_up_rooms' | 'matchmaking_tickets'
+  room_id text NOT NULL,
+  user_id uuid NOT NULL,
+  amount bigint NOT NULL CHECK (amount > 0),
+  refunded_amount bigint NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'held'
+    CHECK (status IN ('held', 'released', 'refunded', 'forfeited')),
+  settled_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- One fee held per player and room
+CREATE UNIQUE INDEX IF NOT EXISTS idx_room_escrows_one_held
+  ON public.room_escrows (table_name, room_id, user_id)
+  WHERE status = 'held';
+
+CREATE INDEX IF NOT EXISTS idx_room_escrows_room
+  ON public.room_escrows (table_name, room_id);
+
+CREATE INDEX IF NOT EXISTS idx_room_escrows_user
+  ON public.room_escrows (user_id, created_at DESC);
+
+ALTER TABLE public.room_escrows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their own escrows" ON public.room_escrows;
+CREATE POLICY "Users can read their own escrows"
+  ON public.room_escrows FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
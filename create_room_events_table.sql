@@ -0,0 +1,63 @@
+-- Append-only per-room event log (rolls, moves, kills, passes, timeouts, disconnects)
+-- Used by GET /api/game-rooms/:roomId/replay and GET /api/team-up-rooms/:roomId/replay
+
+CREATE TABLE IF NOT EXISTS public.room_events (
+  id bigserial PRIMARY KEY,
+  room_id text NOT NULL,
+  table_name text NOT NULL,
+  seq integer NOT NULL,
+  event_type text NOT NULL,
+  user_id text,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (room_id, table_name, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_events_room
+  ON public.room_events (table_name, room_id, seq);
+
+-- Written and read by the backend only (service role)
+ALTER TABLE public.room_events ENABLE ROW LEVEL SECURITY;
+
+-- Appends a batch of events with consecutive sequence numbers.
+-- p_events: [{ "type": "...", "user_id": "...", "payload": {...} }, ...]
+CREATE OR REPLACE FUNCTION public.append_room_events(
+  p_room_id text,
+  p_table_name text,
+  p_events jsonb
+)
+RETURNS SETOF public.room_events
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_seq integer;
+  v_event jsonb;
+BEGIN
+  -- Serialize appends per room so sequence numbers never collide
+  PERFORM pg_advisory_xact_lock(hashtext(p_table_name || ':' || p_room_id));
+
+  SELECT COALESCE(MAX(seq), 0) INTO v_seq
+  FROM public.room_events
+  WHERE room_id = p_room_id AND table_name = p_table_name;
+
+  FOR v_event IN SELECT value FROM jsonb_array_elements(p_events) LOOP
+    v_seq := v_seq + 1;
+    RETURN QUERY
+      INSERT INTO public.room_events (room_id, table_name, seq, event_type, user_id, payload)
+      VALUES (
+        p_room_id,
+        p_table_name,
+        v_seq,
+        v_event->>'type',
+        v_event->>'user_id',
+        COALESCE(v_event->'payload', '{}'::jsonb)
+      )
+      RETURNING *;
+  END LOOP;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.append_room_events(text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.append_room_events(text, text, jsonb) TO service_role;
@@ -0,0 +1,97 @@
+-- Room ownership leases for running several server instances (see services/roomLeaseService.js)
+-- Exactly one instance holds a room's lease and runs its bot turns and timers.
+-- The holder renews its leases every few seconds; a lease that is not renewed
+-- expires and the room is adopted by another instance.
+
+CREATE TABLE IF NOT EXISTS public.room_leases (
+  lease_key text PRIMARY KEY,            -- '<table_name>:<room_id>'
+  owner_id text NOT NULL,                -- instance id of the holder
+  expires_at timestamptz NOT NULL,
+  acquired_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_leases_owner
+  ON public.room_leases (owner_id);
+
+-- Written and read by the backend only (service role)
+ALTER TABLE public.room_leases ENABLE ROW LEVEL SECURITY;
+
+-- Take the lease if it is free, expired or already ours (which extends it).
+-- Returns the lease row after the call: owner_id tells the caller who holds it.
+CREATE OR REPLACE FUNCTION public.acquire_room_lease(
+  p_lease_key text,
+  p_owner_id text,
+  p_ttl_ms integer
+)
+RETURNS public.room_leases
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_lease public.room_leases;
+BEGIN
+  INSERT INTO public.room_leases (lease_key, owner_id, expires_at)
+  VALUES (p_lease_key, p_owner_id, now() + p_ttl_ms * interval '1 millisecond')
+  ON CONFLICT (lease_key) DO UPDATE
+    SET owner_id = EXCLUDED.owner_id,
+        expires_at = EXCLUDED.expires_at,
+        acquired_at = CASE
+          WHEN room_leases.owner_id = EXCLUDED.owner_id THEN room_leases.acquired_at
+          ELSE now()
+        END,
+        updated_at = now()
+    WHERE room_leases.owner_id = EXCLUDED.owner_id
+       OR room_leases.expires_at <= now()
+  RETURNING * INTO v_lease;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_lease FROM public.room_leases WHERE lease_key = p_lease_key;
+  END IF;
+
+  RETURN v_lease;
+END;
+$$;
+
+-- Heartbeat: extend every lease in p_lease_keys still held by p_owner_id.
+-- Returns the keys that were renewed; any other key has been lost.
+CREATE OR REPLACE FUNCTION public.renew_room_leases(
+  p_owner_id text,
+  p_lease_keys text[],
+  p_ttl_ms integer
+)
+RETURNS SETOF text
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.room_leases
+  SET expires_at = now() + p_ttl_ms * interval '1 millisecond',
+      updated_at = now()
+  WHERE owner_id = p_owner_id
+    AND lease_key = ANY (p_lease_keys)
+    AND expires_at > now()
+  RETURNING lease_key;
+$$;
+
+CREATE OR REPLACE FUNCTION public.release_room_leases(
+  p_owner_id text,
+  p_lease_keys text[]
+)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  DELETE FROM public.room_leases
+  WHERE owner_id = p_owner_id
+    AND lease_key = ANY (p_lease_keys);
+$$;
+
+REVOKE ALL ON FUNCTION public.acquire_room_lease(text, text, integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.renew_room_leases(text, text[], integer) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.release_room_leases(text, text[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.acquire_room_lease(text, text, integer) TO service_role;
+GRANT EXECUTE ON FUNCTION public.renew_room_leases(text, text[], integer) TO service_role;
+GRANT EXECUTE ON FUNCTION public.release_room_leases(text, text[]) TO service_role;
@@ -0,0 +1,68 @@
+-- In-app purchases of store packs (see services/storeService.js)
+-- A row per platform receipt: the unique (platform, receipt_id) makes a
+-- receipt grant its pack once, to the player who bought it. The row is
+-- 'pending' while the pack is being granted and 'granted' once it is.
+
+CREATE TABLE IF NOT EXISTS public.store_purchases (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  store_item_id text NOT NULL,
+  platform text NOT NULL CHECK (platform IN ('google_play', 'app_store')),
+  receipt_id text NOT NULL,                   -- the store's order / transaction id
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'granted')),
+  grants jsonb NOT NULL DEFAULT '[]'::jsonb,  -- what the pack gave, as granted
+  granted_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_purchases_receipt
+  ON public.store_purchases (platform, receipt_id);
+
+CREATE INDEX IF NOT EXISTS idx_store_purchases_user
+  ON public.store_purchases (user_id, created_at DESC);
+
+ALTER TABLE public.store_purchases ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their own store purchases" ON public.store_purchases;
+CREATE POLICY "Users can read their own store purchases"
+  ON public.store_purchases FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- What an offer pack contains: a list of
+--   { "type": "coins" | "diamonds" | "talktime", "value": <amount> }
+--   { "type": "inventory_item", "item_id": "<inventory item_id>" }
+-- Other packs give item_value of their item_type.
+ALTER TABLE public.store ADD COLUMN IF NOT EXISTS bundle_items jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+UPDATE public.store SET bundle_items = '[{"type": "coins", "value": 1000}, {"type": "diamonds", "value": 20}]'::jsonb
+  WHERE item_id = 'starter_pack' AND bundle_items = '[]'::jsonb;
+UPDATE public.store SET bundle_items = '[{"type": "coins", "value": 10000}, {"type": "diamonds", "value": 200}, {"type": "talktime", "value": 60}]'::jsonb
+  WHERE item_id = 'mega_bundle' AND bundle_items = '[]'::jsonb;
+UPDATE public.store SET bundle_items = '[{"type": "coins", "value": 3000}, {"type": "diamonds", "value": 50}]'::jsonb
+  WHERE item_id = 'weekly_deal' AND bundle_items = '[]'::jsonb;
+
+-- Packs are granted from these rows: only the service role may change them
+-- (the old policy let any signed-in player edit prices and values)
+DROP POLICY IF EXISTS "Only admins can modify store" ON public.store;
+
+-- Talk time is bought too: keep it out of reach of client updates
+-- (replaces the function from protect_user_balances.sql)
+CREATE OR REPLACE FUNCTION public.protect_user_balances()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.role() IN ('anon', 'authenticated') AND (
+    NEW.total_coins IS DISTINCT FROM OLD.total_coins
+    OR NEW.total_diamonds IS DISTINCT FROM OLD.total_diamonds
+    OR NEW.owned_items IS DISTINCT FROM OLD.owned_items
+    OR NEW.talk_time_end_date IS DISTINCT FROM OLD.talk_time_end_date
+  ) THEN
+    RAISE EXCEPTION 'Balances and owned items can only be changed by the server'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
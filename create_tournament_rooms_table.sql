@@ -40,9 +40,8 @@ ALTER TABLE tournament_rooms ENABLE ROW LEVEL SECURITY;
 CREATE POLICY "Anyone can view tournament rooms" ON tournament_rooms
     FOR SELECT USING (true);
 
--- Policy: Authenticated users can update (for game moves)
-CREATE POLICY "Authenticated users can update tournament rooms" ON tournament_rooms
-    FOR UPDATE USING (auth.role() = 'authenticated');
+-- No write policies: rooms only change on the server, as service_role
+-- (lock_tournament_rooms_to_server.sql)
 
 -- Enable realtime for tournament_rooms
 ALTER PUBLICATION supabase_realtime ADD TABLE tournament_rooms;
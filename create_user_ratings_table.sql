@@ -0,0 +1,26 @@
+-- Skill ratings per user and game mode (see services/ratingService.js)
+-- mode: 'online' | 'friends' | 'teamup' | 'tournament'
+-- Updated by the backend whenever a match result is recorded; quick match
+-- prefers rooms whose average 'online' rating is close to the player's.
+
+CREATE TABLE IF NOT EXISTS public.user_ratings (
+  user_id uuid NOT NULL REFERENCES public.users(uid) ON DELETE CASCADE,
+  mode text NOT NULL,
+  rating integer NOT NULL DEFAULT 1200,
+  games_played integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, mode)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_ratings_mode_rating
+  ON public.user_ratings (mode, rating);
+
+ALTER TABLE public.user_ratings ENABLE ROW LEVEL SECURITY;
+
+-- Anyone signed in may read ratings; only the service role writes them
+DROP POLICY IF EXISTS "Ratings are readable by authenticated users" ON public.user_ratings;
+CREATE POLICY "Ratings are readable by authenticated users"
+  ON public.user_ratings FOR SELECT
+  TO authenticated
+  USING (true);
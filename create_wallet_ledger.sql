@@ -0,0 +1,166 @@
+-- Coin and diamond ledger (see services/walletService.js)
+-- Every balance change is one transaction with two legs that sum to zero:
+-- the player's account ('user:<uid>', with the resulting balance) and a
+-- system account ('system:prizes', 'system:entry_fees', ...) on the other side.
+-- Rows are append-only; users.total_coins / total_diamonds are only changed
+-- by apply_wallet_change() below.
+
+CREATE TABLE IF NOT EXISTS public.wallet_transactions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id uuid NOT NULL,               -- shared by both legs
+  account text NOT NULL,                      -- 'user:<uid>' | 'system:<name>'
+  user_id uuid,                               -- user legs only; kept after the user is deleted
+  currency text NOT NULL CHECK (currency IN ('coins', 'diamonds')),
+  delta bigint NOT NULL,
+  balance_after bigint,                       -- user legs only
+  reason text NOT NULL,                       -- 'prize', 'entry_fee', 'mission_reward', ...
+  reference_type text,                        -- 'room' | 'tournament' | 'mission' | 'gift' | ...
+  reference_id text,
+  idempotency_key text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_user
+  ON public.wallet_transactions (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_transaction
+  ON public.wallet_transactions (transaction_id);
+
+-- A retried change with the same key is applied once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_transactions_idempotency
+  ON public.wallet_transactions (user_id, currency, idempotency_key)
+  WHERE idempotency_key IS NOT NULL AND user_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.wallet_transactions_append_only()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'wallet_transactions is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS wallet_transactions_append_only ON public.wallet_transactions;
+CREATE TRIGGER wallet_transactions_append_only
+  BEFORE UPDATE OR DELETE ON public.wallet_transactions
+  FOR EACH ROW EXECUTE FUNCTION public.wallet_transactions_append_only();
+
+ALTER TABLE public.wallet_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their own wallet transactions" ON public.wallet_transactions;
+CREATE POLICY "Users can read their own wallet transactions"
+  ON public.wallet_transactions FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Apply `p_delta` to a user's balance and record both legs. Returns the user
+-- leg, or no row when a debit exceeds the balance (nothing is applied). With
+-- p_clamp_to_zero a debit takes what is there instead. A repeated
+-- p_idempotency_key returns the leg recorded the first time.
+CREATE OR REPLACE FUNCTION public.apply_wallet_change(
+  p_user_id uuid,
+  p_currency text,
+  p_delta bigint,
+  p_reason text,
+  p_counter_account text,
+  p_reference_type text DEFAULT NULL,
+  p_reference_id text DEFAULT NULL,
+  p_idempotency_key text DEFAULT NULL,
+  p_clamp_to_zero boolean DEFAULT false
+)
+RETURNS SETOF public.wallet_transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_balance bigint;
+  v_delta bigint := p_delta;
+  v_transaction_id uuid := gen_random_uuid();
+BEGIN
+  IF p_idempotency_key IS NOT NULL THEN
+    RETURN QUERY
+      SELECT * FROM public.wallet_transactions
+      WHERE user_id = p_user_id
+        AND currency = p_currency
+        AND idempotency_key = p_idempotency_key;
+    IF FOUND THEN
+      RETURN;
+    END IF;
+  END IF;
+
+  IF p_currency = 'coins' THEN
+    SELECT total_coins INTO v_balance FROM public.users WHERE uid = p_user_id FOR UPDATE;
+  ELSIF p_currency = 'diamonds' THEN
+    SELECT total_diamonds INTO v_balance FROM public.users WHERE uid = p_user_id FOR UPDATE;
+  ELSE
+    RAISE EXCEPTION 'Unknown currency: %', p_currency USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found: %', p_user_id USING ERRCODE = 'P0002';
+  END IF;
+
+  v_balance := COALESCE(v_balance, 0);
+  IF v_balance + v_delta < 0 THEN
+    IF NOT p_clamp_to_zero THEN
+      RETURN;
+    END IF;
+    v_delta := -v_balance;
+  END IF;
+
+  IF p_currency = 'coins' THEN
+    UPDATE public.users SET total_coins = v_balance + v_delta WHERE uid = p_user_id;
+  ELSE
+    UPDATE public.users SET total_diamonds = v_balance + v_delta WHERE uid = p_user_id;
+  END IF;
+
+  INSERT INTO public.wallet_transactions
+    (transaction_id, account, user_id, currency, delta, balance_after, reason, reference_type, reference_id)
+  VALUES
+    (v_transaction_id, 'system:' || p_counter_account, NULL, p_currency, -v_delta, NULL,
+     p_reason, p_reference_type, p_reference_id);
+
+  RETURN QUERY
+    INSERT INTO public.wallet_transactions
+      (transaction_id, account, user_id, currency, delta, balance_after, reason,
+       reference_type, reference_id, idempotency_key)
+    VALUES
+      (v_transaction_id, 'user:' || p_user_id, p_user_id, p_currency, v_delta, v_balance + v_delta,
+       p_reason, p_reference_type, p_reference_id, p_idempotency_key)
+    RETURNING *;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.apply_wallet_change(uuid, text, bigint, text, text, text, text, text, boolean) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.apply_wallet_change(uuid, text, bigint, text, text, text, text, text, boolean) TO service_role;
+
+-- The old helper now goes through the ledger too
+CREATE OR REPLACE FUNCTION add_coins(p_user_id TEXT, p_amount INTEGER)
+RETURNS VOID AS $$
+BEGIN
+  PERFORM public.apply_wallet_change(p_user_id::uuid, 'coins', p_amount, 'adjustment', 'adjustments');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION add_coins(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION add_coins(TEXT, INTEGER) TO service_role;
+
+-- Balances from before the ledger, so every balance is the sum of its legs
+INSERT INTO public.wallet_transactions
+  (transaction_id, account, user_id, currency, delta, balance_after, reason)
+SELECT t.transaction_id, t.account, t.user_id, t.currency, t.delta, t.balance_after, 'opening_balance'
+FROM (
+  SELECT gen_random_uuid() AS transaction_id, u.uid, c.currency, c.amount
+  FROM public.users u
+  CROSS JOIN LATERAL (VALUES ('coins', u.total_coins), ('diamonds', u.total_diamonds)) AS c(currency, amount)
+  WHERE COALESCE(c.amount, 0) <> 0
+    AND NOT EXISTS (
+      SELECT 1 FROM public.wallet_transactions w
+      WHERE w.user_id = u.uid AND w.currency = c.currency AND w.reason = 'opening_balance'
+    )
+) AS o
+CROSS JOIN LATERAL (VALUES
+  (o.transaction_id, 'user:' || o.uid, o.uid, o.currency, o.amount::bigint, o.amount::bigint),
+  (o.transaction_id, 'system:opening_balances', NULL::uuid, o.currency, -o.amount::bigint, NULL::bigint)
+) AS t(transaction_id, account, user_id, currency, delta, balance_after);
@@ -1,3 +1,6 @@
+-- Superseded by lock_tournament_rooms_to_server.sql: rooms only change on the
+-- server, so do not run this. Kept for the record.
+
 -- Fix RLS policies for tournament_rooms table
 -- Run this in Supabase SQL Editor
 
@@ -0,0 +1,11 @@
+-- Tournament rooms only change on the server
+-- "Authenticated users can update tournament rooms" (create_tournament_rooms_table.sql)
+-- let any signed-in player write any column of any room, winners, game_state,
+-- positions and turn included, and fix_tournament_rooms_rls.sql let them
+-- create and delete rooms. Moves, check-ins and results now go through the
+-- server (server-modular.js, routes/tournaments.js), which runs as
+-- service_role and bypasses RLS; players keep read access for realtime.
+
+DROP POLICY IF EXISTS "Authenticated users can update tournament rooms" ON public.tournament_rooms;
+DROP POLICY IF EXISTS "Authenticated users can create tournament rooms" ON public.tournament_rooms;
+DROP POLICY IF EXISTS "Authenticated users can delete tournament rooms" ON public.tournament_rooms;
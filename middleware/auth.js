@@ -22,3 +22,9 @@ export const authenticateUser = async (req, res, next) => {
     res.status(401).json({ error: 'Authentication failed' });
   }
 };
+
+// Admins carry role 'admin' in their auth app_metadata, which only the
+// service role can set (user_metadata is writable by the user themselves)
+export function isAdmin(user) {
+  return user?.app_metadata?.role === 'admin';
+}
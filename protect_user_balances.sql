@@ -0,0 +1,27 @@
+-- Balances and owned items only change on the server
+-- "Users can update own profile" (create_users_table.sql) lets a signed-in
+-- player update any column of their row, including total_coins. Those
+-- columns now only change through the wallet intents (routes/wallet.js),
+-- which run as service_role and record every change in wallet_transactions.
+
+CREATE OR REPLACE FUNCTION public.protect_user_balances()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.role() IN ('anon', 'authenticated') AND (
+    NEW.total_coins IS DISTINCT FROM OLD.total_coins
+    OR NEW.total_diamonds IS DISTINCT FROM OLD.total_diamonds
+    OR NEW.owned_items IS DISTINCT FROM OLD.owned_items
+  ) THEN
+    RAISE EXCEPTION 'Balances and owned items can only be changed by the server'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_user_balances ON public.users;
+CREATE TRIGGER protect_user_balances
+  BEFORE UPDATE ON public.users
+  FOR EACH ROW EXECUTE FUNCTION public.protect_user_balances();
@@ -3,79 +3,62 @@ import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
 import {
   getBoardConfig,
-  checkForKills,
-  hasValidMoves,
-  checkAllTokensHome,
   getNextTurn,
   generateBotId,
   assignColor
 } from '../utils/gameHelpers.js';
+import {
+  getRules,
+  getMoveTarget,
+  hasValidMoves,
+  areAllTokensHome,
+  applyCaptures,
+  earnsExtraTurn,
+  isGameFinished,
+  evaluateSixesStreak,
+  getSixesStreakUpdate,
+  getSixesForfeitUpdate,
+} from '../utils/ruleVariants.js';
+import { getRollToMove, rollDiceForRoom, revealDiceSeedSafely } from '../services/diceService.js';
+import { settleFinishedRoom } from '../services/escrowService.js';
+import { sendVersionConflict } from '../utils/stateVersion.js';
+import {
+  ROOM_TABLES,
+  GAME_ROOM_TABLES,
+  tableForRoomType,
+  findGameRoom,
+  loadRoomFrom,
+  saveRoom,
+  transitionRoom,
+  updateRoomWhere,
+} from '../services/roomRepository.js';
+import {
+  ROOM_EVENT_TYPES,
+  recordRoomEvent,
+  recordRoomEvents,
+  gameFinishedEvent,
+  tokenMoveEvents,
+} from '../services/roomEventLog.js';
 
 const router = express.Router();
 
-// Helper function to find room in game_rooms, friend_rooms, or tournament_rooms
-async function findGameRoom(roomId) {
-  const startTime = Date.now();
-  console.log(`🔍 [FIND ROOM] Starting search for room: ${roomId} at ${new Date().toISOString()}`);
-  
-  // First try game_rooms
-  console.log(`🔍 [FIND ROOM] Step 1: Querying game_rooms table...`);
-  const gameRoomsStart = Date.now();
-  let { data: gameRoom, error } = await supabaseAdmin
-    .from('game_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-  const gameRoomsEnd = Date.now();
-  console.log(`🔍 [FIND ROOM] Step 1 complete: game_rooms query took ${gameRoomsEnd - gameRoomsStart}ms`);
-
-  if (gameRoom) {
-    const totalTime = Date.now() - startTime;
-    console.log(`✅ [FIND ROOM] Found in game_rooms! Total time: ${totalTime}ms`);
-    return { gameRoom, tableName: 'game_rooms' };
-  }
-
-  // If not found, try friend_rooms
-  console.log(`🔍 [FIND ROOM] Step 2: Not found in game_rooms, querying friend_rooms table...`);
-  const friendRoomsStart = Date.now();
-  const { data: friendRoom, error: friendError } = await supabaseAdmin
-    .from('friend_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-  const friendRoomsEnd = Date.now();
-  console.log(`🔍 [FIND ROOM] Step 2 complete: friend_rooms query took ${friendRoomsEnd - friendRoomsStart}ms`);
-
-  if (friendRoom) {
-    const totalTime = Date.now() - startTime;
-    console.log(`✅ [FIND ROOM] Found in friend_rooms! Total time: ${totalTime}ms`);
-    return { gameRoom: friendRoom, tableName: 'friend_rooms' };
-  }
-
-  // If not found, try tournament_rooms
-  console.log(`🔍 [FIND ROOM] Step 3: Not found in friend_rooms, querying tournament_rooms table...`);
-  const tournamentRoomsStart = Date.now();
-  const { data: tournamentRoom, error: tournamentError } = await supabaseAdmin
-    .from('tournament_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-  const tournamentRoomsEnd = Date.now();
-  console.log(`🔍 [FIND ROOM] Step 3 complete: tournament_rooms query took ${tournamentRoomsEnd - tournamentRoomsStart}ms`);
-
-  if (tournamentRoom) {
-    const totalTime = Date.now() - startTime;
-    console.log(`✅ [FIND ROOM] Found in tournament_rooms! Total time: ${totalTime}ms`);
-    return { gameRoom: tournamentRoom, tableName: 'tournament_rooms' };
-  }
+function isBotId(id) {
+  return typeof id === 'string' && (id.startsWith('00000000-') || id.startsWith('bot_'));
+}
 
-  const totalTime = Date.now() - startTime;
-  console.log(`❌ [FIND ROOM] Room not found in any table! Total search time: ${totalTime}ms`);
-  return { gameRoom: null, tableName: null };
+// A bot's turn is driven by a player seated in its room, and only a bot's:
+// a human's turn never goes through these endpoints. Checked on the room as
+// stored, never on what the client sends. Returns { status, error } or null.
+function botTurnError(room, botUserId, callerId) {
+  if (!isBotId(botUserId)) return { status: 403, error: 'Only a bot can be moved here' };
+  if (!room.players?.[callerId]) return { status: 403, error: 'Unauthorized' };
+  if (room.turn !== botUserId) return { status: 403, error: 'Not bot turn' };
+  if (room.game_state !== 'playing') return { status: 400, error: 'Game is not in playing state' };
+  return null;
 }
 
-// Bot Roll Dice (Optimized - No database queries needed!)
-router.post('/:roomId/bot-roll-dice', async (req, res) => {
+// Bot Roll Dice
+router.post('/:roomId/bot-roll-dice', authenticateUser, async (req, res) => {
   const requestStartTime = Date.now();
   const requestId = Math.random().toString(36).substring(7);
   
@@ -107,41 +90,45 @@ router.post('/:roomId/bot-roll-dice', async (req, res) => {
     }
 
     // Determine table name from game mode
-    let tableName;
-    switch (gameMode) {
-      case 'friend':
-        tableName = 'friend_rooms';
-        break;
-      case 'tournament':
-        tableName = 'tournament_rooms';
-        break;
-      case 'online':
-        tableName = 'game_rooms';
-        break;
-      default:
-        console.log(`❌ [BOT ROLL ${requestId}] Step 1 FAILED: Invalid gameMode: ${gameMode}`);
-        return res.status(400).json({ error: 'Invalid gameMode. Must be friend/tournament/online' });
+    const tableName = tableForRoomType(gameMode, null);
+    if (!GAME_ROOM_TABLES.includes(tableName)) {
+      console.log(`❌ [BOT ROLL ${requestId}] Step 1 FAILED: Invalid gameMode: ${gameMode}`);
+      return res.status(400).json({ error: 'Invalid gameMode. Must be friend/tournament/online' });
     }
     
     const step1End = Date.now();
     console.log(`✅ [BOT ROLL ${requestId}] Step 1 complete: Input validation took ${step1End - step1Start}ms`);
     console.log(`🎲 [BOT ROLL ${requestId}] Using table: ${tableName} (no database query needed!)`);
 
-    // Step 2: Validate game state (using provided gameRoom data)
+    // Step 2: Validate game state, on the room as stored: the turn, dice state
+    // and roll counter never come from the client payload, so every seed index
+    // is used exactly once and only on the bot's own turn
     console.log(`🎲 [BOT ROLL ${requestId}] Step 2: Validating game state...`);
     const step2Start = Date.now();
 
-    if (gameRoom.turn !== botUserId) {
-      console.log(`❌ [BOT ROLL ${requestId}] Step 2 FAILED: Not bot turn. Current turn: ${gameRoom.turn}, Bot: ${botUserId}`);
-      return res.status(403).json({ error: 'Not bot turn' });
+    const diceRow = await loadRoomFrom(
+      tableName,
+      roomId,
+      'room_id, turn, game_state, dice_state, dice_roll_count, dice_history, players, positions, pending_steps, consecutive_sixes, sixes_start_positions, rule_variant, rule_options, state_version',
+    );
+
+    if (!diceRow) {
+      console.log(`❌ [BOT ROLL ${requestId}] Step 2 FAILED: Room not found in ${tableName}`);
+      return res.status(404).json({ error: 'Game room not found' });
     }
 
-    if (gameRoom.game_state !== 'playing') {
-      console.log(`❌ [BOT ROLL ${requestId}] Step 2 FAILED: Game not playing. State: ${gameRoom.game_state}`);
-      return res.status(400).json({ error: 'Game is not in playing state' });
+    const turnError = botTurnError(diceRow, botUserId, req.user.id);
+    if (turnError) {
+      console.log(`❌ [BOT ROLL ${requestId}] Step 2 FAILED: ${turnError.error}. Current turn: ${diceRow.turn}, Bot: ${botUserId}`);
+      return res.status(turnError.status).json({ error: turnError.error });
     }
 
-    const pendingSteps = gameRoom.pending_steps || {};
+    if (diceRow.dice_state !== 'waiting') {
+      console.log(`❌ [BOT ROLL ${requestId}] Step 2 FAILED: Dice already rolled. State: ${diceRow.dice_state}`);
+      return res.status(400).json({ error: 'Dice already rolled' });
+    }
+
+    const pendingSteps = diceRow.pending_steps || {};
     if (pendingSteps[botUserId] && pendingSteps[botUserId] > 0) {
       console.log(`❌ [BOT ROLL ${requestId}] Step 2 FAILED: Bot has pending steps: ${pendingSteps[botUserId]}`);
       return res.status(400).json({ error: 'Bot must move a token first' });
@@ -153,8 +140,49 @@ router.post('/:roomId/bot-roll-dice', async (req, res) => {
     // Step 3: Generate dice result
     console.log(`🎲 [BOT ROLL ${requestId}] Step 3: Generating dice result...`);
     const step3Start = Date.now();
-    
-    const diceResult = Math.floor(Math.random() * 6) + 1;
+    // Only while it is still the bot's turn, before anyone rolled
+    const rollGuard = { turn: botUserId, dice_state: 'waiting' };
+
+    const roll = await rollDiceForRoom(diceRow, tableName, botUserId);
+    const diceResult = roll.diceResult;
+    const streak = evaluateSixesStreak(getRules(diceRow), diceRow, botUserId, diceResult);
+
+    if (streak.forfeit) {
+      const nextTurn = getNextTurn(Object.keys(diceRow.players), botUserId);
+
+      const { conflict: forfeitConflict } = await transitionRoom(tableName, diceRow, {
+        from: { ...rollGuard, dice_roll_count: roll.rollIndex },
+        to: {
+          ...roll.update,
+          ...getSixesForfeitUpdate(diceRow, botUserId, streak, nextTurn),
+        },
+      });
+
+      if (forfeitConflict) return sendVersionConflict(res);
+
+      console.log(`🎲 [BOT ROLL ${requestId}] Third six in a row - turn forfeited, next: ${nextTurn}`);
+      await recordRoomEvents(roomId, tableName, [
+        { type: ROOM_EVENT_TYPES.DICE_ROLLED, userId: botUserId, payload: { value: diceResult, rollIndex: roll.rollIndex } },
+        {
+          type: ROOM_EVENT_TYPES.TURN_FORFEITED,
+          userId: botUserId,
+          payload: { reason: 'three_sixes', nextTurn, restoredPositions: streak.restorePositions },
+        },
+      ]);
+      return res.json({
+        success: true,
+        diceResult,
+        turnForfeited: true,
+        movesUndone: !!streak.restorePositions,
+        gameRoom: {
+          ...gameRoom,
+          ...(streak.restorePositions ? { positions: streak.restorePositions } : {}),
+          dice_result: null,
+          dice_state: 'waiting',
+          turn: nextTurn,
+        },
+      });
+    }
     
     const step3End = Date.now();
     console.log(`✅ [BOT ROLL ${requestId}] Step 3 complete: Generated dice ${diceResult}, took ${step3End - step3Start}ms`);
@@ -164,25 +192,31 @@ router.post('/:roomId/bot-roll-dice', async (req, res) => {
     console.log(`🎲 [BOT ROLL ${requestId}] Updating table: ${tableName} with dice_result: ${diceResult}`);
     const step4Start = Date.now();
 
-    // Optimized: Update without .select() to avoid extra round-trip
-    const { error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        dice_result: diceResult,
+    // Only the room_id comes back - enough to tell whether the versioned write matched
+    const { conflict } = await transitionRoom(tableName, diceRow, {
+      from: { ...rollGuard, dice_roll_count: roll.rollIndex },
+      to: {
+        ...roll.update,
+        ...getSixesStreakUpdate(streak),
         dice_state: 'rolling',
-      })
-      .eq('room_id', roomId);
+      },
+    });
 
     const step4End = Date.now();
     console.log(`🎲 [BOT ROLL ${requestId}] Step 4 complete: Database update took ${step4End - step4Start}ms`);
 
-    if (updateError) {
-      console.log(`❌ [BOT ROLL ${requestId}] Step 4 FAILED: Database update error:`, updateError);
-      throw updateError;
+    if (conflict) {
+      console.log(`⚠️ [BOT ROLL ${requestId}] Step 4 SKIPPED: room changed since it was read`);
+      return sendVersionConflict(res);
     }
 
     console.log(`✅ [BOT ROLL ${requestId}] Database updated successfully`);
 
+    await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.DICE_ROLLED, botUserId, {
+      value: diceResult,
+      rollIndex: roll.rollIndex,
+    });
+
     // Step 5: Send response (return updated game room data from frontend)
     console.log(`🎲 [BOT ROLL ${requestId}] Step 5: Sending response...`);
     const step5Start = Date.now();
@@ -219,7 +253,7 @@ router.post('/:roomId/bot-roll-dice', async (req, res) => {
 });
 
 // Bot Complete Dice
-router.post('/:roomId/bot-complete-dice', async (req, res) => {
+router.post('/:roomId/bot-complete-dice', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
     const { botUserId } = req.body;
@@ -234,32 +268,39 @@ router.post('/:roomId/bot-complete-dice', async (req, res) => {
       return res.status(404).json({ error: 'Game room not found' });
     }
 
-    if (gameRoom.turn !== botUserId) {
-      return res.status(403).json({ error: 'Not bot turn' });
+    const turnError = botTurnError(gameRoom, botUserId, req.user.id);
+    if (turnError) {
+      return res.status(turnError.status).json({ error: turnError.error });
     }
 
-    const diceResult = gameRoom.dice_result || 0;
+    // Only the roll the server made for the bot this turn, once
+    const diceResult = gameRoom.dice_state === 'rolling' ? getRollToMove(gameRoom, botUserId) : 0;
+    if (!diceResult) {
+      return res.status(400).json({ error: 'Roll the dice before completing it' });
+    }
     const playerColor = gameRoom.players[botUserId];
     const playerPositions = gameRoom.positions[playerColor] || {};
     const noOfPlayers = gameRoom.no_of_players || 4;
+    const { homePosition } = getBoardConfig(noOfPlayers);
 
-    const validMove = hasValidMoves(playerPositions, diceResult, noOfPlayers);
+    const validMove = hasValidMoves(getRules(gameRoom), playerPositions, diceResult, homePosition);
 
     if (!validMove) {
       const nextTurn = getNextTurn(Object.keys(gameRoom.players), botUserId);
 
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from(tableName)
-        .update({
-          dice_state: 'waiting',
-          dice_result: null,
-          turn: nextTurn,
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
+      const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+        dice_state: 'waiting',
+        dice_result: null,
+        turn: nextTurn,
+      });
 
-      if (updateError) throw updateError;
+      if (conflict) return sendVersionConflict(res);
+
+      await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.TURN_PASSED, botUserId, {
+        reason: 'no_valid_moves',
+        diceResult,
+        nextTurn,
+      });
 
       return res.json({ success: true, noValidMoves: true, gameRoom: updatedRoom });
     }
@@ -267,14 +308,12 @@ router.post('/:roomId/bot-complete-dice', async (req, res) => {
     const pendingSteps = gameRoom.pending_steps || {};
     pendingSteps[botUserId] = diceResult;
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({ dice_state: 'complete', pending_steps: pendingSteps })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+      dice_state: 'complete',
+      pending_steps: pendingSteps,
+    });
 
-    if (updateError) throw updateError;
+    if (conflict) return sendVersionConflict(res);
 
     res.json({ success: true, gameRoom: updatedRoom });
   } catch (error) {
@@ -284,7 +323,7 @@ router.post('/:roomId/bot-complete-dice', async (req, res) => {
 });
 
 // Bot Move Token
-router.post('/:roomId/bot-move-token', async (req, res) => {
+router.post('/:roomId/bot-move-token', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
     const { botUserId, tokenName, color } = req.body;
@@ -299,8 +338,9 @@ router.post('/:roomId/bot-move-token', async (req, res) => {
       return res.status(404).json({ error: 'Game room not found' });
     }
 
-    if (gameRoom.turn !== botUserId) {
-      return res.status(403).json({ error: 'Not bot turn' });
+    const turnError = botTurnError(gameRoom, botUserId, req.user.id);
+    if (turnError) {
+      return res.status(turnError.status).json({ error: turnError.error });
     }
 
     const pendingSteps = gameRoom.pending_steps || {};
@@ -319,16 +359,20 @@ router.post('/:roomId/bot-move-token', async (req, res) => {
       return res.status(400).json({ error: 'Invalid token' });
     }
 
-    if (currentPosition === 0 && stepsToMove !== 6) {
-      return res.status(400).json({ error: 'Must roll 6 to move token out of home' });
+    const rules = getRules(gameRoom);
+
+    if (currentPosition === 0 && !rules.exitRolls.includes(stepsToMove)) {
+      return res.status(400).json({
+        error: `Must roll ${rules.exitRolls.join(' or ')} to move token out of home`,
+      });
     }
 
     const noOfPlayers = gameRoom.no_of_players || 4;
-    const { finalPosition, homePosition } = getBoardConfig(noOfPlayers);
+    const { homePosition } = getBoardConfig(noOfPlayers);
 
-    let newPosition = currentPosition === 0 ? 1 : currentPosition + stepsToMove;
+    const newPosition = getMoveTarget(rules, currentPosition, stepsToMove, homePosition);
 
-    if (newPosition > homePosition) {
+    if (newPosition === null) {
       return res.status(400).json({ error: 'Need exact dice count to enter home' });
     }
 
@@ -337,11 +381,12 @@ router.post('/:roomId/bot-move-token', async (req, res) => {
       [color]: { ...gameRoom.positions[color], [tokenName]: newPosition }
     };
 
-    const killResult = checkForKills(gameRoom, color, newPosition, updatedPositions);
-    updatedPositions = killResult.updatedPositions;
-    const bonusRoll = killResult.bonusRoll;
+    const captureResult = applyCaptures(rules, gameRoom, color, newPosition, updatedPositions);
+    updatedPositions = captureResult.updatedPositions;
+    const killed = captureResult.killedTokens.length > 0;
+    const bonusRoll = captureResult.bonusRoll;
 
-    const allTokensHome = checkAllTokensHome(updatedPositions[color], noOfPlayers);
+    const allTokensHome = areAllTokensHome(updatedPositions[color], homePosition);
     let updatedWinners = [...(gameRoom.winners || [])];
     
     if (allTokensHome && !updatedWinners.includes(botUserId)) {
@@ -358,33 +403,59 @@ router.post('/:roomId/bot-move-token', async (req, res) => {
     }
 
     let nextTurn = botUserId;
-    // Bot keeps turn if: rolled 6, killed opponent, OR token reached finish
-    if (stepsToMove !== 6 && !bonusRoll && !tokenReachedFinish) {
+    // Bot keeps turn if the rule variant grants a bonus (six, capture, token home)
+    const keepsTurn = earnsExtraTurn(rules, {
+      steps: stepsToMove,
+      captured: killed,
+      reachedHome: tokenReachedFinish,
+    }) && !allTokensHome;
+    if (!keepsTurn) {
       nextTurn = getNextTurn(Object.keys(gameRoom.players), botUserId);
     }
 
     // Turn management - no consecutive sixes constraint
 
-    const gameFinished = updatedWinners.length >= Object.keys(gameRoom.players).length - 1;
-
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        positions: updatedPositions,
-        pending_steps: updatedPendingSteps,
-        turn: nextTurn,
-        dice_result: null,
-        dice_state: 'waiting',
-        winners: updatedWinners,
-        game_state: gameFinished ? 'finished' : 'playing',
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const gameFinished = isGameFinished(rules, {
+      winners: updatedWinners,
+      playerCount: Object.keys(gameRoom.players).length,
+    });
+
+    const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+      positions: updatedPositions,
+      pending_steps: updatedPendingSteps,
+      turn: nextTurn,
+      dice_result: null,
+      dice_state: 'waiting',
+      winners: updatedWinners,
+      game_state: gameFinished ? 'finished' : 'playing',
+    });
+
+    if (conflict) return sendVersionConflict(res);
+
+    await recordRoomEvents(roomId, tableName, [
+      ...tokenMoveEvents(botUserId, {
+        color,
+        tokenName,
+        from: currentPosition,
+        to: newPosition,
+        steps: stepsToMove,
+        killedTokens: captureResult.killedTokens,
+        extraTurn: keepsTurn,
+        nextTurn,
+      }),
+      gameFinished && gameFinishedEvent(updatedWinners),
+    ]);
+
+    if (gameFinished) {
+      await revealDiceSeedSafely(roomId, tableName);
+      try {
+        await settleFinishedRoom(tableName, updatedRoom);
+      } catch (e) {
+        console.error('Error settling room:', e);
+      }
+    }
 
-    res.json({ success: true, gameRoom: updatedRoom, bonusRoll, killed: bonusRoll });
+    res.json({ success: true, gameRoom: updatedRoom, bonusRoll, killed });
   } catch (error) {
     console.error('Error moving token for bot:', error);
     res.status(500).json({ error: error.message });
@@ -401,13 +472,9 @@ router.post('/:roomId/add-bots', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'Invalid number of bots' });
     }
 
-    const { data: room, error: roomError } = await supabaseAdmin
-      .from('game_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.online, roomId);
 
-    if (roomError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -474,14 +541,10 @@ router.post('/:roomId/add-bots', authenticateUser, async (req, res) => {
       }
     }
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('game_rooms')
-      .update({ players: updatedPlayers, positions: updatedPositions })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.online, { room_id: roomId }, {
+      players: updatedPlayers,
+      positions: updatedPositions,
+    });
 
     res.json({ success: true, gameRoom: updatedRoom, botsAdded: botsToAdd });
   } catch (error) {
@@ -1,23 +1,26 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
+import { ALL_ROOM_TABLES, tableForRoomType, loadRoom, updateRoomWhere } from '../services/roomRepository.js';
+import { credit, debit, LEDGER_REASONS, REFERENCE_TYPES } from '../services/walletService.js';
 
 const router = express.Router();
 
-// Rate limiting maps
-const messageRateLimits = new Map(); // odId -> { count, resetTime }
+// Per-process fallback when the shared limiter (consume_rate_limit) is unavailable
+const messageRateLimits = new Map(); // userId -> { count, resetTime }
 const giftRateLimits = new Map();
 
 const MAX_MESSAGES_PER_MINUTE = 10;
 const MAX_GIFTS_PER_MINUTE = 5;
+const RATE_LIMIT_WINDOW_MS = 60000;
 
-// Helper: Check rate limit
-function checkRateLimit(map, odId, maxPerMinute) {
+// Helper: Check rate limit in this process only
+function checkLocalRateLimit(map, userId, maxPerMinute) {
   const now = Date.now();
-  const userLimit = map.get(odId);
+  const userLimit = map.get(userId);
   
   if (!userLimit || now > userLimit.resetTime) {
-    map.set(odId, { count: 1, resetTime: now + 60000 });
+    map.set(userId, { count: 1, resetTime: now + RATE_LIMIT_WINDOW_MS });
     return true;
   }
   
@@ -29,14 +32,30 @@ function checkRateLimit(map, odId, maxPerMinute) {
   return true;
 }
 
-// Helper: Get table name from room type
-function getTableName(roomType) {
-  switch (roomType) {
-    case 'friend': return 'friend_rooms';
-    case 'team_up': return 'team_up_rooms';
-    case 'tournament': return 'tournament_rooms';
-    default: return 'game_rooms';
+// Helper: Check rate limit across all server instances (create_rate_limits_table.sql)
+async function checkRateLimit(scope, map, userId, maxPerMinute) {
+  const { data: allowed, error } = await supabaseAdmin.rpc('consume_rate_limit', {
+    p_limit_key: `${scope}:${userId}`,
+    p_max_hits: maxPerMinute,
+    p_window_ms: RATE_LIMIT_WINDOW_MS,
+  });
+
+  if (error) {
+    console.warn(`⚠️ Shared rate limit unavailable (${error.message}), limiting in this process only`);
+    return checkLocalRateLimit(map, userId, maxPerMinute);
   }
+  return allowed === true;
+}
+
+// Helper: Load the room; roomType (when the client sends it) narrows the lookup to one table
+function loadChatRoom(roomId, roomType, columns) {
+  const tables = roomType ? [tableForRoomType(roomType)] : ALL_ROOM_TABLES;
+  return loadRoom(roomId, { tables, columns });
+}
+
+// Helper: Whether a user is seated in the room (team up rooms list their teams before colors are dealt)
+function isInRoom(room, userId) {
+  return !!room.players?.[userId] || [...(room.team_a || []), ...(room.team_b || [])].includes(userId);
 }
 
 // Send message to room
@@ -52,11 +71,10 @@ router.post('/:roomId/message', authenticateUser, async (req, res) => {
     }
 
     // Rate limit check
-    if (!checkRateLimit(messageRateLimits, odId, MAX_MESSAGES_PER_MINUTE)) {
+    if (!(await checkRateLimit('chat_message', messageRateLimits, userId, MAX_MESSAGES_PER_MINUTE))) {
       return res.status(429).json({ error: 'Rate limit exceeded. Please wait.' });
     }
 
-    const tableName = getTableName(roomType);
     const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
     const newMessage = {
@@ -68,14 +86,9 @@ router.post('/:roomId/message', authenticateUser, async (req, res) => {
     };
 
     // Get current messages
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from(tableName)
-      .select('room_messages')
-      .eq('room_id', roomId)
-      .single();
+    const { room, tableName } = await loadChatRoom(roomId, roomType, 'room_messages');
 
-    if (fetchError) {
-      console.error('Error fetching room:', fetchError);
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -87,12 +100,9 @@ router.post('/:roomId/message', authenticateUser, async (req, res) => {
     }
 
     // Update room
-    const { error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({ room_messages: messages })
-      .eq('room_id', roomId);
-
-    if (updateError) {
+    try {
+      await updateRoomWhere(tableName, { room_id: roomId }, { room_messages: messages });
+    } catch (updateError) {
       console.error('Error updating room:', updateError);
       return res.status(500).json({ error: 'Failed to send message' });
     }
@@ -109,7 +119,7 @@ router.post('/:roomId/message', authenticateUser, async (req, res) => {
 router.post('/:roomId/gift', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { recipientId, emojiId, cost, roomType } = req.body;
+    const { recipientId, emojiId, cost, roomType, giftId: clientGiftId } = req.body;
     const userId = req.user.id;
 
     // Validate input
@@ -121,38 +131,52 @@ router.post('/:roomId/gift', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'Cannot send gift to yourself' });
     }
 
+    const giftCost = Number(cost ?? 0);
+    if (!Number.isInteger(giftCost) || giftCost < 0) {
+      return res.status(400).json({ error: 'Invalid gift cost' });
+    }
+
     // Rate limit check
-    if (!checkRateLimit(giftRateLimits, odId, MAX_GIFTS_PER_MINUTE)) {
+    if (!(await checkRateLimit('chat_gift', giftRateLimits, userId, MAX_GIFTS_PER_MINUTE))) {
       return res.status(429).json({ error: 'Rate limit exceeded. Please wait.' });
     }
 
-    const giftCost = cost || 0;
+    // A client retry sends the same giftId and is charged once
+    const giftId = typeof clientGiftId === 'string' && clientGiftId
+      ? clientGiftId
+      : `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-    // Check and deduct coins if cost > 0
-    if (giftCost > 0) {
-      const { data: userData, error: userError } = await supabaseAdmin
-        .from('users')
-        .select('total_coins')
-        .eq('uid', userId)
-        .single();
-
-      if (userError || !userData) {
-        return res.status(404).json({ error: 'User not found' });
-      }
+    // Check the room and both players before charging anything
+    const { room, tableName } = await loadChatRoom(roomId, roomType);
 
-      if (userData.total_coins < giftCost) {
-        return res.status(400).json({ error: 'Insufficient coins' });
-      }
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
 
-      // Deduct coins
-      await supabaseAdmin
-        .from('users')
-        .update({ total_coins: userData.total_coins - giftCost })
-        .eq('uid', userId);
+    if (!isInRoom(room, userId) || !isInRoom(room, recipientId)) {
+      return res.status(403).json({ error: 'Sender and recipient must both be in the room' });
     }
 
-    const tableName = getTableName(roomType);
-    const giftId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const gifts = room.room_gifts || [];
+    const alreadySent = gifts.find((gift) => gift.id === giftId && gift.sender_id === userId);
+    if (alreadySent) {
+      return res.json({ success: true, gift: alreadySent });
+    }
+
+    // Deduct coins if cost > 0
+    const chargeKey = `gift:${userId}:${giftId}`;
+    if (giftCost > 0) {
+      const { applied } = await debit(userId, giftCost, {
+        reason: LEDGER_REASONS.GIFT,
+        referenceType: REFERENCE_TYPES.GIFT,
+        referenceId: giftId,
+        idempotencyKey: chargeKey,
+      });
+
+      if (!applied) {
+        return res.status(400).json({ error: 'Insufficient coins' });
+      }
+    }
 
     const newGift = {
       id: giftId,
@@ -163,33 +187,26 @@ router.post('/:roomId/gift', authenticateUser, async (req, res) => {
       created_at: new Date().toISOString(),
     };
 
-    // Get current gifts
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from(tableName)
-      .select('room_gifts')
-      .eq('room_id', roomId)
-      .single();
-
-    if (fetchError) {
-      console.error('Error fetching room:', fetchError);
-      return res.status(404).json({ error: 'Room not found' });
-    }
-
     // Append gift (keep last 100)
-    const gifts = room.room_gifts || [];
     gifts.push(newGift);
     if (gifts.length > 100) {
       gifts.splice(0, gifts.length - 100);
     }
 
     // Update room
-    const { error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({ room_gifts: gifts })
-      .eq('room_id', roomId);
-
-    if (updateError) {
+    try {
+      await updateRoomWhere(tableName, { room_id: roomId }, { room_gifts: gifts });
+    } catch (updateError) {
       console.error('Error updating room:', updateError);
+      // The gift was never delivered - give the coins back
+      if (giftCost > 0) {
+        await credit(userId, giftCost, {
+          reason: LEDGER_REASONS.GIFT,
+          referenceType: REFERENCE_TYPES.GIFT,
+          referenceId: giftId,
+          idempotencyKey: `${chargeKey}:refund`,
+        });
+      }
       return res.status(500).json({ error: 'Failed to send gift' });
     }
 
@@ -239,7 +256,7 @@ router.get('/stats/:userId', async (req, res) => {
     const { data: stats, error } = await supabaseAdmin
       .from('user_gift_stats')
       .select('*')
-      .eq('user_id', odId)
+      .eq('user_id', userId)
       .single();
 
     if (error && error.code !== 'PGRST116') { // Not found is ok
@@ -1,6 +1,8 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
+import { credit, LEDGER_REASONS, REFERENCE_TYPES } from '../services/walletService.js';
+import { extendTalkTime, addOwnedItem } from '../services/storeService.js';
 
 const router = express.Router();
 
@@ -225,73 +227,24 @@ router.post('/missions/:missionId/claim', authenticateUser, async (req, res) =>
 
     // Grant reward
     try {
-      if (mission.reward_type === 'coins') {
+      if (mission.reward_type === 'coins' || mission.reward_type === 'diamonds') {
         const amount = Number(mission.reward_amount ?? 0);
         if (amount > 0) {
-          const { error: rpcErr } = await supabaseAdmin.rpc('add_coins', {
-            p_user_id: String(userId),
-            p_amount: amount,
+          await credit(userId, amount, {
+            currency: mission.reward_type,
+            reason: LEDGER_REASONS.MISSION_REWARD,
+            referenceType: REFERENCE_TYPES.MISSION,
+            referenceId: missionId,
+            idempotencyKey: `mission:${missionId}`,
           });
-          if (rpcErr) throw rpcErr;
-        }
-      } else if (mission.reward_type === 'diamonds') {
-        const amount = Number(mission.reward_amount ?? 0);
-        if (amount > 0) {
-          const { data: userRow, error: userErr } = await supabaseAdmin
-            .from('users')
-            .select('total_diamonds')
-            .eq('uid', userId)
-            .single();
-          if (userErr) throw userErr;
-          const current = Number(userRow?.total_diamonds ?? 0);
-          const { error: updErr } = await supabaseAdmin
-            .from('users')
-            .update({ total_diamonds: current + amount })
-            .eq('uid', userId);
-          if (updErr) throw updErr;
         }
       } else if (mission.reward_type === 'talk_time') {
         // reward_amount is treated as minutes
         const minutes = Number(mission.reward_amount ?? 0);
-        if (minutes > 0) {
-          const { data: userRow, error: userErr } = await supabaseAdmin
-            .from('users')
-            .select('talk_time_end_date')
-            .eq('uid', userId)
-            .single();
-          if (userErr) throw userErr;
-
-          const now = new Date();
-          const currentEnd = userRow?.talk_time_end_date ? new Date(userRow.talk_time_end_date) : null;
-          const base = currentEnd && currentEnd > now ? currentEnd : now;
-          const newEnd = new Date(base.getTime() + minutes * 60_000);
-
-          const { error: updErr } = await supabaseAdmin
-            .from('users')
-            .update({ talk_time_end_date: newEnd.toISOString() })
-            .eq('uid', userId);
-          if (updErr) throw updErr;
-        }
+        if (minutes > 0) await extendTalkTime(userId, minutes);
       } else if (mission.reward_type === 'inventory_item') {
         const itemId = (mission.reward_item_id ?? '').toString();
-        if (itemId) {
-          const { data: userRow, error: userErr } = await supabaseAdmin
-            .from('users')
-            .select('owned_items')
-            .eq('uid', userId)
-            .single();
-          if (userErr) throw userErr;
-
-          const owned = Array.isArray(userRow?.owned_items) ? [...userRow.owned_items] : [];
-          if (!owned.includes(itemId)) {
-            owned.push(itemId);
-            const { error: updErr } = await supabaseAdmin
-              .from('users')
-              .update({ owned_items: owned })
-              .eq('uid', userId);
-            if (updErr) throw updErr;
-          }
-        }
+        if (itemId) await addOwnedItem(userId, itemId);
       }
 
       const grantedAt = new Date().toISOString();
@@ -2,6 +2,24 @@ import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
 import { assignColor, initializePositions, getNextTurn } from '../utils/gameHelpers.js';
+import { DEFAULT_RULE_VARIANT, isValidRuleVariant, validateRuleOptions } from '../utils/ruleVariants.js';
+import { createDiceCommitment, revealDiceSeedSafely } from '../services/diceService.js';
+import { sendVersionConflict } from '../utils/stateVersion.js';
+import {
+  ROOM_TABLES,
+  loadRoomFrom,
+  saveRoom,
+  updateRoomWhere,
+  createRoom,
+  deleteRoom,
+} from '../services/roomRepository.js';
+import {
+  ROOM_EVENT_TYPES,
+  recordRoomEvents,
+  gameStartedEvent,
+  gameFinishedEvent,
+} from '../services/roomEventLog.js';
+import { holdEntryFee, refundEntryFees, settleFinishedRoom } from '../services/escrowService.js';
 
 const router = express.Router();
 
@@ -19,23 +37,28 @@ function generateRoomCode() {
 router.post('/create', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { noOfPlayers, dare, entryFee } = req.body;
+    const { noOfPlayers, dare, entryFee, ruleVariant = DEFAULT_RULE_VARIANT, ruleOptions } = req.body;
 
     if (!noOfPlayers || noOfPlayers < 2 || noOfPlayers > 6) {
       return res.status(400).json({ error: 'Invalid number of players (must be 2-6)' });
     }
 
+    if (!isValidRuleVariant(ruleVariant)) {
+      return res.status(400).json({ error: `Unknown rule variant: ${ruleVariant}` });
+    }
+
+    const { options: validRuleOptions, error: ruleOptionsError } = validateRuleOptions(ruleOptions);
+    if (ruleOptionsError) {
+      return res.status(400).json({ error: ruleOptionsError });
+    }
+
     console.log('🏠 Creating friend room for', noOfPlayers, 'players');
 
     let roomCode;
     let isUnique = false;
     while (!isUnique) {
       roomCode = generateRoomCode();
-      const { data: existing } = await supabaseAdmin
-        .from('friend_rooms')
-        .select('id')
-        .eq('room_id', roomCode)
-        .single();
+      const existing = await loadRoomFrom(ROOM_TABLES.friend, roomCode, 'room_id');
       if (!existing) isUnique = true;
     }
 
@@ -44,29 +67,38 @@ router.post('/create', authenticateUser, async (req, res) => {
     const players = { [userId]: firstColor };
     const positions = { [firstColor]: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 } };
 
-    const { data: friendRoom, error } = await supabaseAdmin
-      .from('friend_rooms')
-      .insert({
-        room_id: roomCode,
-        host_id: userId,
-        players: players,
-        positions: positions,
-        no_of_players: noOfPlayers,
-        board_theme: 'classic',
-        entry_fee: Number(entryFee ?? 0),
-        game_state: 'waiting',
-        dice_state: 'waiting',
-        pending_steps: {},
-        consecutive_sixes: {},
-        winners: [],
-        dare: dare || null,
-      })
-      .select()
-      .single();
-    
-    console.log('✅ Friend room created:', roomCode);
+    const desiredEntryFee = Number(entryFee ?? 0);
+    if (!Number.isInteger(desiredEntryFee) || desiredEntryFee < 0) {
+      return res.status(400).json({ error: 'Entry fee must be a non-negative integer' });
+    }
 
-    if (error) throw error;
+    const { held } = await holdEntryFee(ROOM_TABLES.friend, roomCode, userId, desiredEntryFee);
+    if (!held) {
+      return res.status(400).json({ error: 'Insufficient coins' });
+    }
+
+    const friendRoom = await createRoom(ROOM_TABLES.friend, {
+      room_id: roomCode,
+      host_id: userId,
+      players: players,
+      positions: positions,
+      no_of_players: noOfPlayers,
+      board_theme: 'classic',
+      entry_fee: desiredEntryFee,
+      rule_variant: ruleVariant,
+      rule_options: validRuleOptions,
+      game_state: 'waiting',
+      dice_state: 'waiting',
+      pending_steps: {},
+      consecutive_sixes: {},
+      winners: [],
+      dare: dare || null,
+    }).catch(async (createError) => {
+      await refundEntryFees(ROOM_TABLES.friend, roomCode, userId);
+      throw createError;
+    });
+
+    console.log('✅ Friend room created:', roomCode);
 
     res.json({ friendRoom });
   } catch (error) {
@@ -81,13 +113,9 @@ router.post('/:roomCode/join', authenticateUser, async (req, res) => {
     const userId = req.user.id;
     const { roomCode } = req.params;
 
-    const { data: friendRoom, error: fetchError } = await supabaseAdmin
-      .from('friend_rooms')
-      .select('*')
-      .eq('room_id', roomCode)
-      .single();
+    const friendRoom = await loadRoomFrom(ROOM_TABLES.friend, roomCode);
 
-    if (fetchError || !friendRoom) {
+    if (!friendRoom) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -112,17 +140,15 @@ router.post('/:roomCode/join', authenticateUser, async (req, res) => {
       [nextColor]: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 }
     };
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('friend_rooms')
-      .update({
-        players: updatedPlayers,
-        positions: updatedPositions,
-      })
-      .eq('room_id', roomCode)
-      .select()
-      .single();
+    const { held } = await holdEntryFee(ROOM_TABLES.friend, roomCode, userId, Number(friendRoom.entry_fee ?? 0));
+    if (!held) {
+      return res.status(400).json({ error: 'Insufficient coins' });
+    }
 
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.friend, { room_id: roomCode }, {
+      players: updatedPlayers,
+      positions: updatedPositions,
+    });
 
     res.json({ friendRoom: updatedRoom });
   } catch (error) {
@@ -136,13 +162,9 @@ router.get('/:roomCode', authenticateUser, async (req, res) => {
   try {
     const { roomCode } = req.params;
 
-    const { data: friendRoom, error } = await supabaseAdmin
-      .from('friend_rooms')
-      .select('*')
-      .eq('room_id', roomCode)
-      .single();
+    const friendRoom = await loadRoomFrom(ROOM_TABLES.friend, roomCode);
 
-    if (error || !friendRoom) {
+    if (!friendRoom) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -158,13 +180,9 @@ router.post('/:roomCode/exit', authenticateUser, async (req, res) => {
     const userId = req.user.id;
     const { roomCode } = req.params;
 
-    const { data: friendRoom, error: fetchError } = await supabaseAdmin
-      .from('friend_rooms')
-      .select('*')
-      .eq('room_id', roomCode)
-      .single();
+    const friendRoom = await loadRoomFrom(ROOM_TABLES.friend, roomCode);
 
-    if (fetchError || !friendRoom) {
+    if (!friendRoom) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -176,24 +194,17 @@ router.post('/:roomCode/exit', authenticateUser, async (req, res) => {
     const exitedPlayers = [...(friendRoom.exited_players || [])];
     if (!exitedPlayers.includes(userId)) exitedPlayers.push(userId);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('friend_rooms')
-      .update({
-        exited_players: exitedPlayers,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomCode)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.friend, { room_id: roomCode }, {
+      exited_players: exitedPlayers,
+      updated_at: new Date().toISOString(),
+    });
 
     const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
     const expectedHumanIds = Object.keys(players).filter((id) => !isBotId(id));
     const allHumansExited = expectedHumanIds.every((id) => exitedPlayers.includes(id));
 
     if (updatedRoom.game_state === 'finished' && allHumansExited) {
-      await supabaseAdmin.from('friend_rooms').delete().eq('room_id', roomCode);
+      await deleteRoom(ROOM_TABLES.friend, roomCode);
       return res.json({ success: true, roomDeleted: true });
     }
 
@@ -209,13 +220,9 @@ router.post('/:roomCode/leave', authenticateUser, async (req, res) => {
     const userId = req.user.id;
     const { roomCode } = req.params;
 
-    const { data: friendRoom, error: fetchError } = await supabaseAdmin
-      .from('friend_rooms')
-      .select('*')
-      .eq('room_id', roomCode)
-      .single();
+    const friendRoom = await loadRoomFrom(ROOM_TABLES.friend, roomCode);
 
-    if (fetchError || !friendRoom) {
+    if (!friendRoom) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -282,35 +289,48 @@ router.post('/:roomCode/leave', authenticateUser, async (req, res) => {
         diceResult = null;
       }
 
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from('friend_rooms')
-        .update({
-          escaped_players: escapedPlayers,
-          pending_steps: updatedPendingSteps,
-          positions: updatedPositions,
-          turn: nextTurn,
-          dice_state: diceState,
-          dice_result: diceResult,
-          ...(finishedGameState ? { game_state: finishedGameState } : {}),
-          ...(updatedWinners ? { winners: updatedWinners } : {}),
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomCode)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
+      const { room: updatedRoom, conflict } = await saveRoom(ROOM_TABLES.friend, friendRoom, {
+        escaped_players: escapedPlayers,
+        pending_steps: updatedPendingSteps,
+        positions: updatedPositions,
+        turn: nextTurn,
+        dice_state: diceState,
+        dice_result: diceResult,
+        ...(finishedGameState ? { game_state: finishedGameState } : {}),
+        ...(updatedWinners ? { winners: updatedWinners } : {}),
+        updated_at: new Date().toISOString(),
+      });
+
+      if (conflict) return sendVersionConflict(res);
+
+      await recordRoomEvents(roomCode, 'friend_rooms', [
+        {
+          type: ROOM_EVENT_TYPES.PLAYER_LEFT,
+          userId,
+          payload: { color: playerColor, nextTurn, positions: updatedPositions },
+        },
+        finishedGameState === 'finished' && gameFinishedEvent(updatedWinners, { reason: 'forfeit' }),
+      ]);
+
+      if (finishedGameState === 'finished') {
+        await revealDiceSeedSafely(roomCode, 'friend_rooms');
+        try {
+          await settleFinishedRoom(ROOM_TABLES.friend, updatedRoom);
+        } catch (e) {
+          console.error('Error settling room:', e);
+        }
+      }
 
       return res.json({ success: true, friendRoom: updatedRoom, escaped: true });
     }
 
-    if (friendRoom.host_id === userId) {
-      const { error: deleteError } = await supabaseAdmin
-        .from('friend_rooms')
-        .delete()
-        .eq('room_id', roomCode);
+    // Leaving before the game started gives the entry fee back; the host
+    // leaving closes the room for everyone
+    const neverStarted = friendRoom.game_state === 'waiting';
 
-      if (deleteError) throw deleteError;
+    if (friendRoom.host_id === userId) {
+      await deleteRoom(ROOM_TABLES.friend, roomCode);
+      if (neverStarted) await refundEntryFees(ROOM_TABLES.friend, roomCode);
 
       return res.json({ success: true, message: 'Room deleted' });
     }
@@ -340,21 +360,16 @@ router.post('/:roomCode/leave', authenticateUser, async (req, res) => {
       diceResult = null;
     }
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('friend_rooms')
-      .update({
-        players: updatedPlayers,
-        positions: updatedPositions,
-        pending_steps: updatedPendingSteps,
-        turn: nextTurn,
-        dice_state: diceState,
-        dice_result: diceResult,
-      })
-      .eq('room_id', roomCode)
-      .select()
-      .single();
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.friend, { room_id: roomCode }, {
+      players: updatedPlayers,
+      positions: updatedPositions,
+      pending_steps: updatedPendingSteps,
+      turn: nextTurn,
+      dice_state: diceState,
+      dice_result: diceResult,
+    });
 
-    if (updateError) throw updateError;
+    if (neverStarted) await refundEntryFees(ROOM_TABLES.friend, roomCode, userId);
 
     res.json({ success: true, friendRoom: updatedRoom });
   } catch (error) {
@@ -369,13 +384,9 @@ router.post('/:roomCode/start', authenticateUser, async (req, res) => {
     const userId = req.user.id;
     const { roomCode } = req.params;
 
-    const { data: friendRoom, error: fetchError } = await supabaseAdmin
-      .from('friend_rooms')
-      .select('*')
-      .eq('room_id', roomCode)
-      .single();
+    const friendRoom = await loadRoomFrom(ROOM_TABLES.friend, roomCode);
 
-    if (fetchError || !friendRoom) {
+    if (!friendRoom) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -398,18 +409,14 @@ router.post('/:roomCode/start', authenticateUser, async (req, res) => {
       micState[playerId] = { mic: 'off', speaking: false };
     });
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('friend_rooms')
-      .update({ 
-        game_state: 'playing', 
-        turn: firstTurn,
-        mic_state: micState
-      })
-      .eq('room_id', roomCode)
-      .select()
-      .single();
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.friend, { room_id: roomCode }, {
+      game_state: 'playing', 
+      turn: firstTurn,
+      dice_commitment: await createDiceCommitment(roomCode, 'friend_rooms'),
+      mic_state: micState
+    });
 
-    if (updateError) throw updateError;
+    await recordRoomEvents(roomCode, 'friend_rooms', [gameStartedEvent(updatedRoom)]);
 
     console.log(`✅ Friend game started: ${roomCode} with ${playerIds.length} players`);
     res.json({ friendRoom: updatedRoom });
@@ -426,13 +433,9 @@ router.post('/:roomCode/mic-state', authenticateUser, async (req, res) => {
     const { roomCode } = req.params;
     const { micState, speaking } = req.body; // micState: 'on' | 'off', speaking: boolean
 
-    const { data: friendRoom, error: fetchError } = await supabaseAdmin
-      .from('friend_rooms')
-      .select('*')
-      .eq('room_id', roomCode)
-      .single();
+    const friendRoom = await loadRoomFrom(ROOM_TABLES.friend, roomCode);
 
-    if (fetchError || !friendRoom) {
+    if (!friendRoom) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -451,14 +454,10 @@ router.post('/:roomCode/mic-state', authenticateUser, async (req, res) => {
       }
     };
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('friend_rooms')
-      .update({ mic_state: updatedMicState, updated_at: new Date().toISOString() })
-      .eq('room_id', roomCode)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.friend, { room_id: roomCode }, {
+      mic_state: updatedMicState,
+      updated_at: new Date().toISOString(),
+    });
 
     console.log(`🎤 Mic state updated for ${userId} in room ${roomCode}:`, updatedMicState[userId]);
     res.json({ success: true, friendRoom: updatedRoom });
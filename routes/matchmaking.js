@@ -0,0 +1,108 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import {
+  TICKET_STATUS,
+  MATCHMAKING_MODES,
+  parseTicketOptions,
+  enqueueTickets,
+  getTicket,
+  cancelTicket,
+  getQueueDepth,
+} from '../services/matchmakingService.js';
+import { ROOM_TABLES, loadRoomFrom } from '../services/roomRepository.js';
+
+const router = express.Router();
+
+// Players waiting right now, per region and mode
+router.get('/queue', async (req, res) => {
+  try {
+    const queues = await getQueueDepth();
+    res.json({ success: true, queues });
+  } catch (error) {
+    console.error('Error fetching matchmaking queue depth:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue for a match. mode: 'online' (default, noOfPlayers 2-6) or 'teamup'.
+// region, or latencies ({ region: ms }) to pick the fastest region.
+// Policies: maxWaitSeconds (default 120), and fillWithBotsAfterSeconds to
+// start with bots in the empty seats after that long.
+router.post('/tickets', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { options, error } = parseTicketOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    console.log(`🎯 MATCHMAKING TICKET: ${userId} wants ${options.mode} for ${options.noOfPlayers}, fee ${options.entryFee}, ${options.ruleVariant}`);
+
+    const { tickets, existing, insufficient } = await enqueueTickets([userId], options);
+    if (existing) {
+      return res.status(409).json({ error: 'Already queued for a match', ticket: existing });
+    }
+    if (insufficient) {
+      return res.status(400).json({ error: 'Insufficient coins' });
+    }
+
+    res.status(201).json({ success: true, ticket: tickets[0] });
+  } catch (error) {
+    console.error('Error queueing matchmaking ticket:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ticket status; once matched it also carries the game room
+router.get('/tickets/:ticketId', authenticateUser, async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.ticketId);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    if (ticket.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not your ticket' });
+    }
+
+    const tableName = ticket.mode === MATCHMAKING_MODES.TEAM_UP ? ROOM_TABLES.teamUp : ROOM_TABLES.online;
+    const gameRoom = ticket.status === TICKET_STATUS.MATCHED
+      ? await loadRoomFrom(tableName, ticket.room_id)
+      : null;
+
+    res.json({ success: true, ticket, gameRoom });
+  } catch (error) {
+    console.error('Error fetching matchmaking ticket:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Leave the queue; only a ticket that is still queued can be cancelled, and
+// cancelling a party ticket takes the whole party out of the queue
+router.delete('/tickets/:ticketId', authenticateUser, async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+
+    const ticket = await getTicket(ticketId);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    if (ticket.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not your ticket' });
+    }
+
+    const cancelled = await cancelTicket(ticket);
+    const own = cancelled.find(({ id }) => id === ticketId);
+    if (!own) {
+      const current = await getTicket(ticketId);
+      return res.status(409).json({ error: `Ticket is already ${current.status}`, ticket: current });
+    }
+
+    console.log(`🚪 MATCHMAKING TICKET CANCELLED: ${ticketId} (${cancelled.length} tickets)`);
+    res.json({ success: true, ticket: own });
+  } catch (error) {
+    console.error('Error cancelling matchmaking ticket:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,208 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticateUser } from '../middleware/auth.js';
+import {
+  MAX_PARTY_SIZE,
+  getParty,
+  getPartyIdForUser,
+  getPartyForUser,
+  createParty,
+  inviteToParty,
+  joinParty,
+  removeInvite,
+  removeFromParty,
+} from '../services/partyService.js';
+import { parseTicketOptions, enqueueTickets, maxPartySize } from '../services/matchmakingService.js';
+
+const router = express.Router();
+
+// Load the party for a request; sends 404/403 and resolves null unless the caller is a member
+async function _loadMemberParty(req, res) {
+  const party = await getParty(req.params.partyId);
+  if (!party) {
+    res.status(404).json({ error: 'Party not found' });
+    return null;
+  }
+  if (!party.members.includes(req.user.id)) {
+    res.status(403).json({ error: 'Not a member of this party' });
+    return null;
+  }
+  return party;
+}
+
+async function _areFriends(userId, friendId) {
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select('friends')
+    .eq('uid', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return (data?.friends || []).includes(friendId);
+}
+
+// The caller's current party (null when not in one)
+router.get('/me', authenticateUser, async (req, res) => {
+  try {
+    const party = await getPartyForUser(req.user.id);
+    res.json({ success: true, party });
+  } catch (error) {
+    console.error('Error fetching party:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (await getPartyIdForUser(userId)) {
+      return res.status(409).json({ error: 'Already in a party' });
+    }
+
+    const party = await createParty(userId);
+    console.log(`🎉 PARTY CREATED: ${party.id} led by ${userId}`);
+    res.status(201).json({ success: true, party });
+  } catch (error) {
+    console.error('Error creating party:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Leader invites a friend
+router.post('/:partyId/invites', authenticateUser, async (req, res) => {
+  try {
+    const { userId: inviteeId } = req.body;
+    const party = await _loadMemberParty(req, res);
+    if (!party) return;
+
+    if (party.leader_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the party leader can invite' });
+    }
+    if (!inviteeId || party.members.includes(inviteeId)) {
+      return res.status(400).json({ error: 'Invite a friend who is not in the party yet' });
+    }
+    if (!(await _areFriends(req.user.id, inviteeId))) {
+      return res.status(403).json({ error: 'You can only invite friends' });
+    }
+    if (party.members.length >= MAX_PARTY_SIZE) {
+      return res.status(400).json({ error: `A party has at most ${MAX_PARTY_SIZE} players` });
+    }
+
+    await inviteToParty(party.id, inviteeId, req.user.id);
+    console.log(`✉️ PARTY INVITE: ${inviteeId} to ${party.id}`);
+    res.json({ success: true, party: await getParty(party.id) });
+  } catch (error) {
+    console.error('Error inviting to party:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept an invite
+router.post('/:partyId/join', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const party = await getParty(req.params.partyId);
+
+    if (!party || !party.invited.includes(userId)) {
+      return res.status(404).json({ error: 'Party invite not found' });
+    }
+    if (await getPartyIdForUser(userId)) {
+      return res.status(409).json({ error: 'Already in a party' });
+    }
+    if (party.members.length >= MAX_PARTY_SIZE) {
+      return res.status(400).json({ error: 'Party is full' });
+    }
+
+    const joined = await joinParty(party.id, userId);
+    console.log(`🎉 PARTY JOINED: ${userId} joined ${party.id}`);
+    res.json({ success: true, party: joined });
+  } catch (error) {
+    console.error('Error joining party:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:partyId/decline', authenticateUser, async (req, res) => {
+  try {
+    await removeInvite(req.params.partyId, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error declining party invite:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:partyId/leave', authenticateUser, async (req, res) => {
+  try {
+    const party = await _loadMemberParty(req, res);
+    if (!party) return;
+
+    const remaining = await removeFromParty(party, req.user.id);
+    console.log(`🚪 PARTY LEFT: ${req.user.id} left ${party.id}${remaining ? '' : ' (disbanded)'}`);
+    res.json({ success: true, party: remaining });
+  } catch (error) {
+    console.error('Error leaving party:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:partyId/kick', authenticateUser, async (req, res) => {
+  try {
+    const { userId: kickedId } = req.body;
+    const party = await _loadMemberParty(req, res);
+    if (!party) return;
+
+    if (party.leader_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the party leader can kick' });
+    }
+    if (kickedId === req.user.id || !party.members.includes(kickedId)) {
+      return res.status(400).json({ error: 'Player is not a member you can kick' });
+    }
+
+    const remaining = await removeFromParty(party, kickedId);
+    res.json({ success: true, party: remaining });
+  } catch (error) {
+    console.error('Error kicking from party:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Leader queues the whole party: same body as POST /api/matchmaking/tickets.
+// Every member gets a ticket; the party is seated together (same team in team up).
+router.post('/:partyId/queue', authenticateUser, async (req, res) => {
+  try {
+    const party = await _loadMemberParty(req, res);
+    if (!party) return;
+
+    if (party.leader_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the party leader can queue' });
+    }
+
+    const { options, error } = parseTicketOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const maxSize = maxPartySize(options.mode, options.noOfPlayers);
+    if (party.members.length > maxSize) {
+      return res.status(400).json({ error: `A party of ${party.members.length} does not fit (at most ${maxSize})` });
+    }
+
+    const { tickets, existing, insufficient } = await enqueueTickets(party.members, { ...options, partyId: party.id });
+    if (existing) {
+      return res.status(409).json({ error: 'A party member is already queued for a match', ticket: existing });
+    }
+    if (insufficient) {
+      return res.status(400).json({ error: 'Insufficient coins', players: insufficient });
+    }
+
+    console.log(`🎯 PARTY QUEUED: ${party.id} (${party.members.length} players) for ${options.mode}`);
+    res.status(201).json({ success: true, tickets });
+  } catch (error) {
+    console.error('Error queueing party:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
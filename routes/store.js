@@ -0,0 +1,95 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticateUser } from '../middleware/auth.js';
+import { CURRENCIES, getBalance } from '../services/walletService.js';
+import { isValidPlatform, verifyPurchase } from '../services/purchaseVerifier.js';
+import {
+  UNAVAILABLE_REASONS,
+  getCatalog,
+  getStoreItem,
+  packContents,
+  purchaseStoreItem,
+} from '../services/storeService.js';
+
+// Store catalog and in-app purchases of store packs (services/storeService.js)
+
+const router = express.Router();
+
+// The packs the caller can see now, featured first: each store row with
+// final_price / original_price (paise), contents, available,
+// unavailable_reason ('limit_reached') and purchases_remaining (null when
+// unlimited). Offers off sale or the caller is not eligible for are left out.
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const items = await getCatalog(req.user.id);
+    res.json({ success: true, items, serverTime: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error fetching store catalog:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Buy a store pack: { storeItemId, platform ('google_play' | 'app_store'),
+// receipt }. Granted once per store receipt; a retry with the same receipt
+// returns the purchase already made.
+router.post('/purchase', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { storeItemId, platform, receipt } = req.body;
+
+    if (!storeItemId || !receipt) {
+      return res.status(400).json({ error: 'storeItemId and receipt are required' });
+    }
+    if (!isValidPlatform(platform)) {
+      return res.status(400).json({ error: `Unknown platform: ${platform}` });
+    }
+
+    const item = await getStoreItem(storeItemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Store item not found' });
+    }
+    if (packContents(item).length === 0) {
+      return res.status(400).json({ error: 'Store item has nothing to grant' });
+    }
+
+    const verification = await verifyPurchase({ platform, productId: storeItemId, receipt });
+    if (!verification.valid) {
+      return res.status(402).json({ error: verification.error });
+    }
+
+    const { purchase, alreadyGranted, conflict, unavailable } = await purchaseStoreItem(userId, item, {
+      platform,
+      receiptId: verification.receiptId,
+    });
+    if (conflict) {
+      return res.status(409).json({ error: 'Receipt has already been used' });
+    }
+    if (unavailable === UNAVAILABLE_REASONS.LIMIT_REACHED) {
+      return res.status(409).json({ error: 'Purchase limit reached', reason: unavailable });
+    }
+    if (unavailable) {
+      return res.status(403).json({ error: 'Store item is not available to this player', reason: unavailable });
+    }
+
+    const [coins, diamonds, { data: user, error: userError }] = await Promise.all([
+      getBalance(userId, CURRENCIES.COINS),
+      getBalance(userId, CURRENCIES.DIAMONDS),
+      supabaseAdmin.from('users').select('owned_items, talk_time_end_date').eq('uid', userId).single(),
+    ]);
+    if (userError) throw userError;
+
+    res.json({
+      success: true,
+      purchase,
+      alreadyGranted,
+      balances: { coins, diamonds },
+      ownedItems: user.owned_items || [],
+      talkTimeEndDate: user.talk_time_end_date,
+    });
+  } catch (error) {
+    console.error('Error processing store purchase:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,7 +1,21 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
-import { getBoardPosition, getStarPositions } from '../utils/gameHelpers.js';
+import { getBoardConfig } from '../utils/gameHelpers.js';
+import {
+  getRules,
+  validateRuleOptions,
+  getMoveTarget,
+  hasValidMoves,
+  areAllTokensHome,
+  applyCaptures,
+  earnsExtraTurn,
+  getWinningTeam,
+  evaluateSixesStreak,
+  getSixesStreakUpdate,
+  getSixesForfeitUpdate,
+  resetSixesStreak,
+} from '../utils/ruleVariants.js';
 
 import {
   recordKills,
@@ -10,19 +24,54 @@ import {
 } from '../services/eventsProgressService.js';
 
 import { recordMatchResult } from '../services/userStatsService.js';
+import { RATING_MODES } from '../services/ratingService.js';
+import {
+  holdEntryFee,
+  listHeldEntryFees,
+  refundEntryFee,
+  refundEntryFees,
+  settleRoom,
+  settleFinishedRoom,
+} from '../services/escrowService.js';
+import {
+  rollDiceForRoom,
+  getRollToMove,
+  createDiceCommitment,
+  revealDiceSeedSafely,
+  getDiceFairnessProof,
+} from '../services/diceService.js';
+import { isStaleClientVersion, sendVersionConflict } from '../utils/stateVersion.js';
+import {
+  ROOM_TABLES,
+  loadRoomFrom,
+  saveRoom,
+  transitionRoom,
+  updateRoomWhere,
+  claimRoomFlag,
+  deleteRoom,
+} from '../services/roomRepository.js';
+import {
+  ROOM_EVENT_TYPES,
+  recordRoomEvent,
+  recordRoomEvents,
+  gameStartedEvent,
+  gameFinishedEvent,
+  tokenMoveEvents,
+  getRoomReplay,
+} from '../services/roomEventLog.js';
 
 const router = express.Router();
 
 const DISCONNECT_GRACE_MS = 30_000;
-const disconnectRemovalTimers = new Map();
-
-function _clearDisconnectRemovalTimer(roomId, userId) {
-  const key = `${roomId}:${userId}`;
-  const t = disconnectRemovalTimers.get(key);
-  if (t) {
-    clearTimeout(t);
-    disconnectRemovalTimers.delete(key);
-  }
+// Team up is always played on the 4-player board
+const TEAM_UP_PLAYERS = 4;
+const { homePosition: TEAM_UP_HOME } = getBoardConfig(TEAM_UP_PLAYERS);
+
+// disconnect_deadlines without userId (reconnected, removed or left)
+function _withoutDisconnectDeadline(room, userId) {
+  const deadlines = { ...(room.disconnect_deadlines || {}) };
+  delete deadlines[userId];
+  return deadlines;
 }
 
 function _areAllTokensFinished(room, userId) {
@@ -30,7 +79,7 @@ function _areAllTokensFinished(room, userId) {
   if (!color) return false;
   const positions = room?.positions?.[color];
   if (!positions) return false;
-  return Object.values(positions).every((pos) => pos === 61);
+  return areAllTokensHome(positions, TEAM_UP_HOME);
 }
 
 function _isPlayerActiveInRoom(room, userId) {
@@ -75,29 +124,31 @@ function _getNextActiveTeamPlayer(room, currentUserId) {
 }
 
 function _getWinningTeamIfAny(room) {
-  const teamA = room?.team_a || [];
-  const teamB = room?.team_b || [];
-  if (teamA.length !== 2 || teamB.length !== 2) return [];
+  return getWinningTeam(getRules(room), room, room?.positions, TEAM_UP_HOME);
+}
 
-  const teamAFinished = teamA.every((id) => _areAllTokensFinished(room, id));
-  const teamBFinished = teamB.every((id) => _areAllTokensFinished(room, id));
+function _isBotId(id) {
+  return id && (id.startsWith('00000000-') || id.startsWith('bot_'));
+}
 
-  if (teamAFinished && !teamBFinished) return teamA;
-  if (teamBFinished && !teamAFinished) return teamB;
-  return [];
+function _seatedPlayers(room) {
+  return [...(room.team_a || []), ...(room.team_b || [])];
 }
 
-async function _processTeamUpPayoutIfNeeded(roomId, room) {
-  if (!room) return;
-  if (room.game_state !== 'finished') return;
+// The room's entry fee, as long as it is one a seat can be paid with
+function _entryFeeOf(room) {
+  const entryFee = Number(room.entry_fee ?? 0);
+  return Number.isInteger(entryFee) && entryFee >= 0 ? entryFee : null;
+}
 
-  const winners = room.winners || [];
-  if (!winners.length) return;
+function _getOpponentColors(color) {
+  return ['red', 'yellow'].includes(color) ? ['green', 'blue'] : ['red', 'yellow'];
+}
 
-  const entryFee = Number(room.entry_fee ?? 0);
-  const winAmount = entryFee * 2;
-  if (!winAmount) return;
+async function _processTeamUpPayoutIfNeeded(roomId, room) {
+  if (room?.game_state !== 'finished') return;
 
+  const winners = room.winners || [];
   const winningTeamFromFinish = _getWinningTeamIfAny(room);
   const firstWinner = winners[0];
   const teamA = room.team_a || [];
@@ -110,69 +161,22 @@ async function _processTeamUpPayoutIfNeeded(roomId, room) {
     ? teamB
     : [];
 
-  if (!winningTeam.length) return;
-
-  const { data: payoutLock, error: lockError } = await supabaseAdmin
-    .from('team_up_rooms')
-    .update({
-      payout_processed: true,
-      payout_processed_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    })
-    .eq('room_id', roomId)
-    .eq('payout_processed', false)
-    .select('room_id')
-    .single();
-
-  if (lockError) {
-    if (lockError.code === 'PGRST116') return;
-    throw lockError;
-  }
-
-  if (!payoutLock) return;
-
-  const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
-
-  for (const winnerId of winningTeam) {
-    if (isBotId(winnerId)) continue;
-
-    const { error: rpcError } = await supabaseAdmin.rpc('add_coins', {
-      p_user_id: String(winnerId),
-      p_amount: winAmount,
-    });
-
-    if (rpcError) {
-      const { data: currentUser, error: fetchErr } = await supabaseAdmin
-        .from('users')
-        .select('total_coins')
-        .eq('uid', winnerId)
-        .single();
-
-      if (fetchErr) throw fetchErr;
-
-      const currentCoins = Number(currentUser?.total_coins ?? 0);
-      const { error: updErr } = await supabaseAdmin
-        .from('users')
-        .update({ total_coins: currentCoins + winAmount })
-        .eq('uid', winnerId);
-
-      if (updErr) throw updErr;
-    }
-  }
+  // The winning team shares first place
+  await settleFinishedRoom(ROOM_TABLES.teamUp, room, [winningTeam]);
 }
 
-async function _finalizeDisconnectRemoval(roomId, userId) {
-  _clearDisconnectRemovalTimer(roomId, userId);
+// Runs on the instance that owns the room once the player's disconnect
+// deadline has passed (scheduled by botPlayerService)
+async function _finalizeDisconnectRemoval(roomId, userId, attempt = 0) {
+  const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-  const { data: room, error: fetchError } = await supabaseAdmin
-    .from('team_up_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-
-  if (fetchError || !room) return;
+  if (!room) return;
   if (room.game_state !== 'playing') return;
 
+  // Reconnected, or disconnected again with a later deadline
+  const deadline = room.disconnect_deadlines?.[userId];
+  if (!deadline || Date.parse(deadline) > Date.now()) return;
+
   const disconnectedPlayers = room.disconnected_players || [];
   const escapedPlayers = room.escaped_players || [];
 
@@ -226,21 +230,44 @@ async function _finalizeDisconnectRemoval(roomId, userId) {
     winners = teamAActive;
   }
 
-  await supabaseAdmin
-    .from('team_up_rooms')
-    .update({
-      escaped_players: updatedEscaped,
-      disconnected_players: updatedDisconnected,
-      positions: updatedPositions,
-      pending_steps: updatedPendingSteps,
-      turn: nextTurn,
-      dice_state: diceState,
-      dice_result: diceResult,
-      game_state: gameState,
-      winners: winners,
-      updated_at: new Date().toISOString(),
-    })
-    .eq('room_id', roomId);
+  const { room: updatedRoom, conflict } = await saveRoom(ROOM_TABLES.teamUp, room, {
+    escaped_players: updatedEscaped,
+    disconnected_players: updatedDisconnected,
+    disconnect_deadlines: _withoutDisconnectDeadline(room, userId),
+    positions: updatedPositions,
+    pending_steps: updatedPendingSteps,
+    turn: nextTurn,
+    dice_state: diceState,
+    dice_result: diceResult,
+    game_state: gameState,
+    winners: winners,
+    updated_at: new Date().toISOString(),
+  });
+
+  if (conflict) {
+    // Room changed while we were computing; re-run against the fresh state
+    if (attempt < 3) return _finalizeDisconnectRemoval(roomId, userId, attempt + 1);
+    console.warn(`⚠️ [DISCONNECT] Gave up removing ${userId} from ${roomId} after repeated conflicts`);
+    return;
+  }
+
+  await recordRoomEvents(roomId, 'team_up_rooms', [
+    {
+      type: ROOM_EVENT_TYPES.PLAYER_LEFT,
+      userId,
+      payload: { color: playerColor, reason: 'disconnect_timeout', nextTurn, positions: updatedPositions },
+    },
+    gameState === 'finished' && gameFinishedEvent(winners, { reason: 'forfeit' }),
+  ]);
+
+  if (gameState === 'finished') {
+    await revealDiceSeedSafely(roomId, 'team_up_rooms');
+    try {
+      await _processTeamUpPayoutIfNeeded(roomId, updatedRoom);
+    } catch (e) {
+      console.error('Error processing team-up payout:', e);
+    }
+  }
 }
 
 // Helper: Get next turn in anticlockwise order (red -> green -> blue -> yellow)
@@ -264,41 +291,54 @@ function getNextTeamTurn(players, currentUserId) {
   return null;
 }
 
-// Helper: Check if player has valid moves
-function hasValidMoves(positions, diceResult) {
-  for (const tokenName in positions) {
-    const pos = positions[tokenName];
-    
-    // Token at home (0) - can only move with 6
-    if (pos === 0 && diceResult === 6) return true;
-    
-    // Token on board - can move if not finished
-    if (pos > 0 && pos < 61) {
-      const newPos = pos + diceResult;
-      if (newPos <= 61) return true; // Can move to finish or beyond
+// Dice fairness proof for a team up room
+router.get('/:roomId/dice-fairness', authenticateUser, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
+
+    if (!room) {
+      return res.status(404).json({ error: 'Team room not found' });
     }
+
+    const proof = await getDiceFairnessProof(room, 'team_up_rooms');
+    res.json({ success: true, ...proof });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  
-  return false;
-}
+});
+
+// Full replay of a team up room (event log + rebuilt board per step)
+router.get('/:roomId/replay', authenticateUser, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
+
+    if (!room) {
+      return res.status(404).json({ error: 'Team room not found' });
+    }
+
+    const replay = await getRoomReplay(room, 'team_up_rooms');
+    res.json({ success: true, ...replay });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Roll dice for team up mode
 router.post('/:roomId/roll-dice', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
     const userId = req.user.id;
-    const { clientDiceResult } = req.body; // CLIENT-FIRST: Accept client dice result
 
-    console.log(`🎲 [TEAM UP BACKEND] Roll dice - Room: ${roomId}, User: ${userId}, ClientDice: ${clientDiceResult}`);
+    console.log(`🎲 [TEAM UP BACKEND] Roll dice - Room: ${roomId}, User: ${userId}`);
 
     // Get room
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       console.log(`❌ [TEAM UP BACKEND] Room not found: ${roomId}`);
       return res.status(404).json({ error: 'Team room not found' });
     }
@@ -322,34 +362,68 @@ router.post('/:roomId/roll-dice', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'You must move a token first' });
     }
 
-    // CLIENT-FIRST: Use client dice result if provided and valid, otherwise generate server-side
-    let diceResult;
-    if (clientDiceResult !== undefined && clientDiceResult >= 1 && clientDiceResult <= 6) {
-      diceResult = clientDiceResult;
-      console.log(`🎲 [TEAM UP BACKEND] Using client-provided dice result: ${diceResult}`);
-    } else {
-      diceResult = Math.floor(Math.random() * 6) + 1;
-      console.log(`🎲 [TEAM UP BACKEND] Generated server dice result: ${diceResult}`);
+    if (isStaleClientVersion(req, room)) {
+      return sendVersionConflict(res, room);
     }
 
-    // Removed 3 consecutive sixes constraint
+    // SERVER-AUTHORITATIVE: roll comes from the room's committed seed
+    const roll = await rollDiceForRoom(room, 'team_up_rooms', userId);
+    const diceResult = roll.diceResult;
+    console.log(`🎲 [TEAM UP BACKEND] Fair roll #${roll.rollIndex}: ${diceResult}`);
+
+    // Three-sixes rule (off unless the room's rules enable it)
+    const streak = evaluateSixesStreak(getRules(room), room, userId, diceResult);
+
+    if (streak.forfeit) {
+      const roomForTurn = { ...room, positions: streak.restorePositions || room.positions };
+      const nextTurn = _getNextActiveTeamPlayer(roomForTurn, userId);
+
+      const { room: forfeitRoom, conflict } = await transitionRoom(ROOM_TABLES.teamUp, room, {
+        from: { dice_roll_count: roll.rollIndex },
+        to: {
+          ...roll.update,
+          ...getSixesForfeitUpdate(room, userId, streak, nextTurn),
+          updated_at: new Date().toISOString(),
+        },
+      });
+
+      if (conflict) return sendVersionConflict(res);
+
+      console.log(`🎲 [TEAM UP BACKEND] Third six in a row - turn forfeited, next: ${nextTurn}`);
+      await recordRoomEvents(roomId, 'team_up_rooms', [
+        { type: ROOM_EVENT_TYPES.DICE_ROLLED, userId, payload: { value: diceResult, rollIndex: roll.rollIndex } },
+        {
+          type: ROOM_EVENT_TYPES.TURN_FORFEITED,
+          userId,
+          payload: { reason: 'three_sixes', nextTurn, restoredPositions: streak.restorePositions },
+        },
+      ]);
+      return res.json({
+        success: true,
+        diceResult,
+        turnForfeited: true,
+        movesUndone: !!streak.restorePositions,
+        room: forfeitRoom,
+      });
+    }
 
     // Update room with dice result (NO pending_steps yet!)
-    const { data: updatedRoom, error: updateError} = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        dice_result: diceResult,
+    const { room: updatedRoom, conflict } = await transitionRoom(ROOM_TABLES.teamUp, room, {
+      from: { dice_roll_count: roll.rollIndex }, // each seed index is used once
+      to: {
+        ...roll.update,
+        ...getSixesStreakUpdate(streak),
         dice_state: 'rolling',
         updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+      },
+    });
 
-    if (updateError) {
-      console.log(`❌ [TEAM UP BACKEND] Update error: ${updateError.message}`);
-      throw updateError;
-    }
+    if (conflict) return sendVersionConflict(res);
+
+    await recordRoomEvent(roomId, 'team_up_rooms', ROOM_EVENT_TYPES.DICE_ROLLED, userId, {
+      value: diceResult,
+      rollIndex: roll.rollIndex,
+    });
 
     console.log(`✅ [TEAM UP BACKEND] Dice rolled successfully`);
     res.json({ success: true, diceResult, room: updatedRoom });
@@ -368,13 +442,9 @@ router.post('/:roomId/complete-dice', authenticateUser, async (req, res) => {
     console.log(`✅ [TEAM UP BACKEND] Complete dice - Room: ${roomId}, User: ${userId}`);
 
     // Get room
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Team room not found' });
     }
 
@@ -391,6 +461,10 @@ router.post('/:roomId/complete-dice', authenticateUser, async (req, res) => {
       return res.json({ success: true, notYourTurn: true, room });
     }
 
+    if (isStaleClientVersion(req, room)) {
+      return sendVersionConflict(res, room);
+    }
+
     const diceResult = room.dice_result || 0;
     const playerColor = room.players[userId];
     const playerPositions = room.positions[playerColor] || {};
@@ -398,7 +472,7 @@ router.post('/:roomId/complete-dice', authenticateUser, async (req, res) => {
     console.log(`🔍 [TEAM UP BACKEND] Checking valid moves for ${playerColor}, dice: ${diceResult}`);
 
     // Check if player has valid moves
-    const validMove = hasValidMoves(playerPositions, diceResult);
+    const validMove = hasValidMoves(getRules(room), playerPositions, diceResult, TEAM_UP_HOME);
 
     if (!validMove) {
       // No valid moves - pass turn
@@ -408,20 +482,21 @@ router.post('/:roomId/complete-dice', authenticateUser, async (req, res) => {
 
       console.log(`⏭️ [TEAM UP BACKEND] No valid moves, passing turn to: ${nextTurn}`);
 
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from('team_up_rooms')
-        .update({
-          turn: nextTurn,
-          dice_result: null,
-          dice_state: 'waiting',
-          consecutive_sixes: consecutiveSixes,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
+      const { room: updatedRoom, conflict } = await saveRoom('team_up_rooms', room, {
+        turn: nextTurn,
+        dice_result: null,
+        dice_state: 'waiting',
+        consecutive_sixes: consecutiveSixes,
+        updated_at: new Date().toISOString(),
+      });
 
-      if (updateError) throw updateError;
+      if (conflict) return sendVersionConflict(res);
+
+      await recordRoomEvent(roomId, 'team_up_rooms', ROOM_EVENT_TYPES.TURN_PASSED, userId, {
+        reason: 'no_valid_moves',
+        diceResult,
+        nextTurn,
+      });
 
       console.log(`✅ [TEAM UP BACKEND] Turn passed`);
       return res.json({ success: true, noValidMoves: true, room: updatedRoom });
@@ -431,18 +506,13 @@ router.post('/:roomId/complete-dice', authenticateUser, async (req, res) => {
     const pendingSteps = room.pending_steps || {};
     pendingSteps[userId] = diceResult;
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        dice_state: 'complete',
-        pending_steps: pendingSteps,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom('team_up_rooms', room, {
+      dice_state: 'complete',
+      pending_steps: pendingSteps,
+      updated_at: new Date().toISOString(),
+    });
 
-    if (updateError) throw updateError;
+    if (conflict) return sendVersionConflict(res);
 
     console.log(`✅ [TEAM UP BACKEND] Dice completed, player can move`);
     res.json({ success: true, room: updatedRoom });
@@ -462,13 +532,9 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
     console.log(`🚀 [TEAM UP BACKEND] Move token - Room: ${roomId}, User: ${userId}, Token: ${tokenId}`);
 
     // Get room
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       console.log(`❌ [TEAM UP BACKEND] Room not found: ${roomId}`);
       return res.status(404).json({ error: 'Team room not found' });
     }
@@ -485,9 +551,20 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'Game is not in playing state' });
     }
 
-    // Check pending steps (client-first safe: may race with complete-dice)
+    if (isStaleClientVersion(req, room)) {
+      return sendVersionConflict(res, room);
+    }
+
+    // Steps only ever come from this turn's server roll: pending_steps once
+    // complete-dice has run, dice_result while the dice is still rolling.
+    const rolled = getRollToMove(room, userId);
+    if (!rolled) {
+      console.log(`❌ [TEAM UP BACKEND] No roll to move with for user ${userId}`);
+      return res.status(400).json({ error: 'Roll the dice before moving' });
+    }
+
     const pendingSteps = room.pending_steps || {};
-    let stepsToMove = pendingSteps[userId];
+    const stepsToMove = pendingSteps[userId] > 0 ? pendingSteps[userId] : rolled;
 
     // Parse token (format: "color:tokenName")
     const [color, tokenName] = tokenId.split(':');
@@ -511,95 +588,42 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'Invalid token' });
     }
 
-    // CLIENT-FIRST SUPPORT: if pending_steps not written yet, derive from clientNewPosition or dice_result
-    if ((!stepsToMove || stepsToMove <= 0) && typeof clientNewPosition === 'number') {
-      if (currentPos === 0 && clientNewPosition === 1) {
-        stepsToMove = 6;
-      } else {
-        stepsToMove = clientNewPosition - currentPos;
-      }
-    }
-
-    if ((!stepsToMove || stepsToMove <= 0) && (room.dice_result || 0) > 0) {
-      stepsToMove = room.dice_result;
-    }
-
-    if (!stepsToMove || stepsToMove <= 0) {
-      console.log(`❌ [TEAM UP BACKEND] No pending steps for user ${userId}`);
-      return res.status(400).json({ error: 'No pending steps to move' });
-    }
+    const rules = getRules(room);
 
     // Check if can move from home
-    if (currentPos === 0 && stepsToMove !== 6) {
-      return res.status(400).json({ error: 'Must roll 6 to move token out of home' });
-    }
-    
-    // Calculate new position
-    let newPos = currentPos === 0 ? 1 : currentPos + stepsToMove;
-
-    if (typeof clientNewPosition === 'number') {
-      if (clientNewPosition === newPos) {
-        newPos = clientNewPosition;
-      }
+    if (currentPos === 0 && !rules.exitRolls.includes(stepsToMove)) {
+      return res.status(400).json({
+        error: `Must roll ${rules.exitRolls.join(' or ')} to move token out of home`,
+      });
     }
     
-    // Check if exceeds home position (61 for 4-player)
-    if (newPos > 61) {
+    // Calculate new position (null => overshoots home where the variant needs an exact count)
+    const newPos = getMoveTarget(rules, currentPos, stepsToMove, TEAM_UP_HOME);
+    if (newPos === null) {
       return res.status(400).json({ error: 'Need exact dice count to enter home' });
     }
 
-    console.log(`🚀 [TEAM UP BACKEND] Moving ${color} ${tokenName} from ${currentPos} to ${newPos}`);
+    // The client's target is only a cross-check of the server-computed move
+    if (clientNewPosition != null && clientNewPosition !== newPos) {
+      return res.status(400).json({ error: `Move does not match the dice roll: expected position ${newPos}` });
+    }
 
-    const noOfPlayers = 4; // Team up is always 4 players
-    const safePositions = getStarPositions(noOfPlayers) || [9, 17, 22, 30, 35, 43, 48, 56];
+    console.log(`🚀 [TEAM UP BACKEND] Moving ${color} ${tokenName} from ${currentPos} to ${newPos}`);
 
     // Update position
-    const updatedPositions = { ...positions };
+    let updatedPositions = { ...positions };
     if (!updatedPositions[color]) updatedPositions[color] = {};
     updatedPositions[color] = { ...updatedPositions[color], [tokenName]: newPos };
 
-    // Check for kills using grid coordinates (opponent team tokens only)
-    const killedTokens = [];
-    let bonusRoll = false;
-
-    // Get grid position of moving token
-    const movingTokenGridPos = getBoardPosition(color, newPos, noOfPlayers);
-    
-    // Only check kills if not on safe spot and not in home column
-    // CORRECT safe positions for 4-player board (from positions.js)
-    const isOnSafeSpotForKills = safePositions.includes(newPos);
-    
-    if (!isOnSafeSpotForKills && newPos > 0 && newPos < 61 && movingTokenGridPos) {
-      const isTeamA = ['red', 'yellow'].includes(color);
-      const opponentColors = isTeamA ? ['green', 'blue'] : ['red', 'yellow'];
-      const matches = [];
-
-      for (const otherColor of opponentColors) {
-        const otherTokens = updatedPositions[otherColor] || {};
-        for (const [otherTokenName, otherPos] of Object.entries(otherTokens)) {
-          if (otherPos <= 0 || otherPos >= 61) continue; // Skip home and finish
-
-          const opponentGridPos = getBoardPosition(otherColor, otherPos, noOfPlayers);
-          if (opponentGridPos &&
-              movingTokenGridPos.pos[0] === opponentGridPos.pos[0] &&
-              movingTokenGridPos.pos[1] === opponentGridPos.pos[1]) {
-            matches.push({ otherColor, otherTokenName, opponentGridPos });
-          }
-        }
-      }
-
-      if (matches.length === 1) {
-        const victim = matches[0];
-        updatedPositions[victim.otherColor] = {
-          ...updatedPositions[victim.otherColor],
-          [victim.otherTokenName]: 0,
-        };
-        killedTokens.push(`${victim.otherColor}:${victim.otherTokenName}`);
-        bonusRoll = true;
-        console.log(
-          `💀 [TEAM UP BACKEND] ${color} ${tokenName} (grid: [${movingTokenGridPos.pos}]) killed ${victim.otherColor} ${victim.otherTokenName} (grid: [${victim.opponentGridPos.pos}])`,
-        );
-      }
+    // Check for kills (opponent team tokens only)
+    const captureResult = applyCaptures(rules, { ...room, no_of_players: TEAM_UP_PLAYERS }, color, newPos, updatedPositions, {
+      opponentColors: _getOpponentColors(color),
+    });
+    updatedPositions = captureResult.updatedPositions;
+    const killedTokens = captureResult.killedTokens;
+    const bonusRoll = captureResult.bonusRoll;
+    if (killedTokens.length > 0) {
+      console.log(`💀 [TEAM UP BACKEND] ${color} ${tokenName} killed ${killedTokens.join(', ')}`);
     }
 
     // Clear pending steps
@@ -607,20 +631,24 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
     delete updatedPendingSteps[userId];
 
     // Check if token reached finish position (bonus turn)
-    const tokenReachedFinish = newPos === 61;
+    const tokenReachedFinish = newPos === TEAM_UP_HOME;
     if (tokenReachedFinish) {
       console.log(`🏠 [TEAM UP] Token reached finish! Player gets bonus turn.`);
     }
 
     let winners = [...(room.winners || [])];
-    const allTokensFinished = Object.values(updatedPositions[color] || {}).every(pos => pos === 61);
+    const allTokensFinished = areAllTokensHome(updatedPositions[color], TEAM_UP_HOME);
     if (allTokensFinished && !winners.includes(userId)) {
       winners.push(userId);
     }
 
     // Determine next turn
     let nextTurn = userId;
-    let shouldGetAnotherTurn = stepsToMove === 6 || bonusRoll || tokenReachedFinish;
+    let shouldGetAnotherTurn = earnsExtraTurn(rules, {
+      steps: stepsToMove,
+      captured: killedTokens.length > 0,
+      reachedHome: tokenReachedFinish,
+    });
     if (allTokensFinished) {
       shouldGetAnotherTurn = false;
     }
@@ -663,26 +691,35 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
     }
 
     // Update room
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        positions: updatedPositions,
-        pending_steps: updatedPendingSteps,
-        turn: nextTurn,
-        dice_result: null,
-        dice_state: 'waiting',
-        winners: winners,
-        game_state: gameFinished ? 'finished' : 'playing',
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom(ROOM_TABLES.teamUp, room, {
+      positions: updatedPositions,
+      pending_steps: updatedPendingSteps,
+      turn: nextTurn,
+      dice_result: null,
+      dice_state: 'waiting',
+      winners: winners,
+      game_state: gameFinished ? 'finished' : 'playing',
+      updated_at: new Date().toISOString(),
+    });
 
-    if (updateError) {
-      console.log(`❌ [TEAM UP BACKEND] Update error: ${updateError.message}`);
-      throw updateError;
-    }
+    if (conflict) {
+      console.log(`⚠️ [TEAM UP BACKEND] Room changed during move, rejecting stale write`);
+      return sendVersionConflict(res);
+    }
+
+    await recordRoomEvents(roomId, 'team_up_rooms', [
+      ...tokenMoveEvents(userId, {
+        color,
+        tokenName,
+        from: currentPos,
+        to: newPos,
+        steps: stepsToMove,
+        killedTokens,
+        extraTurn: shouldGetAnotherTurn,
+        nextTurn,
+      }),
+      gameFinished && gameFinishedEvent(winners, { winningTeam }),
+    ]);
 
     if (killedTokens.length > 0) {
       try {
@@ -695,24 +732,8 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
     // Idempotent match-finish tracking: use events_tracked column (added in CREATE_EVENTS_SYSTEM.sql)
     if (updatedRoom?.game_state === 'finished') {
       try {
-        const { data: lockRow, error: lockErr } = await supabaseAdmin
-          .from('team_up_rooms')
-          .update({
-            events_tracked: true,
-            events_tracked_at: new Date().toISOString(),
-          })
-          .eq('room_id', roomId)
-          .eq('events_tracked', false)
-          .select('room_id')
-          .maybeSingle();
-
-        if (lockErr) {
-          if (lockErr.code !== 'PGRST116') {
-            console.error('[EventsProgress] events_tracked lock error (teamup):', lockErr);
-          }
-        }
-
-        if (lockRow) {
+        const claimed = await claimRoomFlag(ROOM_TABLES.teamUp, roomId, 'events_tracked');
+        if (claimed) {
           const players = updatedRoom.players || {};
           const allPlayerIds = Object.keys(players);
           const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
@@ -727,10 +748,10 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
           }
 
           try {
-            const losingHumans = humanIds.filter((id) => !(winningTeam || []).includes(id));
             await recordMatchResult({
-              winnerUserIds: winningHumans,
-              loserUserIds: losingHumans,
+              winnerUserIds: winningTeam || [],
+              loserUserIds: allPlayerIds.filter((id) => !(winningTeam || []).includes(id)),
+              mode: RATING_MODES.TEAM_UP,
             });
           } catch (e) {
             console.error('[UserStats] recordMatchResult failed (teamup):', e?.message ?? e);
@@ -742,6 +763,7 @@ router.post('/:roomId/move-token', authenticateUser, async (req, res) => {
     }
 
     if (updatedRoom?.game_state === 'finished') {
+      await revealDiceSeedSafely(roomId, 'team_up_rooms');
       try {
         await _processTeamUpPayoutIfNeeded(roomId, updatedRoom);
       } catch (e) {
@@ -834,13 +856,9 @@ router.post('/:roomId/bot-roll-dice', async (req, res) => {
     } else {
       // Fallback to database query
       console.log(`🔍 [TEAM UP BOT ROLL ${requestId}] Querying database for room...`);
-      const { data: fetchedRoom, error: fetchError } = await supabaseAdmin
-        .from('team_up_rooms')
-        .select('*')
-        .eq('room_id', roomId)
-        .single();
+      const fetchedRoom = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-      if (fetchError || !fetchedRoom) {
+      if (!fetchedRoom) {
         console.log(`❌ [TEAM UP BOT ROLL ${requestId}] Step 2 FAILED: Room not found`);
         return res.status(404).json({ error: 'Room not found' });
       }
@@ -901,20 +919,13 @@ router.post('/:roomId/bot-roll-dice', async (req, res) => {
       const updatedConsecutiveSixes = { ...consecutiveSixes, [botUserId]: 0 };
       const nextTurn = getNextTeamTurn(room.players, botUserId);
       
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from('team_up_rooms')
-        .update({
-          consecutive_sixes: updatedConsecutiveSixes,
-          turn: nextTurn,
-          dice_result: null,
-          dice_state: 'waiting',
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
+      const updatedRoom = await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+        consecutive_sixes: updatedConsecutiveSixes,
+        turn: nextTurn,
+        dice_result: null,
+        dice_state: 'waiting',
+        updated_at: new Date().toISOString(),
+      });
 
       const step5End = Date.now();
       const totalTime = Date.now() - requestStartTime;
@@ -933,25 +944,21 @@ router.post('/:roomId/bot-roll-dice', async (req, res) => {
 
     const updatedConsecutiveSixes = { ...consecutiveSixes, [botUserId]: currentCount };
 
-    // Optimized: Update without .select() to avoid extra round-trip
-    const { error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
+    try {
+      await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
         dice_result: diceResult,
         dice_state: 'rolling',
         consecutive_sixes: updatedConsecutiveSixes,
         updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
-
-    const step6End = Date.now();
-    console.log(`🎲 [TEAM UP BOT ROLL ${requestId}] Step 6 complete: Database update took ${step6End - step6Start}ms`);
-
-    if (updateError) {
+      });
+    } catch (updateError) {
       console.log(`❌ [TEAM UP BOT ROLL ${requestId}] Step 6 FAILED: Database update error:`, updateError);
       throw updateError;
     }
 
+    const step6End = Date.now();
+    console.log(`🎲 [TEAM UP BOT ROLL ${requestId}] Step 6 complete: Database update took ${step6End - step6Start}ms`);
+
     console.log(`✅ [TEAM UP BOT ROLL ${requestId}] Database updated successfully`);
 
     // Step 7: Send response
@@ -1007,13 +1014,9 @@ router.post('/:roomId/bot-complete-dice', async (req, res) => {
 
     console.log(`🤖 [BOT] Complete dice - Room: ${roomId}, Bot: ${botUserId}`);
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1036,20 +1039,13 @@ router.post('/:roomId/bot-complete-dice', async (req, res) => {
 
       console.log(`⏭️ [BOT] No valid moves, passing turn to: ${nextTurn}`);
 
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from('team_up_rooms')
-        .update({
-          dice_state: 'waiting',
-          dice_result: null,
-          turn: nextTurn,
-          consecutive_sixes: consecutiveSixes,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
+      const updatedRoom = await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+        dice_state: 'waiting',
+        dice_result: null,
+        turn: nextTurn,
+        consecutive_sixes: consecutiveSixes,
+        updated_at: new Date().toISOString(),
+      });
 
       return res.json({ success: true, noValidMoves: true, room: updatedRoom });
     }
@@ -1057,18 +1053,11 @@ router.post('/:roomId/bot-complete-dice', async (req, res) => {
     const pendingSteps = room.pending_steps || {};
     pendingSteps[botUserId] = diceResult;
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        dice_state: 'complete',
-        pending_steps: pendingSteps,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+      dice_state: 'complete',
+      pending_steps: pendingSteps,
+      updated_at: new Date().toISOString(),
+    });
 
     console.log(`✅ [BOT] Dice completed, pending steps: ${diceResult}`);
     res.json({ success: true, room: updatedRoom });
@@ -1092,13 +1081,9 @@ router.post('/:roomId/bot-move-token', async (req, res) => {
 
     console.log(`🤖 [BOT] Move token - Room: ${roomId}, Bot: ${botUserId}, Token: ${tokenId}`);
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1210,22 +1195,15 @@ router.post('/:roomId/bot-move-token', async (req, res) => {
 
     console.log(`🔄 [BOT] Next turn: ${nextTurn}`);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        positions: updatedPositions,
-        pending_steps: updatedPendingSteps,
-        turn: nextTurn,
-        dice_result: null,
-        dice_state: 'waiting',
-        consecutive_sixes: consecutiveSixes,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+      positions: updatedPositions,
+      pending_steps: updatedPendingSteps,
+      turn: nextTurn,
+      dice_result: null,
+      dice_state: 'waiting',
+      consecutive_sixes: consecutiveSixes,
+      updated_at: new Date().toISOString(),
+    });
 
     console.log(`✅ [BOT] Move complete`);
     res.json({ success: true, room: updatedRoom, bonusRoll });
@@ -1281,7 +1259,61 @@ function areAllRemainingPlayersBots(players, escapedPlayers) {
   return true; // All remaining are bots
 }
 // Import bot service
-import { startBotPlayersForRoom, stopBotPlayersForRoom } from '../services/botPlayerService.js';
+import {
+  startBotPlayersForRoom,
+  stopBotPlayersForRoom,
+  setDisconnectRemovalHandler,
+} from '../services/botPlayerService.js';
+
+setDisconnectRemovalHandler(_finalizeDisconnectRemoval);
+
+// Take Seat - The client seats team up players itself; each player then pays
+// their own entry fee here, never on someone else's request. Body: { entryFee },
+// the fee the player agreed to, which must be the room's.
+router.post('/:roomId/take-seat', authenticateUser, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const userId = req.user.id;
+
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!_seatedPlayers(room).includes(userId)) {
+      return res.status(403).json({ error: 'Player not in this room' });
+    }
+
+    if (room.game_state !== 'waiting') {
+      return res.status(400).json({ error: 'Game already started' });
+    }
+
+    const entryFee = _entryFeeOf(room);
+    if (entryFee === null) {
+      return res.status(400).json({ error: 'Entry fee must be a non-negative integer' });
+    }
+    if (Number(req.body.entryFee ?? 0) !== entryFee) {
+      return res.status(409).json({ error: 'The entry fee has changed', entryFee });
+    }
+
+    // A fee held at another amount (the room's fee changed since) goes back first
+    const [existing] = (await listHeldEntryFees(ROOM_TABLES.teamUp, roomId))
+      .filter((escrow) => escrow.user_id === userId);
+    if (existing && Number(existing.amount) !== entryFee) {
+      await refundEntryFee(existing);
+    }
+
+    const { held } = await holdEntryFee(ROOM_TABLES.teamUp, roomId, userId, entryFee);
+    if (!held) {
+      return res.status(400).json({ error: 'Insufficient coins' });
+    }
+
+    res.json({ success: true, entryFee });
+  } catch (error) {
+    console.error(`❌ [TAKE SEAT] Error:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Start Game - Initialize game and start bot service
 router.post('/:roomId/start-game', authenticateUser, async (req, res) => {
@@ -1292,16 +1324,16 @@ router.post('/:roomId/start-game', authenticateUser, async (req, res) => {
     console.log(`🎮 [START GAME] Starting game in room ${roomId}`);
 
     // Get room
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
+    if (userId !== room.host_id && !_seatedPlayers(room).includes(userId)) {
+      return res.status(403).json({ error: 'Only a player in this room can start it' });
+    }
+
     // Check if room is full
     const totalPlayers = room.team_a.length + room.team_b.length;
     if (totalPlayers < 4) {
@@ -1313,6 +1345,17 @@ router.post('/:roomId/start-game', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'Game already started' });
     }
 
+    // The host may pick rule options (e.g. threeSixesPenalty) as the game starts;
+    // options the client wrote on the row are checked the same way
+    const { ruleOptions } = req.body;
+    if (ruleOptions !== undefined && userId !== room.host_id) {
+      return res.status(403).json({ error: 'Only the host can choose the rules' });
+    }
+    const { options: validRuleOptions, error: ruleOptionsError } = validateRuleOptions(ruleOptions ?? room.rule_options);
+    if (ruleOptionsError) {
+      return res.status(400).json({ error: ruleOptionsError });
+    }
+
     // Assign colors to players
     const players = {};
     if (room.team_a[0]) players[room.team_a[0]] = 'red';
@@ -1323,20 +1366,48 @@ router.post('/:roomId/start-game', authenticateUser, async (req, res) => {
     // Set first turn (red always starts)
     const firstTurn = room.team_a[0];
 
+    // Every human paid the fee when they took their seat (take-seat); fees
+    // held for anyone no longer seated, or at another amount, go back
+    const entryFee = _entryFeeOf(room);
+    if (entryFee === null) {
+      return res.status(400).json({ error: 'Entry fee must be a non-negative integer' });
+    }
+    const paid = new Set();
+    for (const escrow of await listHeldEntryFees(ROOM_TABLES.teamUp, roomId)) {
+      if (players[escrow.user_id] && Number(escrow.amount) === entryFee) {
+        paid.add(escrow.user_id);
+      } else {
+        await refundEntryFee(escrow);
+      }
+    }
+    const unpaid = entryFee > 0
+      ? Object.keys(players).filter((playerId) => !_isBotId(playerId) && !paid.has(playerId))
+      : [];
+    if (unpaid.length) {
+      return res.status(400).json({ error: 'Every player must take their seat first', players: unpaid });
+    }
+
     // Update room to playing state
-    const { error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        game_state: 'playing',
-        players: players,
-        turn: firstTurn,
-        dice_state: 'waiting',
-        status: 'in_progress',
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
+    await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+      game_state: 'playing',
+      players: players,
+      turn: firstTurn,
+      dice_state: 'waiting',
+      dice_commitment: await createDiceCommitment(roomId, 'team_up_rooms'),
+      rule_options: validRuleOptions,
+      status: 'in_progress',
+      updated_at: new Date().toISOString(),
+    });
 
-    if (updateError) throw updateError;
+    await recordRoomEvents(roomId, 'team_up_rooms', [
+      gameStartedEvent({
+        ...room,
+        players,
+        turn: firstTurn,
+        no_of_players: TEAM_UP_PLAYERS,
+        rule_options: validRuleOptions,
+      }),
+    ]);
 
     console.log(`✅ [START GAME] Game started in room ${roomId}`);
     console.log(`   Players: ${JSON.stringify(players)}`);
@@ -1371,13 +1442,9 @@ router.post('/:roomId/leave-game', authenticateUser, async (req, res) => {
 
     console.log(`🚪 [LEAVE] Player ${userId} leaving room ${roomId}`);
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1392,20 +1459,21 @@ router.post('/:roomId/leave-game', authenticateUser, async (req, res) => {
       
       // If room is empty, delete it
       if (Object.keys(updatedPlayers).length === 0) {
-        await supabaseAdmin.from('team_up_rooms').delete().eq('room_id', roomId);
+        await deleteRoom(ROOM_TABLES.teamUp, roomId);
+        await refundEntryFees(ROOM_TABLES.teamUp, roomId);
         return res.json({ success: true, roomDeleted: true });
       }
+
+      // Leaving before the game started gives the entry fee back
+      await refundEntryFees(ROOM_TABLES.teamUp, roomId, userId);
       
-      await supabaseAdmin
-        .from('team_up_rooms')
-        .update({
-          team_a: updatedTeamA,
-          team_b: updatedTeamB,
-          players: updatedPlayers,
-          status: 'open',
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId);
+      await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+        team_a: updatedTeamA,
+        team_b: updatedTeamB,
+        players: updatedPlayers,
+        status: 'open',
+        updated_at: new Date().toISOString(),
+      });
       
       return res.json({ success: true, leftWaitingRoom: true });
     }
@@ -1439,7 +1507,9 @@ router.post('/:roomId/leave-game', authenticateUser, async (req, res) => {
     if (allRemainingAreBots) {
       // Delete the room entirely
       console.log(`🗑️ [LEAVE] All remaining players are bots, deleting room`);
-      await supabaseAdmin.from('team_up_rooms').delete().eq('room_id', roomId);
+      await deleteRoom(ROOM_TABLES.teamUp, roomId);
+      // Nobody is left to win: every player escaped and forfeits their fee
+      await settleRoom(ROOM_TABLES.teamUp, { ...room, escaped_players: escapedPlayers }, []);
       return res.json({ success: true, roomDeleted: true, reason: 'all_bots_remaining' });
     }
 
@@ -1492,24 +1562,37 @@ router.post('/:roomId/leave-game', authenticateUser, async (req, res) => {
     }
 
     // Update room
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        escaped_players: escapedPlayers,
-        positions: updatedPositions,
-        turn: nextTurn,
-        dice_state: diceState,
-        dice_result: diceResult,
-        pending_steps: updatedPendingSteps,
-        game_state: gameState,
-        winners: winners,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom(ROOM_TABLES.teamUp, room, {
+      escaped_players: escapedPlayers,
+      positions: updatedPositions,
+      turn: nextTurn,
+      dice_state: diceState,
+      dice_result: diceResult,
+      pending_steps: updatedPendingSteps,
+      game_state: gameState,
+      winners: winners,
+      updated_at: new Date().toISOString(),
+    });
 
-    if (updateError) throw updateError;
+    if (conflict) return sendVersionConflict(res);
+
+    await recordRoomEvents(roomId, 'team_up_rooms', [
+      {
+        type: ROOM_EVENT_TYPES.PLAYER_LEFT,
+        userId,
+        payload: { color: playerColor, nextTurn, positions: updatedPositions },
+      },
+      gameState === 'finished' && room.game_state !== 'finished' && gameFinishedEvent(winners, { reason: 'forfeit' }),
+    ]);
+
+    if (gameState === 'finished') {
+      await revealDiceSeedSafely(roomId, 'team_up_rooms');
+      try {
+        await _processTeamUpPayoutIfNeeded(roomId, updatedRoom);
+      } catch (e) {
+        console.error('Error processing team-up payout:', e);
+      }
+    }
 
     console.log(`✅ [LEAVE] Player ${userId} (${playerColor}) left successfully`);
     res.json({ 
@@ -1532,13 +1615,9 @@ router.post('/:roomId/player-disconnect', authenticateUser, async (req, res) =>
 
     console.log(`📡 [DISCONNECT] Player ${userId} disconnected from room ${roomId}`);
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1552,26 +1631,20 @@ router.post('/:roomId/player-disconnect', authenticateUser, async (req, res) =>
       disconnectedPlayers.push(userId);
     }
 
-    _clearDisconnectRemovalTimer(roomId, userId);
+    // The room owner removes the player at the deadline unless they reconnect first
+    const disconnectDeadlines = {
+      ...(room.disconnect_deadlines || {}),
+      [userId]: new Date(Date.now() + DISCONNECT_GRACE_MS).toISOString(),
+    };
 
     // Update room with disconnected player (bot will take over their turns)
-    await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        disconnected_players: disconnectedPlayers,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
-
-    const timerKey = `${roomId}:${userId}`;
-    disconnectRemovalTimers.set(
-      timerKey,
-      setTimeout(() => {
-        _finalizeDisconnectRemoval(roomId, userId).catch((e) => {
-          console.error('Error finalizing disconnect removal:', e);
-        });
-      }, DISCONNECT_GRACE_MS),
-    );
+    await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+      disconnected_players: disconnectedPlayers,
+      disconnect_deadlines: disconnectDeadlines,
+      updated_at: new Date().toISOString(),
+    });
+
+    await recordRoomEvent(roomId, 'team_up_rooms', ROOM_EVENT_TYPES.PLAYER_DISCONNECTED, userId);
 
     console.log(`✅ [DISCONNECT] Player ${userId} marked as disconnected, bot will take over`);
     res.json({ success: true, botTakeover: true });
@@ -1589,13 +1662,9 @@ router.post('/:roomId/player-reconnect', authenticateUser, async (req, res) => {
 
     console.log(`🔌 [RECONNECT] Player ${userId} reconnecting to room ${roomId}`);
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1612,16 +1681,14 @@ router.post('/:roomId/player-reconnect', authenticateUser, async (req, res) => {
     // Remove from disconnected players
     let disconnectedPlayers = [...(room.disconnected_players || [])].filter(id => id !== userId);
 
-    _clearDisconnectRemovalTimer(roomId, userId);
-
     // Update room
-    await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        disconnected_players: disconnectedPlayers,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
+    await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+      disconnected_players: disconnectedPlayers,
+      disconnect_deadlines: _withoutDisconnectDeadline(room, userId),
+      updated_at: new Date().toISOString(),
+    });
+
+    await recordRoomEvent(roomId, 'team_up_rooms', ROOM_EVENT_TYPES.PLAYER_RECONNECTED, userId);
 
     console.log(`✅ [RECONNECT] Player ${userId} reconnected successfully`);
     res.json({ success: true, room });
@@ -1637,13 +1704,9 @@ router.post('/:roomId/turn-timeout', authenticateUser, async (req, res) => {
     const { roomId } = req.params;
     const userId = req.user.id;
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1660,6 +1723,10 @@ router.post('/:roomId/turn-timeout', authenticateUser, async (req, res) => {
       return res.json({ success: true, room, ignored: true, reason: 'disconnected_bot_takeover' });
     }
 
+    if (isStaleClientVersion(req, room)) {
+      return sendVersionConflict(res, room);
+    }
+
     const timeoutMisses = { ...(room.timeout_misses || {}) };
     const currentMisses = Number(timeoutMisses[userId] || 0);
     const nextMisses = currentMisses + 1;
@@ -1687,23 +1754,25 @@ router.post('/:roomId/turn-timeout', authenticateUser, async (req, res) => {
 
     const nextTurn = _getNextActiveTeamPlayer(roomForTurn, userId);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        timeout_misses: timeoutMisses,
-        kicked_players: kickedPlayers,
-        escaped_players: escapedPlayers,
-        pending_steps: updatedPendingSteps,
-        turn: nextTurn,
-        dice_state: 'waiting',
-        dice_result: null,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom('team_up_rooms', room, {
+      timeout_misses: timeoutMisses,
+      kicked_players: kickedPlayers,
+      escaped_players: escapedPlayers,
+      pending_steps: updatedPendingSteps,
+      consecutive_sixes: resetSixesStreak(room, userId),
+      turn: nextTurn,
+      dice_state: 'waiting',
+      dice_result: null,
+      updated_at: new Date().toISOString(),
+    });
+
+    if (conflict) return sendVersionConflict(res);
 
-    if (updateError) throw updateError;
+    await recordRoomEvent(roomId, 'team_up_rooms', ROOM_EVENT_TYPES.TURN_TIMEOUT, userId, {
+      nextTurn,
+      misses: nextMisses,
+      kicked: shouldKick,
+    });
 
     res.json({
       success: true,
@@ -1721,13 +1790,9 @@ router.get('/:roomId/should-bot-play/:userId', async (req, res) => {
   try {
     const { roomId, userId } = req.params;
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1746,13 +1811,9 @@ router.post('/:roomId/distribute-winner-rewards', authenticateUser, async (req,
     const { roomId } = req.params;
     const userId = req.user.id;
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1769,9 +1830,7 @@ router.post('/:roomId/distribute-winner-rewards', authenticateUser, async (req,
       return res.json({ success: true, skipped: true, reason: 'no_winners' });
     }
 
-    const entryFee = Number(room.entry_fee ?? 0);
-    const winAmount = entryFee * 2;
-    if (!winAmount) {
+    if (!(Number(room.entry_fee ?? 0) > 0)) {
       return res.json({ success: true, skipped: true, reason: 'no_entry_fee' });
     }
 
@@ -1788,62 +1847,15 @@ router.post('/:roomId/distribute-winner-rewards', authenticateUser, async (req,
       return res.json({ success: true, skipped: true, reason: 'no_winning_team' });
     }
 
-    const { data: payoutLock, error: lockError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        payout_processed: true,
-        payout_processed_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .eq('payout_processed', false)
-      .select('room_id')
-      .single();
-
-    if (lockError) {
-      if (lockError.code === 'PGRST116') {
-        return res.json({ success: true, alreadyProcessed: true, paid: [] });
-      }
-      throw lockError;
-    }
-
-    if (!payoutLock) {
+    // The winning team shares first place. The move that finished the room
+    // has normally settled it already.
+    const settled = await settleFinishedRoom(ROOM_TABLES.teamUp, room, [winningTeam]);
+    if (!settled) {
       return res.json({ success: true, alreadyProcessed: true, paid: [] });
     }
 
-    const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
-    const paid = [];
-
-    for (const winnerId of winningTeam) {
-      if (isBotId(winnerId)) continue;
-
-      const { error: rpcError } = await supabaseAdmin.rpc('add_coins', {
-        p_user_id: String(winnerId),
-        p_amount: winAmount,
-      });
-
-      if (rpcError) {
-        const { data: currentUser, error: fetchErr } = await supabaseAdmin
-          .from('users')
-          .select('total_coins')
-          .eq('uid', winnerId)
-          .single();
-
-        if (fetchErr) throw fetchErr;
-
-        const currentCoins = Number(currentUser?.total_coins ?? 0);
-        const { error: updErr } = await supabaseAdmin
-          .from('users')
-          .update({ total_coins: currentCoins + winAmount })
-          .eq('uid', winnerId);
-
-        if (updErr) throw updErr;
-      }
-
-      paid.push({ userId: winnerId, amount: winAmount });
-    }
-
-    return res.json({ success: true, paid });
+    const { paid, pot, rake } = settled;
+    return res.json({ success: true, paid, pot, rake });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1854,13 +1866,9 @@ router.post('/:roomId/exit', authenticateUser, async (req, res) => {
     const { roomId } = req.params;
     const userId = req.user.id;
 
-    const { data: room, error: fetchError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (fetchError || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1871,24 +1879,17 @@ router.post('/:roomId/exit', authenticateUser, async (req, res) => {
     const exitedPlayers = [...(room.exited_players || [])];
     if (!exitedPlayers.includes(userId)) exitedPlayers.push(userId);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('team_up_rooms')
-      .update({
-        exited_players: exitedPlayers,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+      exited_players: exitedPlayers,
+      updated_at: new Date().toISOString(),
+    });
 
     const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
     const expectedHumanIds = Object.keys(room.players || {}).filter((id) => !isBotId(id));
     const allHumansExited = expectedHumanIds.every((id) => exitedPlayers.includes(id));
 
     if (updatedRoom.game_state === 'finished' && allHumansExited) {
-      await supabaseAdmin.from('team_up_rooms').delete().eq('room_id', roomId);
+      await deleteRoom(ROOM_TABLES.teamUp, roomId);
       return res.json({ success: true, roomDeleted: true });
     }
 
@@ -6,7 +6,6 @@
  */
 
 import express from 'express';
-import { supabaseAdmin } from '../config/supabase.js';
 import {
   FIXED_BOT_IDS,
   BOT_PROFILES,
@@ -18,6 +17,7 @@ import {
   stopBotPlayersForRoom,
   getActiveBotCount,
 } from '../services/botPlayerService.js';
+import { ROOM_TABLES, loadRoomFrom } from '../services/roomRepository.js';
 
 const router = express.Router();
 
@@ -146,13 +146,9 @@ router.post('/:roomId/trigger', async (req, res) => {
     console.log(`🔄 [TEAMUP BOTS] Triggering bot check for room ${roomId}`);
 
     // Get current room state
-    const { data: room, error } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
 
-    if (error || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -210,13 +206,9 @@ router.get('/:roomId/status', async (req, res) => {
     const activeBotCount = getActiveBotCount(roomId);
 
     // Get room to see which bots are in it
-    const { data: room, error } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('team_a, team_b, players')
-      .eq('room_id', roomId)
-      .single();
+    const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId, 'team_a, team_b, players');
 
-    if (error || !room) {
+    if (!room) {
       return res.status(404).json({ error: 'Room not found' });
     }
 
@@ -1,16 +1,29 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase.js';
 
-import { recordMatchResult, recordTournamentWon } from '../services/userStatsService.js';
+import { authenticateUser, isAdmin } from '../middleware/auth.js';
+import {
+  checkIn,
+  completeMatch,
+  describeBracket,
+  describeStandings,
+  getMatchRoom,
+  getTournament,
+  joinTournament,
+  leaveTournament,
+  minimumPlayers,
+  registrationClosesAt,
+  startTournament,
+  TOURNAMENT_FORMATS,
+} from '../services/tournamentService.js';
 
 const router = express.Router();
 
-const TOURNAMENT_TIME_OFFSET_MS = 330 * 60 * 1000;
-
 router.get('/', async (req, res) => {
   try {
     const { status } = req.query;
-    const now = new Date(Date.now() + TOURNAMENT_TIME_OFFSET_MS).toISOString();
+    // Times are stored and compared in UTC; clients show them in local time
+    const now = new Date().toISOString();
 
     let query = supabaseAdmin
       .from('tournament')
@@ -49,104 +62,44 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Join a tournament
-router.post('/join', async (req, res) => {
+// Join a tournament as the signed-in player. The entry fee is held until
+// the tournament completes; once max_players are seated, joining takes a
+// place on the waitlist instead, promoted when someone leaves.
+router.post('/join', authenticateUser, async (req, res) => {
   try {
-    const { tournamentId, userId } = req.body;
+    const { tournamentId } = req.body;
 
-    if (!tournamentId || !userId) {
-      return res.status(400).json({ error: 'tournamentId and userId are required' });
+    if (!tournamentId) {
+      return res.status(400).json({ error: 'tournamentId is required' });
     }
 
-    // Get tournament details
-    const { data: tournament, error: tournamentError } = await supabaseAdmin
-      .from('tournaments')
-      .select('*')
-      .eq('tournament_id', tournamentId)
-      .single();
-
-    if (tournamentError || !tournament) {
+    const result = await joinTournament(tournamentId, req.user.id);
+    if (result.notFound) {
       return res.status(404).json({ error: 'Tournament not found' });
     }
-
-    // Check if tournament is full
-    if (tournament.current_players >= tournament.max_players) {
-      return res.status(400).json({ error: 'Tournament is full' });
-    }
-
-    // Check if user already joined
-    const participants = tournament.tournament_participants || {};
-    if (participants[userId]) {
-      return res.status(400).json({ error: 'Already joined this tournament' });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
 
-    // Get user's coins
-    const { data: userData, error: userError } = await supabaseAdmin
-      .from('users')
-      .select('total_coins')
-      .eq('uid', userId)
-      .single();
-
-    if (userError || !userData) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const entryFee = tournament.entry_fee || 0;
-    if (userData.total_coins < entryFee) {
-      return res.status(400).json({ error: 'Insufficient coins' });
-    }
-
-    // Deduct entry fee
-    const { error: deductError } = await supabaseAdmin
-      .from('users')
-      .update({ total_coins: userData.total_coins - entryFee })
-      .eq('uid', userId);
-
-    if (deductError) {
-      return res.status(500).json({ error: 'Failed to deduct entry fee' });
-    }
-
-    // Add user to tournament_participants JSONB
-    const newParticipant = {
-      joined_at: new Date().toISOString(),
-      entry_fee_paid: entryFee,
-      status: 'waiting',
-      semifinal_room_id: null,
-      final_position: null,
-      is_bot: false
-    };
-
-    const updatedParticipants = { ...participants, [userId]: newParticipant };
-    const registeredPlayers = tournament.registered_players || [];
-    registeredPlayers.push(userId);
-
-    const { error: updateError } = await supabaseAdmin
-      .from('tournaments')
-      .update({
-        tournament_participants: updatedParticipants,
-        registered_players: registeredPlayers,
-        current_players: tournament.current_players + 1
-      })
-      .eq('tournament_id', tournamentId);
-
-    if (updateError) {
-      // Refund on error
-      await supabaseAdmin
-        .from('users')
-        .update({ total_coins: userData.total_coins })
-        .eq('uid', userId);
-      return res.status(500).json({ error: 'Failed to join tournament' });
-    }
-
-    res.json({ success: true, message: 'Joined tournament successfully' });
+    res.json({
+      success: true,
+      message: result.seated ? 'Joined tournament successfully' : 'Tournament is full, joined the waitlist',
+      seated: result.seated,
+      waitlisted: result.waitlisted,
+      waitlistPosition: result.position
+    });
   } catch (error) {
     console.error('Error joining tournament:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start tournament (create semifinal rooms)
-router.post('/start', async (req, res) => {
+// Start tournament: seed the registered players into the bracket of the
+// tournament's format - a single-elimination bracket (tables of its
+// table_size, byes for odd counts), or a Swiss or round-robin league - and
+// open the first matches. Only the tournament's creator or an admin may;
+// scheduled tournaments start on their own (services/tournamentScheduler.js).
+router.post('/start', authenticateUser, async (req, res) => {
   try {
     const { tournamentId } = req.body;
 
@@ -154,557 +107,190 @@ router.post('/start', async (req, res) => {
       return res.status(400).json({ error: 'tournamentId is required' });
     }
 
-    // Get tournament
-    const { data: tournament, error: tournamentError } = await supabaseAdmin
-      .from('tournaments')
-      .select('*')
-      .eq('tournament_id', tournamentId)
-      .single();
-
-    if (tournamentError || !tournament) {
+    const tournament = await getTournament(tournamentId);
+    if (!tournament) {
       return res.status(404).json({ error: 'Tournament not found' });
     }
-
-    const participants = tournament.tournament_participants || {};
-    const playerIds = Object.keys(participants).filter(id => !participants[id].is_bot);
-    const playerCount = playerIds.length;
-
-    // Check minimum players - don't cancel, just return error
-    // Tournament will only end/complete based on its end_date
-    if (playerCount < 4) {
-      return res.json({ 
-        success: false, 
-        message: 'Not enough players to start. Need at least 4 players.',
-        currentPlayers: playerCount,
-        minRequired: 4
-      });
+    if (tournament.creator_id !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only the tournament creator can start it' });
     }
 
-    // Fill with bots if needed
-    let updatedParticipants = { ...participants };
-    if (playerCount < 8) {
-      // Use fixed bot IDs instead of generating random ones
-      const fixedBotIds = [
-        '00000000-0000-0000-0000-000000000001', // Arjun
-        '00000000-0000-0000-0000-000000000002', // Priya
-        '00000000-0000-0000-0000-000000000003', // Rahul
-        '00000000-0000-0000-0000-000000000004', // Ananya
-        '00000000-0000-0000-0000-000000000005', // Vikram
-        '00000000-0000-0000-0000-000000000006', // Kavya
-        '00000000-0000-0000-0000-000000000007', // Rohan
-        '00000000-0000-0000-0000-000000000008', // Shreya
-      ];
-
-      const botsNeeded = 8 - playerCount;
-      for (let i = 0; i < botsNeeded; i++) {
-        const botId = fixedBotIds[i % fixedBotIds.length];
-        updatedParticipants[botId] = {
-          joined_at: new Date().toISOString(),
-          entry_fee_paid: 0,
-          status: 'waiting',
-          semifinal_room_id: null,
-          final_position: null,
-          is_bot: true
-        };
-      }
-    }
+    const result = await startTournament(tournament);
 
-    // Shuffle all participants for random matchups
-    const allPlayerIds = Object.keys(updatedParticipants);
-    const shuffled = shuffleArray([...allPlayerIds]);
-
-    // Create 4 semifinal rooms
-    const semifinalRooms = [];
-    for (let roomNum = 1; roomNum <= 4; roomNum++) {
-      const player1 = shuffled[(roomNum - 1) * 2];
-      const player2 = shuffled[(roomNum - 1) * 2 + 1];
-
-      const roomId = `tournament_${tournamentId}_semifinal_${roomNum}`;
-      
-      const { data: room, error: roomError } = await supabaseAdmin
-        .from('tournament_rooms')
-        .insert({
-          room_id: roomId,
-          host_id: player1,
-          no_of_players: 2,
-          board_theme: 'classic',
-          dice_state: 'waiting',
-          game_state: 'waiting',
-          room_level: 'semifinal',
-          tournament_id: tournamentId,
-          positions: {
-            red: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 },
-            blue: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 }
-          },
-          players: {
-            [player1]: 'red',
-            [player2]: 'blue'
-          },
-          pending_steps: { [player1]: 0, [player2]: 0 },
-          consecutive_sixes: { [player1]: 0, [player2]: 0 },
-          turn: player1
-        })
-        .select()
-        .single();
-
-      if (roomError) {
-        console.error('Error creating room:', roomError);
-        continue;
-      }
-
-      // Update participants with room assignment
-      updatedParticipants[player1].semifinal_room_id = room.id;
-      updatedParticipants[player1].status = 'semifinal';
-      updatedParticipants[player2].semifinal_room_id = room.id;
-      updatedParticipants[player2].status = 'semifinal';
-
-      semifinalRooms.push({
-        roomNum,
-        roomId: room.id,
-        players: [player1, player2]
+    // Not enough players - don't cancel, the tournament only ends by its end date
+    if (result.notEnoughPlayers) {
+      return res.json({
+        success: false,
+        message: `Not enough players to start. Need at least ${minimumPlayers(tournament)} players.`,
+        currentPlayers: result.playerCount,
+        minRequired: minimumPlayers(tournament)
       });
     }
+    if (result.alreadyStarted) {
+      return res.status(409).json({ error: 'Tournament already started' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-    // Update tournament
-    await supabaseAdmin
-      .from('tournaments')
-      .update({ 
-        status: 'in_progress',
-        tournament_participants: updatedParticipants
-      })
-      .eq('tournament_id', tournamentId);
-
-    res.json({ success: true, message: 'Tournament started', semifinalRooms });
+    res.json({
+      success: true,
+      message: 'Tournament started',
+      rounds: result.tournament.bracket.total_rounds ?? result.tournament.bracket.rounds.length,
+      matches: result.opened.map(matchSummary)
+    });
   } catch (error) {
     console.error('Error starting tournament:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Record semifinal winner (called when a semifinal game ends)
-router.post('/semifinal-complete', async (req, res) => {
+// Report that a tournament room has ended: { tournamentId, roomId (room
+// uuid) }, by one of its players. The result is taken from the room as the
+// server played it, never from the request: the winner moves on in the
+// bracket, the next match's room opens once all its players are known, and
+// the final's winner completes the tournament. The scheduler records
+// finished rooms on its own as well; reporting only saves the wait.
+async function completeMatchHandler(req, res) {
   try {
-    const { roomId, winnerId, loserId, tournamentId } = req.body;
+    const { roomId, tournamentId } = req.body;
 
-    // Update the room with winner
-    const { data: roomLock, error: roomUpdateError } = await supabaseAdmin
-      .from('tournament_rooms')
-      .update({ 
-        game_state: 'finished', 
-        winners: [winnerId] 
-      })
-      .eq('id', roomId)
-      .neq('game_state', 'finished')
-      .select('id')
-      .maybeSingle();
-
-    if (roomUpdateError) {
-      console.error('Error updating room winner:', roomUpdateError);
-      return res.status(500).json({ error: 'Failed to update room winner' });
+    if (!tournamentId || !roomId) {
+      return res.status(400).json({ error: 'tournamentId and roomId are required' });
     }
 
-    if (roomLock) {
-      try {
-        await recordMatchResult({
-          winnerUserIds: winnerId ? [winnerId] : [],
-          loserUserIds: loserId ? [loserId] : [],
-        });
-      } catch (e) {
-        console.error(
-          '[UserStats] recordMatchResult failed (tournament semifinal):',
-          e?.message ?? e,
-        );
-      }
+    const room = await getMatchRoom(tournamentId, roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Tournament room not found' });
+    }
+    if (!room.players?.[req.user.id] && !isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Not a player in this match' });
+    }
+    if (room.game_state !== 'finished' || !room.winners?.length) {
+      return res.status(409).json({ error: 'Match has not finished' });
     }
 
-    // Update participant statuses in tournament
-    const { data: tournament } = await supabaseAdmin
-      .from('tournaments')
-      .select('tournament_participants')
-      .eq('tournament_id', tournamentId)
-      .single();
-
-    if (tournament) {
-      const participants = tournament.tournament_participants || {};
-      if (participants[winnerId]) {
-        participants[winnerId].status = 'finalist';
-      }
-      if (loserId && participants[loserId]) {
-        participants[loserId].status = 'eliminated';
-      }
-
-      await supabaseAdmin
-        .from('tournaments')
-        .update({ tournament_participants: participants })
-        .eq('tournament_id', tournamentId);
+    const result = await completeMatch(tournamentId, room.id, room.winners[0]);
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Tournament room not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
     }
 
-    // Check if all 4 semifinal rooms have winners
-    const { data: semifinalRooms } = await supabaseAdmin
-      .from('tournament_rooms')
-      .select('id, winners')
-      .eq('tournament_id', tournamentId)
-      .eq('room_level', 'semifinal');
-
-    // Count rooms that have a winner set
-    const roomsWithWinners = semifinalRooms?.filter(room => 
-      room.winners && room.winners.length > 0
-    ) || [];
-
-    if (roomsWithWinners.length === 4) {
-      // All 4 semifinals complete - create final rooms (2 rooms with 2 players each)
-      const finalists = roomsWithWinners.map(r => r.winners[0]);
-      await createFinalRooms(tournamentId, finalists);
-      
-      res.json({ 
-        success: true, 
-        finalsReady: true, 
-        finalists,
-        message: 'All semifinals complete, final rooms created'
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        finalsReady: false, 
-        completedSemifinals: roomsWithWinners.length,
-        remaining: 4 - roomsWithWinners.length
+    const { match, alreadyRecorded, opened, champion, completion } = result;
+    if (!champion) {
+      return res.json({
+        success: true,
+        match,
+        winnerId: room.winners[0],
+        alreadyRecorded,
+        tournamentComplete: false,
+        nextMatches: opened.map(matchSummary)
       });
     }
+
+    res.json({
+      success: true,
+      match,
+      winnerId: room.winners[0],
+      alreadyRecorded,
+      tournamentComplete: true,
+      alreadyCompleted: completion.alreadyCompleted,
+      champion,
+      prizes: completion.prizes ?? null
+    });
   } catch (error) {
-    console.error('Error completing semifinal:', error);
+    console.error('Error completing tournament match:', error);
     res.status(500).json({ error: error.message });
   }
-});
-
-// Create 2 final rooms (each with 2 finalists)
-async function createFinalRooms(tournamentId, finalists) {
-  // finalists = [winner1, winner2, winner3, winner4] from 4 semifinal rooms
-  // Create 2 final rooms: Room 1 (winner1 vs winner2), Room 2 (winner3 vs winner4)
-  
-  const finalRooms = [
-    { players: [finalists[0], finalists[1]], roomNum: 1 },
-    { players: [finalists[2], finalists[3]], roomNum: 2 }
-  ];
-
-  for (const finalRoom of finalRooms) {
-    const roomId = `tournament_${tournamentId}_final_${finalRoom.roomNum}`;
-    const [player1, player2] = finalRoom.players;
-
-    await supabaseAdmin
-      .from('tournament_rooms')
-      .insert({
-        room_id: roomId,
-        host_id: player1,
-        no_of_players: 2,
-        board_theme: 'classic',
-        dice_state: 'waiting',
-        game_state: 'waiting',
-        room_level: 'final',
-        tournament_id: tournamentId,
-        positions: {
-          red: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 },
-          blue: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 }
-        },
-        players: {
-          [player1]: 'red',
-          [player2]: 'blue'
-        },
-        pending_steps: { [player1]: 0, [player2]: 0 },
-        consecutive_sixes: { [player1]: 0, [player2]: 0 },
-        turn: player1
-      });
-  }
-
-  // Update tournament status to finals
-  await supabaseAdmin
-    .from('tournaments')
-    .update({ status: 'finals' })
-    .eq('tournament_id', tournamentId);
 }
 
-// Record final room winner (called when a final game ends)
-router.post('/final-complete', async (req, res) => {
+router.post('/match-complete', authenticateUser, completeMatchHandler);
+// Older clients report semifinals and finals separately
+router.post('/semifinal-complete', authenticateUser, completeMatchHandler);
+router.post('/final-complete', authenticateUser, completeMatchHandler);
+
+// Check in to your current match. The room starts once every player has
+// checked in; players who have not when the no-show grace period ends
+// forfeit (services/tournamentScheduler.js).
+router.post('/check-in', authenticateUser, async (req, res) => {
   try {
-    const { roomId, winnerId, loserId, tournamentId } = req.body;
+    const { tournamentId } = req.body;
 
-    // Update the final room with winner
-    const { data: roomLock, error: roomUpdateError } = await supabaseAdmin
-      .from('tournament_rooms')
-      .update({ 
-        game_state: 'finished', 
-        winners: [winnerId] 
-      })
-      .eq('id', roomId)
-      .neq('game_state', 'finished')
-      .select('id')
-      .maybeSingle();
-
-    if (roomUpdateError) {
-      console.error('Error updating final room winner:', roomUpdateError);
-      return res.status(500).json({ error: 'Failed to update final room winner' });
+    if (!tournamentId) {
+      return res.status(400).json({ error: 'tournamentId is required' });
     }
 
-    if (roomLock) {
-      try {
-        await recordMatchResult({
-          winnerUserIds: winnerId ? [winnerId] : [],
-          loserUserIds: loserId ? [loserId] : [],
-        });
-      } catch (e) {
-        console.error(
-          '[UserStats] recordMatchResult failed (tournament final):',
-          e?.message ?? e,
-        );
-      }
+    const { room, notFound } = await checkIn(tournamentId, req.user.id);
+    if (notFound) {
+      return res.status(404).json({ error: 'No match to check in to' });
     }
 
-    // Check if both final rooms have winners
-    const { data: finalRooms } = await supabaseAdmin
-      .from('tournament_rooms')
-      .select('id, winners')
-      .eq('tournament_id', tournamentId)
-      .eq('room_level', 'final');
-
-    const roomsWithWinners = finalRooms?.filter(room => 
-      room.winners && room.winners.length > 0
-    ) || [];
-
-    if (roomsWithWinners.length === 2) {
-      // Both finals complete - determine rankings and distribute prizes
-      const finalWinners = roomsWithWinners.map(r => r.winners[0]);
-      
-      // Get tournament for prize distribution
-      const { data: tournament } = await supabaseAdmin
-        .from('tournaments')
-        .select('*')
-        .eq('tournament_id', tournamentId)
-        .single();
-
-      if (tournament?.status === 'completed') {
-        return res.json({
-          success: true,
-          tournamentComplete: true,
-          alreadyCompleted: true,
-        });
-      }
-
-      const { data: completionLock, error: completionLockErr } = await supabaseAdmin
-        .from('tournaments')
-        .update({ status: 'completed' })
-        .eq('tournament_id', tournamentId)
-        .neq('status', 'completed')
-        .select('tournament_id')
-        .maybeSingle();
-
-      if (completionLockErr) {
-        console.error('Error locking tournament completion:', completionLockErr);
-        return res.status(500).json({ error: 'Failed to complete tournament' });
-      }
-
-      if (!completionLock) {
-        return res.json({
-          success: true,
-          tournamentComplete: true,
-          alreadyCompleted: true,
-        });
-      }
-
-      const prizePool = tournament.reward_amount || 0;
-      // Both final winners share 1st place prize equally (50% each of 80%)
-      // Losers share remaining 20%
-      const prizes = {
-        winner: Math.floor(prizePool * 0.40), // Each winner gets 40%
-        loser: Math.floor(prizePool * 0.10)   // Each loser gets 10%
-      };
-
-      const participants = tournament.tournament_participants || {};
-      const rankings = [];
-
-      // Award prizes to winners
-      for (const finalWinner of finalWinners) {
-        if (!finalWinner.startsWith('bot_')) {
-          const { data: user } = await supabaseAdmin
-            .from('users')
-            .select('total_coins')
-            .eq('uid', finalWinner)
-            .single();
-
-          if (user) {
-            await supabaseAdmin
-              .from('users')
-              .update({ total_coins: user.total_coins + prizes.winner })
-              .eq('uid', finalWinner);
-          }
-        }
-
-        if (participants[finalWinner]) {
-          participants[finalWinner].status = 'winner';
-          participants[finalWinner].final_position = 1;
-          participants[finalWinner].prize_won = prizes.winner;
-        }
-        rankings.push(finalWinner);
-      }
-
-      // Find and award losers (finalists who didn't win)
-      const allFinalists = Object.keys(participants).filter(p => 
-        participants[p].status === 'finalist' || participants[p].status === 'winner'
-      );
-      const losers = allFinalists.filter(p => !finalWinners.includes(p));
-
-      for (const loser of losers) {
-        if (!loser.startsWith('bot_')) {
-          const { data: user } = await supabaseAdmin
-            .from('users')
-            .select('total_coins')
-            .eq('uid', loser)
-            .single();
-
-          if (user) {
-            await supabaseAdmin
-              .from('users')
-              .update({ total_coins: user.total_coins + prizes.loser })
-              .eq('uid', loser);
-          }
-        }
-
-        if (participants[loser]) {
-          participants[loser].status = 'runner_up';
-          participants[loser].final_position = 2;
-          participants[loser].prize_won = prizes.loser;
-        }
-        rankings.push(loser);
-      }
-
-      // Update tournament as completed
-      await supabaseAdmin
-        .from('tournaments')
-        .update({
-          final_rankings: rankings,
-          tournament_participants: participants,
-        })
-        .eq('tournament_id', tournamentId);
-
-      try {
-        await recordTournamentWon({ winnerUserIds: finalWinners });
-      } catch (e) {
-        console.error('[UserStats] recordTournamentWon failed:', e?.message ?? e);
-      }
-
-      res.json({ 
-        success: true, 
-        tournamentComplete: true,
-        message: 'Tournament completed!',
-        winners: finalWinners,
-        prizes: { winnerPrize: prizes.winner, loserPrize: prizes.loser }
-      });
-    } else {
-      // Only one final complete, waiting for the other
-      res.json({ 
-        success: true, 
-        tournamentComplete: false,
-        completedFinals: roomsWithWinners.length,
-        remaining: 2 - roomsWithWinners.length
-      });
-    }
+    res.json({ success: true, room });
   } catch (error) {
-    console.error('Error completing final:', error);
+    console.error('Error checking in to tournament match:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Leave tournament
-router.post('/leave', async (req, res) => {
+// Leave a tournament before it starts, or its waitlist. The entry fee is
+// refunded and the seat goes to the first player on the waitlist.
+router.post('/leave', authenticateUser, async (req, res) => {
   try {
-    const { tournamentId, userId } = req.body;
+    const { tournamentId } = req.body;
 
-    const { data: tournament } = await supabaseAdmin
-      .from('tournaments')
-      .select('*')
-      .eq('tournament_id', tournamentId)
-      .single();
+    if (!tournamentId) {
+      return res.status(400).json({ error: 'tournamentId is required' });
+    }
 
-    if (!tournament) {
+    const result = await leaveTournament(tournamentId, req.user.id);
+    if (result.notFound) {
       return res.status(404).json({ error: 'Tournament not found' });
     }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-    const participants = tournament.tournament_participants || {};
-    delete participants[userId];
-
-    const registeredPlayers = (tournament.registered_players || []).filter(p => p !== userId);
-
-    await supabaseAdmin
-      .from('tournaments')
-      .update({
-        tournament_participants: participants,
-        registered_players: registeredPlayers,
-        current_players: Math.max(0, tournament.current_players - 1)
-      })
-      .eq('tournament_id', tournamentId);
-
-    res.json({ success: true, message: 'Left tournament' });
+    res.json({ success: true, message: 'Left tournament', refunded: result.refunded, promoted: result.promoted });
   } catch (error) {
     console.error('Error leaving tournament:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get tournament status (check semifinal/final progress)
+// Get tournament status: the whole bracket, round by round, with each
+// match's players, winner and room. Leagues add each match's kills and
+// tokens home, the standings after every round and the current standings.
 router.get('/status/:tournamentId', async (req, res) => {
   try {
     const { tournamentId } = req.params;
 
-    // Get tournament
-    const { data: tournament, error: tournamentError } = await supabaseAdmin
-      .from('tournaments')
-      .select('*')
-      .eq('tournament_id', tournamentId)
-      .single();
-
-    if (tournamentError || !tournament) {
+    const tournament = await getTournament(tournamentId);
+    if (!tournament) {
       return res.status(404).json({ error: 'Tournament not found' });
     }
 
-    // Get all tournament rooms
-    const { data: rooms } = await supabaseAdmin
-      .from('tournament_rooms')
-      .select('id, room_id, room_level, game_state, winners, players')
-      .eq('tournament_id', tournamentId);
-
-    const semifinalRooms = rooms?.filter(r => r.room_level === 'semifinal') || [];
-    const finalRooms = rooms?.filter(r => r.room_level === 'final') || [];
-
-    const semifinalsWithWinners = semifinalRooms.filter(r => r.winners && r.winners.length > 0);
-    const finalsWithWinners = finalRooms.filter(r => r.winners && r.winners.length > 0);
-
     res.json({
       success: true,
       tournamentId,
       status: tournament.status,
-      semifinals: {
-        total: semifinalRooms.length,
-        completed: semifinalsWithWinners.length,
-        allComplete: semifinalsWithWinners.length === 4,
-        rooms: semifinalRooms.map(r => ({
-          roomId: r.id,
-          roomCode: r.room_id,
-          gameState: r.game_state,
-          winner: r.winners?.[0] || null,
-          players: r.players
-        }))
-      },
-      finals: {
-        total: finalRooms.length,
-        completed: finalsWithWinners.length,
-        allComplete: finalsWithWinners.length === 2,
-        rooms: finalRooms.map(r => ({
-          roomId: r.id,
-          roomCode: r.room_id,
-          gameState: r.game_state,
-          winner: r.winners?.[0] || null,
-          players: r.players
-        }))
+      // UTC, the times the scheduler acts on
+      schedule: {
+        registrationOpensAt: tournament.registration_opens_at ?? null,
+        registrationClosesAt: registrationClosesAt(tournament),
+        startTime: tournament.tournament_start_time ?? null,
+        endTime: tournament.tournament_end_time ?? null,
       },
-      participants: tournament.tournament_participants
+      format: tournament.bracket?.format ?? tournament.format ?? TOURNAMENT_FORMATS.SINGLE_ELIMINATION,
+      tableSize: tournament.bracket?.table_size ?? tournament.table_size ?? 2,
+      totalRounds: tournament.bracket?.total_rounds ?? tournament.bracket?.rounds.length ?? null,
+      tiebreaks: tournament.bracket?.tiebreaks ?? null,
+      champion: tournament.bracket?.champion ?? null,
+      rounds: await describeBracket(tournament),
+      standings: describeStandings(tournament),
+      participants: tournament.tournament_participants,
+      waitlist: (tournament.waitlist || []).map(({ user_id: userId, joined_at: joinedAt }) => ({ userId, joinedAt }))
     });
   } catch (error) {
     console.error('Error getting tournament status:', error);
@@ -761,12 +347,8 @@ router.get('/my-room/:tournamentId/:userId', async (req, res) => {
 });
 
 // Helper functions
-function shuffleArray(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
+function matchSummary({ round, name, match, room }) {
+  return { round, name, match: match.match, roomId: room.id, roomCode: room.room_id, players: match.players };
 }
 
 export default router;
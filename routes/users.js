@@ -2,6 +2,8 @@ import express from 'express';
 import multer from 'multer';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
+import { getUserRatings } from '../services/ratingService.js';
+import { recordSignupBalances } from '../services/walletService.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -61,6 +63,8 @@ router.post('/profile', authenticateUser, async (req, res) => {
       throw error;
     }
 
+    await recordSignupBalances(newUser);
+
     res.json({ success: true, user: newUser, isNew: true });
   } catch (error) {
     console.error('Error creating user profile:', error);
@@ -87,79 +91,28 @@ router.get('/:uid', authenticateUser, async (req, res) => {
   }
 });
 
-// Update user coins (add/subtract from existing)
-router.patch('/:uid/coins', authenticateUser, async (req, res) => {
+// Get user skill ratings (one per game mode)
+router.get('/:uid/ratings', authenticateUser, async (req, res) => {
   try {
     const { uid } = req.params;
-    const { amount } = req.body;
-
-    if (req.user.id !== uid) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-
-    // First get current coins
-    const { data: currentUser, error: fetchError } = await supabaseAdmin
-      .from('users')
-      .select('total_coins')
-      .eq('uid', uid)
-      .single();
+    const ratings = await getUserRatings(uid);
 
-    if (fetchError) throw fetchError;
-
-    // Calculate new total (add amount to existing coins)
-    const newTotal = Math.max(0, (currentUser.total_coins || 0) + amount);
-
-    const { data: user, error } = await supabaseAdmin
-      .from('users')
-      .update({ total_coins: newTotal })
-      .eq('uid', uid)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.json({ success: true, user });
+    res.json({ success: true, ratings });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update user diamonds (add/subtract from existing)
-router.patch('/:uid/diamonds', authenticateUser, async (req, res) => {
-  try {
-    const { uid } = req.params;
-    const { amount } = req.body;
+// Balances used to be set by the client here. They now only change through
+// the server intents in routes/wallet.js and routes/store.js.
+function _balanceEndpointGone(req, res) {
+  res.status(410).json({
+    error: 'Balances cannot be changed directly. Use /api/store/purchase or /api/wallet/spend.',
+  });
+}
 
-    if (req.user.id !== uid) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-
-    // First get current diamonds
-    const { data: currentUser, error: fetchError } = await supabaseAdmin
-      .from('users')
-      .select('total_diamonds')
-      .eq('uid', uid)
-      .single();
-
-    if (fetchError) throw fetchError;
-
-    // Calculate new total (add amount to existing diamonds)
-    const newTotal = Math.max(0, (currentUser.total_diamonds || 0) + amount);
-
-    const { data: user, error } = await supabaseAdmin
-      .from('users')
-      .update({ total_diamonds: newTotal })
-      .eq('uid', uid)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.json({ success: true, user });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+router.patch('/:uid/coins', authenticateUser, _balanceEndpointGone);
+router.patch('/:uid/diamonds', authenticateUser, _balanceEndpointGone);
 
 // Upload profile image
 router.post('/:uid/upload-avatar', authenticateUser, upload.single('avatar'), async (req, res) => {
@@ -0,0 +1,118 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticateUser } from '../middleware/auth.js';
+import {
+  CURRENCIES,
+  LEDGER_REASONS,
+  REFERENCE_TYPES,
+  isValidCurrency,
+  debit,
+  getBalance,
+  getTransactions,
+} from '../services/walletService.js';
+import { addOwnedItem } from '../services/storeService.js';
+
+// Balances only change through these intents, each checked against its
+// source. Store packs are bought with POST /api/store/purchase (routes/store.js).
+// Rewards are granted where they are earned:
+// POST /api/game-rooms/:roomId/distribute-winner-rewards and
+// POST /api/team-up-rooms/:roomId/distribute-winner-rewards for a finished
+// room, POST /api/events/missions/:missionId/claim for a completed mission.
+// Entry fees are held in escrow and refunded by leaving what they paid for
+// (services/escrowService.js).
+
+const router = express.Router();
+
+async function _loadUser(userId, columns) {
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select(columns)
+    .eq('uid', userId)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// The caller's ledger entries, newest first, with current balances.
+// Query: currency ('coins' | 'diamonds'), before (created_at of the last
+// entry already seen, to page back), limit (default 50, max 200).
+router.get('/transactions', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { currency, before, limit } = req.query;
+
+    if (currency !== undefined && !isValidCurrency(currency)) {
+      return res.status(400).json({ error: `Unknown currency: ${currency}` });
+    }
+    if (before !== undefined && Number.isNaN(Date.parse(before))) {
+      return res.status(400).json({ error: 'before must be a timestamp' });
+    }
+
+    const [transactions, coins, diamonds] = await Promise.all([
+      getTransactions(userId, { currency, before, limit }),
+      getBalance(userId, CURRENCIES.COINS),
+      getBalance(userId, CURRENCIES.DIAMONDS),
+    ]);
+
+    res.json({ success: true, transactions, balances: { coins, diamonds } });
+  } catch (error) {
+    console.error('Error fetching wallet transactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Buy a dice, board or token style with coins: { itemId }
+router.post('/spend', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { itemId } = req.body;
+
+    if (!itemId) {
+      return res.status(400).json({ error: 'itemId is required' });
+    }
+
+    const { data: item, error: itemError } = await supabaseAdmin
+      .from('inventory')
+      .select('item_id, item_price')
+      .eq('item_id', itemId)
+      .maybeSingle();
+
+    if (itemError) throw itemError;
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const user = await _loadUser(userId, 'owned_items');
+    const owned = Array.isArray(user.owned_items) ? user.owned_items : [];
+    if (owned.includes(itemId)) {
+      return res.status(409).json({ error: 'Item already owned' });
+    }
+
+    const price = Number(item.item_price ?? 0);
+    let balance = await getBalance(userId, CURRENCIES.COINS);
+    if (price > 0) {
+      // Keyed per item, so a repeated request is charged once
+      const result = await debit(userId, price, {
+        reason: LEDGER_REASONS.ITEM_PURCHASE,
+        referenceType: REFERENCE_TYPES.ITEM,
+        referenceId: itemId,
+        idempotencyKey: `item:${itemId}`,
+      });
+      if (!result.applied) {
+        return res.status(400).json({ error: 'Insufficient coins' });
+      }
+      balance = result.balance;
+    }
+
+    // Appended in the database: a purchase running alongside keeps its item too
+    const ownedItems = await addOwnedItem(userId, itemId);
+
+    res.json({ success: true, ownedItems, balance });
+  } catch (error) {
+    console.error('Error buying item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 // Import routes
 import usersRouter from './routes/users.js';
@@ -11,9 +13,21 @@ import teamupRouter from './routes/teamup.js';
 import chatRouter from './routes/chat.js';
 import teamupBotsRouter from './routes/teamupBots.js';
 import eventsRouter from './routes/events.js';
+import matchmakingRouter from './routes/matchmaking.js';
+import partiesRouter from './routes/parties.js';
+import walletRouter from './routes/wallet.js';
+import storeRouter from './routes/store.js';
 
 // Bot players service (autonomous realtime bots)
-import { startBotPlayersForGameRoom } from './services/botPlayerService.js';
+import { startBotPlayersForGameRoom, stopBotPlayerService } from './services/botPlayerService.js';
+import {
+  MATCHMAKING_MODES,
+  parseTicketOptions,
+  enqueueTickets,
+  startMatchmaker,
+  stopMatchmaker,
+} from './services/matchmakingService.js';
+import { startTournamentScheduler, stopTournamentScheduler } from './services/tournamentScheduler.js';
 
 // Events progress tracking
 import {
@@ -23,6 +37,27 @@ import {
 } from './services/eventsProgressService.js';
 
 import { recordMatchResult } from './services/userStatsService.js';
+import { holdEntryFee, refundEntryFees, settleFinishedRoom } from './services/escrowService.js';
+
+// Provably fair dice
+import {
+  rollDiceForRoom,
+  getRollToMove,
+  createDiceCommitment,
+  revealDiceSeedSafely,
+  getDiceFairnessProof,
+} from './services/diceService.js';
+
+// Per-room event log and replay
+import {
+  ROOM_EVENT_TYPES,
+  recordRoomEvent,
+  recordRoomEvents,
+  gameStartedEvent,
+  gameFinishedEvent,
+  tokenMoveEvents,
+  getRoomReplay,
+} from './services/roomEventLog.js';
 
 // Import config
 import { supabaseAdmin } from './config/supabase.js';
@@ -30,6 +65,22 @@ import { supabaseAdmin } from './config/supabase.js';
 // Import middleware
 import { authenticateUser } from './middleware/auth.js';
 
+// Optimistic concurrency on room rows
+import { isStaleClientVersion, sendVersionConflict } from './utils/stateVersion.js';
+
+// Room lookups and versioned writes
+import {
+  ROOM_TABLES,
+  findGameRoom,
+  loadRoomFrom,
+  saveRoom,
+  transitionRoom,
+  updateRoomWhere,
+  claimRoomFlag,
+  createRoom,
+  deleteRoom,
+} from './services/roomRepository.js';
+
 // Import helpers
 import {
   generateRoomId,
@@ -39,12 +90,25 @@ import {
   arePositionsSame,
   getStarPositions,
   getBoardConfig,
-  checkForKills,
-  hasValidMoves,
-  checkAllTokensHome,
   getNextTurn,
   generateBotId
 } from './utils/gameHelpers.js';
+import {
+  DEFAULT_RULE_VARIANT,
+  isValidRuleVariant,
+  getRules,
+  getMoveTarget,
+  hasValidMoves,
+  areAllTokensHome,
+  applyCaptures,
+  earnsExtraTurn,
+  isGameFinished,
+  validateRuleOptions,
+  evaluateSixesStreak,
+  getSixesStreakUpdate,
+  getSixesForfeitUpdate,
+  resetSixesStreak,
+} from './utils/ruleVariants.js';
 
 dotenv.config();
 
@@ -82,152 +146,43 @@ app.use('/api/chat', chatRouter);
 // Events routes
 app.use('/api/events', eventsRouter);
 
+// Matchmaking queue (tickets)
+app.use('/api/matchmaking', matchmakingRouter);
+
+// Parties (friends queueing together)
+app.use('/api/parties', partiesRouter);
+
+// Wallet (coin and diamond ledger)
+app.use('/api/wallet', walletRouter);
+
+// Store (in-app purchases of store packs)
+app.use('/api/store', storeRouter);
+
 // ============================================
 // GAME ROOM ENDPOINTS
 // ============================================
 
-// Quick match
+// Quick match (queues an online matchmaking ticket; the matcher fills whole
+// rooms at once, so poll GET /api/matchmaking/tickets/:ticketId for the room)
 app.post('/api/game-rooms/quick-match', authenticateUser, async (req, res) => {
   try {
-    const { noOfPlayers, boardTheme, entryFee } = req.body;
     const userId = req.user.id;
-
-    console.log(`🎯 QUICK MATCH REQUEST:`);
-    console.log(`   Player ID: ${userId}`);
-    console.log(`   Players needed: ${noOfPlayers}`);
-    console.log(`   Board theme: ${boardTheme}`);
-
-    if (![2, 3, 4, 5, 6].includes(noOfPlayers)) {
-      return res.status(400).json({ error: 'Number of players must be 2, 3, 4, 5, or 6' });
-    }
-
-    const desiredEntryFee = Number(entryFee ?? 0);
-
-    const minCreatedAt =
-      noOfPlayers === 4
-        ? new Date(Date.now() - 35 * 1000).toISOString()
-        : null;
-
-    const { data: availableRooms, error: searchError } = await supabaseAdmin
-      .from('game_rooms')
-      .select('*')
-      .eq('game_state', 'waiting')
-      .eq('no_of_players', noOfPlayers)
-      .eq('entry_fee', desiredEntryFee)
-      .gte('created_at', minCreatedAt ?? '1970-01-01T00:00:00.000Z')
-      .order('created_at', { ascending: true });
-
-    if (searchError) throw searchError;
-
-    console.log(`   Found ${availableRooms?.length || 0} available rooms`);
-
-    let roomToJoin = null;
-    if (availableRooms && availableRooms.length > 0) {
-      for (const room of availableRooms) {
-        const currentPlayerCount = Object.keys(room.players).length;
-        const isPlayerAlreadyInRoom = room.players[userId];
-        console.log(`   Checking room ${room.room_id}: ${currentPlayerCount}/${room.no_of_players} players, player already in: ${!!isPlayerAlreadyInRoom}`);
-        
-        if (currentPlayerCount < room.no_of_players && !isPlayerAlreadyInRoom) {
-          roomToJoin = room;
-          break;
-        }
-      }
-    }
-
-    if (roomToJoin) {
-      console.log(`🔵 JOINING EXISTING ROOM: ${roomToJoin.room_id}`);
-      console.log(`   Current players: ${JSON.stringify(roomToJoin.players)}`);
-      console.log(`   Room capacity: ${roomToJoin.no_of_players}`);
-      
-      const assignedColor = assignColor(roomToJoin.players, roomToJoin.no_of_players);
-      
-      if (!assignedColor) {
-        console.log('   ❌ No available colors');
-        return res.status(400).json({ error: 'No available colors' });
-      }
-
-      console.log('   ✅ Player', userId, 'assigned color:', assignedColor);
-
-      const updatedPlayers = { ...roomToJoin.players, [userId]: assignedColor };
-      const updatedPositions = {
-        ...roomToJoin.positions,
-        [assignedColor]: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 }
-      };
-      
-      console.log('   Updated players:', updatedPlayers);
-      
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from('game_rooms')
-        .update({ players: updatedPlayers, positions: updatedPositions })
-        .eq('room_id', roomToJoin.room_id)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
-
-      console.log('   ✅ Room updated successfully');
-      return res.json({ success: true, gameRoom: updatedRoom, action: 'joined' });
+    const { options, error } = parseTicketOptions({ ...req.body, mode: MATCHMAKING_MODES.ONLINE });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Create new room
-    let roomId;
-    let isUnique = false;
-    let attempts = 0;
-
-    while (!isUnique && attempts < 10) {
-      roomId = generateRoomId();
-      const { data: existing } = await supabaseAdmin
-        .from('game_rooms')
-        .select('room_id')
-        .eq('room_id', roomId)
-        .single();
+    console.log(`🎯 QUICK MATCH REQUEST: ${userId} wants ${options.noOfPlayers} players, fee ${options.entryFee}, ${options.ruleVariant}, region ${options.region || 'any'}`);
 
-      if (!existing) isUnique = true;
-      attempts++;
+    const { tickets, existing, insufficient } = await enqueueTickets([userId], options);
+    if (existing) {
+      return res.status(409).json({ error: 'Already queued for a match', ticket: existing });
     }
-
-    if (!isUnique) {
-      return res.status(500).json({ error: 'Failed to generate unique room ID' });
+    if (insufficient) {
+      return res.status(400).json({ error: 'Insufficient coins' });
     }
 
-    console.log(`🟢 CREATING NEW ROOM: ${roomId}`);
-    console.log(`   Host: ${userId}`);
-    console.log(`   Capacity: ${noOfPlayers}`);
-    console.log(`   Board theme: ${boardTheme || 'classic'}`);
-    
-    // Use assignColor to get the correct first color based on player count
-    // For 2-player: blue (diagonal), for others: red
-    const hostColor = assignColor({}, noOfPlayers);
-    const players = { [userId]: hostColor };
-    const positions = initializePositions(players);
-
-    console.log(`   Host color: ${hostColor}`);
-    console.log(`   Initial players: ${JSON.stringify(players)}`);
-
-    const { data: gameRoom, error } = await supabaseAdmin
-      .from('game_rooms')
-      .insert({
-        room_id: roomId,
-        host_id: userId,
-        players: players,
-        positions: positions,
-        no_of_players: noOfPlayers,
-        board_theme: boardTheme || 'classic',
-        entry_fee: desiredEntryFee,
-        dice_state: 'waiting',
-        dice_result: null,
-        game_state: 'waiting',
-        turn: null,
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    console.log(`   ✅ NEW ROOM ${roomId} CREATED SUCCESSFULLY`);
-    console.log(`   Room state: waiting for ${noOfPlayers - 1} more players`);
-    res.json({ success: true, gameRoom, action: 'created' });
+    res.status(201).json({ success: true, ticket: tickets[0], action: 'queued' });
   } catch (error) {
     console.error('Error in quick match:', error);
     res.status(500).json({ error: error.message });
@@ -252,17 +207,10 @@ app.post('/api/game-rooms/:roomId/exit', authenticateUser, async (req, res) => {
     const exitedPlayers = [...(gameRoom.exited_players || [])];
     if (!exitedPlayers.includes(userId)) exitedPlayers.push(userId);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        exited_players: exitedPlayers,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(tableName, { room_id: roomId }, {
+      exited_players: exitedPlayers,
+      updated_at: new Date().toISOString(),
+    });
 
     const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
     const allPlayerIds = Object.keys(players);
@@ -270,7 +218,7 @@ app.post('/api/game-rooms/:roomId/exit', authenticateUser, async (req, res) => {
     const allHumansExited = expectedHumanIds.every((id) => exitedPlayers.includes(id));
 
     if (updatedRoom.game_state === 'finished' && allHumansExited) {
-      await supabaseAdmin.from(tableName).delete().eq('room_id', roomId);
+      await deleteRoom(tableName, roomId);
       return res.json({ success: true, roomDeleted: true });
     }
 
@@ -311,80 +259,19 @@ app.post(
         return res.json({ success: true, skipped: true, reason: 'no_winners' });
       }
 
-      const entryFee = Number(gameRoom.entry_fee ?? 0);
-      const winAmount = entryFee * 2;
-      if (!winAmount) {
+      if (!(Number(gameRoom.entry_fee ?? 0) > 0)) {
         return res.json({ success: true, skipped: true, reason: 'no_entry_fee' });
       }
 
-      const winnerId = winners[0];
-      const isBotId =
-        winnerId && (winnerId.startsWith('bot_') || winnerId.startsWith('00000000-'));
-      if (isBotId) {
-        const { error: markErr } = await supabaseAdmin
-          .from(tableName)
-          .update({
-            payout_processed: true,
-            payout_processed_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          })
-          .eq('room_id', roomId)
-          .eq('payout_processed', false);
-
-        if (markErr) throw markErr;
-        return res.json({ success: true, paid: [], skipped: true, reason: 'bot_winner' });
-      }
-
-      const { data: payoutLock, error: lockError } = await supabaseAdmin
-        .from(tableName)
-        .update({
-          payout_processed: true,
-          payout_processed_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .eq('payout_processed', false)
-        .select('room_id')
-        .single();
-
-      if (lockError) {
-        if (lockError.code === 'PGRST116') {
-          return res.json({ success: true, alreadyProcessed: true, paid: [] });
-        }
-        throw lockError;
-      }
-
-      if (!payoutLock) {
+      // Winners are recorded in finishing order: each takes their position's share.
+      // The move that finished the room has normally settled it already.
+      const settled = await settleFinishedRoom(tableName, gameRoom);
+      if (!settled) {
         return res.json({ success: true, alreadyProcessed: true, paid: [] });
       }
 
-      const { error: rpcError } = await supabaseAdmin.rpc('add_coins', {
-        p_user_id: String(winnerId),
-        p_amount: winAmount,
-      });
-
-      if (rpcError) {
-        const { data: currentUser, error: fetchErr } = await supabaseAdmin
-          .from('users')
-          .select('total_coins')
-          .eq('uid', winnerId)
-          .single();
-
-        if (fetchErr) throw fetchErr;
-
-        const currentCoins = Number(currentUser?.total_coins ?? 0);
-        const { error: updErr } = await supabaseAdmin
-          .from('users')
-          .update({ total_coins: currentCoins + winAmount })
-          .eq('uid', winnerId);
-
-        if (updErr) throw updErr;
-      }
-
-      return res.json({
-        success: true,
-        paid: [{ userId: winnerId, amount: winAmount }],
-      });
+      const { paid, pot, rake } = settled;
+      return res.json({ success: true, paid, pot, rake });
     } catch (error) {
       return res.status(500).json({ error: error.message });
     }
@@ -394,24 +281,29 @@ app.post(
 // Create game room
 app.post('/api/game-rooms/create', authenticateUser, async (req, res) => {
   try {
-    const { noOfPlayers, boardTheme, entryFee } = req.body;
+    const { noOfPlayers, boardTheme, entryFee, ruleVariant = DEFAULT_RULE_VARIANT, ruleOptions } = req.body;
     const hostId = req.user.id;
 
     if (![2, 3, 4, 5, 6].includes(noOfPlayers)) {
       return res.status(400).json({ error: 'Number of players must be 2, 3, 4, 5, or 6' });
     }
 
+    if (!isValidRuleVariant(ruleVariant)) {
+      return res.status(400).json({ error: `Unknown rule variant: ${ruleVariant}` });
+    }
+
+    const { options: validRuleOptions, error: ruleOptionsError } = validateRuleOptions(ruleOptions);
+    if (ruleOptionsError) {
+      return res.status(400).json({ error: ruleOptionsError });
+    }
+
     let roomId;
     let isUnique = false;
     let attempts = 0;
 
     while (!isUnique && attempts < 10) {
       roomId = generateRoomId();
-      const { data: existing } = await supabaseAdmin
-        .from('game_rooms')
-        .select('room_id')
-        .eq('room_id', roomId)
-        .single();
+      const existing = await loadRoomFrom(ROOM_TABLES.online, roomId, 'room_id');
 
       if (!existing) isUnique = true;
       attempts++;
@@ -426,26 +318,33 @@ app.post('/api/game-rooms/create', authenticateUser, async (req, res) => {
     const positions = initializePositions(players);
 
     const desiredEntryFee = Number(entryFee ?? 0);
-
-    const { data: gameRoom, error } = await supabaseAdmin
-      .from('game_rooms')
-      .insert({
-        room_id: roomId,
-        host_id: hostId,
-        players: players,
-        positions: positions,
-        no_of_players: noOfPlayers,
-        board_theme: boardTheme || 'classic',
-        entry_fee: desiredEntryFee,
-        dice_state: 'waiting',
-        dice_result: null,
-        game_state: 'waiting',
-        turn: null,
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    if (!Number.isInteger(desiredEntryFee) || desiredEntryFee < 0) {
+      return res.status(400).json({ error: 'Entry fee must be a non-negative integer' });
+    }
+
+    const { held } = await holdEntryFee(ROOM_TABLES.online, roomId, hostId, desiredEntryFee);
+    if (!held) {
+      return res.status(400).json({ error: 'Insufficient coins' });
+    }
+
+    const gameRoom = await createRoom(ROOM_TABLES.online, {
+      room_id: roomId,
+      host_id: hostId,
+      players: players,
+      positions: positions,
+      no_of_players: noOfPlayers,
+      board_theme: boardTheme || 'classic',
+      entry_fee: desiredEntryFee,
+      rule_variant: ruleVariant,
+      rule_options: validRuleOptions,
+      dice_state: 'waiting',
+      dice_result: null,
+      game_state: 'waiting',
+      turn: null,
+    }).catch(async (createError) => {
+      await refundEntryFees(ROOM_TABLES.online, roomId, hostId);
+      throw createError;
+    });
 
     res.json({ success: true, gameRoom });
   } catch (error) {
@@ -463,13 +362,9 @@ app.post('/api/game-rooms/:roomId/fill-with-bots', authenticateUser, async (req,
     console.log('🤖 FILLING ROOM WITH BOTS:', roomId);
     console.log('   Number of bots requested:', numberOfBots);
 
-    const { data: gameRoom, error: fetchError } = await supabaseAdmin
-      .from('game_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const gameRoom = await loadRoomFrom(ROOM_TABLES.online, roomId);
 
-    if (fetchError || !gameRoom) {
+    if (!gameRoom) {
       return res.status(404).json({ error: 'Game room not found' });
     }
 
@@ -520,18 +415,11 @@ app.post('/api/game-rooms/:roomId/fill-with-bots', authenticateUser, async (req,
 
     // No need to create bot user entries - they already exist as fixed bots
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('game_rooms')
-      .update({
-        players: updatedPlayers,
-        positions: updatedPositions,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.online, { room_id: roomId }, {
+      players: updatedPlayers,
+      positions: updatedPositions,
+      updated_at: new Date().toISOString(),
+    });
 
     console.log('   ✅ Bots added successfully');
     console.log('   Final players:', updatedPlayers);
@@ -545,19 +433,18 @@ app.post('/api/game-rooms/:roomId/fill-with-bots', authenticateUser, async (req,
       );
       const firstTurnPlayer = realPlayers.length > 0 ? realPlayers[0] : playerIds[0];
 
-      const { data: startedRoom, error: startError } = await supabaseAdmin
-        .from('game_rooms')
-        .update({
-          game_state: 'playing',
-          turn: firstTurnPlayer,
-          dice_state: 'waiting',
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
+      // A failed start leaves the room full and waiting; the host can still start it
+      const startedRoom = await updateRoomWhere(ROOM_TABLES.online, { room_id: roomId }, {
+        game_state: 'playing',
+        dice_commitment: await createDiceCommitment(roomId, 'game_rooms'),
+        turn: firstTurnPlayer,
+        dice_state: 'waiting',
+        updated_at: new Date().toISOString(),
+      }).catch(() => null);
+
+      if (startedRoom) {
+        await recordRoomEvents(roomId, 'game_rooms', [gameStartedEvent(startedRoom)]);
 
-      if (!startError && startedRoom) {
         // Start autonomous backend bots for this room
         try {
           const startedBots = await startBotPlayersForGameRoom(roomId);
@@ -586,13 +473,9 @@ app.get('/api/game-rooms/:roomId', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
 
-    const { data: gameRoom, error} = await supabaseAdmin
-      .from('game_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const gameRoom = await loadRoomFrom(ROOM_TABLES.online, roomId);
 
-    if (error || !gameRoom) {
+    if (!gameRoom) {
       return res.status(404).json({ error: 'Game room not found' });
     }
 
@@ -602,19 +485,49 @@ app.get('/api/game-rooms/:roomId', authenticateUser, async (req, res) => {
   }
 });
 
+// Dice fairness proof: commitment + roll history, and the seed once the game is over
+app.get('/api/game-rooms/:roomId/dice-fairness', authenticateUser, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const { gameRoom, tableName } = await findGameRoom(roomId);
+    if (!gameRoom) {
+      return res.status(404).json({ error: 'Game room not found' });
+    }
+
+    const proof = await getDiceFairnessProof(gameRoom, tableName);
+    res.json({ success: true, ...proof });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full replay: ordered event log with the rebuilt board after every step
+app.get('/api/game-rooms/:roomId/replay', authenticateUser, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const { gameRoom, tableName } = await findGameRoom(roomId);
+    if (!gameRoom) {
+      return res.status(404).json({ error: 'Game room not found' });
+    }
+
+    const replay = await getRoomReplay(gameRoom, tableName);
+    res.json({ success: true, ...replay });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Join game room
 app.post('/api/game-rooms/:roomId/join', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
     const playerId = req.user.id;
 
-    const { data: gameRoom, error: fetchError } = await supabaseAdmin
-      .from('game_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const gameRoom = await loadRoomFrom(ROOM_TABLES.online, roomId);
 
-    if (fetchError || !gameRoom) {
+    if (!gameRoom) {
       return res.status(404).json({ error: 'Game room not found' });
     }
 
@@ -641,15 +554,21 @@ app.post('/api/game-rooms/:roomId/join', authenticateUser, async (req, res) => {
       ...gameRoom.positions,
       [assignedColor]: { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 }
     };
-    
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('game_rooms')
-      .update({ players: updatedPlayers, positions: updatedPositions })
-      .eq('room_id', roomId)
-      .select()
-      .single();
 
-    if (updateError) throw updateError;
+    const { held } = await holdEntryFee(ROOM_TABLES.online, roomId, playerId, Number(gameRoom.entry_fee ?? 0));
+    if (!held) {
+      return res.status(400).json({ error: 'Insufficient coins' });
+    }
+
+    const { room: updatedRoom, conflict } = await saveRoom(ROOM_TABLES.online, gameRoom, {
+      players: updatedPlayers,
+      positions: updatedPositions,
+    });
+
+    if (conflict) {
+      await refundEntryFees(ROOM_TABLES.online, roomId, playerId);
+      return sendVersionConflict(res);
+    }
 
     // Auto-start game if room is now full
     const newPlayerCount = Object.keys(updatedPlayers).length;
@@ -667,23 +586,22 @@ app.post('/api/game-rooms/:roomId/join', authenticateUser, async (req, res) => {
       
       console.log(`   First turn assigned to: ${firstTurnPlayer} (${updatedPlayers[firstTurnPlayer]})`);
       
-      const { data: startedRoom, error: startError } = await supabaseAdmin
-        .from('game_rooms')
-        .update({ 
-          game_state: 'playing', 
-          turn: firstTurnPlayer,
-          dice_state: 'waiting',
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
-
-      if (startError) {
+      const startedRoom = await updateRoomWhere(ROOM_TABLES.online, { room_id: roomId }, {
+        game_state: 'playing',
+        dice_commitment: await createDiceCommitment(roomId, 'game_rooms'),
+        turn: firstTurnPlayer,
+        dice_state: 'waiting',
+        updated_at: new Date().toISOString(),
+      }).catch((startError) => {
         console.error(`❌ ERROR AUTO-STARTING GAME ${roomId}:`, startError);
+        return null;
+      });
+
+      if (!startedRoom) {
         res.json({ success: true, gameRoom: updatedRoom });
       } else {
         console.log(`✅ GAME ${roomId} AUTO-STARTED SUCCESSFULLY!`);
+        await recordRoomEvents(roomId, 'game_rooms', [gameStartedEvent(startedRoom)]);
         console.log(`   🎯 GAME IS NOW ACTIVE! Turn passed to ${updatedPlayers[firstTurnPlayer]} player (${firstTurnPlayer})`);
         console.log(`   Game State: ${startedRoom.game_state}`);
         console.log(`   Turn: ${startedRoom.turn}`);
@@ -757,19 +675,15 @@ app.post('/api/game-rooms/:roomId/start', authenticateUser, async (req, res) =>
     
     console.log(`   First turn assigned to: ${firstTurnPlayer} (${gameRoom.players[firstTurnPlayer]})`);
     
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('game_rooms')
-      .update({ 
-        game_state: 'playing', 
-        turn: firstTurnPlayer,
-        dice_state: 'waiting',
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.online, { room_id: roomId }, {
+      game_state: 'playing', 
+      dice_commitment: await createDiceCommitment(roomId, 'game_rooms'),
+      turn: firstTurnPlayer,
+      dice_state: 'waiting',
+      updated_at: new Date().toISOString(),
+    });
 
-    if (updateError) throw updateError;
+    await recordRoomEvents(roomId, 'game_rooms', [gameStartedEvent(updatedRoom)]);
 
     console.log(`✅ GAME ${roomId} MANUALLY STARTED SUCCESSFULLY!`);
     console.log(`   🎯 GAME IS NOW ACTIVE! Turn passed to ${gameRoom.players[firstTurnPlayer]} player (${firstTurnPlayer})`);
@@ -799,13 +713,9 @@ app.post('/api/game-rooms/:roomId/force-start', authenticateUser, async (req, re
   try {
     const { roomId } = req.params;
 
-    const { data: gameRoom, error: fetchError } = await supabaseAdmin
-      .from('game_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const gameRoom = await loadRoomFrom(ROOM_TABLES.online, roomId);
 
-    if (fetchError || !gameRoom) {
+    if (!gameRoom) {
       return res.status(404).json({ error: 'Game room not found' });
     }
 
@@ -832,18 +742,14 @@ app.post('/api/game-rooms/:roomId/force-start', authenticateUser, async (req, re
 
     console.log(`   First turn assigned to: ${firstTurnPlayer} (${gameRoom.players[firstTurnPlayer]})`);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from('game_rooms')
-      .update({ 
-        game_state: 'playing', 
-        turn: firstTurnPlayer,
-        dice_state: 'waiting'
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const updatedRoom = await updateRoomWhere(ROOM_TABLES.online, { room_id: roomId }, {
+      game_state: 'playing', 
+      dice_commitment: await createDiceCommitment(roomId, 'game_rooms'),
+      turn: firstTurnPlayer,
+      dice_state: 'waiting'
+    });
 
-    if (updateError) throw updateError;
+    await recordRoomEvents(roomId, 'game_rooms', [gameStartedEvent(updatedRoom)]);
 
     // Start autonomous backend bots for this room (they subscribe and play on their own)
     try {
@@ -874,13 +780,9 @@ app.post('/api/game-rooms/:roomId/fix-turn', authenticateUser, async (req, res)
   try {
     const { roomId } = req.params;
 
-    const { data: gameRoom, error: fetchError } = await supabaseAdmin
-      .from('game_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const gameRoom = await loadRoomFrom(ROOM_TABLES.online, roomId);
 
-    if (fetchError || !gameRoom) {
+    if (!gameRoom) {
       return res.status(404).json({ error: 'Game room not found' });
     }
 
@@ -902,14 +804,10 @@ app.post('/api/game-rooms/:roomId/fix-turn', authenticateUser, async (req, res)
 
       console.log('   🔧 Assigning turn to:', firstTurnPlayer);
 
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from('game_rooms')
-        .update({ turn: firstTurnPlayer, dice_state: 'waiting' })
-        .eq('room_id', roomId)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
+      const updatedRoom = await updateRoomWhere(ROOM_TABLES.online, { room_id: roomId }, {
+        turn: firstTurnPlayer,
+        dice_state: 'waiting',
+      });
 
       console.log('   ✅ Turn fixed successfully');
       return res.json({ success: true, gameRoom: updatedRoom, fixed: true });
@@ -923,14 +821,12 @@ app.post('/api/game-rooms/:roomId/fix-turn', authenticateUser, async (req, res)
 });
 
 // Roll dice
-// CLIENT-FIRST: Accepts optional diceResult from client for instant gameplay
-// If client provides diceResult, we validate and use it
-// If not provided, we generate server-side (backward compatible)
+// SERVER-AUTHORITATIVE: the result always comes from the room's committed seed
+// (see services/diceService.js). Any diceResult sent by the client is ignored.
 app.post('/api/game-rooms/:roomId/roll-dice', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
     const userId = req.user.id;
-    const { diceResult: clientDiceResult } = req.body; // CLIENT-FIRST: Accept client dice result
 
     const { gameRoom, tableName } = await findGameRoom(roomId);
 
@@ -951,47 +847,86 @@ app.post('/api/game-rooms/:roomId/roll-dice', authenticateUser, async (req, res)
       return res.status(400).json({ error: 'You must move a token first' });
     }
 
-    // CLIENT-FIRST: Use client dice result if provided and valid, otherwise generate server-side
-    let diceResult;
-    if (clientDiceResult !== undefined && clientDiceResult >= 1 && clientDiceResult <= 6) {
-      diceResult = clientDiceResult;
-      console.log(`🎲 [ClientFirst] Using client-provided dice result: ${diceResult}`);
-    } else {
-      diceResult = Math.floor(Math.random() * 6) + 1;
-      console.log(`🎲 [ServerFirst] Generated server dice result: ${diceResult}`);
+    if (gameRoom.dice_state === 'rolling') {
+      // Duplicate tap while the dice is animating - return the roll in progress
+      return res.json({ success: true, diceResult: gameRoom.dice_result, gameRoom });
     }
 
-    // Removed 3 consecutive sixes constraint - players can keep rolling
+    if (isStaleClientVersion(req, gameRoom)) {
+      return sendVersionConflict(res, gameRoom);
+    }
+
+    const roll = await rollDiceForRoom(gameRoom, tableName, userId);
+    const diceResult = roll.diceResult;
+    console.log(`🎲 [FAIR DICE] Roll #${roll.rollIndex} for ${userId} in ${roomId}: ${diceResult}`);
+
+    // Three-sixes rule (off unless the room's rules enable it)
+    const streak = evaluateSixesStreak(getRules(gameRoom), gameRoom, userId, diceResult);
+
+    if (streak.forfeit) {
+      const roomForTurn = { ...gameRoom, positions: streak.restorePositions || gameRoom.positions };
+      const nextTurn = getNextTurn(Object.keys(gameRoom.players), userId, gameRoom.players, roomForTurn);
+
+      const { room: forfeitRoom, conflict } = await transitionRoom(tableName, gameRoom, {
+        from: { dice_roll_count: roll.rollIndex },
+        to: {
+          ...roll.update,
+          ...getSixesForfeitUpdate(gameRoom, userId, streak, nextTurn),
+          updated_at: new Date().toISOString(),
+        },
+      });
 
-    // First update with rolling state for frontend animation
-    // FIX: Only update to 'rolling' if not already rolling (idempotent)
-    const { data: rollingRoom, error: rollingError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        dice_result: diceResult,
+      if (conflict) return sendVersionConflict(res);
+
+      console.log(`🎲 Third six in a row for ${userId} in ${roomId} - turn forfeited${streak.restorePositions ? ' and moves undone' : ''}`);
+      await recordRoomEvents(roomId, tableName, [
+        { type: ROOM_EVENT_TYPES.DICE_ROLLED, userId, payload: { value: diceResult, rollIndex: roll.rollIndex } },
+        {
+          type: ROOM_EVENT_TYPES.TURN_FORFEITED,
+          userId,
+          payload: { reason: 'three_sixes', nextTurn, restoredPositions: streak.restorePositions },
+        },
+      ]);
+      return res.json({
+        success: true,
+        diceResult,
+        turnForfeited: true,
+        movesUndone: !!streak.restorePositions,
+        gameRoom: forfeitRoom,
+      });
+    }
+
+    // First update with rolling state for frontend animation.
+    // Written against the version we read; the roll index guard makes sure
+    // each seed index is used exactly once.
+    const { room: rollingRoom, conflict } = await transitionRoom(tableName, gameRoom, {
+      from: { dice_roll_count: roll.rollIndex },
+      to: {
+        ...roll.update,
+        ...getSixesStreakUpdate(streak),
         dice_state: 'rolling',
         updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .neq('dice_state', 'rolling') // Only update if not already rolling
-      .select()
-      .single();
+      },
+    });
 
-    if (rollingError && rollingError.code !== 'PGRST116') {
-      // PGRST116 = no rows updated (already rolling), which is fine
-      throw rollingError;
-    }
+    // No row matched: a concurrent write got there first
+    if (conflict) return sendVersionConflict(res);
+
+    await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.DICE_ROLLED, userId, {
+      value: diceResult,
+      rollIndex: roll.rollIndex,
+    });
 
     // After a short delay, automatically set to complete state
     // BUT only if the dice is still in 'rolling' state (prevents race condition with move-token)
     setTimeout(async () => {
       try {
         // First check current state - only update if still rolling
-        const { data: currentRoom } = await supabaseAdmin
-          .from(tableName)
-          .select('dice_state, turn, dice_result, players, positions, no_of_players, pending_steps')
-          .eq('room_id', roomId)
-          .single();
+        const currentRoom = await loadRoomFrom(
+          tableName,
+          roomId,
+          'room_id, dice_state, turn, dice_result, players, positions, no_of_players, pending_steps, rule_variant, rule_options, state_version',
+        );
         
         // Only auto-complete if dice is still rolling AND it's still the same player's turn
         if (currentRoom && currentRoom.dice_state === 'rolling' && currentRoom.turn === userId) {
@@ -1001,14 +936,11 @@ app.post('/api/game-rooms/:roomId/roll-dice', authenticateUser, async (req, res)
           // /complete-dice has already set the value.
           if (currentPendingSteps[userId] !== undefined && currentPendingSteps[userId] !== null) {
             // Pending steps already exist (likely set by /complete-dice). Make sure dice is marked complete.
-            await supabaseAdmin
-              .from(tableName)
-              .update({
-                dice_state: 'complete',
-                updated_at: new Date().toISOString(),
-              })
-              .eq('room_id', roomId)
-              .eq('dice_state', 'rolling'); // ATOMIC: only if still rolling
+            // ATOMIC: only if nothing changed since the read
+            await saveRoom(tableName, currentRoom, {
+              dice_state: 'complete',
+              updated_at: new Date().toISOString(),
+            });
             
             console.log(
               `🎲 Auto-complete resolved for room ${roomId} - pending steps already set (${currentPendingSteps[userId]}), dice_state forced to complete`,
@@ -1022,22 +954,28 @@ app.post('/api/game-rooms/:roomId/roll-dice', authenticateUser, async (req, res)
           const allPositions = currentRoom.positions || {};
           const playerPositions = playerColor ? (allPositions[playerColor] || {}) : {};
           const noOfPlayers = currentRoom.no_of_players || 4;
+          const { homePosition } = getBoardConfig(noOfPlayers);
 
-          const validMove = hasValidMoves(playerPositions, resolvedDiceResult, noOfPlayers);
+          const validMove = hasValidMoves(getRules(currentRoom), playerPositions, resolvedDiceResult, homePosition);
 
           if (!validMove) {
             const nextTurn = getNextTurn(Object.keys(players), userId, players, currentRoom);
 
-            await supabaseAdmin
-              .from(tableName)
-              .update({
-                dice_state: 'waiting',
-                dice_result: null,
-                turn: nextTurn,
-                updated_at: new Date().toISOString(),
-              })
-              .eq('room_id', roomId)
-              .eq('dice_state', 'rolling'); // ATOMIC: only pass turn if still rolling
+            // ATOMIC: only pass turn if nothing changed since the read
+            const { conflict } = await saveRoom(tableName, currentRoom, {
+              dice_state: 'waiting',
+              dice_result: null,
+              turn: nextTurn,
+              updated_at: new Date().toISOString(),
+            });
+
+            if (!conflict) {
+              await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.TURN_PASSED, userId, {
+                reason: 'no_valid_moves',
+                diceResult: resolvedDiceResult,
+                nextTurn,
+              });
+            }
 
             console.log(
               `🎲 Auto-completed dice (no valid moves) for room ${roomId} with result ${resolvedDiceResult} - passed turn`,
@@ -1047,15 +985,12 @@ app.post('/api/game-rooms/:roomId/roll-dice', authenticateUser, async (req, res)
 
           const updatedPendingSteps = { ...currentPendingSteps, [userId]: resolvedDiceResult };
 
-          await supabaseAdmin
-            .from(tableName)
-            .update({
-              dice_state: 'complete',
-              pending_steps: updatedPendingSteps,
-              updated_at: new Date().toISOString(),
-            })
-            .eq('room_id', roomId)
-            .eq('dice_state', 'rolling'); // ATOMIC: only set if still rolling
+          // ATOMIC: only set if nothing changed since the read
+          await saveRoom(tableName, currentRoom, {
+            dice_state: 'complete',
+            pending_steps: updatedPendingSteps,
+            updated_at: new Date().toISOString(),
+          });
 
           console.log(
             `🎲 Auto-completed dice for room ${roomId} with result ${resolvedDiceResult} (pending_steps set)`,
@@ -1099,29 +1034,35 @@ app.post('/api/game-rooms/:roomId/complete-dice', authenticateUser, async (req,
       return res.status(403).json({ error: 'Not your turn' });
     }
 
+    if (isStaleClientVersion(req, gameRoom)) {
+      return sendVersionConflict(res, gameRoom);
+    }
+
     const diceResult = gameRoom.dice_result || 0;
     const playerColor = gameRoom.players[userId];
     const playerPositions = gameRoom.positions[playerColor] || {};
     const noOfPlayers = gameRoom.no_of_players || 4;
+    const { homePosition } = getBoardConfig(noOfPlayers);
 
-    const validMove = hasValidMoves(playerPositions, diceResult, noOfPlayers);
+    const validMove = hasValidMoves(getRules(gameRoom), playerPositions, diceResult, homePosition);
 
     if (!validMove) {
       const nextTurn = getNextTurn(Object.keys(gameRoom.players), userId, gameRoom.players, gameRoom);
 
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from(tableName)
-        .update({
-          dice_state: 'waiting',
-          dice_result: null,
-          turn: nextTurn,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
+      const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+        dice_state: 'waiting',
+        dice_result: null,
+        turn: nextTurn,
+        updated_at: new Date().toISOString(),
+      });
 
-      if (updateError) throw updateError;
+      if (conflict) return sendVersionConflict(res);
+
+      await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.TURN_PASSED, userId, {
+        reason: 'no_valid_moves',
+        diceResult,
+        nextTurn,
+      });
 
       return res.json({ success: true, noValidMoves: true, gameRoom: updatedRoom });
     }
@@ -1129,18 +1070,13 @@ app.post('/api/game-rooms/:roomId/complete-dice', authenticateUser, async (req,
     const pendingSteps = gameRoom.pending_steps || {};
     pendingSteps[userId] = diceResult;
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        dice_state: 'complete',
-        pending_steps: pendingSteps,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+      dice_state: 'complete',
+      pending_steps: pendingSteps,
+      updated_at: new Date().toISOString(),
+    });
 
-    if (updateError) throw updateError;
+    if (conflict) return sendVersionConflict(res);
 
     res.json({ success: true, gameRoom: updatedRoom });
   } catch (error) {
@@ -1165,8 +1101,19 @@ app.post('/api/game-rooms/:roomId/move-token', authenticateUser, async (req, res
       return res.status(403).json({ error: 'Not your turn' });
     }
 
+    if (isStaleClientVersion(req, gameRoom)) {
+      return sendVersionConflict(res, gameRoom);
+    }
+
+    // Steps only ever come from this turn's server roll: pending_steps once
+    // complete-dice has run, dice_result while the dice is still rolling.
+    const rolled = getRollToMove(gameRoom, userId);
+    if (!rolled) {
+      return res.status(400).json({ error: 'Roll the dice before moving' });
+    }
+
     const pendingSteps = gameRoom.pending_steps || {};
-    let stepsToMove = pendingSteps[userId];
+    const stepsToMove = pendingSteps[userId] > 0 ? pendingSteps[userId] : rolled;
 
     if (gameRoom.players[userId] !== color) {
       return res.status(403).json({ error: 'This color does not belong to you' });
@@ -1177,43 +1124,26 @@ app.post('/api/game-rooms/:roomId/move-token', authenticateUser, async (req, res
       return res.status(400).json({ error: 'Invalid token' });
     }
 
-    // CLIENT-FIRST SUPPORT: If pending_steps has not been written yet (race with complete-dice),
-    // derive the intended steps from the client-provided newPosition or fall back to dice_result.
-    if ((!stepsToMove || stepsToMove <= 0) && typeof clientNewPosition === 'number') {
-      if (currentPosition === 0 && clientNewPosition === 1) {
-        stepsToMove = 6;
-      } else {
-        stepsToMove = clientNewPosition - currentPosition;
-      }
-    }
+    const rules = getRules(gameRoom);
 
-    if ((!stepsToMove || stepsToMove <= 0) && (gameRoom.dice_result || 0) > 0) {
-      stepsToMove = gameRoom.dice_result;
-    }
-
-    if (!stepsToMove || stepsToMove <= 0) {
-      return res.status(400).json({ error: 'No pending steps to move' });
-    }
-
-    if (currentPosition === 0 && stepsToMove !== 6) {
-      return res.status(400).json({ error: 'Must roll 6 to move token out of home' });
+    if (currentPosition === 0 && !rules.exitRolls.includes(stepsToMove)) {
+      return res.status(400).json({
+        error: `Must roll ${rules.exitRolls.join(' or ')} to move token out of home`,
+      });
     }
 
     const noOfPlayers = gameRoom.no_of_players || 4;
-    const { finalPosition, homePosition } = getBoardConfig(noOfPlayers);
+    const { homePosition } = getBoardConfig(noOfPlayers);
 
-    let newPosition = currentPosition === 0 ? 1 : currentPosition + stepsToMove;
+    const newPosition = getMoveTarget(rules, currentPosition, stepsToMove, homePosition);
 
-    // If client provided a newPosition and it matches the legal computed move, prefer it.
-    // This avoids visual snapback when the server temporarily lags behind client-first UI.
-    if (typeof clientNewPosition === 'number') {
-      if (clientNewPosition === newPosition) {
-        newPosition = clientNewPosition;
-      }
+    if (newPosition === null) {
+      return res.status(400).json({ error: 'Need exact dice count to enter home' });
     }
 
-    if (newPosition > homePosition) {
-      return res.status(400).json({ error: 'Need exact dice count to enter home' });
+    // The client's target is only a cross-check of the server-computed move
+    if (clientNewPosition != null && clientNewPosition !== newPosition) {
+      return res.status(400).json({ error: `Move does not match the dice roll: expected position ${newPosition}` });
     }
 
     let updatedPositions = {
@@ -1221,38 +1151,12 @@ app.post('/api/game-rooms/:roomId/move-token', authenticateUser, async (req, res
       [color]: { ...gameRoom.positions[color], [tokenName]: newPosition }
     };
 
-    const killResult = checkForKills(gameRoom, color, newPosition, updatedPositions);
-    updatedPositions = killResult.updatedPositions;
-    const bonusRoll = killResult.bonusRoll;
-
-    // Count actual kills by diffing old positions vs updated positions.
-    // checkForKills may kill more than one token (across different opponent colors).
-    let killedCount = 0;
-    try {
-      const before = gameRoom.positions || {};
-      const after = updatedPositions || {};
-      for (const [opponentColor, tokens] of Object.entries(before)) {
-        if (opponentColor === color) continue;
-        for (const [tokenKey, beforePos] of Object.entries(tokens || {})) {
-          const afterPos = after?.[opponentColor]?.[tokenKey];
-          if (Number(beforePos) > 0 && Number(afterPos) === 0) {
-            killedCount += 1;
-          }
-        }
-      }
-    } catch (e) {
-      // Non-fatal: keep killedCount as 0
-    }
-
-    if (killedCount > 0) {
-      try {
-        await recordKills({ killerUserId: userId, kills: killedCount });
-      } catch (e) {
-        console.error('[EventsProgress] recordKills failed:', e?.message ?? e);
-      }
-    }
+    const captureResult = applyCaptures(rules, gameRoom, color, newPosition, updatedPositions);
+    updatedPositions = captureResult.updatedPositions;
+    const killedCount = captureResult.killedTokens.length;
+    const bonusRoll = captureResult.bonusRoll;
 
-    const allTokensHome = checkAllTokensHome(updatedPositions[color], noOfPlayers);
+    const allTokensHome = areAllTokensHome(updatedPositions[color], homePosition);
     let updatedWinners = [...(gameRoom.winners || [])];
     
     if (allTokensHome && !updatedWinners.includes(userId)) {
@@ -1269,54 +1173,72 @@ app.post('/api/game-rooms/:roomId/move-token', authenticateUser, async (req, res
     }
 
     let nextTurn = userId;
-    // Player keeps turn if: rolled 6, killed opponent, OR token reached finish
-    if (stepsToMove !== 6 && !bonusRoll && !tokenReachedFinish) {
+    // Player keeps turn if the rule variant grants a bonus (six, capture, token home)
+    const keepsTurn = earnsExtraTurn(rules, {
+      steps: stepsToMove,
+      captured: killedCount > 0,
+      reachedHome: tokenReachedFinish,
+    }) && !allTokensHome;
+    if (!keepsTurn) {
       nextTurn = getNextTurn(Object.keys(gameRoom.players), userId, gameRoom.players, gameRoom);
     }
 
     // Turn management - no consecutive sixes constraint
 
-    const gameFinished = updatedWinners.length >= Object.keys(gameRoom.players).length - 1;
+    const gameFinished = isGameFinished(rules, {
+      winners: updatedWinners,
+      playerCount: Object.keys(gameRoom.players).length,
+    });
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        positions: updatedPositions,
-        pending_steps: updatedPendingSteps,
-        turn: nextTurn,
-        dice_result: null,
-        dice_state: 'waiting',
-        winners: updatedWinners,
-        game_state: gameFinished ? 'finished' : 'playing',
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+      positions: updatedPositions,
+      pending_steps: updatedPendingSteps,
+      turn: nextTurn,
+      dice_result: null,
+      dice_state: 'waiting',
+      winners: updatedWinners,
+      game_state: gameFinished ? 'finished' : 'playing',
+      updated_at: new Date().toISOString(),
+    });
+
+    if (conflict) return sendVersionConflict(res);
 
-    if (updateError) throw updateError;
+    if (killedCount > 0) {
+      try {
+        await recordKills({ killerUserId: userId, kills: killedCount });
+      } catch (e) {
+        console.error('[EventsProgress] recordKills failed:', e?.message ?? e);
+      }
+    }
+
+    await recordRoomEvents(roomId, tableName, [
+      ...tokenMoveEvents(userId, {
+        color,
+        tokenName,
+        from: currentPosition,
+        to: newPosition,
+        steps: stepsToMove,
+        killedTokens: captureResult.killedTokens,
+        extraTurn: keepsTurn,
+        nextTurn,
+      }),
+      gameFinished && gameFinishedEvent(updatedWinners),
+    ]);
+
+    if (updatedRoom?.game_state === 'finished') {
+      await revealDiceSeedSafely(roomId, tableName);
+      try {
+        await settleFinishedRoom(tableName, updatedRoom);
+      } catch (e) {
+        console.error('Error settling room:', e);
+      }
+    }
 
     // Idempotent match-finish tracking: use events_tracked column (added in CREATE_EVENTS_SYSTEM.sql)
     if (updatedRoom?.game_state === 'finished' && tableName !== 'tournament_rooms') {
       try {
-        const { data: lockRow, error: lockErr } = await supabaseAdmin
-          .from(tableName)
-          .update({
-            events_tracked: true,
-            events_tracked_at: new Date().toISOString(),
-          })
-          .eq('room_id', roomId)
-          .eq('events_tracked', false)
-          .select('room_id')
-          .maybeSingle();
-
-        if (lockErr) {
-          if (lockErr.code !== 'PGRST116') {
-            console.error('[EventsProgress] events_tracked lock error:', lockErr);
-          }
-        }
-
-        if (lockRow) {
+        const claimed = await claimRoomFlag(tableName, roomId, 'events_tracked');
+        if (claimed) {
           const players = updatedRoom.players || {};
           const allPlayerIds = Object.keys(players);
           const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
@@ -1334,12 +1256,10 @@ app.post('/api/game-rooms/:roomId/move-token', authenticateUser, async (req, res
           }
 
           try {
-            const loserHumanIds = winnerIsBot
-              ? humanIds
-              : humanIds.filter((id) => id !== winnerId);
             await recordMatchResult({
-              winnerUserIds: winnerIsBot || !winnerId ? [] : [winnerId],
-              loserUserIds: loserHumanIds,
+              winnerUserIds: winnerId ? [winnerId] : [],
+              loserUserIds: allPlayerIds.filter((id) => id !== winnerId),
+              mode,
             });
           } catch (e) {
             console.error('[UserStats] recordMatchResult failed:', e?.message ?? e);
@@ -1350,7 +1270,7 @@ app.post('/api/game-rooms/:roomId/move-token', authenticateUser, async (req, res
       }
     }
 
-    res.json({ success: true, gameRoom: updatedRoom, bonusRoll, killed: bonusRoll });
+    res.json({ success: true, gameRoom: updatedRoom, bonusRoll, killed: killedCount > 0 });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1399,9 +1319,13 @@ app.post('/api/game-rooms/:roomId/leave', authenticateUser, async (req, res) =>
         delete updatedPositions[playerColor];
       }
 
+      // A finished room keeps its fees for the payout
+      const neverStarted = gameRoom.game_state === 'waiting';
+
       const remainingIds = Object.keys(updatedPlayers);
       if (remainingIds.length === 0) {
-        await supabaseAdmin.from(tableName).delete().eq('room_id', roomId);
+        await deleteRoom(tableName, roomId);
+        if (neverStarted) await refundEntryFees(tableName, roomId, userId);
         return res.json({ success: true, roomDeleted: true });
       }
 
@@ -1410,20 +1334,17 @@ app.post('/api/game-rooms/:roomId/leave', authenticateUser, async (req, res) =>
         nextHostId = remainingIds[0];
       }
 
-      const { data: updatedRoom, error: updateError } = await supabaseAdmin
-        .from(tableName)
-        .update({
-          host_id: nextHostId,
-          players: updatedPlayers,
-          positions: updatedPositions,
-          pending_steps: updatedPendingSteps,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('room_id', roomId)
-        .select()
-        .single();
+      const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+        host_id: nextHostId,
+        players: updatedPlayers,
+        positions: updatedPositions,
+        pending_steps: updatedPendingSteps,
+        updated_at: new Date().toISOString(),
+      });
 
-      if (updateError) throw updateError;
+      if (conflict) return sendVersionConflict(res);
+
+      if (neverStarted) await refundEntryFees(tableName, roomId, userId);
 
       console.log(`   ✅ Player ${userId} left waiting room ${roomId} successfully`);
       console.log(`   Remaining players count: ${Object.keys(updatedPlayers).length}`);
@@ -1496,24 +1417,37 @@ app.post('/api/game-rooms/:roomId/leave', authenticateUser, async (req, res) =>
       diceResult = null;
     }
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        escaped_players: escapedPlayers,
-        pending_steps: updatedPendingSteps,
-        positions: updatedPositions,
-        turn: nextTurn,
-        dice_state: diceState,
-        dice_result: diceResult,
-        ...(finishedGameState ? { game_state: finishedGameState } : {}),
-        ...(updatedWinners ? { winners: updatedWinners } : {}),
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+      escaped_players: escapedPlayers,
+      pending_steps: updatedPendingSteps,
+      positions: updatedPositions,
+      turn: nextTurn,
+      dice_state: diceState,
+      dice_result: diceResult,
+      ...(finishedGameState ? { game_state: finishedGameState } : {}),
+      ...(updatedWinners ? { winners: updatedWinners } : {}),
+      updated_at: new Date().toISOString(),
+    });
+
+    if (conflict) return sendVersionConflict(res);
+
+    await recordRoomEvents(roomId, tableName, [
+      {
+        type: ROOM_EVENT_TYPES.PLAYER_LEFT,
+        userId,
+        payload: { color: playerColor, nextTurn, positions: updatedPositions },
+      },
+      finishedGameState === 'finished' && gameFinishedEvent(updatedWinners, { reason: 'forfeit' }),
+    ]);
+
+    if (finishedGameState === 'finished') {
+      await revealDiceSeedSafely(roomId, tableName);
+      try {
+        await settleFinishedRoom(tableName, updatedRoom);
+      } catch (e) {
+        console.error('Error settling room:', e);
+      }
+    }
 
     console.log(`   ✅ Player ${userId} left room ${roomId} successfully`);
     console.log(`   Remaining players count: ${Object.keys(players).length}`);
@@ -1554,17 +1488,11 @@ app.post('/api/game-rooms/:roomId/player-disconnect', authenticateUser, async (r
     const disconnectedPlayers = [...(gameRoom.disconnected_players || [])];
     if (!disconnectedPlayers.includes(userId)) disconnectedPlayers.push(userId);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        disconnected_players: disconnectedPlayers,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(tableName, { room_id: roomId }, {
+      disconnected_players: disconnectedPlayers,
+      updated_at: new Date().toISOString(),
+    });
+    await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.PLAYER_DISCONNECTED, userId);
     res.json({ success: true, gameRoom: updatedRoom });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1601,17 +1529,11 @@ app.post('/api/game-rooms/:roomId/player-reconnect', authenticateUser, async (re
       (id) => id !== userId,
     );
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        disconnected_players: disconnectedPlayers,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
+    const updatedRoom = await updateRoomWhere(tableName, { room_id: roomId }, {
+      disconnected_players: disconnectedPlayers,
+      updated_at: new Date().toISOString(),
+    });
+    await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.PLAYER_RECONNECTED, userId);
     res.json({ success: true, gameRoom: updatedRoom });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1651,6 +1573,10 @@ app.post('/api/game-rooms/:roomId/turn-timeout', authenticateUser, async (req, r
       return res.status(400).json({ error: 'Player not in room' });
     }
 
+    if (isStaleClientVersion(req, gameRoom)) {
+      return sendVersionConflict(res, gameRoom);
+    }
+
     const timeoutMisses = { ...(gameRoom.timeout_misses || {}) };
     const currentMisses = Number(timeoutMisses[userId] || 0);
     const nextMisses = currentMisses + 1;
@@ -1679,23 +1605,25 @@ app.post('/api/game-rooms/:roomId/turn-timeout', authenticateUser, async (req, r
     const playerIds = Object.keys(players);
     const nextTurn = getNextTurn(playerIds, userId, players, roomForTurn);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        timeout_misses: timeoutMisses,
-        escaped_players: escapedPlayers,
-        kicked_players: kickedPlayers,
-        turn: nextTurn,
-        dice_state: 'waiting',
-        dice_result: null,
-        pending_steps: updatedPendingSteps,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .select()
-      .single();
+    const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+      timeout_misses: timeoutMisses,
+      escaped_players: escapedPlayers,
+      kicked_players: kickedPlayers,
+      turn: nextTurn,
+      dice_state: 'waiting',
+      dice_result: null,
+      pending_steps: updatedPendingSteps,
+      consecutive_sixes: resetSixesStreak(gameRoom, userId),
+      updated_at: new Date().toISOString(),
+    });
+
+    if (conflict) return sendVersionConflict(res);
 
-    if (updateError) throw updateError;
+    await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.TURN_TIMEOUT, userId, {
+      nextTurn,
+      misses: nextMisses,
+      kicked: shouldKick,
+    });
 
     res.json({ success: true, gameRoom: updatedRoom, kicked: shouldKick, timeoutMisses: nextMisses });
   } catch (error) {
@@ -1734,6 +1662,10 @@ app.post('/api/game-rooms/:roomId/pass-turn', authenticateUser, async (req, res)
       return res.status(400).json({ error: 'Not your turn' });
     }
 
+    if (isStaleClientVersion(req, gameRoom)) {
+      return sendVersionConflict(res, gameRoom);
+    }
+
     // Clear any pending steps for this player
     const updatedPendingSteps = { ...gameRoom.pending_steps };
     delete updatedPendingSteps[userId];
@@ -1747,30 +1679,30 @@ app.post('/api/game-rooms/:roomId/pass-turn', authenticateUser, async (req, res)
     console.log(`   Passing turn from ${userId} to ${nextTurn}`);
     console.log(`   Next player color: ${gameRoom.players[nextTurn]}`);
 
-    const { data: updatedRoom, error: updateError } = await supabaseAdmin
-      .from(tableName)
-      .update({
-        turn: nextTurn,
-        dice_state: 'waiting',
-        dice_result: null,
-        pending_steps: updatedPendingSteps,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId)
-      .eq('turn', userId)
-      .eq('game_state', 'playing')
-      .select()
-      .single();
-
-    if (updateError) {
-      // If no rows updated, it likely means the turn already advanced (idempotent retry)
-      if (updateError.code === 'PGRST116') {
-        const { gameRoom: latestRoom } = await findGameRoom(roomId);
-        return res.json({ success: true, gameRoom: latestRoom, alreadyPassed: true });
+    const { room: updatedRoom, conflict } = await saveRoom(tableName, gameRoom, {
+      turn: nextTurn,
+      dice_state: 'waiting',
+      dice_result: null,
+      pending_steps: updatedPendingSteps,
+      consecutive_sixes: resetSixesStreak(gameRoom, userId),
+      updated_at: new Date().toISOString(),
+    });
+
+    // No rows updated: the room changed since we read it. If the turn already
+    // advanced this is an idempotent retry, otherwise it is a real conflict.
+    if (conflict) {
+      const { gameRoom: latestRoom } = await findGameRoom(roomId);
+      if (latestRoom && latestRoom.turn === userId && latestRoom.game_state === 'playing') {
+        return sendVersionConflict(res, latestRoom);
       }
-      throw updateError;
+      return res.json({ success: true, gameRoom: latestRoom, alreadyPassed: true });
     }
 
+    await recordRoomEvent(roomId, tableName, ROOM_EVENT_TYPES.TURN_PASSED, userId, {
+      reason: 'manual',
+      nextTurn,
+    });
+
     console.log(`✅ TURN PASSED SUCCESSFULLY!`);
     console.log(`   🎯 TURN PASSED TO ${gameRoom.players[nextTurn]} player (${nextTurn})`);
     console.log(`   New dice state: ${updatedRoom.dice_state}`);
@@ -1782,52 +1714,33 @@ app.post('/api/game-rooms/:roomId/pass-turn', authenticateUser, async (req, res)
   }
 });
 
-// Helper function to find room in game_rooms, tournament_rooms, or friend_rooms
-async function findGameRoom(roomId) {
-  // First try game_rooms
-  let { data: gameRoom, error } = await supabaseAdmin
-    .from('game_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-
-  if (gameRoom) {
-    return { gameRoom, tableName: 'game_rooms' };
-  }
-
-  // If not found, try tournament_rooms
-  const { data: tournamentRoom, error: tournamentError } = await supabaseAdmin
-    .from('tournament_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-
-  if (tournamentRoom) {
-    return { gameRoom: tournamentRoom, tableName: 'tournament_rooms' };
-  }
-
-  // If not found, try friend_rooms
-  const { data: friendRoom, error: friendError } = await supabaseAdmin
-    .from('friend_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-
-  if (friendRoom) {
-    return { gameRoom: friendRoom, tableName: 'friend_rooms' };
-  }
-
-  return { gameRoom: null, tableName: null };
-}
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Local: http://localhost:${PORT}`);
-  console.log(`\nBackend is accessible from any device on your network!`);
-});
+// Start server (only when run directly - tests import the app and listen themselves)
+const isEntryPoint = !!process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isEntryPoint) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Local: http://localhost:${PORT}`);
+    console.log(`\nBackend is accessible from any device on your network!`);
+  });
+
+  // Background loops run on a serving instance only, never on import
+  startMatchmaker();
+  startTournamentScheduler();
+
+  // Hand room leases back so other instances adopt this instance's rooms without waiting for expiry
+  process.once('SIGTERM', () => {
+    console.log('🛑 SIGTERM received, releasing rooms');
+    stopMatchmaker()
+      .then(() => stopTournamentScheduler())
+      .then(() => stopBotPlayerService())
+      .finally(() => process.exit(0));
+  });
+}
+
+export default app;
@@ -8,13 +8,57 @@
  * 2. ONE database update per action (atomic)
  * 3. State machine approach (idempotent)
  * 4. Frontend NEVER drives bot logic
+ * 5. Driven by the in-process game event bus; Supabase realtime is only a
+ *    fallback for writes made by other server instances
+ * 6. With several server instances, only the holder of a room's lease
+ *    (roomLeaseService) plays its bots and runs its timers
  */
 
 import { supabaseAdmin } from '../config/supabase.js';
-import { positions4Player, positions5Player, positions6Player } from '../data/positions.js';
-import { checkForKills, getStarPositions } from '../utils/gameHelpers.js';
+import { getStarPositions } from '../utils/gameHelpers.js';
+import {
+  getRules,
+  hasValidMoves,
+  getValidMoves,
+  areAllTokensHome,
+  applyCaptures,
+  earnsExtraTurn,
+  isGameFinished,
+  getWinningTeam,
+  evaluateSixesStreak,
+  getSixesStreakUpdate,
+  getSixesForfeitUpdate,
+  resetSixesStreak,
+} from '../utils/ruleVariants.js';
 
 import { recordMatchResult } from './userStatsService.js';
+import { ratingModeForTable } from './ratingService.js';
+import { rollDiceForRoom, revealDiceSeedSafely } from './diceService.js';
+import { settleFinishedRoom } from './escrowService.js';
+import {
+  ROOM_TABLES,
+  isTeamUpTable,
+  loadRoomFrom,
+  transitionRoom,
+  updateRoomWhere,
+  claimRoomFlag,
+} from './roomRepository.js';
+import { ROOM_CHANGE_TYPES, onRoomChange } from './gameEventBus.js';
+import {
+  LEASE_TTL_MS,
+  acquireRoomLease,
+  releaseRoomLease,
+  listHeldRoomLeases,
+  startLeaseHeartbeat,
+  stopLeaseHeartbeat,
+} from './roomLeaseService.js';
+import {
+  ROOM_EVENT_TYPES,
+  recordRoomEvent,
+  recordRoomEvents,
+  gameFinishedEvent,
+  tokenMoveEvents,
+} from './roomEventLog.js';
 
 // ============================================
 // CONSTANTS
@@ -47,11 +91,6 @@ const BOARD_CONFIG = {
   6: { homePosition: 86, homeStretch: 78 },
 };
 
-const DEFAULT_TABLES = {
-  teamUp: 'team_up_rooms',
-  online: 'game_rooms',
-};
-
 const TURN_TIMEOUT_MS = 20_000;
 
 const BOT_TIMING = {
@@ -69,7 +108,28 @@ function isBot(userId) {
 }
 
 function isTableNonTeamUp(tableName) {
-  return tableName !== DEFAULT_TABLES.teamUp;
+  return !isTeamUpTable(tableName);
+}
+
+// Versioned bot write (see roomRepository.transitionRoom). Logs instead of
+// throwing so a failed write never stops the bot loop; false = not applied.
+async function applyBotTransition(tableName, room, transition, label) {
+  try {
+    const { conflict } = await transitionRoom(tableName, room, transition);
+    return !conflict;
+  } catch (error) {
+    console.error(` [BOT] ${label} error:`, error);
+    return false;
+  }
+}
+
+// Pay out a room a bot move finished (standings as settleFinishedRoom takes them)
+async function settleFinishedBotRoom(tableName, room, standings) {
+  try {
+    await settleFinishedRoom(tableName, room, standings);
+  } catch (error) {
+    console.error(` [BOT] Settling room ${room.room_id} failed:`, error);
+  }
 }
 
 function isBotId(id) {
@@ -77,24 +137,16 @@ function isBotId(id) {
 }
 
 function getWinningTeamIfAny({ room, positions, homePosition }) {
-  const teamA = room.team_a || [];
-  const teamB = room.team_b || [];
-  if (teamA.length !== 2 || teamB.length !== 2) return [];
-
-  const allTokensFinishedFor = (userId) => {
-    const color = room.players?.[userId];
-    if (!color) return false;
-    const pos = positions?.[color];
-    if (!pos) return false;
-    return Object.values(pos).every((p) => p === homePosition);
-  };
-
-  const teamAFinished = teamA.every((id) => allTokensFinishedFor(id));
-  const teamBFinished = teamB.every((id) => allTokensFinishedFor(id));
+  return getWinningTeam(getRules(room), room, positions, homePosition);
+}
 
-  if (teamAFinished && !teamBFinished) return teamA;
-  if (teamBFinished && !teamAFinished) return teamB;
-  return [];
+// Captures follow the room's rule variant; team up only captures the opposing team
+function resolveCaptures(rules, room, tableName, color, newPos, newPositions) {
+  if (isTableNonTeamUp(tableName)) {
+    return applyCaptures(rules, room, color, newPos, newPositions);
+  }
+  const opponentColors = ['red', 'yellow'].includes(color) ? ['green', 'blue'] : ['red', 'yellow'];
+  return applyCaptures(rules, room, color, newPos, newPositions, { opponentColors });
 }
 
 function clearTurnTimeout(roomId, tableName) {
@@ -140,13 +192,12 @@ function scheduleTurnTimeout(room, tableName) {
 }
 
 async function handleTurnTimeout(roomId, tableName, expectedTurn) {
-  const { data: room, error } = await supabaseAdmin
-    .from(tableName)
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
+  // Ownership may have moved to another instance since the timer was set
+  if (!(await acquireRoomLease(tableName, roomId))) return;
+
+  const room = await loadRoomFrom(tableName, roomId);
 
-  if (error || !room) return;
+  if (!room) return;
   if (room.game_state !== 'playing') return;
   if (!room.turn || room.turn !== expectedTurn) return;
 
@@ -158,6 +209,7 @@ async function handleTurnTimeout(roomId, tableName, expectedTurn) {
 
   const noOfPlayers = room.no_of_players || 4;
   const config = BOARD_CONFIG[noOfPlayers] || BOARD_CONFIG[4];
+  const rules = getRules(room);
 
   const timeoutMisses = { ...(room.timeout_misses || {}) };
   const currentMisses = Number(timeoutMisses[userId] || 0);
@@ -174,6 +226,7 @@ async function handleTurnTimeout(roomId, tableName, expectedTurn) {
 
   const updatedPendingSteps = { ...(room.pending_steps || {}) };
   delete updatedPendingSteps[userId];
+  const consecutiveSixes = resetSixesStreak(room, userId);
 
   const roomForTurn = {
     ...room,
@@ -194,23 +247,36 @@ async function handleTurnTimeout(roomId, tableName, expectedTurn) {
     userId,
     skipPlayers,
     noOfPlayers,
-    isTableNonTeamUp(tableName) ? DEFAULT_TABLES.online : DEFAULT_TABLES.teamUp,
+    isTableNonTeamUp(tableName) ? ROOM_TABLES.online : ROOM_TABLES.teamUp,
   );
 
+  // Versioned write: false when the player (or a bot) acted after the room was read.
+  const applyTimeoutUpdate = async (fields) => {
+    const applied = await applyBotTransition(tableName, room, {
+      to: { ...fields, updated_at: new Date().toISOString() },
+    }, 'Turn timeout');
+    if (!applied) console.log(` [TURN TIMER] Room ${roomId} not updated (changed since read), skipping`);
+    return applied;
+  };
+
+  const timeoutEvent = {
+    type: ROOM_EVENT_TYPES.TURN_TIMEOUT,
+    userId,
+    payload: { nextTurn, misses: nextMisses, kicked: shouldKick },
+  };
+
   if (shouldKick) {
-    await supabaseAdmin
-      .from(tableName)
-      .update({
-        timeout_misses: timeoutMisses,
-        escaped_players: escapedPlayers,
-        kicked_players: kickedPlayers,
-        pending_steps: updatedPendingSteps,
-        turn: nextTurn,
-        dice_state: 'waiting',
-        dice_result: null,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
+    const applied = await applyTimeoutUpdate({
+      timeout_misses: timeoutMisses,
+      consecutive_sixes: consecutiveSixes,
+      escaped_players: escapedPlayers,
+      kicked_players: kickedPlayers,
+      pending_steps: updatedPendingSteps,
+      turn: nextTurn,
+      dice_state: 'waiting',
+      dice_result: null,
+    });
+    if (applied) await recordRoomEvents(roomId, tableName, [timeoutEvent]);
     return;
   }
 
@@ -221,52 +287,46 @@ async function handleTurnTimeout(roomId, tableName, expectedTurn) {
 
   // If we can't resolve playerColor (shouldn't happen), just pass turn.
   if (!playerColor) {
-    await supabaseAdmin
-      .from(tableName)
-      .update({
-        turn: nextTurn,
-        dice_state: 'waiting',
-        dice_result: null,
-        pending_steps: updatedPendingSteps,
-        timeout_misses: timeoutMisses,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
+    const applied = await applyTimeoutUpdate({
+      turn: nextTurn,
+      dice_state: 'waiting',
+      dice_result: null,
+      pending_steps: updatedPendingSteps,
+      timeout_misses: timeoutMisses,
+      consecutive_sixes: consecutiveSixes,
+    });
+    if (applied) await recordRoomEvents(roomId, tableName, [timeoutEvent]);
     return;
   }
 
   // If no dice rolled yet (or invalid), just pass.
   if (room.dice_state === 'waiting' || steps <= 0) {
-    await supabaseAdmin
-      .from(tableName)
-      .update({
-        turn: nextTurn,
-        dice_state: 'waiting',
-        dice_result: null,
-        pending_steps: updatedPendingSteps,
-        timeout_misses: timeoutMisses,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
+    const applied = await applyTimeoutUpdate({
+      turn: nextTurn,
+      dice_state: 'waiting',
+      dice_result: null,
+      pending_steps: updatedPendingSteps,
+      timeout_misses: timeoutMisses,
+      consecutive_sixes: consecutiveSixes,
+    });
+    if (applied) await recordRoomEvents(roomId, tableName, [timeoutEvent]);
     return;
   }
 
   // Dice is rolled: auto-move a random valid token, then ALWAYS pass (per requirement).
   const positions = room.positions?.[playerColor] || {};
-  const validMoves = getValidMoves(positions, steps, config.homePosition);
+  const validMoves = getValidMoves(rules, positions, steps, config.homePosition);
 
   if (!validMoves || validMoves.length === 0) {
-    await supabaseAdmin
-      .from(tableName)
-      .update({
-        turn: nextTurn,
-        dice_state: 'waiting',
-        dice_result: null,
-        pending_steps: updatedPendingSteps,
-        timeout_misses: timeoutMisses,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', roomId);
+    const applied = await applyTimeoutUpdate({
+      turn: nextTurn,
+      dice_state: 'waiting',
+      dice_result: null,
+      pending_steps: updatedPendingSteps,
+      timeout_misses: timeoutMisses,
+      consecutive_sixes: consecutiveSixes,
+    });
+    if (applied) await recordRoomEvents(roomId, tableName, [timeoutEvent]);
     return;
   }
 
@@ -275,103 +335,79 @@ async function handleTurnTimeout(roomId, tableName, expectedTurn) {
   newPositions[playerColor][chosen.tokenName] = chosen.newPos;
 
   // Check for kills
-  if (isTableNonTeamUp(tableName)) {
-    checkForKills(room, playerColor, chosen.newPos, newPositions);
-  } else {
-    const safePositions = getStarPositions(noOfPlayers) || SAFE_POSITIONS;
-    if (chosen.newPos > 0 &&
-        chosen.newPos < config.homeStretch &&
-        !safePositions.includes(chosen.newPos)) {
-      const botCoord = getCoordinateForPosition(playerColor, chosen.newPos, noOfPlayers);
-      if (botCoord) {
-        const isTeamA = ['red', 'yellow'].includes(playerColor);
-        const opponentColors = isTeamA ? ['green', 'blue'] : ['red', 'yellow'];
-        const matches = [];
-
-        for (const otherColor of opponentColors) {
-          const otherTokens = newPositions[otherColor] || {};
-          for (const [tokenName, tokenPos] of Object.entries(otherTokens)) {
-            if (tokenPos > 0 && tokenPos < config.homeStretch) {
-              const otherCoord = getCoordinateForPosition(otherColor, tokenPos, noOfPlayers);
-              if (otherCoord && botCoord[0] === otherCoord[0] && botCoord[1] === otherCoord[1]) {
-                matches.push({ otherColor, tokenName });
-              }
-            }
-          }
-        }
-
-        if (matches.length === 1) {
-          const victim = matches[0];
-          newPositions[victim.otherColor][victim.tokenName] = 0;
-        }
-      }
-    }
-  }
+  const captureResult = resolveCaptures(rules, room, tableName, playerColor, chosen.newPos, newPositions);
 
   let winners = [...(room.winners || [])];
-  const allFinished = Object.values(newPositions[playerColor]).every(pos => pos === config.homePosition);
+  const allFinished = areAllTokensHome(newPositions[playerColor], config.homePosition);
   if (allFinished && !winners.includes(userId)) {
     winners.push(userId);
   }
 
   const updatedPendingStepsAfterMove = { ...updatedPendingSteps, [userId]: 0 };
 
-  const gameFinished = winners.length >= Object.keys(room.players || {}).length - 1;
+  const gameFinished = isTableNonTeamUp(tableName)
+    ? isGameFinished(rules, { winners, playerCount: Object.keys(room.players || {}).length })
+    : getWinningTeamIfAny({ room, positions: newPositions, homePosition: config.homePosition }).length === 2;
 
-  await supabaseAdmin
-    .from(tableName)
-    .update({
-      positions: newPositions,
-      pending_steps: updatedPendingStepsAfterMove,
-      timeout_misses: timeoutMisses,
-      dice_state: 'waiting',
-      dice_result: null,
-      turn: nextTurn,
-      winners: winners,
-      game_state: gameFinished ? 'finished' : 'playing',
-      updated_at: new Date().toISOString(),
-    })
-    .eq('room_id', roomId);
+  const applied = await applyTimeoutUpdate({
+    positions: newPositions,
+    pending_steps: updatedPendingStepsAfterMove,
+    timeout_misses: timeoutMisses,
+    consecutive_sixes: consecutiveSixes,
+    dice_state: 'waiting',
+    dice_result: null,
+    turn: nextTurn,
+    winners: winners,
+    game_state: gameFinished ? 'finished' : 'playing',
+  });
+  if (!applied) return;
+
+  await recordRoomEvents(roomId, tableName, [
+    ...tokenMoveEvents(userId, {
+      color: playerColor,
+      tokenName: chosen.tokenName,
+      from: chosen.currentPos,
+      to: chosen.newPos,
+      steps,
+      killedTokens: captureResult.killedTokens,
+      extraTurn: false,
+      nextTurn,
+    }),
+    timeoutEvent,
+    gameFinished && gameFinishedEvent(winners),
+  ]);
+
+  if (gameFinished) {
+    await revealDiceSeedSafely(roomId, tableName);
+    const finishedRoom = { ...room, positions: newPositions, winners, game_state: 'finished' };
+    await settleFinishedBotRoom(tableName, finishedRoom, isTeamUpTable(tableName)
+      ? [getWinningTeamIfAny({ room, positions: newPositions, homePosition: config.homePosition })]
+      : winners);
+  }
 
-  if (gameFinished && tableName !== 'tournament_rooms') {
+  if (gameFinished && tableName !== ROOM_TABLES.tournament) {
     try {
-      const { data: lockRow, error: lockErr } = await supabaseAdmin
-        .from(tableName)
-        .update({ events_tracked: true, events_tracked_at: new Date().toISOString() })
-        .eq('room_id', roomId)
-        .eq('events_tracked', false)
-        .select('room_id')
-        .maybeSingle();
-
-      if (lockErr) {
-        if (lockErr.code !== 'PGRST116') {
-          console.error('[UserStats] events_tracked lock error (bot):', lockErr);
-        }
-      }
+      const claimed = await claimRoomFlag(tableName, roomId, 'events_tracked');
+      if (claimed) {
+        const allPlayerIds = Object.keys(room.players || {});
 
-      if (lockRow) {
-        const players = room.players || {};
-        const allPlayerIds = Object.keys(players);
-        const humanIds = allPlayerIds.filter((id) => !isBotId(id));
-
-        if (tableName === DEFAULT_TABLES.teamUp) {
+        if (tableName === ROOM_TABLES.teamUp) {
           const winningTeam = getWinningTeamIfAny({
             room,
             positions: newPositions,
             homePosition: config.homePosition,
           });
-          const winningHumans = (winningTeam || []).filter((id) => !isBotId(id));
-          const losingHumans = humanIds.filter((id) => !(winningTeam || []).includes(id));
-          await recordMatchResult({ winnerUserIds: winningHumans, loserUserIds: losingHumans });
+          await recordMatchResult({
+            winnerUserIds: winningTeam || [],
+            loserUserIds: allPlayerIds.filter((id) => !(winningTeam || []).includes(id)),
+            mode: ratingModeForTable(tableName),
+          });
         } else {
           const winnerId = winners?.[0];
-          const winnerIsBot = winnerId && isBotId(winnerId);
-          const loserHumanIds = winnerIsBot
-            ? humanIds
-            : humanIds.filter((id) => id !== winnerId);
           await recordMatchResult({
-            winnerUserIds: winnerIsBot || !winnerId ? [] : [winnerId],
-            loserUserIds: loserHumanIds,
+            winnerUserIds: winnerId ? [winnerId] : [],
+            loserUserIds: allPlayerIds.filter((id) => id !== winnerId),
+            mode: ratingModeForTable(tableName),
           });
         }
       }
@@ -381,6 +417,56 @@ async function handleTurnTimeout(roomId, tableName, expectedTurn) {
   }
 }
 
+// Disconnected players are removed when their deadline in
+// room.disconnect_deadlines passes. The removal itself lives with the route
+// that owns the game rules (routes/teamup.js registers it).
+let disconnectRemovalHandler = null;
+
+function setDisconnectRemovalHandler(handler) {
+  disconnectRemovalHandler = handler;
+}
+
+function clearDisconnectRemovals(roomId, tableName) {
+  const prefix = `${tableName}:${roomId}:`;
+  for (const [key, timer] of disconnectRemovalTimers) {
+    if (!key.startsWith(prefix)) continue;
+    clearTimeout(timer.timeoutId);
+    disconnectRemovalTimers.delete(key);
+  }
+}
+
+function scheduleDisconnectRemovals(room, tableName) {
+  const roomId = room.room_id;
+  const deadlines = room.disconnect_deadlines || {};
+  const prefix = `${tableName}:${roomId}:`;
+
+  // Reconnected players, or a deadline that was moved
+  for (const [key, timer] of disconnectRemovalTimers) {
+    if (!key.startsWith(prefix)) continue;
+    if (deadlines[key.slice(prefix.length)] === timer.deadline) continue;
+    clearTimeout(timer.timeoutId);
+    disconnectRemovalTimers.delete(key);
+  }
+
+  for (const [userId, deadline] of Object.entries(deadlines)) {
+    const key = `${prefix}${userId}`;
+    if (disconnectRemovalTimers.has(key)) continue;
+
+    const timeoutId = setTimeout(async () => {
+      disconnectRemovalTimers.delete(key);
+      try {
+        if (!disconnectRemovalHandler) return;
+        if (!(await acquireRoomLease(tableName, roomId))) return;
+        await disconnectRemovalHandler(roomId, userId);
+      } catch (e) {
+        console.error(` [DISCONNECT TIMER] Error removing ${userId} from ${roomId}:`, e);
+      }
+    }, Math.max(0, Date.parse(deadline) - Date.now()));
+
+    disconnectRemovalTimers.set(key, { deadline, timeoutId });
+  }
+}
+
 function getBotProfile(botId) {
   return BOT_PROFILES[botId] || { name: 'Bot', avatar: 'assets/images/avatars/avatarmale1.png' };
 }
@@ -389,12 +475,13 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms + Math.random() * 300));
 }
 
-function rollDice() {
-  return Math.floor(Math.random() * 6) + 1;
+// Bots share the provably fair generator with human players
+function rollDice(room, tableName) {
+  return rollDiceForRoom(room, tableName, room.turn);
 }
 
-function getTurnOrderForRoom(noOfPlayers, tableName = DEFAULT_TABLES.teamUp) {
-  if (tableName === DEFAULT_TABLES.teamUp) {
+function getTurnOrderForRoom(noOfPlayers, tableName = ROOM_TABLES.teamUp) {
+  if (tableName === ROOM_TABLES.teamUp) {
     return TEAM_UP_TURN_ORDER;
   }
 
@@ -405,11 +492,15 @@ function getTurnOrderForRoom(noOfPlayers, tableName = DEFAULT_TABLES.teamUp) {
   return ['red', 'orange', 'green', 'yellow', 'purple', 'blue'];
 }
 
-function getNextTurn(players, currentUserId, skipPlayers = [], noOfPlayers = 4, tableName = DEFAULT_TABLES.teamUp) {
+function getNextTurn(players, currentUserId, skipPlayers = [], noOfPlayers = 4, tableName = ROOM_TABLES.teamUp) {
   const currentColor = players[currentUserId];
   if (!currentColor) return null;
 
-  const turnOrder = getTurnOrderForRoom(noOfPlayers, tableName);
+  let turnOrder = getTurnOrderForRoom(noOfPlayers, tableName);
+  // Same red vs blue 2-player seating fallback as gameHelpers.getNextTurn
+  if (Object.values(players).some((color) => !turnOrder.includes(color))) {
+    turnOrder = getTurnOrderForRoom(4, ROOM_TABLES.online);
+  }
 
   const currentIndex = turnOrder.indexOf(currentColor);
   if (currentIndex === -1) return null;
@@ -427,43 +518,6 @@ function getNextTurn(players, currentUserId, skipPlayers = [], noOfPlayers = 4,
   return null;
 }
 
-function hasValidMoves(positions, diceResult, homePosition) {
-  for (const pos of Object.values(positions)) {
-    if (pos === 0 && diceResult === 6) return true;
-    if (pos > 0 && pos < homePosition && pos + diceResult <= homePosition) return true;
-  }
-  return false;
-}
-
-function getValidMoves(positions, diceResult, homePosition) {
-  const moves = [];
-  const tokenNames = ['tokenA', 'tokenB', 'tokenC', 'tokenD'];
-  
-  for (const tokenName of tokenNames) {
-    const pos = positions[tokenName] || 0;
-    
-    if (pos === 0 && diceResult === 6) {
-      moves.push({ tokenName, currentPos: pos, newPos: 1, type: 'exit' });
-    } else if (pos > 0 && pos < homePosition) {
-      const newPos = pos + diceResult;
-      if (newPos <= homePosition) {
-        moves.push({ tokenName, currentPos: pos, newPos, type: newPos === homePosition ? 'finish' : 'move' });
-      }
-    }
-  }
-  return moves;
-}
-
-function getCoordinateForPosition(color, position, noOfPlayers) {
-  let positionMap;
-  switch (noOfPlayers) {
-    case 5: positionMap = positions5Player; break;
-    case 6: positionMap = positions6Player; break;
-    default: positionMap = positions4Player;
-  }
-  return positionMap[color]?.[position] || null;
-}
-
 function decideBestMove(validMoves, color, allPositions, noOfPlayers) {
   if (validMoves.length === 0) return null;
   if (validMoves.length === 1) return validMoves[0];
@@ -486,20 +540,30 @@ function decideBestMove(validMoves, color, allPositions, noOfPlayers) {
 }
 
 // ============================================
-// ROOM SUBSCRIPTION MANAGEMENT
+// ROOM STATE TRACKING
 // ============================================
 
+// Tables whose turns this service drives (bot turns and turn timers)
+const DRIVEN_TABLES = [ROOM_TABLES.teamUp, ROOM_TABLES.online, ROOM_TABLES.friend];
+
 // Keyed by `${tableName}:${roomId}`
-const activeRoomSubscriptions = new Map();
+const activeRooms = new Set();
 const processingRooms = new Set();
 const turnTimeouts = new Map();
+// Keyed by `${tableName}:${roomId}:${userId}`
+const disconnectRemovalTimers = new Map();
+
+// Highest state_version handled per room. A local write arrives twice (event
+// bus, then realtime); only the first copy is acted on.
+const handledVersions = new Map();
+const HANDLED_VERSION_LIMIT = 5000;
 
 
 // ============================================
 // SINGLE ENTRY POINT - HANDLE BOT TURN
 // ============================================
 
-async function handleBotTurn(room, tableName = DEFAULT_TABLES.teamUp) {
+async function handleBotTurn(room, tableName = ROOM_TABLES.teamUp) {
   if (!room.turn) return;
   const isDisconnectedTurn = (room.disconnected_players || []).includes(room.turn);
   if (!isBot(room.turn) && !isDisconnectedTurn) return;
@@ -545,21 +609,66 @@ async function botRoll(room, tableName) {
   console.log(` [BOT] Rolling dice for ${room.turn}...`);
   await delay(BOT_TIMING.ROLL_DELAY);
   
-  const diceResult = rollDice();
+  const roll = await rollDice(room, tableName);
+  const diceResult = roll.diceResult;
   console.log(` [BOT] Rolled: ${diceResult}`);
+
+  const botId = room.turn;
+  const streak = evaluateSixesStreak(getRules(room), room, botId, diceResult);
+
+  if (streak.forfeit) {
+    const skipPlayers = [
+      ...(room.winners || []),
+      ...(room.escaped_players || []),
+      ...(room.kicked_players || []),
+    ];
+    const nextTurn = getNextTurn(
+      room.players,
+      botId,
+      skipPlayers,
+      room.no_of_players || 4,
+      tableName,
+    );
+
+    const forfeited = await applyBotTransition(tableName, room, {
+      from: { turn: botId, dice_state: 'waiting', dice_roll_count: roll.rollIndex },
+      to: {
+        ...roll.update,
+        ...getSixesForfeitUpdate(room, botId, streak, nextTurn),
+        updated_at: new Date().toISOString(),
+      },
+    }, 'Roll');
+
+    if (forfeited) {
+      console.log(` [BOT] Third six in a row - turn forfeited, next: ${nextTurn}`);
+      await recordRoomEvents(room.room_id, tableName, [
+        { type: ROOM_EVENT_TYPES.DICE_ROLLED, userId: botId, payload: { value: diceResult, rollIndex: roll.rollIndex } },
+        {
+          type: ROOM_EVENT_TYPES.TURN_FORFEITED,
+          userId: botId,
+          payload: { reason: 'three_sixes', nextTurn, restoredPositions: streak.restorePositions },
+        },
+      ]);
+    }
+    return;
+  }
   
-  const { error } = await supabaseAdmin
-    .from(tableName)
-    .update({
+  const rolled = await applyBotTransition(tableName, room, {
+    from: { turn: room.turn, dice_state: 'waiting', dice_roll_count: roll.rollIndex },
+    to: {
+      ...roll.update,
+      ...getSixesStreakUpdate(streak),
       dice_state: 'rolling',
-      dice_result: diceResult,
       updated_at: new Date().toISOString(),
-    })
-    .eq('room_id', room.room_id)
-    .eq('turn', room.turn)
-    .eq('dice_state', 'waiting');
+    },
+  }, 'Roll');
   
-  if (error) console.error(` [BOT] Roll error:`, error);
+  if (rolled) {
+    await recordRoomEvent(room.room_id, tableName, ROOM_EVENT_TYPES.DICE_ROLLED, botId, {
+      value: diceResult,
+      rollIndex: roll.rollIndex,
+    });
+  }
 }
 
 async function botCompleteDice(room, tableName) {
@@ -579,22 +688,19 @@ async function botCompleteDice(room, tableName) {
     ...(room.kicked_players || []),
   ];
   
-  const hasValid = hasValidMoves(positions, diceResult, config.homePosition);
+  const hasValid = hasValidMoves(getRules(room), positions, diceResult, config.homePosition);
   
   if (hasValid) {
-    const { error } = await supabaseAdmin
-      .from(tableName)
-      .update({
+    const completed = await applyBotTransition(tableName, room, {
+      from: { turn: botId, dice_state: 'rolling' },
+      to: {
         dice_state: 'complete',
         pending_steps: { ...room.pending_steps, [botId]: diceResult },
         updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', room.room_id)
-      .eq('turn', botId)
-      .eq('dice_state', 'rolling');
+      },
+    }, 'Complete dice');
     
-    if (error) console.error(` [BOT] Complete dice error:`, error);
-    else console.log(` [BOT] Dice completed, pending: ${diceResult}`);
+    if (completed) console.log(` [BOT] Dice completed, pending: ${diceResult}`);
   } else {
     const nextTurn = getNextTurn(
       room.players,
@@ -604,21 +710,25 @@ async function botCompleteDice(room, tableName) {
       tableName,
     );
     
-    const { error } = await supabaseAdmin
-      .from(tableName)
-      .update({
+    const passed = await applyBotTransition(tableName, room, {
+      from: { turn: botId, dice_state: 'rolling' },
+      to: {
         dice_state: 'waiting',
         dice_result: null,
         turn: nextTurn,
         pending_steps: { ...room.pending_steps, [botId]: 0 },
         updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', room.room_id)
-      .eq('turn', botId)
-      .eq('dice_state', 'rolling');
+      },
+    }, 'Pass turn');
     
-    if (error) console.error(` [BOT] Pass turn error:`, error);
-    else console.log(` [BOT] No moves, passed to ${nextTurn}`);
+    if (passed) {
+      console.log(` [BOT] No moves, passed to ${nextTurn}`);
+      await recordRoomEvent(room.room_id, tableName, ROOM_EVENT_TYPES.TURN_PASSED, botId, {
+        reason: 'no_valid_moves',
+        diceResult,
+        nextTurn,
+      });
+    }
   }
 }
 
@@ -644,7 +754,8 @@ async function botMove(room, tableName) {
     return;
   }
   
-  const validMoves = getValidMoves(positions, pendingSteps, config.homePosition);
+  const rules = getRules(room);
+  const validMoves = getValidMoves(rules, positions, pendingSteps, config.homePosition);
   const bestMove = decideBestMove(validMoves, botColor, room.positions, noOfPlayers);
   
   if (!bestMove) {
@@ -657,18 +768,24 @@ async function botMove(room, tableName) {
       tableName,
     );
     
-    await supabaseAdmin
-      .from(tableName)
-      .update({
+    const passed = await applyBotTransition(tableName, room, {
+      from: { turn: botId, dice_state: 'complete' },
+      to: {
         dice_state: 'waiting',
         dice_result: null,
         turn: nextTurn,
         pending_steps: { ...room.pending_steps, [botId]: 0 },
         updated_at: new Date().toISOString(),
-      })
-      .eq('room_id', room.room_id)
-      .eq('turn', botId)
-      .eq('dice_state', 'complete');
+      },
+    }, 'Pass turn');
+
+    if (passed) {
+      await recordRoomEvent(room.room_id, tableName, ROOM_EVENT_TYPES.TURN_PASSED, botId, {
+        reason: 'no_valid_moves',
+        diceResult: pendingSteps,
+        nextTurn,
+      });
+    }
     return;
   }
   
@@ -678,85 +795,37 @@ async function botMove(room, tableName) {
   newPositions[botColor][bestMove.tokenName] = bestMove.newPos;
 
   // Check for kills
-  let madeKill = false;
-  if (tableName === DEFAULT_TABLES.online) {
-    const killResult = checkForKills(room, botColor, bestMove.newPos, newPositions);
-    madeKill = killResult.bonusRoll === true;
-  } else {
-    // Legacy team_up_rooms kill logic
-    const safePositions = getStarPositions(noOfPlayers) || SAFE_POSITIONS;
-    if (bestMove.newPos > 0 &&
-        bestMove.newPos < config.homeStretch &&
-        !safePositions.includes(bestMove.newPos)) {
-      const botCoord = getCoordinateForPosition(botColor, bestMove.newPos, noOfPlayers);
-      if (botCoord) {
-        const isTeamA = ['red', 'yellow'].includes(botColor);
-        const opponentColors = isTeamA ? ['green', 'blue'] : ['red', 'yellow'];
-        const matches = [];
-
-        for (const otherColor of opponentColors) {
-          const otherTokens = newPositions[otherColor] || {};
-          for (const [tokenName, tokenPos] of Object.entries(otherTokens)) {
-            if (tokenPos > 0 && tokenPos < config.homeStretch) {
-              const otherCoord = getCoordinateForPosition(otherColor, tokenPos, noOfPlayers);
-              if (otherCoord && botCoord[0] === otherCoord[0] && botCoord[1] === otherCoord[1]) {
-                matches.push({ otherColor, tokenName });
-              }
-            }
-          }
-        }
-
-        if (matches.length === 1) {
-          const victim = matches[0];
-          newPositions[victim.otherColor][victim.tokenName] = 0;
-          madeKill = true;
-          console.log(` [BOT] Killed ${victim.otherColor}:${victim.tokenName}!`);
-        }
-      }
-    }
+  const captureResult = resolveCaptures(rules, room, tableName, botColor, bestMove.newPos, newPositions);
+  const madeKill = captureResult.killedTokens.length > 0;
+  if (madeKill) {
+    console.log(` [BOT] Killed ${captureResult.killedTokens.join(', ')}!`);
   }
   
   let winners = [...(room.winners || [])];
-  const allFinished = Object.values(newPositions[botColor]).every(pos => pos === config.homePosition);
+  const allFinished = areAllTokensHome(newPositions[botColor], config.homePosition);
   if (allFinished && !winners.includes(botId)) {
     winners.push(botId);
     console.log(` [BOT] ${botId} finished! Position: ${winners.length}`);
   }
 
-  const isTeamUpTable = tableName === DEFAULT_TABLES.teamUp;
+  const isTeamUpTable = tableName === ROOM_TABLES.teamUp;
   let winningTeam = [];
-  const getTeamWinIfAny = () => {
-    const teamA = room.team_a || [];
-    const teamB = room.team_b || [];
-    if (teamA.length !== 2 || teamB.length !== 2) return [];
-
-    const allTokensFinishedFor = (userId) => {
-      const color = room.players?.[userId];
-      if (!color) return false;
-      const pos = newPositions[color];
-      if (!pos) return false;
-      return Object.values(pos).every((p) => p === config.homePosition);
-    };
 
-    const teamAFinished = teamA.every((id) => allTokensFinishedFor(id));
-    const teamBFinished = teamB.every((id) => allTokensFinishedFor(id));
-
-    if (teamAFinished && !teamBFinished) return teamA;
-    if (teamBFinished && !teamAFinished) return teamB;
-    return [];
-  };
-  
   const updatedSkipPlayers = [...skipPlayers, ...winners.filter(w => !skipPlayers.includes(w))];
   const gotSix = pendingSteps === 6;
   const reachedFinish = bestMove.newPos === config.homePosition;
-  const keepsTurn = (gotSix || madeKill || reachedFinish) && !allFinished;
+  const keepsTurn = earnsExtraTurn(rules, {
+    steps: pendingSteps,
+    captured: madeKill,
+    reachedHome: reachedFinish,
+  }) && !allFinished;
   const nextTurn = keepsTurn
     ? botId
     : getNextTurn(room.players, botId, updatedSkipPlayers, noOfPlayers, tableName);
 
   let gameFinished;
   if (isTeamUpTable) {
-    winningTeam = getTeamWinIfAny();
+    winningTeam = getWinningTeamIfAny({ room, positions: newPositions, homePosition: config.homePosition });
     gameFinished = winningTeam.length === 2;
     if (gameFinished) {
       const teamA = room.team_a || [];
@@ -773,14 +842,14 @@ async function botMove(room, tableName) {
       winners = [...winningOrder, ...winningRemaining, ...losingOrder, ...losingRemaining];
     }
   } else {
-    gameFinished = winners.length >= Object.keys(room.players).length - 1;
+    gameFinished = isGameFinished(rules, { winners, playerCount: Object.keys(room.players).length });
   }
   
   console.log(` [BOT] Next turn: ${nextTurn} (six=${gotSix}, kill=${madeKill}, finish=${reachedFinish})`);
   
-  const { error } = await supabaseAdmin
-    .from(tableName)
-    .update({
+  const moved = await applyBotTransition(tableName, room, {
+    from: { turn: botId, dice_state: 'complete' },
+    to: {
       positions: newPositions,
       pending_steps: { ...room.pending_steps, [botId]: 0 },
       dice_state: 'waiting',
@@ -789,45 +858,49 @@ async function botMove(room, tableName) {
       winners: winners,
       game_state: gameFinished ? 'finished' : 'playing',
       updated_at: new Date().toISOString(),
-    })
-    .eq('room_id', room.room_id)
-    .eq('turn', botId)
-    .eq('dice_state', 'complete');
+    },
+  }, 'Move');
+
+  if (moved) {
+    await recordRoomEvents(room.room_id, tableName, [
+      ...tokenMoveEvents(botId, {
+        color: botColor,
+        tokenName: bestMove.tokenName,
+        from: bestMove.currentPos,
+        to: bestMove.newPos,
+        steps: pendingSteps,
+        killedTokens: captureResult.killedTokens,
+        extraTurn: keepsTurn,
+        nextTurn,
+      }),
+      gameFinished && gameFinishedEvent(winners, isTeamUpTable ? { winningTeam } : {}),
+    ]);
+  }
 
-  if (!error && gameFinished && tableName !== 'tournament_rooms') {
-    try {
-      const { data: lockRow, error: lockErr } = await supabaseAdmin
-        .from(tableName)
-        .update({ events_tracked: true, events_tracked_at: new Date().toISOString() })
-        .eq('room_id', room.room_id)
-        .eq('events_tracked', false)
-        .select('room_id')
-        .maybeSingle();
-
-      if (lockErr) {
-        if (lockErr.code !== 'PGRST116') {
-          console.error('[UserStats] events_tracked lock error (bot ai):', lockErr);
-        }
-      }
+  if (moved && gameFinished) {
+    await revealDiceSeedSafely(room.room_id, tableName);
+    const finishedRoom = { ...room, positions: newPositions, winners, game_state: 'finished' };
+    await settleFinishedBotRoom(tableName, finishedRoom, isTeamUpTable ? [winningTeam] : winners);
+  }
 
-      if (lockRow) {
-        const players = room.players || {};
-        const allPlayerIds = Object.keys(players);
-        const humanIds = allPlayerIds.filter((id) => !isBotId(id));
+  if (moved && gameFinished && tableName !== ROOM_TABLES.tournament) {
+    try {
+      const claimed = await claimRoomFlag(tableName, room.room_id, 'events_tracked');
+      if (claimed) {
+        const allPlayerIds = Object.keys(room.players || {});
 
         if (isTeamUpTable) {
-          const winningHumans = (winningTeam || []).filter((id) => !isBotId(id));
-          const losingHumans = humanIds.filter((id) => !(winningTeam || []).includes(id));
-          await recordMatchResult({ winnerUserIds: winningHumans, loserUserIds: losingHumans });
+          await recordMatchResult({
+            winnerUserIds: winningTeam || [],
+            loserUserIds: allPlayerIds.filter((id) => !(winningTeam || []).includes(id)),
+            mode: ratingModeForTable(tableName),
+          });
         } else {
           const winnerId = winners?.[0];
-          const winnerIsBot = winnerId && isBotId(winnerId);
-          const loserHumanIds = winnerIsBot
-            ? humanIds
-            : humanIds.filter((id) => id !== winnerId);
           await recordMatchResult({
-            winnerUserIds: winnerIsBot || !winnerId ? [] : [winnerId],
-            loserUserIds: loserHumanIds,
+            winnerUserIds: winnerId ? [winnerId] : [],
+            loserUserIds: allPlayerIds.filter((id) => id !== winnerId),
+            mode: ratingModeForTable(tableName),
           });
         }
       }
@@ -836,66 +909,226 @@ async function botMove(room, tableName) {
     }
   }
   
-  if (error) console.error(` [BOT] Move error:`, error);
-  else console.log(` [BOT] Move complete`);
+  if (moved) console.log(` [BOT] Move complete`);
 }
 
 
 // ============================================
-// ROOM SUBSCRIPTION
+// ROOM CHANGES (EVENT BUS + REALTIME FALLBACK)
 // ============================================
 
-function subscribeToRoom(roomId) {
-  return subscribeToRoomInTable(roomId, DEFAULT_TABLES.teamUp);
+function isNewRoomState(tableName, room) {
+  if (room.state_version === undefined || room.state_version === null) return true;
+
+  const key = `${tableName}:${room.room_id}`;
+  const version = Number(room.state_version);
+  const handled = handledVersions.get(key);
+  if (handled !== undefined && version <= handled) return false;
+
+  handledVersions.delete(key);
+  handledVersions.set(key, version);
+  if (handledVersions.size > HANDLED_VERSION_LIMIT) {
+    handledVersions.delete(handledVersions.keys().next().value);
+  }
+  return true;
 }
 
-function subscribeToRoomInTable(roomId, tableName) {
+// Drop this instance's duties for a room (finished, deleted or owned elsewhere)
+function forgetRoom(tableName, roomId) {
   const key = `${tableName}:${roomId}`;
-  if (activeRoomSubscriptions.has(key)) {
-    console.log(` [BOT] Already subscribed to room ${key}`);
+  activeRooms.delete(key);
+  handledVersions.delete(key);
+  clearTurnTimeout(roomId, tableName);
+  clearDisconnectRemovals(roomId, tableName);
+}
+
+async function ownsRoom(tableName, roomId) {
+  if (await acquireRoomLease(tableName, roomId)) return true;
+  forgetRoom(tableName, roomId);
+  return false;
+}
+
+// Owner-only duties for a playing room: timers, then the bot turn.
+async function driveRoom(tableName, room) {
+  const key = `${tableName}:${room.room_id}`;
+  scheduleTurnTimeout(room, tableName);
+  scheduleDisconnectRemovals(room, tableName);
+
+  if (!activeRooms.has(key)) {
+    activeRooms.add(key);
+    console.log(` [BOT] Driving room ${key}`);
+  }
+  await handleBotTurn(room, tableName);
+}
+
+// Single handler for every room write, wherever it was observed.
+async function handleRoomChange(tableName, room, type = ROOM_CHANGE_TYPES.UPDATE) {
+  if (!DRIVEN_TABLES.includes(tableName) || !room?.room_id) return;
+  const roomId = room.room_id;
+
+  if (type === ROOM_CHANGE_TYPES.DELETE || room.game_state === 'finished') {
+    if (activeRooms.has(`${tableName}:${roomId}`)) console.log(` [BOT] Done with ${tableName}:${roomId}`);
+    forgetRoom(tableName, roomId);
+    await releaseRoomLease(tableName, roomId);
     return;
   }
-  
-  console.log(` [BOT] Subscribing to room ${roomId} in ${tableName}...`);
-  
+  if (room.game_state !== 'playing') return;
+
+  // Versions are only recorded by the owner, so a room adopted after
+  // failover is handled even if this instance saw its last write before
+  if (!(await ownsRoom(tableName, roomId))) return;
+  if (!isNewRoomState(tableName, room)) return;
+
+  await driveRoom(tableName, room);
+}
+
+let stopListeningToBus = null;
+
+function startEventBusListener() {
+  if (stopListeningToBus) return;
+  stopListeningToBus = onRoomChange(({ type, tableName, room }) => handleRoomChange(tableName, room, type));
+  console.log(' [BOT] Listening to game event bus');
+}
+
+// Realtime only matters for writes made by other server instances.
+const REALTIME_RETRY_MS = { initial: 1_000, max: 30_000 };
+const REALTIME_DROP_STATUSES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'];
+
+// tableName -> { channel, retryTimer, attempts, dropped }
+const realtimeWatchers = new Map();
+
+function watchTable(tableName) {
+  if (realtimeWatchers.has(tableName)) {
+    console.log(` [BOT WATCHER] ${tableName} already watched`);
+    return;
+  }
+
+  const watcher = { channel: null, retryTimer: null, attempts: 0, dropped: false };
+  realtimeWatchers.set(tableName, watcher);
+  subscribeWatcher(tableName, watcher);
+}
+
+function subscribeWatcher(tableName, watcher) {
   const channel = supabaseAdmin
-    .channel(`bot-room-${tableName}-${roomId}`)
+    .channel(`bot-watcher-${tableName}`)
     .on(
       'postgres_changes',
-      {
-        event: 'UPDATE',
-        schema: 'public',
-        table: tableName,
-        filter: `room_id=eq.${roomId}`,
-      },
-      async (payload) => {
-        if (payload.new) {
-          scheduleTurnTimeout(payload.new, tableName);
-          await handleBotTurn(payload.new, tableName);
+      { event: 'UPDATE', schema: 'public', table: tableName },
+      (payload) => handleRoomChange(tableName, payload.new),
+    )
+    .subscribe((status, error) => {
+      // Ignore late callbacks from a channel that was stopped or replaced
+      if (realtimeWatchers.get(tableName) !== watcher || watcher.channel !== channel) return;
+      console.log(` [BOT WATCHER] ${tableName}: ${status}`);
+
+      if (status === 'SUBSCRIBED') {
+        const recovered = watcher.dropped;
+        watcher.attempts = 0;
+        watcher.dropped = false;
+        if (recovered) {
+          resyncTable(tableName).then((rooms) => {
+            if (rooms) console.log(` [BOT WATCHER] Resynced ${rooms.length} playing rooms in ${tableName}`);
+          });
         }
+        return;
+      }
+
+      if (REALTIME_DROP_STATUSES.includes(status)) {
+        scheduleResubscribe(tableName, watcher, error);
       }
-    )
-    .subscribe((status) => {
-      console.log(` [BOT] Room ${roomId} (${tableName}) subscription: ${status}`);
     });
-  
-  activeRoomSubscriptions.set(key, channel);
+
+  watcher.channel = channel;
 }
 
-async function unsubscribeFromRoom(roomId) {
-  await unsubscribeFromRoomInTable(roomId, DEFAULT_TABLES.teamUp);
+function scheduleResubscribe(tableName, watcher, error) {
+  if (watcher.retryTimer) return;
+
+  const delayMs = Math.min(REALTIME_RETRY_MS.initial * 2 ** watcher.attempts, REALTIME_RETRY_MS.max);
+  watcher.attempts += 1;
+  watcher.dropped = true;
+  console.warn(
+    `⚠️ [BOT WATCHER] ${tableName} realtime dropped${error ? ` (${error.message ?? error})` : ''}, resubscribing in ${delayMs}ms`,
+  );
+
+  const stale = watcher.channel;
+  watcher.channel = null;
+  Promise.resolve(supabaseAdmin.removeChannel(stale)).catch(() => {});
+
+  watcher.retryTimer = setTimeout(() => {
+    watcher.retryTimer = null;
+    if (realtimeWatchers.get(tableName) !== watcher) return;
+    subscribeWatcher(tableName, watcher);
+  }, delayMs);
 }
 
-async function unsubscribeFromRoomInTable(roomId, tableName) {
-  const key = `${tableName}:${roomId}`;
-  const channel = activeRoomSubscriptions.get(key);
-  if (channel) {
-    await supabaseAdmin.removeChannel(channel);
-    activeRoomSubscriptions.delete(key);
-    console.log(` [BOT] Unsubscribed from room ${key}`);
+// Run every playing room in a table through handleRoomChange: catches up on
+// writes missed while the realtime socket was down and adopts rooms whose
+// owner stopped renewing its lease. Returns the rooms, or null if the read failed.
+async function resyncTable(tableName) {
+  const { data: rooms, error } = await supabaseAdmin
+    .from(tableName)
+    .select('*')
+    .eq('game_state', 'playing');
+
+  if (error) {
+    console.error(` [BOT WATCHER] Resync of ${tableName} failed:`, error);
+    return null;
+  }
+
+  for (const room of rooms) {
+    handleRoomChange(tableName, room).catch((e) => {
+      console.error(` [BOT WATCHER] Resync error for ${tableName}:${room.room_id}:`, e);
+    });
+  }
+  return rooms;
+}
+
+// Failover: a room whose owner died is adopted by the first sweep after its
+// lease expires, so within about two lease TTLs
+const ROOM_SWEEP_MS = LEASE_TTL_MS;
+let roomSweepTimer = null;
+
+async function sweepDrivenRooms() {
+  const sweepStartedAt = Date.now();
+  const playing = new Set();
+  for (const tableName of DRIVEN_TABLES) {
+    const rooms = await resyncTable(tableName);
+    if (!rooms) return;
+    for (const room of rooms) playing.add(`${tableName}:${room.room_id}`);
+  }
+
+  // Give back rooms that stopped playing without this instance seeing the
+  // final write (leases taken during this sweep may be newer than the read).
+  // Leases on anything other than a driven room belong to other services.
+  for (const { tableName, roomId, acquiredAt } of listHeldRoomLeases()) {
+    if (!DRIVEN_TABLES.includes(tableName)) continue;
+    if (acquiredAt >= sweepStartedAt || playing.has(`${tableName}:${roomId}`)) continue;
+    forgetRoom(tableName, roomId);
+    await releaseRoomLease(tableName, roomId);
   }
 }
 
+async function unwatchTable(tableName) {
+  const watcher = realtimeWatchers.get(tableName);
+  if (!watcher) return;
+
+  realtimeWatchers.delete(tableName);
+  clearTimeout(watcher.retryTimer);
+  if (watcher.channel) await supabaseAdmin.removeChannel(watcher.channel);
+  console.log(`🛑 [BOT WATCHER] Stopped watching ${tableName}`);
+}
+
+// Bots for a room are driven by room changes; these only mark the room as
+// active and play a turn that is already waiting.
+function subscribeToRoom(roomId) {
+  activeRooms.add(`${ROOM_TABLES.teamUp}:${roomId}`);
+}
+
+async function unsubscribeFromRoom(roomId) {
+  activeRooms.delete(`${ROOM_TABLES.teamUp}:${roomId}`);
+}
+
 // ============================================
 // BOT MANAGEMENT
 // ============================================
@@ -903,13 +1136,9 @@ async function unsubscribeFromRoomInTable(roomId, tableName) {
  async function addBotToRoom(roomId, botIndex = 0) {
   const botId = FIXED_BOT_IDS[botIndex % FIXED_BOT_IDS.length];
   
-  const { data: room, error } = await supabaseAdmin
-    .from('team_up_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
+  const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
   
-  if (error || !room) throw new Error('Room not found');
+  if (!room) throw new Error('Room not found');
 
   const teamA = room.team_a || [];
   const teamB = room.team_b || [];
@@ -960,29 +1189,22 @@ async function unsubscribeFromRoomInTable(roomId, tableName) {
     newPositions[botColor] = { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 };
   }
   
-  await supabaseAdmin
-    .from('team_up_rooms')
-    .update({
-      players: newPlayers,
-      team_a: newTeamA,
-      team_b: newTeamB,
-      positions: newPositions,
-      updated_at: new Date().toISOString(),
-    })
-    .eq('room_id', roomId);
+  await updateRoomWhere(ROOM_TABLES.teamUp, { room_id: roomId }, {
+    players: newPlayers,
+    team_a: newTeamA,
+    team_b: newTeamB,
+    positions: newPositions,
+    updated_at: new Date().toISOString(),
+  });
   
   console.log(` [BOT] Added ${botId} as ${botColor} to room ${roomId}`);
   return { botId, alreadyInRoom: false, color: botColor };
 }
 
 async function fillRoomWithBots(roomId) {
-  const { data: room, error } = await supabaseAdmin
-    .from('team_up_rooms')
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
+  const room = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
   
-  if (error || !room) throw new Error('Room not found');
+  if (!room) throw new Error('Room not found');
   
   const currentPlayerCount = (room.team_a || []).length + (room.team_b || []).length;
   const botsNeeded = Math.max(0, 4 - currentPlayerCount);
@@ -1007,11 +1229,7 @@ async function fillRoomWithBots(roomId) {
     const result = await addBotToRoom(roomId, botIndex);
     if (!result.alreadyInRoom) addedBots.push(result.botId);
     
-    const { data: updatedRoom } = await supabaseAdmin
-      .from('team_up_rooms')
-      .select('*')
-      .eq('room_id', roomId)
-      .single();
+    const updatedRoom = await loadRoomFrom(ROOM_TABLES.teamUp, roomId);
     
     if (updatedRoom) {
       room.team_a = updatedRoom.team_a;
@@ -1024,31 +1242,31 @@ async function fillRoomWithBots(roomId) {
   return addedBots;
  }
 
-async function startBotPlayersForRoom(roomId) {
-  console.log(` [BOT] Starting bot players for room ${roomId}`);
-  subscribeToRoomInTable(roomId, DEFAULT_TABLES.teamUp);
-  
-  const { data: room } = await supabaseAdmin
-    .from(DEFAULT_TABLES.teamUp)
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-  
-  if (room && room.game_state === 'playing') {
-    await handleBotTurn(room, DEFAULT_TABLES.teamUp);
+async function startBotPlayersInTable(roomId, tableName) {
+  activeRooms.add(`${tableName}:${roomId}`);
+
+  const room = await loadRoomFrom(tableName, roomId);
+
+  if (room && room.game_state === 'playing' && (await ownsRoom(tableName, roomId))) {
+    await driveRoom(tableName, room);
   }
-  
+
   const botsInRoom = Object.keys(room?.players || {}).filter(isBot);
   return botsInRoom;
 }
 
+async function startBotPlayersForRoom(roomId) {
+  console.log(` [BOT] Starting bot players for room ${roomId}`);
+  return startBotPlayersInTable(roomId, ROOM_TABLES.teamUp);
+}
+
 async function stopBotPlayersForRoom(roomId) {
   console.log(` [BOT] Stopping bot players for room ${roomId}`);
-  await unsubscribeFromRoomInTable(roomId, DEFAULT_TABLES.teamUp);
+  await unsubscribeFromRoom(roomId);
 }
 
 function getActiveBotCount(roomId) {
-  return activeRoomSubscriptions.has(`${DEFAULT_TABLES.teamUp}:${roomId}`) ? 1 : 0;
+  return activeRooms.has(`${ROOM_TABLES.teamUp}:${roomId}`) ? 1 : 0;
 }
 
 // ============================================
@@ -1057,158 +1275,70 @@ function getActiveBotCount(roomId) {
 
 async function startBotPlayersForGameRoom(roomId) {
   console.log(` [BOT] Starting bot players for game room ${roomId}`);
-  subscribeToRoomInTable(roomId, DEFAULT_TABLES.online);
-
-  const { data: room } = await supabaseAdmin
-    .from(DEFAULT_TABLES.online)
-    .select('*')
-    .eq('room_id', roomId)
-    .single();
-
-  if (room && room.game_state === 'playing') {
-    await handleBotTurn(room, DEFAULT_TABLES.online);
-  }
-
-  const botsInRoom = Object.keys(room?.players || {}).filter(isBot);
-  return botsInRoom;
+  return startBotPlayersInTable(roomId, ROOM_TABLES.online);
 }
 
 async function stopBotPlayersForGameRoom(roomId) {
   console.log(` [BOT] Stopping bot players for game room ${roomId}`);
-  await unsubscribeFromRoomInTable(roomId, DEFAULT_TABLES.online);
+  activeRooms.delete(`${ROOM_TABLES.online}:${roomId}`);
 }
 
 function getActiveBotCountForGameRoom(roomId) {
-  return activeRoomSubscriptions.has(`${DEFAULT_TABLES.online}:${roomId}`) ? 1 : 0;
+  return activeRooms.has(`${ROOM_TABLES.online}:${roomId}`) ? 1 : 0;
 }
 
 // ============================================
-// GLOBAL ROOM WATCHER
+// SERVICE LIFECYCLE
 // ============================================
 
-let globalRoomWatcher = null;
-
-let globalGameRoomWatcher = null;
-let globalFriendRoomWatcher = null;
-
+// Realtime fallback for every driven table
 function startGlobalRoomWatcher() {
-  if (globalRoomWatcher) {
-    console.log(' [BOT WATCHER] Already running');
-    return;
-  }
-  
-  console.log(' [BOT WATCHER] Starting global room watcher...');
-  
-  globalRoomWatcher = supabaseAdmin
-    .channel('global-bot-watcher')
-    .on(
-      'postgres_changes',
-      { event: 'UPDATE', schema: 'public', table: 'team_up_rooms' },
-      async (payload) => {
-        const room = payload.new;
-        const oldRoom = payload.old;
-
-        scheduleTurnTimeout(room, DEFAULT_TABLES.teamUp);
-        
-        if (room.game_state === 'playing' && oldRoom?.game_state !== 'playing') {
-          console.log(` [BOT WATCHER] Game started: ${room.room_id}`);
-          await startBotPlayersForRoom(room.room_id);
-        }
-        
-        if (room.game_state === 'finished' && oldRoom?.game_state !== 'finished') {
-          console.log(` [BOT WATCHER] Game finished: ${room.room_id}`);
-          await stopBotPlayersForRoom(room.room_id);
-          clearTurnTimeout(room.room_id, DEFAULT_TABLES.teamUp);
-        }
-      }
-    )
-    .subscribe((status) => {
-      console.log(` [BOT WATCHER] Status: ${status}`);
-    });
+  console.log(' [BOT WATCHER] Starting realtime fallback watchers...');
+  for (const tableName of DRIVEN_TABLES) watchTable(tableName);
 }
 
-function startGlobalGameRoomWatcher() {
-  if (globalGameRoomWatcher) {
-    console.log(' [BOT GAME WATCHER] Already running');
-    return;
-  }
-
-  console.log(' [BOT GAME WATCHER] Starting global game_rooms watcher...');
+async function stopGlobalRoomWatcher() {
+  for (const tableName of [...realtimeWatchers.keys()]) await unwatchTable(tableName);
+}
 
-  globalGameRoomWatcher = supabaseAdmin
-    .channel('global-game-bot-watcher')
-    .on(
-      'postgres_changes',
-      { event: 'UPDATE', schema: 'public', table: DEFAULT_TABLES.online },
-      async (payload) => {
-        const room = payload.new;
-        const oldRoom = payload.old;
-
-        scheduleTurnTimeout(room, DEFAULT_TABLES.online);
-        
-        if (room.game_state === 'playing' && oldRoom?.game_state !== 'playing') {
-          console.log(` [BOT GAME WATCHER] Game started: ${room.room_id}`);
-          await startBotPlayersForGameRoom(room.room_id);
-        }
+function startBotPlayerService() {
+  startEventBusListener();
+  startGlobalRoomWatcher();
+  startLeaseHeartbeat({ onLost: forgetRoom });
 
-        if (room.game_state === 'finished' && oldRoom?.game_state !== 'finished') {
-          console.log(` [BOT GAME WATCHER] Game finished: ${room.room_id}`);
-          await stopBotPlayersForGameRoom(room.room_id);
-          clearTurnTimeout(room.room_id, DEFAULT_TABLES.online);
-        }
-      }
-    )
-    .subscribe((status) => {
-      console.log(` [BOT GAME WATCHER] Status: ${status}`);
-    });
+  if (!roomSweepTimer) {
+    roomSweepTimer = setInterval(() => {
+      sweepDrivenRooms().catch((e) => console.error(' [BOT] Room sweep failed:', e));
+    }, ROOM_SWEEP_MS);
+    roomSweepTimer.unref?.();
+  }
 }
 
-function startGlobalFriendRoomWatcher() {
-  if (globalFriendRoomWatcher) {
-    console.log(' [FRIEND TIMER] Already running');
-    return;
-  }
+// Stop everything this service keeps running: bus listener, realtime
+// watchers, room sweep, pending timers and held leases (graceful shutdown,
+// test teardown).
+async function stopBotPlayerService() {
+  stopListeningToBus?.();
+  stopListeningToBus = null;
 
-  console.log(' [FRIEND TIMER] Starting global friend_rooms watcher...');
+  await stopGlobalRoomWatcher();
 
-  globalFriendRoomWatcher = supabaseAdmin
-    .channel('global-friend-turn-timer')
-    .on(
-      'postgres_changes',
-      { event: 'UPDATE', schema: 'public', table: 'friend_rooms' },
-      async (payload) => {
-        const room = payload.new;
-        const oldRoom = payload.old;
-
-        scheduleTurnTimeout(room, 'friend_rooms');
-        await handleBotTurn(room, 'friend_rooms');
-        if (room.game_state === 'finished' && oldRoom?.game_state !== 'finished') {
-          clearTurnTimeout(room.room_id, 'friend_rooms');
-        }
-      },
-    )
-    .subscribe((status) => {
-      console.log(` [FRIEND TIMER] Status: ${status}`);
-    });
-}
+  clearInterval(roomSweepTimer);
+  roomSweepTimer = null;
 
-async function stopGlobalRoomWatcher() {
-  if (globalRoomWatcher) {
-    await supabaseAdmin.removeChannel(globalRoomWatcher);
-    globalRoomWatcher = null;
-    console.log('🛑 [BOT WATCHER] Stopped');
+  for (const key of [...turnTimeouts.keys()]) {
+    const separator = key.indexOf(':');
+    clearTurnTimeout(key.slice(separator + 1), key.slice(0, separator));
   }
+  for (const { timeoutId } of disconnectRemovalTimers.values()) clearTimeout(timeoutId);
+  disconnectRemovalTimers.clear();
+  activeRooms.clear();
+  handledVersions.clear();
 
-  if (globalGameRoomWatcher) {
-    await supabaseAdmin.removeChannel(globalGameRoomWatcher);
-    globalGameRoomWatcher = null;
-    console.log('🛑 [BOT GAME WATCHER] Stopped');
-  }
+  await stopLeaseHeartbeat();
 }
 
-startGlobalRoomWatcher();
-startGlobalGameRoomWatcher();
-startGlobalFriendRoomWatcher();
+startBotPlayerService();
 
 // ============================================
 // EXPORTS
@@ -1229,6 +1359,10 @@ export {
   unsubscribeFromRoom,
   startGlobalRoomWatcher,
   stopGlobalRoomWatcher,
+  startBotPlayerService,
+  stopBotPlayerService,
+  sweepDrivenRooms,
+  setDisconnectRemovalHandler,
   startBotPlayersForGameRoom,
   stopBotPlayersForGameRoom,
   getActiveBotCountForGameRoom,
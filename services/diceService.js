@@ -0,0 +1,221 @@
+/**
+ * Dice Service - PROVABLY FAIR SERVER-SIDE DICE
+ *
+ * Every roll (human or bot) is derived from a secret per-room seed:
+ *   roll[n] = HMAC-SHA256(seed, `${roomId}:${n}`) -> uniform 1..6
+ *
+ * 1. When a game starts we store the seed privately (room_dice_seeds) and
+ *    publish sha256(seed) on the room as `dice_commitment`.
+ * 2. Every roll is appended to the room's `dice_history`.
+ * 3. When the game finishes the seed is copied to the room as `dice_seed`,
+ *    so any player can recompute every roll and check the commitment.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin, STORAGE_BACKEND } from '../config/supabase.js';
+import { updateRoomWhere } from './roomRepository.js';
+
+const SEED_TABLE = 'room_dice_seeds';
+
+// Keyed by `${tableName}:${roomId}` -> { seed, commitment }
+const seedCache = new Map();
+
+// Test hook: ({ roomId, tableName, rollIndex, userId }) -> 1..6, or undefined
+// to fall back to the seeded roll. Scripted rolls will not verify against the
+// commitment, so this is refused outside the in-memory backend.
+let scriptedRollSource = null;
+
+export function setScriptedRolls(source) {
+  if (source && STORAGE_BACKEND !== 'memory') {
+    throw new Error('Scripted dice are only available with STORAGE_BACKEND=memory');
+  }
+  scriptedRollSource = source || null;
+}
+
+export function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Derive the roll at `rollIndex` from the seed. Uses rejection sampling on
+// the HMAC bytes so every face is exactly equally likely.
+export function deriveRoll(seed, roomId, rollIndex) {
+  let counter = 0;
+  while (true) {
+    const digest = crypto
+      .createHmac('sha256', seed)
+      .update(`${roomId}:${rollIndex}${counter ? `:${counter}` : ''}`)
+      .digest();
+
+    for (const byte of digest) {
+      if (byte < 252) return (byte % 6) + 1;
+    }
+    counter += 1;
+  }
+}
+
+// Check a revealed seed against the commitment and the recorded roll history.
+export function verifyDiceHistory({ roomId, seed, commitment, history }) {
+  const commitmentValid = !!seed && hashSeed(seed) === commitment;
+  const mismatches = [];
+
+  for (const entry of history || []) {
+    const expected = deriveRoll(seed, roomId, entry.index);
+    if (expected !== entry.value) {
+      mismatches.push({ index: entry.index, recorded: entry.value, expected });
+    }
+  }
+
+  return { commitmentValid, rollsValid: mismatches.length === 0, mismatches };
+}
+
+async function _loadSeed(roomId, tableName) {
+  const key = `${tableName}:${roomId}`;
+  const cached = seedCache.get(key);
+  if (cached) return cached;
+
+  const { data, error } = await supabaseAdmin
+    .from(SEED_TABLE)
+    .select('seed, commitment')
+    .eq('room_id', roomId)
+    .eq('table_name', tableName)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  seedCache.set(key, data);
+  return data;
+}
+
+// Create (or return the existing) seed commitment for a room. Safe to call
+// more than once: the first stored seed always wins.
+export async function createDiceCommitment(roomId, tableName) {
+  const existing = await _loadSeed(roomId, tableName);
+  if (existing) return existing.commitment;
+
+  const seed = crypto.randomBytes(32).toString('hex');
+  const commitment = hashSeed(seed);
+
+  const { error } = await supabaseAdmin.from(SEED_TABLE).insert({
+    room_id: roomId,
+    table_name: tableName,
+    seed,
+    commitment,
+  });
+
+  if (error) {
+    // Unique violation => another request created the seed first
+    if (error.code === '23505') {
+      const winner = await _loadSeed(roomId, tableName);
+      if (winner) return winner.commitment;
+    }
+    throw error;
+  }
+
+  seedCache.set(`${tableName}:${roomId}`, { seed, commitment });
+  console.log(`🎲 [FAIR DICE] Commitment created for ${tableName}:${roomId}: ${commitment}`);
+  return commitment;
+}
+
+/**
+ * Generate the next roll for a room.
+ * Returns the fields to merge into the room update alongside dice_state.
+ */
+export async function rollDiceForRoom(room, tableName, userId) {
+  const roomId = room.room_id;
+  await createDiceCommitment(roomId, tableName);
+  const { seed, commitment } = await _loadSeed(roomId, tableName);
+
+  const rollIndex = Number(room.dice_roll_count ?? 0);
+  const value = scriptedRollSource?.({ roomId, tableName, rollIndex, userId })
+    ?? deriveRoll(seed, roomId, rollIndex);
+
+  const historyEntry = {
+    index: rollIndex,
+    user_id: userId,
+    value,
+    rolled_at: new Date().toISOString(),
+  };
+
+  return {
+    diceResult: value,
+    rollIndex,
+    update: {
+      dice_result: value,
+      dice_roll_count: rollIndex + 1,
+      dice_history: [...(room.dice_history || []), historyEntry],
+      dice_commitment: commitment,
+    },
+  };
+}
+
+/**
+ * The roll `userId` may move with right now, or 0 if there is none.
+ * Only a roll the server generated this turn counts: the dice must be rolling
+ * or complete, and the latest entry in `dice_history` must be this player's
+ * roll of the current `dice_result`.
+ */
+export function getRollToMove(room, userId) {
+  if (room.dice_state !== 'rolling' && room.dice_state !== 'complete') return 0;
+
+  const value = Number(room.dice_result || 0);
+  const history = room.dice_history || [];
+  const last = history[history.length - 1];
+  if (!value || !last || last.user_id !== userId || last.value !== value) return 0;
+  return value;
+}
+
+// Publish the seed on the room once the game is over. Idempotent.
+export async function revealDiceSeed(roomId, tableName) {
+  const stored = await _loadSeed(roomId, tableName);
+  if (!stored) return null;
+
+  await updateRoomWhere(tableName, { room_id: roomId, game_state: 'finished' }, { dice_seed: stored.seed });
+
+  await supabaseAdmin
+    .from(SEED_TABLE)
+    .update({ revealed_at: new Date().toISOString() })
+    .eq('room_id', roomId)
+    .eq('table_name', tableName)
+    .is('revealed_at', null);
+
+  seedCache.delete(`${tableName}:${roomId}`);
+  console.log(`🎲 [FAIR DICE] Seed revealed for ${tableName}:${roomId}`);
+  return stored;
+}
+
+// Fire-and-forget wrapper used on game-finish paths.
+export async function revealDiceSeedSafely(roomId, tableName) {
+  try {
+    await revealDiceSeed(roomId, tableName);
+  } catch (e) {
+    console.error('[FAIR DICE] revealDiceSeed failed:', e?.message ?? e);
+  }
+}
+
+// Public proof for a room: commitment, roll history and (once finished) the seed.
+export async function getDiceFairnessProof(room, tableName) {
+  const roomId = room.room_id;
+  let seed = room.dice_seed || null;
+
+  if (!seed && room.game_state === 'finished') {
+    // Finished before the reveal ran (e.g. server restart) - reveal now
+    const stored = await revealDiceSeed(roomId, tableName);
+    seed = stored?.seed || null;
+  }
+
+  const history = room.dice_history || [];
+  const verification = seed
+    ? verifyDiceHistory({ roomId, seed, commitment: room.dice_commitment, history })
+    : null;
+
+  return {
+    roomId,
+    gameState: room.game_state,
+    algorithm: 'HMAC-SHA256(key=seed, msg="<roomId>:<rollIndex>"), first byte < 252 -> (byte % 6) + 1',
+    commitment: room.dice_commitment || null,
+    seed,
+    history,
+    verification,
+  };
+}
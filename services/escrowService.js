@@ -0,0 +1,287 @@
+/**
+ * Escrow Service - ENTRY FEES HELD UNTIL A ROOM SETTLES
+ *
+ * A paid room's entry fee is debited from the player's wallet when they take
+ * a seat and held in room_escrows (create_room_escrows_table.sql):
+ * - the room finishes: the pot is paid out by the mode's payout table
+ *   (utils/payoutTables.js), rake and shares per finishing position
+ * - the player leaves before the game starts: the fee is refunded
+ * - the player escapes a game in progress: the fee is forfeited into the
+ *   pot, less the mode's escape refund
+ *
+ * The pot is every fee still held plus one entry fee per seat without a held
+ * fee (the house stakes its bots, and players seated before fees were
+ * escrowed). Matchmaking tickets hold the fee while queued; the hold moves to
+ * the room the ticket is matched into, and is refunded when the ticket is
+ * cancelled or expires. Tournament entries hold theirs (table_name
+ * 'tournaments', room_id the tournament id) until the tournament completes,
+ * or refund it when the player leaves, never gets a seat or the tournament
+ * is cancelled (tournamentService.js).
+ *
+ * The escape refund (percent of the fee) per mode can be overridden with
+ * ESCROW_ESCAPE_REFUND_PERCENT_<MODE>, MODE being ONLINE, FRIEND or TEAM_UP.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { ROOM_TABLES, claimRoomFlag } from './roomRepository.js';
+import { credit, debit, LEDGER_REASONS, REFERENCE_TYPES } from './walletService.js';
+import { getPayoutTable, splitPot } from '../utils/payoutTables.js';
+
+export const ESCROW_STATUS = Object.freeze({
+  HELD: 'held',
+  RELEASED: 'released',
+  REFUNDED: 'refunded',
+  FORFEITED: 'forfeited',
+});
+
+function percentFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && value >= 0 && value <= 100 ? value : fallback;
+}
+
+function escrowPolicy(mode, { escapeRefundPercent }) {
+  return Object.freeze({
+    escapeRefundPercent: percentFromEnv(`ESCROW_ESCAPE_REFUND_PERCENT_${mode}`, escapeRefundPercent),
+  });
+}
+
+export const ESCROW_POLICIES = Object.freeze({
+  [ROOM_TABLES.online]: escrowPolicy('ONLINE', { escapeRefundPercent: 0 }),
+  [ROOM_TABLES.friend]: escrowPolicy('FRIEND', { escapeRefundPercent: 0 }),
+  [ROOM_TABLES.teamUp]: escrowPolicy('TEAM_UP', { escapeRefundPercent: 0 }),
+});
+
+const ESCROWS_TABLE = 'room_escrows';
+const TICKETS_TABLE = 'matchmaking_tickets';
+const TOURNAMENTS_TABLE = 'tournaments';
+
+function isBotId(id) {
+  return id && (id.startsWith('00000000-') || id.startsWith('bot_'));
+}
+
+// Escrows of `roomIds` (of every room of the table when null) in `statuses`
+async function listEscrows(tableName, roomIds, statuses = [ESCROW_STATUS.HELD]) {
+  let query = supabaseAdmin
+    .from(ESCROWS_TABLE)
+    .select('*')
+    .eq('table_name', tableName)
+    .in('status', statuses);
+  if (roomIds) query = query.in('room_id', roomIds);
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Move held escrows in `ids` to `status`; resolves the rows this call moved
+async function closeEscrows(ids, status, changes = {}) {
+  if (ids.length === 0) return [];
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from(ESCROWS_TABLE)
+    .update({ status, settled_at: now, updated_at: now, ...changes })
+    .in('id', ids)
+    .eq('status', ESCROW_STATUS.HELD)
+    .select();
+
+  if (error) throw error;
+  return data || [];
+}
+
+function referenceType(tableName) {
+  if (tableName === TICKETS_TABLE) return REFERENCE_TYPES.TICKET;
+  if (tableName === TOURNAMENTS_TABLE) return REFERENCE_TYPES.TOURNAMENT;
+  return REFERENCE_TYPES.ROOM;
+}
+
+async function refundEscrow(escrow, amount) {
+  await credit(escrow.user_id, amount, {
+    reason: LEDGER_REASONS.ENTRY_FEE_REFUND,
+    referenceType: referenceType(escrow.table_name),
+    referenceId: escrow.room_id,
+    idempotencyKey: `escrow_refund:${escrow.id}`,
+  });
+}
+
+/**
+ * Debit `amount` from `userId` and hold it for the room. Resolves
+ * { held: true, escrow } (escrow null for a free room, or the existing hold
+ * when the player already paid) or { held: false } when the player cannot
+ * afford it.
+ */
+export async function holdEntryFee(tableName, roomId, userId, amount) {
+  if (!(amount > 0) || isBotId(userId)) return { held: true, escrow: null };
+
+  const [existing] = (await listEscrows(tableName, [roomId])).filter((escrow) => escrow.user_id === userId);
+  if (existing) return { held: true, escrow: existing };
+
+  const { data: escrow, error } = await supabaseAdmin
+    .from(ESCROWS_TABLE)
+    .insert({ table_name: tableName, room_id: roomId, user_id: userId, amount })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { applied } = await debit(userId, amount, {
+    reason: LEDGER_REASONS.ENTRY_FEE,
+    referenceType: referenceType(tableName),
+    referenceId: roomId,
+    idempotencyKey: `escrow:${escrow.id}`,
+  });
+
+  if (!applied) {
+    const { error: deleteError } = await supabaseAdmin.from(ESCROWS_TABLE).delete().eq('id', escrow.id);
+    if (deleteError) throw deleteError;
+    return { held: false };
+  }
+
+  return { held: true, escrow };
+}
+
+// The fees still held for `roomIds`, or for every room of the table
+export async function listHeldEntryFees(tableName, roomIds = null) {
+  return listEscrows(tableName, roomIds === null || Array.isArray(roomIds) ? roomIds : [roomIds]);
+}
+
+// Give back one held fee in full. Resolves the refunded escrow, or null when
+// it was no longer held.
+export async function refundEntryFee(escrow) {
+  const [closed] = await closeEscrows([escrow.id], ESCROW_STATUS.REFUNDED, { refunded_amount: escrow.amount });
+  if (!closed) return null;
+  await refundEscrow(closed, Number(closed.amount));
+  return closed;
+}
+
+/**
+ * Give back the fees held for `roomIds` in full: of one player, or of
+ * everyone when `userId` is null. Resolves the refunded escrows.
+ */
+export async function refundEntryFees(tableName, roomIds, userId = null) {
+  const ids = Array.isArray(roomIds) ? roomIds : [roomIds];
+  if (ids.length === 0) return [];
+
+  const held = (await listEscrows(tableName, ids))
+    .filter((escrow) => userId === null || escrow.user_id === userId);
+
+  const refunded = [];
+  for (const escrow of held) {
+    const closed = await refundEntryFee(escrow);
+    if (closed) refunded.push(closed);
+  }
+
+  if (refunded.length) {
+    console.log(`💸 [ESCROW] Refunded ${refunded.length} entry fees for ${tableName} ${ids.join(', ')}`);
+  }
+  return refunded;
+}
+
+// Keep the fees held for `roomIds` for good (a tournament that was played).
+// Resolves the released escrows.
+export async function releaseEntryFees(tableName, roomIds) {
+  const held = await listHeldEntryFees(tableName, roomIds);
+  return closeEscrows(held.map((escrow) => escrow.id), ESCROW_STATUS.RELEASED);
+}
+
+// Hand the fees held for matchmaking tickets to the room they were matched into
+export async function moveEntryFees(fromTable, fromRoomIds, toTable, toRoomId) {
+  if (fromRoomIds.length === 0) return;
+  const { error } = await supabaseAdmin
+    .from(ESCROWS_TABLE)
+    .update({ table_name: toTable, room_id: toRoomId, updated_at: new Date().toISOString() })
+    .eq('table_name', fromTable)
+    .in('room_id', fromRoomIds)
+    .eq('status', ESCROW_STATUS.HELD);
+
+  if (error) throw error;
+}
+
+/**
+ * Settle a finished room: forfeit the fees of escaped players (less the
+ * escape refund), release the rest and pay the pot out by the payout table
+ * to `standings`, the finishing positions best first (each a user id or a
+ * list of tied ids; bots and escaped players take nothing). Resolves
+ * { pot, rake, paid: [{ userId, position, amount }] }, or null for a free
+ * room.
+ *
+ * Safe to repeat: the pot counts the fees a previous run already released or
+ * forfeited, and every refund and prize is keyed per escrow and payee, so a
+ * run a crash cut short is finished by the next one and nobody is paid twice.
+ */
+export async function settleRoom(tableName, room, standings) {
+  const entryFee = Number(room.entry_fee ?? 0);
+  const escrows = await listEscrows(tableName, [room.room_id], [
+    ESCROW_STATUS.HELD,
+    ESCROW_STATUS.RELEASED,
+    ESCROW_STATUS.FORFEITED,
+  ]);
+  if (escrows.length === 0 && !(entryFee > 0)) return null;
+
+  const policy = ESCROW_POLICIES[tableName];
+  const escaped = room.escaped_players || [];
+  let pot = 0;
+
+  for (const escrow of escrows) {
+    const amount = Number(escrow.amount);
+    if (!escaped.includes(escrow.user_id)) continue;
+
+    const refund = escrow.status === ESCROW_STATUS.FORFEITED
+      ? Number(escrow.refunded_amount)
+      : Math.floor((amount * policy.escapeRefundPercent) / 100);
+    await closeEscrows([escrow.id], ESCROW_STATUS.FORFEITED, { refunded_amount: refund });
+    if (refund > 0) await refundEscrow(escrow, refund);
+    pot += amount - refund;
+  }
+
+  const kept = escrows.filter((escrow) => !escaped.includes(escrow.user_id));
+  await closeEscrows(
+    kept.filter((escrow) => escrow.status === ESCROW_STATUS.HELD).map((escrow) => escrow.id),
+    ESCROW_STATUS.RELEASED,
+  );
+  pot += kept.reduce((sum, escrow) => sum + Number(escrow.amount), 0);
+
+  const seats = Object.keys(room.players || {});
+  const paidSeats = new Set(escrows.map((escrow) => escrow.user_id));
+  pot += seats.filter((id) => !paidSeats.has(id)).length * entryFee;
+
+  const [mode] = Object.entries(ROOM_TABLES).find(([, table]) => table === tableName);
+  const table = getPayoutTable(mode, room.no_of_players ?? seats.length, entryFee);
+  const { rake, prizes } = splitPot(pot, table, standings);
+
+  const paid = [];
+  for (const prize of prizes) {
+    if (prize.amount <= 0 || isBotId(prize.userId) || escaped.includes(prize.userId)) continue;
+    await credit(prize.userId, prize.amount, {
+      reason: LEDGER_REASONS.PRIZE,
+      referenceType: REFERENCE_TYPES.ROOM,
+      referenceId: room.room_id,
+      idempotencyKey: `prize:${tableName}:${room.room_id}:${prize.userId}`,
+    });
+    paid.push(prize);
+  }
+
+  console.log(`🏦 [ESCROW] ${tableName} ${room.room_id} settled: pot ${pot}, rake ${rake}, paid ${JSON.stringify(paid)}`);
+  return { pot, rake, paid };
+}
+
+/**
+ * Settle a paid room that has finished with winners: every path that
+ * finishes a room (a move, a bot move, a timed-out turn, a forfeit) calls this
+ * with the room as saved. `standings` defaults to the winners in finishing
+ * order. Resolves what settleRoom does, or null when there is nothing to pay
+ * (a tournament room, a free room) or the room was already settled.
+ *
+ * payout_processed is set only once everyone is paid: a crash in between
+ * leaves it false, and the next call (distribute-winner-rewards) finishes
+ * the settlement.
+ */
+export async function settleFinishedRoom(tableName, room, standings = room?.winners || []) {
+  if (tableName === ROOM_TABLES.tournament || room?.game_state !== 'finished') return null;
+  if (room.payout_processed) return null;
+  if (!(room.winners || []).length || !(Number(room.entry_fee ?? 0) > 0)) return null;
+  if (!standings.some((place) => (Array.isArray(place) ? place.length : place))) return null;
+
+  const settlement = await settleRoom(tableName, room, standings);
+  const claimed = await claimRoomFlag(tableName, room.room_id, 'payout_processed');
+  return claimed ? settlement : null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Game Event Bus - IN-PROCESS ROOM CHANGE FEED
+ *
+ * roomRepository publishes every room write here as soon as it succeeds, so
+ * bot turns and turn timers react to the write that caused them instead of
+ * waiting for Supabase realtime. Delivery is synchronous and in write order;
+ * a failing listener is logged and never breaks the write.
+ *
+ * Only this process sees these events. Writes made by other server instances
+ * still arrive through the realtime fallback in botPlayerService.
+ */
+
+import { EventEmitter } from 'events';
+
+export const ROOM_CHANGE_TYPES = Object.freeze({
+  INSERT: 'INSERT',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE',
+});
+
+const ROOM_CHANGE = 'room_change';
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Announce a room write. `room` is the row as stored after the write
+ * (for DELETE, at least { room_id }). Listeners get their own copy.
+ */
+export function publishRoomChange(tableName, room, type = ROOM_CHANGE_TYPES.UPDATE) {
+  if (!room?.room_id) return;
+  bus.emit(ROOM_CHANGE, { type, tableName, room: structuredClone(room) });
+}
+
+/**
+ * Listen for room writes: listener({ type, tableName, room }).
+ * Async listeners are not awaited. Returns a function that removes the listener.
+ */
+export function onRoomChange(listener) {
+  const deliver = (change) => {
+    const report = (error) => {
+      console.error(`❌ [EVENT BUS] Listener failed for ${change.tableName}:${change.room.room_id}:`, error);
+    };
+    try {
+      Promise.resolve(listener(change)).catch(report);
+    } catch (error) {
+      report(error);
+    }
+  };
+
+  bus.on(ROOM_CHANGE, deliver);
+  return () => bus.off(ROOM_CHANGE, deliver);
+}
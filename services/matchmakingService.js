@@ -0,0 +1,575 @@
+/**
+ * Matchmaking Service - QUEUED TICKETS ASSEMBLED INTO FULL ROOMS
+ *
+ * Players enqueue a ticket (matchmaking_tickets, create_matchmaking_tickets_table.sql)
+ * instead of racing each other for seats in a waiting room. The matcher
+ * groups queued tickets that want the same game (mode, players, entry fee,
+ * rule variant), claims a full group in one RPC and creates the online or
+ * team up room already playing. Clients poll their ticket or subscribe to its row.
+ *
+ * A party (partyService) queues one ticket per member with a shared party_id.
+ * Those tickets are matched as one unit: all seated in the same room, and in
+ * team up on the same team.
+ *
+ * Ticket policies, fixed when the ticket is enqueued:
+ * - max wait: a ticket still queued after max_wait_ms expires
+ * - fill with bots: after fill_with_bots_after_ms the oldest ticket of a
+ *   group takes whichever compatible players are queued and bots for the
+ *   remaining seats (never, when NULL)
+ * - cancel: the player may cancel while the ticket is still queued (for a
+ *   party, every member's ticket is cancelled)
+ *
+ * Grouping starts from the oldest unit and accepts units whose average rating
+ * (for the ticket's mode) is within ratingWindow() of it, widening the longer
+ * it has waited. Units from the oldest ticket's region (utils/regions.js) are
+ * taken first; other regions only once it has waited CROSS_REGION_AFTER_MS.
+ *
+ * A paid ticket holds its entry fee in escrow (escrowService) while queued:
+ * the hold moves to the room the ticket is matched into, and is refunded
+ * when the ticket is cancelled or expires.
+ *
+ * The matcher runs on one server instance at a time: the holder of the
+ * matcher lease (roomLeaseService). The server starts it (startMatchmaker)
+ * once it is listening; importing this module starts nothing.
+ */
+
+import { randomUUID } from 'crypto';
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { ROOM_TABLES, createRoom, loadRoomFrom } from './roomRepository.js';
+import { acquireRoomLease, releaseRoomLease } from './roomLeaseService.js';
+import { createDiceCommitment } from './diceService.js';
+import { recordRoomEvents, gameStartedEvent } from './roomEventLog.js';
+import { FIXED_BOT_IDS } from './botPlayerService.js';
+import { RATING_MODES, getRatings, ratingWindow } from './ratingService.js';
+import { holdEntryFee, refundEntryFees, moveEntryFees } from './escrowService.js';
+import { assignColor, generateRoomId, initializePositions } from '../utils/gameHelpers.js';
+import { DEFAULT_RULE_VARIANT, isValidRuleVariant } from '../utils/ruleVariants.js';
+import { resolveRegion, regionDistance, acceptsRegion } from '../utils/regions.js';
+
+export const TICKET_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  MATCHED: 'matched',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+});
+
+export const MATCHMAKING_MODES = Object.freeze({
+  ONLINE: 'online',
+  TEAM_UP: 'teamup',
+});
+
+const TEAM_UP_PLAYERS = 4;
+const TEAM_SIZE = 2;
+const TEAM_UP_COLORS = [['red', 'yellow'], ['green', 'blue']];
+
+const ROOM_TABLE_BY_MODE = {
+  [MATCHMAKING_MODES.ONLINE]: ROOM_TABLES.online,
+  [MATCHMAKING_MODES.TEAM_UP]: ROOM_TABLES.teamUp,
+};
+
+const RATING_MODE_BY_MODE = {
+  [MATCHMAKING_MODES.ONLINE]: RATING_MODES.ONLINE,
+  [MATCHMAKING_MODES.TEAM_UP]: RATING_MODES.TEAM_UP,
+};
+
+export const TICKET_POLICY = Object.freeze({
+  defaultMaxWaitMs: 120_000,
+  minMaxWaitMs: 10_000,
+  maxMaxWaitMs: 600_000,
+});
+
+const TICKETS_TABLE = 'matchmaking_tickets';
+// Lease key for the single matcher, in the same table as the room leases
+const MATCHER_LEASE = { tableName: TICKETS_TABLE, roomId: 'matcher' };
+const MATCHER_INTERVAL_MS = 1_000;
+
+let matcherTimer = null;
+let matcherRun = null;
+let matcherRerun = false;
+
+function bucketKey(ticket) {
+  return `${ticket.mode}:${ticket.no_of_players}:${ticket.entry_fee}:${ticket.rule_variant}`;
+}
+
+// Largest party that can queue for a mode: a whole team up team, or every
+// seat of an online room
+export function maxPartySize(mode, noOfPlayers) {
+  return mode === MATCHMAKING_MODES.TEAM_UP ? TEAM_SIZE : noOfPlayers;
+}
+
+/**
+ * Ticket options from a request body, or { error } for the 400 response.
+ * Team up tickets are always for 4 players.
+ */
+export function parseTicketOptions(body) {
+  const {
+    mode = MATCHMAKING_MODES.ONLINE,
+    boardTheme,
+    entryFee,
+    ruleVariant = DEFAULT_RULE_VARIANT,
+    maxWaitSeconds,
+    fillWithBotsAfterSeconds,
+  } = body;
+
+  if (!Object.values(MATCHMAKING_MODES).includes(mode)) {
+    return { error: `Unknown matchmaking mode: ${mode}` };
+  }
+
+  const { region, error: regionError } = resolveRegion(body);
+  if (regionError) return { error: regionError };
+
+  const noOfPlayers = mode === MATCHMAKING_MODES.TEAM_UP ? TEAM_UP_PLAYERS : body.noOfPlayers;
+  if (![2, 3, 4, 5, 6].includes(noOfPlayers)) {
+    return { error: 'Number of players must be 2, 3, 4, 5, or 6' };
+  }
+
+  if (!isValidRuleVariant(ruleVariant)) {
+    return { error: `Unknown rule variant: ${ruleVariant}` };
+  }
+
+  const desiredEntryFee = Number(entryFee ?? 0);
+  if (!Number.isInteger(desiredEntryFee) || desiredEntryFee < 0) {
+    return { error: 'Entry fee must be a non-negative integer' };
+  }
+
+  const maxWaitMs = maxWaitSeconds == null ? TICKET_POLICY.defaultMaxWaitMs : secondsToMs(maxWaitSeconds);
+  if (maxWaitMs === undefined || maxWaitMs < TICKET_POLICY.minMaxWaitMs || maxWaitMs > TICKET_POLICY.maxMaxWaitMs) {
+    return {
+      error: `maxWaitSeconds must be between ${TICKET_POLICY.minMaxWaitMs / 1000} and ${TICKET_POLICY.maxMaxWaitMs / 1000}`,
+    };
+  }
+
+  const fillWithBotsAfterMs = secondsToMs(fillWithBotsAfterSeconds);
+  if (fillWithBotsAfterMs === undefined || fillWithBotsAfterMs > maxWaitMs) {
+    return { error: 'fillWithBotsAfterSeconds must be between 0 and maxWaitSeconds' };
+  }
+
+  return {
+    options: {
+      mode,
+      noOfPlayers,
+      entryFee: desiredEntryFee,
+      ruleVariant,
+      boardTheme: boardTheme || 'classic',
+      region,
+      maxWaitMs,
+      fillWithBotsAfterMs,
+    },
+  };
+}
+
+// Seconds from a request body -> milliseconds; null when absent, undefined when invalid
+function secondsToMs(value) {
+  if (value === undefined || value === null) return null;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 1000) : undefined;
+}
+
+// ============================================
+// TICKETS
+// ============================================
+
+/**
+ * Queue one ticket per user in `userIds` (a solo player, or every member of
+ * `partyId`). Resolves { tickets } in the order of `userIds`; when one of
+ * the players already has a queued ticket, { existing } with that ticket;
+ * when some cannot pay the entry fee, { insufficient } with their ids (and
+ * nobody is queued).
+ */
+export async function enqueueTickets(userIds, {
+  mode = MATCHMAKING_MODES.ONLINE,
+  noOfPlayers,
+  entryFee = 0,
+  ruleVariant = DEFAULT_RULE_VARIANT,
+  boardTheme = 'classic',
+  region = null,
+  maxWaitMs = TICKET_POLICY.defaultMaxWaitMs,
+  fillWithBotsAfterMs = null,
+  partyId = null,
+}) {
+  const existing = await getQueuedTicket(userIds);
+  if (existing) return { existing };
+
+  const ratings = await getRatings(userIds, RATING_MODE_BY_MODE[mode]);
+  const ticketIds = new Map(userIds.map((userId) => [userId, randomUUID()]));
+
+  // Fees are held before the tickets exist, so the matcher never seats an unpaid ticket
+  const insufficient = [];
+  for (const [userId, ticketId] of ticketIds) {
+    const { held } = await holdEntryFee(TICKETS_TABLE, ticketId, userId, entryFee);
+    if (!held) insufficient.push(userId);
+  }
+  if (insufficient.length) {
+    await refundEntryFees(TICKETS_TABLE, [...ticketIds.values()]);
+    return { insufficient };
+  }
+
+  const now = Date.now();
+  const { data: tickets, error } = await supabaseAdmin
+    .from(TICKETS_TABLE)
+    .insert(userIds.map((userId) => ({
+      id: ticketIds.get(userId),
+      user_id: userId,
+      status: TICKET_STATUS.QUEUED,
+      mode,
+      party_id: partyId,
+      no_of_players: noOfPlayers,
+      entry_fee: entryFee,
+      rule_variant: ruleVariant,
+      board_theme: boardTheme,
+      region,
+      rating: ratings.get(userId).rating,
+      max_wait_ms: maxWaitMs,
+      fill_with_bots_after_ms: fillWithBotsAfterMs,
+      expires_at: new Date(now + maxWaitMs).toISOString(),
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    })))
+    .select();
+
+  if (error) {
+    await refundEntryFees(TICKETS_TABLE, [...ticketIds.values()]);
+    // Unique violation => a concurrent request queued a ticket first
+    if (error.code === '23505') {
+      const winner = await getQueuedTicket(userIds);
+      if (winner) return { existing: winner };
+    }
+    throw error;
+  }
+
+  requestMatcherRun();
+  return { tickets: userIds.map((userId) => tickets.find((ticket) => ticket.user_id === userId)) };
+}
+
+export async function getTicket(ticketId) {
+  const { data, error } = await supabaseAdmin
+    .from(TICKETS_TABLE)
+    .select('*')
+    .eq('id', ticketId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// A queued ticket held by any of `userIds`, or null
+async function getQueuedTicket(userIds) {
+  const { data, error } = await supabaseAdmin
+    .from(TICKETS_TABLE)
+    .select('*')
+    .in('user_id', userIds)
+    .eq('status', TICKET_STATUS.QUEUED)
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] ?? null;
+}
+
+// Move still-queued tickets matching `match` to `status` and refund their
+// entry fees. Resolves the updated tickets (none when they had already left
+// the queue).
+async function closeQueuedTickets(match, status) {
+  let query = supabaseAdmin
+    .from(TICKETS_TABLE)
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('status', TICKET_STATUS.QUEUED);
+
+  for (const [column, value] of Object.entries(match)) query = query.eq(column, value);
+
+  const { data, error } = await query.select();
+  if (error) throw error;
+
+  await refundEntryFees(TICKETS_TABLE, (data || []).map((ticket) => ticket.id));
+  return data || [];
+}
+
+// Cancel a queued ticket; a party ticket takes the whole party out of the queue.
+// Resolves the cancelled tickets.
+export function cancelTicket(ticket) {
+  const match = ticket.party_id ? { party_id: ticket.party_id } : { id: ticket.id };
+  return closeQueuedTickets(match, TICKET_STATUS.CANCELLED);
+}
+
+// Take a party out of the queue (its members changed)
+export function cancelPartyTickets(partyId) {
+  return closeQueuedTickets({ party_id: partyId }, TICKET_STATUS.CANCELLED);
+}
+
+// ============================================
+// MATCHER
+// ============================================
+
+async function listQueuedTickets() {
+  const { data, error } = await supabaseAdmin
+    .from(TICKETS_TABLE)
+    .select('*')
+    .eq('status', TICKET_STATUS.QUEUED)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function generateUniqueRoomId(tableName) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const roomId = generateRoomId();
+    const existing = await loadRoomFrom(tableName, roomId, 'room_id');
+    if (!existing) return roomId;
+  }
+  throw new Error('Failed to generate unique room ID');
+}
+
+// Put claimed tickets back in the queue when their room could not be created
+async function requeueTickets(roomId) {
+  const { error } = await supabaseAdmin
+    .from(TICKETS_TABLE)
+    .update({
+      status: TICKET_STATUS.QUEUED,
+      room_id: null,
+      matched_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('room_id', roomId)
+    .eq('status', TICKET_STATUS.MATCHED);
+
+  if (error) console.error(`❌ [MATCHMAKING] Failed to requeue tickets for ${roomId}:`, error);
+}
+
+// Matchable units: a solo ticket, or every queued ticket of one party
+function toUnits(tickets) {
+  const units = [];
+  const partyUnits = new Map();
+  for (const ticket of tickets) {
+    if (!ticket.party_id) {
+      units.push([ticket]);
+      continue;
+    }
+    let unit = partyUnits.get(ticket.party_id);
+    if (!unit) {
+      unit = [];
+      partyUnits.set(ticket.party_id, unit);
+      units.push(unit);
+    }
+    unit.push(ticket);
+  }
+  return units;
+}
+
+// The region a group is matched in: the oldest ticket's, else the first reported
+function groupRegion(units) {
+  return units.flat().find((ticket) => ticket.region)?.region ?? null;
+}
+
+function unitRating(unit) {
+  return unit.reduce((sum, ticket) => sum + ticket.rating, 0) / unit.length;
+}
+
+function onlineRoomRow(units, botCount) {
+  const [[anchor]] = units;
+  const players = {};
+  const seats = [...units.flat().map((ticket) => ticket.user_id), ...FIXED_BOT_IDS.slice(0, botCount)];
+  for (const userId of seats) players[userId] = assignColor(players, anchor.no_of_players);
+
+  return {
+    players,
+    positions: initializePositions(players),
+    no_of_players: anchor.no_of_players,
+    // The longest-waiting player starts
+    turn: anchor.user_id,
+  };
+}
+
+// Parties take a team each, largest first; solos and bots fill what is left
+function teamUpRoomRow(units, botCount) {
+  const teams = [[], []];
+  const bySize = [...units].sort((a, b) => b.length - a.length);
+  for (const unit of bySize) {
+    const team = teams.find((candidate) => candidate.length + unit.length <= TEAM_SIZE);
+    team.push(...unit.map((ticket) => ticket.user_id));
+  }
+  const bots = FIXED_BOT_IDS.slice(0, botCount);
+  for (const team of teams) {
+    while (team.length < TEAM_SIZE) team.push(bots.shift());
+  }
+
+  const players = {};
+  teams.forEach((team, t) => team.forEach((userId, i) => {
+    players[userId] = TEAM_UP_COLORS[t][i];
+  }));
+
+  return {
+    team_a: teams[0],
+    team_b: teams[1],
+    players,
+    positions: initializePositions(players),
+    status: 'in_progress',
+    // Red always starts
+    turn: teams[0][0],
+  };
+}
+
+/**
+ * Claim the tickets of `units` (oldest first) and start a room for them plus
+ * `botCount` bots. Resolves the room, or null when one of the tickets left
+ * the queue in the meantime (the rest stay queued for the next run).
+ */
+async function startMatchedRoom(units, botCount) {
+  const [[anchor]] = units;
+  const tableName = ROOM_TABLE_BY_MODE[anchor.mode];
+  const roomId = await generateUniqueRoomId(tableName);
+
+  const { data: claimed, error: claimError } = await supabaseAdmin.rpc('claim_matchmaking_tickets', {
+    p_ticket_ids: units.flat().map((ticket) => ticket.id),
+    p_room_id: roomId,
+  });
+  if (claimError) throw claimError;
+  if (!claimed) return null;
+
+  try {
+    const seating = anchor.mode === MATCHMAKING_MODES.TEAM_UP
+      ? teamUpRoomRow(units, botCount)
+      : onlineRoomRow(units, botCount);
+
+    const room = await createRoom(tableName, {
+      room_id: roomId,
+      host_id: anchor.user_id,
+      ...seating,
+      board_theme: anchor.board_theme || 'classic',
+      entry_fee: anchor.entry_fee,
+      rule_variant: anchor.rule_variant,
+      region: groupRegion(units),
+      game_state: 'playing',
+      dice_commitment: await createDiceCommitment(roomId, tableName),
+      dice_state: 'waiting',
+      dice_result: null,
+    });
+    await moveEntryFees(TICKETS_TABLE, units.flat().map((ticket) => ticket.id), tableName, roomId);
+
+    await recordRoomEvents(roomId, tableName, [
+      gameStartedEvent({ ...room, no_of_players: anchor.no_of_players }),
+    ]);
+    console.log(`🎯 [MATCHMAKING] ${tableName} ${roomId} started: ${units.flat().length} players, ${botCount} bots`);
+    return room;
+  } catch (error) {
+    await requeueTickets(roomId);
+    throw error;
+  }
+}
+
+/**
+ * One pass over the queue: expire tickets past their max wait, then start
+ * every room that can be filled. Exported for tests; the interval calls it
+ * only while this instance holds the matcher lease.
+ */
+export async function runMatcher(now = Date.now()) {
+  const buckets = new Map();
+  for (const ticket of await listQueuedTickets()) {
+    if (Date.parse(ticket.expires_at) <= now) {
+      const [expired] = await closeQueuedTickets({ id: ticket.id }, TICKET_STATUS.EXPIRED);
+      if (expired) console.log(`⌛ [MATCHMAKING] Ticket ${ticket.id} expired`);
+      continue;
+    }
+    const key = bucketKey(ticket);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(ticket);
+  }
+
+  const rooms = [];
+  for (const queue of buckets.values()) {
+    let pool = toUnits(queue);
+    while (pool.length > 0) {
+      const [anchorUnit, ...others] = pool;
+      const [anchor] = anchorUnit;
+      const seats = anchor.no_of_players;
+      const waitMs = now - Date.parse(anchor.created_at);
+      const maxGap = ratingWindow(waitMs);
+      const anchorRating = unitRating(anchorUnit);
+
+      // Same region first (stable, so oldest first within each region group)
+      const candidates = others
+        .filter(([ticket]) => acceptsRegion(anchor.region, ticket.region, waitMs))
+        .sort(([a], [b]) => regionDistance(anchor.region, a.region) - regionDistance(anchor.region, b.region));
+
+      const group = [anchorUnit];
+      let filled = anchorUnit.length;
+      for (const unit of candidates) {
+        if (filled === seats) break;
+        if (filled + unit.length > seats) continue;
+        if (Math.abs(unitRating(unit) - anchorRating) > maxGap) continue;
+        group.push(unit);
+        filled += unit.length;
+      }
+
+      const full = filled === seats;
+      const fillWithBots = anchor.fill_with_bots_after_ms != null && waitMs >= anchor.fill_with_bots_after_ms;
+      if (!full && !fillWithBots) {
+        // The anchor keeps waiting; younger tickets may still match each other
+        pool = others;
+        continue;
+      }
+
+      const room = await startMatchedRoom(group, seats - filled);
+      if (room) rooms.push(room);
+      pool = pool.filter((unit) => !group.includes(unit));
+    }
+  }
+  return rooms;
+}
+
+/**
+ * Players waiting per region and mode: [{ region, mode, queued, oldestWaitMs }],
+ * deepest queue first. Tickets without a region are counted under 'any'.
+ */
+export async function getQueueDepth(now = Date.now()) {
+  const queues = new Map();
+  for (const ticket of await listQueuedTickets()) {
+    const region = ticket.region || 'any';
+    const key = `${region}:${ticket.mode}`;
+    if (!queues.has(key)) {
+      // Tickets come oldest first
+      queues.set(key, { region, mode: ticket.mode, queued: 0, oldestWaitMs: now - Date.parse(ticket.created_at) });
+    }
+    queues.get(key).queued += 1;
+  }
+  return [...queues.values()].sort((a, b) => b.queued - a.queued);
+}
+
+async function matcherTick() {
+  if (matcherRun) {
+    matcherRerun = true;
+    return;
+  }
+
+  matcherRun = (async () => {
+    do {
+      matcherRerun = false;
+      if (!(await acquireRoomLease(MATCHER_LEASE.tableName, MATCHER_LEASE.roomId))) return;
+      await runMatcher();
+    } while (matcherRerun);
+  })()
+    .catch((error) => console.error('❌ [MATCHMAKING] Matcher run failed:', error))
+    .finally(() => {
+      matcherRun = null;
+    });
+}
+
+// Match right away instead of waiting for the next tick (a ticket was queued)
+function requestMatcherRun() {
+  if (matcherTimer) matcherTick();
+}
+
+export function startMatchmaker() {
+  if (matcherTimer) return;
+  matcherTimer = setInterval(matcherTick, MATCHER_INTERVAL_MS);
+  matcherTimer.unref?.();
+  console.log('🎯 [MATCHMAKING] Matcher started');
+}
+
+// Stop matching and hand the matcher lease to another instance
+export async function stopMatchmaker() {
+  clearInterval(matcherTimer);
+  matcherTimer = null;
+  await matcherRun;
+  await releaseRoomLease(MATCHER_LEASE.tableName, MATCHER_LEASE.roomId);
+}
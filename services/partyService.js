@@ -0,0 +1,151 @@
+/**
+ * Party Service - FRIENDS QUEUEING TOGETHER
+ *
+ * A party is a leader plus the friends who accepted the leader's invite
+ * (parties, party_members, party_invites; create_parties_table.sql). A player
+ * is in at most one party. The leader queues the whole party for quick match
+ * or team up (matchmakingService), which seats its members together.
+ *
+ * Any change of members takes the party out of the matchmaking queue, so a
+ * queued party is always the party that was queued.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { cancelPartyTickets } from './matchmakingService.js';
+
+export const MAX_PARTY_SIZE = 4;
+
+// { id, leader_id, members: [userId] in join order (leader first), invited: [userId] }
+export async function getParty(partyId) {
+  const { data: party, error } = await supabaseAdmin
+    .from('parties')
+    .select('*')
+    .eq('id', partyId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!party) return null;
+
+  const [{ data: members, error: membersError }, { data: invites, error: invitesError }] = await Promise.all([
+    supabaseAdmin.from('party_members').select('user_id').eq('party_id', partyId).order('joined_at', { ascending: true }),
+    supabaseAdmin.from('party_invites').select('user_id').eq('party_id', partyId),
+  ]);
+
+  if (membersError) throw membersError;
+  if (invitesError) throw invitesError;
+
+  return {
+    ...party,
+    members: (members || []).map(({ user_id }) => user_id),
+    invited: (invites || []).map(({ user_id }) => user_id),
+  };
+}
+
+export async function getPartyIdForUser(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('party_members')
+    .select('party_id')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.party_id ?? null;
+}
+
+export async function getPartyForUser(userId) {
+  const partyId = await getPartyIdForUser(userId);
+  return partyId ? getParty(partyId) : null;
+}
+
+async function addMember(partyId, userId) {
+  const { error } = await supabaseAdmin
+    .from('party_members')
+    .insert({ party_id: partyId, user_id: userId, joined_at: new Date().toISOString() });
+
+  if (error) throw error;
+}
+
+export async function createParty(leaderId) {
+  const { data: party, error } = await supabaseAdmin
+    .from('parties')
+    .insert({ leader_id: leaderId })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  try {
+    await addMember(party.id, leaderId);
+  } catch (memberError) {
+    // Already in a party (primary key): drop the empty party again
+    await supabaseAdmin.from('parties').delete().eq('id', party.id);
+    throw memberError;
+  }
+  return getParty(party.id);
+}
+
+export async function inviteToParty(partyId, userId, invitedBy) {
+  const { error } = await supabaseAdmin
+    .from('party_invites')
+    .upsert(
+      { party_id: partyId, user_id: userId, invited_by: invitedBy, created_at: new Date().toISOString() },
+      { onConflict: 'party_id,user_id' },
+    );
+
+  if (error) throw error;
+}
+
+// Accept an invite (the caller checked it exists and the party has room)
+export async function joinParty(partyId, userId) {
+  await addMember(partyId, userId);
+  await removeInvite(partyId, userId);
+  await cancelPartyTickets(partyId);
+  return getParty(partyId);
+}
+
+export async function removeInvite(partyId, userId) {
+  const { error } = await supabaseAdmin
+    .from('party_invites')
+    .delete()
+    .eq('party_id', partyId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+/**
+ * Take `userId` out of `party` (leaving or kicked). A leaving leader hands
+ * the party to the longest-standing member; the last member leaving deletes
+ * it. Resolves the party afterwards, or null once deleted.
+ */
+export async function removeFromParty(party, userId) {
+  await cancelPartyTickets(party.id);
+
+  const remaining = party.members.filter((id) => id !== userId);
+  if (remaining.length === 0) {
+    for (const table of ['party_invites', 'party_members', 'parties']) {
+      const column = table === 'parties' ? 'id' : 'party_id';
+      const { error } = await supabaseAdmin.from(table).delete().eq(column, party.id);
+      if (error) throw error;
+    }
+    return null;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('party_members')
+    .delete()
+    .eq('party_id', party.id)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  if (party.leader_id === userId) {
+    const { error: leaderError } = await supabaseAdmin
+      .from('parties')
+      .update({ leader_id: remaining[0], updated_at: new Date().toISOString() })
+      .eq('id', party.id);
+
+    if (leaderError) throw leaderError;
+  }
+  return getParty(party.id);
+}
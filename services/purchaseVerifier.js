@@ -0,0 +1,59 @@
+/**
+ * Purchase Verifier - STORE RECEIPTS
+ *
+ * Coins and diamonds bought in the store are only granted for a receipt the
+ * platform store (Google Play, App Store) has confirmed. The verifier that
+ * talks to the stores is plugged in with setPurchaseVerifier(); until one is
+ * configured every receipt is refused.
+ *
+ * A verifier is `async ({ platform, productId, receipt }) => result` where
+ * result is { valid: true, receiptId } (the store's id for the purchase,
+ * used to grant it once) or { valid: false, error }.
+ *
+ * fakeStoreVerifier stands in for the stores in development and tests; set
+ * PURCHASE_VERIFIER=fake to use it (never in production).
+ */
+
+export const PURCHASE_PLATFORMS = Object.freeze({
+  GOOGLE_PLAY: 'google_play',
+  APP_STORE: 'app_store',
+});
+
+let verifier = process.env.PURCHASE_VERIFIER === 'fake' && process.env.NODE_ENV !== 'production'
+  ? fakeStoreVerifier
+  : null;
+
+export function setPurchaseVerifier(fn) {
+  verifier = fn;
+}
+
+// Accepts receipts 'fake:<productId>:<orderId>' for the product they name
+export async function fakeStoreVerifier({ productId, receipt }) {
+  const [prefix, receiptProduct, orderId] = String(receipt).split(':');
+  if (prefix !== 'fake' || !orderId) {
+    return { valid: false, error: 'Not a fake store receipt' };
+  }
+  if (receiptProduct !== productId) {
+    return { valid: false, error: 'Receipt is for another product' };
+  }
+  return { valid: true, receiptId: `fake-${orderId}` };
+}
+
+export function isValidPlatform(platform) {
+  return Object.values(PURCHASE_PLATFORMS).includes(platform);
+}
+
+export async function verifyPurchase({ platform, productId, receipt }) {
+  if (!verifier) {
+    return { valid: false, error: 'Store purchases are not available' };
+  }
+
+  const result = await verifier({ platform, productId, receipt });
+  if (!result?.valid) {
+    return { valid: false, error: result?.error || 'Receipt could not be verified' };
+  }
+  if (!result.receiptId) {
+    throw new Error('Purchase verifier returned no receipt id');
+  }
+  return { valid: true, receiptId: String(result.receiptId) };
+}
@@ -0,0 +1,164 @@
+/**
+ * Rating Service - SKILL RATINGS PER USER AND MODE
+ *
+ * Elo ratings kept per game mode in user_ratings (create_user_ratings_table.sql).
+ * Every finished game is scored pairwise: each winner beat each loser, and a
+ * player's change is K times their average (actual - expected) over those
+ * opponents. New players move faster (higher K) until their rating settles.
+ *
+ * Bots take part as fixed-rating opponents, so losing to a bot costs rating,
+ * but bots themselves are never stored.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { ROOM_TABLES } from './roomRepository.js';
+
+// Same mode names as the events progress tracking
+export const RATING_MODES = Object.freeze({
+  ONLINE: 'online',
+  FRIENDS: 'friends',
+  TEAM_UP: 'teamup',
+  TOURNAMENT: 'tournament',
+});
+
+const MODE_BY_TABLE = {
+  [ROOM_TABLES.online]: RATING_MODES.ONLINE,
+  [ROOM_TABLES.friend]: RATING_MODES.FRIENDS,
+  [ROOM_TABLES.teamUp]: RATING_MODES.TEAM_UP,
+  [ROOM_TABLES.tournament]: RATING_MODES.TOURNAMENT,
+};
+
+export const DEFAULT_RATING = 1200;
+const BOT_RATING = 1200;
+
+const PROVISIONAL_GAMES = 20;
+const K_FACTOR = { provisional: 48, settled: 24 };
+
+// Quick-match window around the player's rating, widening while a room waits
+export const MATCH_WINDOW = Object.freeze({ initial: 100, perSecond: 10, max: 1000 });
+
+const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
+
+export function ratingModeForTable(tableName) {
+  return MODE_BY_TABLE[tableName] || RATING_MODES.ONLINE;
+}
+
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+export function kFactor(gamesPlayed) {
+  return gamesPlayed < PROVISIONAL_GAMES ? K_FACTOR.provisional : K_FACTOR.settled;
+}
+
+// Largest rating gap accepted after waiting `waitMs`
+export function ratingWindow(waitMs) {
+  const widened = MATCH_WINDOW.initial + MATCH_WINDOW.perSecond * Math.max(0, waitMs) / 1000;
+  return Math.min(MATCH_WINDOW.max, widened);
+}
+
+/**
+ * New ratings after one game. `ratings` maps userId -> { rating, gamesPlayed }
+ * for every human; bots are rated BOT_RATING. Returns
+ * [{ userId, before, after }] for the humans only.
+ */
+export function computeRatingChanges({ winnerUserIds, loserUserIds, ratings }) {
+  const ratingOf = (id) => (isBotId(id) ? BOT_RATING : ratings.get(id)?.rating ?? DEFAULT_RATING);
+  const sides = [
+    { players: winnerUserIds, opponents: loserUserIds, score: 1 },
+    { players: loserUserIds, opponents: winnerUserIds, score: 0 },
+  ];
+
+  const changes = [];
+  for (const { players, opponents, score } of sides) {
+    for (const userId of players) {
+      if (isBotId(userId)) continue;
+
+      const before = ratingOf(userId);
+      const surplus = opponents.reduce((sum, id) => sum + score - expectedScore(before, ratingOf(id)), 0);
+      const k = kFactor(ratings.get(userId)?.gamesPlayed ?? 0);
+      changes.push({ userId, before, after: Math.round(before + (k * surplus) / opponents.length) });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Current ratings for `userIds` in `mode`: Map userId -> { rating, gamesPlayed }.
+ * Users without a row yet get DEFAULT_RATING.
+ */
+export async function getRatings(userIds, mode) {
+  const humans = [...new Set(userIds)].filter((id) => id && !isBotId(id));
+  const ratings = new Map(humans.map((id) => [id, { rating: DEFAULT_RATING, gamesPlayed: 0 }]));
+  if (humans.length === 0) return ratings;
+
+  const { data, error } = await supabaseAdmin
+    .from('user_ratings')
+    .select('user_id, rating, games_played')
+    .eq('mode', mode)
+    .in('user_id', humans);
+
+  if (error) throw error;
+
+  for (const row of data || []) {
+    ratings.set(row.user_id, { rating: Number(row.rating), gamesPlayed: Number(row.games_played ?? 0) });
+  }
+  return ratings;
+}
+
+// Every mode for one user: { [mode]: { rating, gamesPlayed } }
+export async function getUserRatings(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('user_ratings')
+    .select('mode, rating, games_played')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const ratings = Object.fromEntries(
+    Object.values(RATING_MODES).map((mode) => [mode, { rating: DEFAULT_RATING, gamesPlayed: 0 }]),
+  );
+  for (const row of data || []) {
+    ratings[row.mode] = { rating: Number(row.rating), gamesPlayed: Number(row.games_played ?? 0) };
+  }
+  return ratings;
+}
+
+// Average rating of the humans seated in a room (DEFAULT_RATING if there are none)
+export function averageRoomRating(room, ratings) {
+  const humans = Object.keys(room.players || {}).filter((id) => !isBotId(id));
+  if (humans.length === 0) return DEFAULT_RATING;
+  const total = humans.reduce((sum, id) => sum + (ratings.get(id)?.rating ?? DEFAULT_RATING), 0);
+  return total / humans.length;
+}
+
+/**
+ * Apply one finished game to the ratings of `mode`. Needs at least one player
+ * on each side; bots count as opponents only. Returns the changes applied.
+ */
+export async function updateRatings({ mode, winnerUserIds, loserUserIds }) {
+  const winners = [...new Set(winnerUserIds || [])].filter(Boolean);
+  const losers = [...new Set(loserUserIds || [])].filter(Boolean);
+  if (winners.length === 0 || losers.length === 0) return [];
+
+  const ratings = await getRatings([...winners, ...losers], mode);
+  const changes = computeRatingChanges({ winnerUserIds: winners, loserUserIds: losers, ratings });
+  if (changes.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from('user_ratings')
+    .upsert(
+      changes.map(({ userId, after }) => ({
+        user_id: userId,
+        mode,
+        rating: after,
+        games_played: ratings.get(userId).gamesPlayed + 1,
+        updated_at: now,
+      })),
+      { onConflict: 'user_id,mode' },
+    );
+
+  if (error) throw error;
+  return changes;
+}
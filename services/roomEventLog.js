@@ -0,0 +1,242 @@
+/**
+ * Room Event Log - APPEND-ONLY GAME HISTORY
+ *
+ * Every roll, move, kill, pass, timeout and disconnect is appended to
+ * `room_events` with a per-room sequence number (assigned atomically by the
+ * `append_room_events` RPC). The log is never updated, so a finished game can
+ * be replayed step by step with the same rule helpers the routes use.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { getBoardConfig, initializePositions } from '../utils/gameHelpers.js';
+import { getRules, getMoveTarget, applyCaptures } from '../utils/ruleVariants.js';
+
+const EVENTS_TABLE = 'room_events';
+const PAGE_SIZE = 1000;
+
+export const ROOM_EVENT_TYPES = Object.freeze({
+  GAME_STARTED: 'game_started',
+  DICE_ROLLED: 'dice_rolled',
+  TOKEN_MOVED: 'token_moved',
+  TOKEN_KILLED: 'token_killed',
+  TURN_PASSED: 'turn_passed',
+  TURN_FORFEITED: 'turn_forfeited',
+  TURN_TIMEOUT: 'turn_timeout',
+  PLAYER_DISCONNECTED: 'player_disconnected',
+  PLAYER_RECONNECTED: 'player_reconnected',
+  PLAYER_LEFT: 'player_left',
+  GAME_FINISHED: 'game_finished',
+});
+
+/**
+ * Append events in order. Each event is { type, userId, payload }.
+ * Returns the stored rows (with their sequence numbers).
+ */
+export async function appendRoomEvents(roomId, tableName, events) {
+  const list = (events || []).filter(Boolean);
+  if (list.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin.rpc('append_room_events', {
+    p_room_id: roomId,
+    p_table_name: tableName,
+    p_events: list.map((event) => ({
+      type: event.type,
+      user_id: event.userId ?? null,
+      payload: event.payload ?? {},
+    })),
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Fire-and-forget wrapper: a logging failure must never fail the game action.
+export async function recordRoomEvents(roomId, tableName, events) {
+  try {
+    return await appendRoomEvents(roomId, tableName, events);
+  } catch (e) {
+    console.error('[EVENT LOG] appendRoomEvents failed:', e?.message ?? e);
+    return [];
+  }
+}
+
+export async function recordRoomEvent(roomId, tableName, type, userId, payload = {}) {
+  return recordRoomEvents(roomId, tableName, [{ type, userId, payload }]);
+}
+
+// Initial board snapshot; the replay starts from here.
+export function gameStartedEvent(room) {
+  return {
+    type: ROOM_EVENT_TYPES.GAME_STARTED,
+    userId: null,
+    payload: {
+      players: room.players,
+      positions: room.positions,
+      turn: room.turn,
+      noOfPlayers: room.no_of_players,
+      ruleVariant: room.rule_variant,
+      ruleOptions: room.rule_options,
+      ...(room.team_a ? { teamA: room.team_a, teamB: room.team_b } : {}),
+    },
+  };
+}
+
+export function gameFinishedEvent(winners, payload = {}) {
+  return { type: ROOM_EVENT_TYPES.GAME_FINISHED, userId: null, payload: { winners, ...payload } };
+}
+
+// token_moved followed by one token_killed per captured token.
+export function tokenMoveEvents(userId, { color, tokenName, from, to, steps, killedTokens = [], extraTurn, nextTurn }) {
+  const events = [{
+    type: ROOM_EVENT_TYPES.TOKEN_MOVED,
+    userId,
+    payload: { color, tokenName, from, to, steps, killed: killedTokens, extraTurn: !!extraTurn, nextTurn },
+  }];
+
+  for (const killed of killedTokens) {
+    const [victimColor, victimToken] = killed.split(':');
+    events.push({
+      type: ROOM_EVENT_TYPES.TOKEN_KILLED,
+      userId,
+      payload: { by: color, color: victimColor, tokenName: victimToken, at: to },
+    });
+  }
+  return events;
+}
+
+export async function getRoomEvents(roomId, tableName) {
+  const events = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from(EVENTS_TABLE)
+      .select('seq, event_type, user_id, payload, created_at')
+      .eq('room_id', roomId)
+      .eq('table_name', tableName)
+      .order('seq', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    events.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return events;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value ?? {}));
+}
+
+// jsonb does not keep key order, so compare token by token
+function samePositions(a, b) {
+  const colors = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  for (const color of colors) {
+    const tokens = new Set([...Object.keys(a?.[color] || {}), ...Object.keys(b?.[color] || {})]);
+    for (const token of tokens) {
+      if ((a?.[color]?.[token] ?? 0) !== (b?.[color]?.[token] ?? 0)) return false;
+    }
+  }
+  return true;
+}
+
+function sameTokens(a, b) {
+  return JSON.stringify([...(a || [])].sort()) === JSON.stringify([...(b || [])].sort());
+}
+
+// Team-up: only the other team's colors can be captured
+function getOpponentColors(room, color) {
+  const players = room.players || {};
+  const moverId = Object.keys(players).find((id) => players[id] === color);
+  const teamA = room.team_a || [];
+  const teamB = room.team_b || [];
+  const opponents = teamA.includes(moverId) ? teamB : teamB.includes(moverId) ? teamA : [];
+  return opponents.map((id) => players[id]).filter(Boolean);
+}
+
+/**
+ * Rebuild the board from the event log.
+ * Moves are re-checked with getMoveTarget/applyCaptures; anything the log
+ * disagrees with is listed in `discrepancies`.
+ */
+export function buildReplay(room, tableName, events) {
+  const rules = getRules(room);
+  const isTeamUp = tableName === 'team_up_rooms';
+  const noOfPlayers = isTeamUp ? 4 : (room.no_of_players || 4);
+  const { homePosition } = getBoardConfig(noOfPlayers);
+  const context = { ...room, no_of_players: noOfPlayers };
+
+  const started = events.find((e) => e.event_type === ROOM_EVENT_TYPES.GAME_STARTED);
+  let positions = clone(started?.payload?.positions || initializePositions(room.players || {}));
+  const initialPositions = clone(positions);
+
+  const discrepancies = [];
+  const steps = [];
+
+  for (const event of events) {
+    const payload = event.payload || {};
+
+    if (event.event_type === ROOM_EVENT_TYPES.TOKEN_MOVED) {
+      const { color, tokenName, from, to, steps: moveSteps, killed } = payload;
+      const current = positions[color]?.[tokenName] ?? 0;
+
+      if (current !== from) {
+        discrepancies.push({ seq: event.seq, reason: 'from_mismatch', expected: current, recorded: from });
+      }
+      const target = getMoveTarget(rules, current, moveSteps, homePosition);
+      if (target !== to) {
+        discrepancies.push({ seq: event.seq, reason: 'target_mismatch', expected: target, recorded: to });
+      }
+
+      const next = clone(positions);
+      next[color] = { ...(next[color] || {}), [tokenName]: to };
+      const captureResult = applyCaptures(
+        rules,
+        { ...context, positions },
+        color,
+        to,
+        next,
+        isTeamUp ? { opponentColors: getOpponentColors(room, color) } : {},
+      );
+
+      if (!sameTokens(captureResult.killedTokens, killed)) {
+        discrepancies.push({
+          seq: event.seq,
+          reason: 'capture_mismatch',
+          expected: captureResult.killedTokens,
+          recorded: killed || [],
+        });
+      }
+      positions = captureResult.updatedPositions;
+    } else if (event.event_type === ROOM_EVENT_TYPES.TURN_FORFEITED) {
+      if (payload.restoredPositions) positions = clone(payload.restoredPositions);
+    } else if (payload.positions) {
+      // Events that reset the board (game start, a leaver's tokens removed)
+      positions = clone(payload.positions);
+    }
+
+    steps.push({
+      seq: event.seq,
+      type: event.event_type,
+      userId: event.user_id,
+      payload,
+      createdAt: event.created_at,
+      positions: clone(positions),
+    });
+  }
+
+  return {
+    roomId: room.room_id,
+    tableName,
+    ruleVariant: rules.name,
+    gameState: room.game_state,
+    initialPositions,
+    steps,
+    finalPositions: positions,
+    matchesRoomState: samePositions(positions, room.positions),
+    discrepancies,
+  };
+}
+
+export async function getRoomReplay(room, tableName) {
+  const events = await getRoomEvents(room.room_id, tableName);
+  return buildReplay(room, tableName, events);
+}
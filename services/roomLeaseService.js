@@ -0,0 +1,183 @@
+/**
+ * Room Lease Service - ONE OWNER PER ROOM ACROSS SERVER INSTANCES
+ *
+ * Bot turns, turn timers and disconnect removals run on exactly one server
+ * instance per room: the holder of the room's lease (room_leases table,
+ * create_room_leases_table.sql). Each instance renews the leases it holds on
+ * a heartbeat; when an instance dies its leases expire and another instance
+ * adopts the room.
+ *
+ * Every write the owner makes is still versioned (state_version), so a stale
+ * owner that has not noticed losing a lease cannot apply a duplicate move.
+ *
+ * Without the lease RPCs in the database (migration not applied) every
+ * instance owns every room, which is only correct for a single instance.
+ */
+
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
+import { supabaseAdmin } from '../config/supabase.js';
+
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+export const LEASE_TTL_MS = Number(process.env.ROOM_LEASE_TTL_MS) || 15_000;
+const RENEW_INTERVAL_MS = Math.floor(LEASE_TTL_MS / 3);
+
+// Function not found: PostgREST schema cache, then Postgres
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+
+// leaseKey -> { tableName, roomId, acquiredAt, expiresAt } for leases this instance holds
+const heldLeases = new Map();
+// leaseKey -> when to ask again about a lease held elsewhere. Capped at one
+// renew interval so a lease handed back on shutdown is noticed quickly.
+const foreignLeases = new Map();
+
+let leasesUnavailable = false;
+let heartbeatTimer = null;
+let onLeaseLost = null;
+
+export function roomLeaseKey(tableName, roomId) {
+  return `${tableName}:${roomId}`;
+}
+
+function isMissingFunction(error) {
+  if (!MISSING_FUNCTION_CODES.includes(error?.code)) return false;
+  if (!leasesUnavailable) {
+    console.warn('⚠️ [LEASES] Lease functions not found; assuming a single server instance owns every room');
+    leasesUnavailable = true;
+  }
+  return true;
+}
+
+function dropLease(key, { notify = false } = {}) {
+  const lease = heldLeases.get(key);
+  if (!lease) return;
+  heldLeases.delete(key);
+  if (notify) {
+    console.warn(`⚠️ [LEASES] Lost ${key}`);
+    onLeaseLost?.(lease.tableName, lease.roomId);
+  }
+}
+
+/**
+ * Take or extend this instance's lease on a room. Resolves true when this
+ * instance owns the room and should run its bot turns and timers.
+ */
+export async function acquireRoomLease(tableName, roomId) {
+  if (leasesUnavailable) return true;
+
+  const key = roomLeaseKey(tableName, roomId);
+  const now = Date.now();
+  if (heldLeases.get(key)?.expiresAt > now) return true;
+  if (foreignLeases.get(key) > now) return false;
+
+  const { data: lease, error } = await supabaseAdmin.rpc('acquire_room_lease', {
+    p_lease_key: key,
+    p_owner_id: INSTANCE_ID,
+    p_ttl_ms: LEASE_TTL_MS,
+  });
+
+  if (error) {
+    if (isMissingFunction(error)) return true;
+    console.error(`❌ [LEASES] Failed to acquire ${key}:`, error);
+    return false;
+  }
+
+  if (lease?.owner_id === INSTANCE_ID) {
+    foreignLeases.delete(key);
+    const held = heldLeases.get(key);
+    if (!held) console.log(`🔒 [LEASES] Acquired ${key}`);
+    heldLeases.set(key, { tableName, roomId, acquiredAt: held?.acquiredAt ?? now, expiresAt: now + LEASE_TTL_MS });
+    return true;
+  }
+
+  dropLease(key, { notify: true });
+  const expiresAt = Date.parse(lease?.expires_at) || now + LEASE_TTL_MS;
+  foreignLeases.set(key, Math.min(expiresAt, now + RENEW_INTERVAL_MS));
+  return false;
+}
+
+// Rooms this instance currently holds: [{ tableName, roomId, acquiredAt }]
+export function listHeldRoomLeases() {
+  return [...heldLeases.values()].map(({ tableName, roomId, acquiredAt }) => ({ tableName, roomId, acquiredAt }));
+}
+
+async function releaseLeases(keys) {
+  if (keys.length === 0 || leasesUnavailable) return;
+
+  const { error } = await supabaseAdmin.rpc('release_room_leases', {
+    p_owner_id: INSTANCE_ID,
+    p_lease_keys: keys,
+  });
+  if (error && !isMissingFunction(error)) {
+    console.error('❌ [LEASES] Failed to release leases:', error);
+  }
+}
+
+// Hand a room back as soon as this instance is done with it (game finished or deleted)
+export async function releaseRoomLease(tableName, roomId) {
+  const key = roomLeaseKey(tableName, roomId);
+  foreignLeases.delete(key);
+  if (!heldLeases.has(key)) return;
+  dropLease(key);
+  await releaseLeases([key]);
+}
+
+async function renewHeldLeases() {
+  const keys = [...heldLeases.keys()];
+  if (keys.length === 0 || leasesUnavailable) return;
+
+  const { data: renewed, error } = await supabaseAdmin.rpc('renew_room_leases', {
+    p_owner_id: INSTANCE_ID,
+    p_lease_keys: keys,
+    p_ttl_ms: LEASE_TTL_MS,
+  });
+
+  const now = Date.now();
+  if (error) {
+    if (isMissingFunction(error)) return;
+    console.error('❌ [LEASES] Heartbeat failed:', error);
+    // Only leases that have certainly run out are given up
+    for (const key of keys) {
+      if (heldLeases.get(key)?.expiresAt <= now) dropLease(key, { notify: true });
+    }
+    return;
+  }
+
+  const stillHeld = new Set(renewed || []);
+  for (const key of keys) {
+    if (stillHeld.has(key)) {
+      const lease = heldLeases.get(key);
+      if (lease) lease.expiresAt = now + LEASE_TTL_MS;
+    } else {
+      dropLease(key, { notify: true });
+    }
+  }
+}
+
+/**
+ * Renew held leases every third of the TTL. `onLost(tableName, roomId)` runs
+ * for each lease this instance finds it no longer holds.
+ */
+export function startLeaseHeartbeat({ onLost } = {}) {
+  onLeaseLost = onLost || null;
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    renewHeldLeases().catch((error) => console.error('❌ [LEASES] Heartbeat error:', error));
+  }, RENEW_INTERVAL_MS);
+  heartbeatTimer.unref?.();
+  console.log(`🔒 [LEASES] Instance ${INSTANCE_ID} renewing room leases every ${RENEW_INTERVAL_MS}ms`);
+}
+
+// Stop renewing and give every held lease back so other instances take over at once
+export async function stopLeaseHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  onLeaseLost = null;
+
+  const keys = [...heldLeases.keys()];
+  heldLeases.clear();
+  foreignLeases.clear();
+  await releaseLeases(keys);
+}
@@ -0,0 +1,206 @@
+/**
+ * Room Repository - SINGLE ACCESS POINT FOR ROOM ROWS
+ *
+ * Rooms live in four tables (game_rooms, friend_rooms, team_up_rooms,
+ * tournament_rooms). This module resolves a room ID to its table once and
+ * caches the mapping, so routes no longer probe the tables one query at a
+ * time. Game state writes go through saveRoom/transitionRoom, which apply the
+ * state_version guard from utils/stateVersion.js; bookkeeping writes (locks,
+ * chat, presence) use updateRoomWhere. Every successful write is published on
+ * the game event bus (services/gameEventBus.js).
+ *
+ * Adding a room type means adding it to ROOM_TABLES (and ROOM_TYPE_TABLES if
+ * clients refer to it by roomType).
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { readStateVersion, bumpStateVersion } from '../utils/stateVersion.js';
+import { ROOM_CHANGE_TYPES, publishRoomChange } from './gameEventBus.js';
+
+export const ROOM_TABLES = Object.freeze({
+  online: 'game_rooms',
+  friend: 'friend_rooms',
+  teamUp: 'team_up_rooms',
+  tournament: 'tournament_rooms',
+});
+
+// `roomType` values sent by clients
+const ROOM_TYPE_TABLES = Object.freeze({
+  online: ROOM_TABLES.online,
+  friend: ROOM_TABLES.friend,
+  team_up: ROOM_TABLES.teamUp,
+  tournament: ROOM_TABLES.tournament,
+});
+
+export const ALL_ROOM_TABLES = Object.freeze(Object.values(ROOM_TABLES));
+
+// Tables played through /api/game-rooms (team-up has its own router)
+export const GAME_ROOM_TABLES = Object.freeze([
+  ROOM_TABLES.online,
+  ROOM_TABLES.friend,
+  ROOM_TABLES.tournament,
+]);
+
+const TABLE_CACHE_LIMIT = 5000;
+const roomTableCache = new Map(); // roomId -> tableName, oldest first
+
+export function tableForRoomType(roomType, fallback = ROOM_TABLES.online) {
+  return ROOM_TYPE_TABLES[roomType] ?? fallback;
+}
+
+export function isTeamUpTable(tableName) {
+  return tableName === ROOM_TABLES.teamUp;
+}
+
+export function rememberRoomTable(roomId, tableName) {
+  if (!roomId || !tableName) return;
+  roomTableCache.delete(roomId);
+  roomTableCache.set(roomId, tableName);
+  if (roomTableCache.size > TABLE_CACHE_LIMIT) {
+    roomTableCache.delete(roomTableCache.keys().next().value);
+  }
+}
+
+export function forgetRoomTable(roomId) {
+  roomTableCache.delete(roomId);
+}
+
+async function selectRoom(tableName, roomId, columns) {
+  const { data, error } = await supabaseAdmin
+    .from(tableName)
+    .select(columns)
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Load a room by ID. `tables` limits where it may live (all tables by default).
+ * Returns { room, tableName }; both are null when the room does not exist.
+ */
+export async function loadRoom(roomId, { tables = ALL_ROOM_TABLES, columns = '*' } = {}) {
+  if (!roomId) return { room: null, tableName: null };
+
+  const cached = roomTableCache.get(roomId);
+  if (cached) {
+    if (!tables.includes(cached)) return { room: null, tableName: null };
+    const room = await selectRoom(cached, roomId, columns);
+    if (room) return { room, tableName: cached };
+    // Deleted since it was cached - fall through and probe again
+    forgetRoomTable(roomId);
+  }
+
+  // One round-trip: probe every candidate table at once, first match in `tables` order wins
+  const rows = await Promise.all(tables.map((tableName) => selectRoom(tableName, roomId, columns)));
+  const index = rows.findIndex(Boolean);
+  if (index === -1) return { room: null, tableName: null };
+
+  rememberRoomTable(roomId, tables[index]);
+  return { room: rows[index], tableName: tables[index] };
+}
+
+// Load from a table the caller already knows (e.g. the team-up router).
+export async function loadRoomFrom(tableName, roomId, columns = '*') {
+  const { room } = await loadRoom(roomId, { tables: [tableName], columns });
+  return room;
+}
+
+// Rooms handled by /api/game-rooms and the bot routes.
+export async function findGameRoom(roomId) {
+  const { room, tableName } = await loadRoom(roomId, { tables: GAME_ROOM_TABLES });
+  return { gameRoom: room, tableName };
+}
+
+/**
+ * Move a room from one state to another.
+ * `from` lists columns that must still hold the values the caller saw (turn,
+ * dice_state, ...); the state_version the caller read is always checked and
+ * bumped. Returns { room, conflict } - conflict is true when nothing matched.
+ */
+export async function transitionRoom(tableName, room, { from = {}, to }) {
+  const version = readStateVersion(room);
+
+  let query = supabaseAdmin
+    .from(tableName)
+    .update({ ...to, ...bumpStateVersion(version) })
+    .eq('room_id', room.room_id)
+    .eq('state_version', version);
+
+  for (const [column, value] of Object.entries(from)) {
+    query = query.eq(column, value);
+  }
+
+  // No .single(): an update that matches nothing is a conflict, not an error
+  const { data, error } = await query.select();
+  if (error) throw error;
+
+  const saved = data?.[0] ?? null;
+  if (saved) publishRoomChange(tableName, saved);
+  return { room: saved, conflict: !saved };
+}
+
+// Versioned write with no extra state guards.
+export async function saveRoom(tableName, room, changes) {
+  return transitionRoom(tableName, room, { to: changes });
+}
+
+/**
+ * Unversioned write for columns outside the turn state machine (payout and
+ * stats locks, chat, presence, lobby changes). `match` holds equality guards
+ * and must identify the room (room_id, or id for tournament rooms); `not`
+ * holds inequality guards. The state_version trigger still bumps the version.
+ * Returns the updated room, or null when no row matched.
+ */
+export async function updateRoomWhere(tableName, match, changes, { not = {} } = {}) {
+  let query = supabaseAdmin.from(tableName).update(changes);
+
+  for (const [column, value] of Object.entries(match)) {
+    query = query.eq(column, value);
+  }
+  for (const [column, value] of Object.entries(not)) {
+    query = query.neq(column, value);
+  }
+
+  const { data, error } = await query.select();
+  if (error) throw error;
+
+  for (const saved of data || []) publishRoomChange(tableName, saved);
+  return data?.[0] ?? null;
+}
+
+/**
+ * Flip a boolean lock column (payout_processed, events_tracked) from false to
+ * true and stamp `${column}_at`. Returns true only for the caller that flipped
+ * it, so the work it guards runs once.
+ */
+export async function claimRoomFlag(tableName, roomId, column) {
+  const now = new Date().toISOString();
+  const claimed = await updateRoomWhere(
+    tableName,
+    { room_id: roomId, [column]: false },
+    { [column]: true, [`${column}_at`]: now, updated_at: now },
+  );
+  return !!claimed;
+}
+
+export async function createRoom(tableName, row) {
+  const { data, error } = await supabaseAdmin
+    .from(tableName)
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw error;
+  rememberRoomTable(data.room_id, tableName);
+  publishRoomChange(tableName, data, ROOM_CHANGE_TYPES.INSERT);
+  return data;
+}
+
+export async function deleteRoom(tableName, roomId) {
+  forgetRoomTable(roomId);
+  const { error } = await supabaseAdmin.from(tableName).delete().eq('room_id', roomId);
+  if (error) throw error;
+  publishRoomChange(tableName, { room_id: roomId }, ROOM_CHANGE_TYPES.DELETE);
+}
@@ -0,0 +1,362 @@
+/**
+ * Store Service - IN-APP PURCHASES OF STORE PACKS
+ *
+ * A pack from the store table is paid for on Google Play or the App Store;
+ * the client sends the platform receipt, which purchaseVerifier checks with
+ * the store. Every receipt is recorded once in store_purchases
+ * (create_store_purchases_table.sql), so a replayed receipt grants nothing
+ * more and no other player can use it.
+ *
+ * What a pack grants:
+ * - coins / diamonds packs: item_value through the wallet ledger
+ * - talktime packs: item_value minutes of talk time
+ * - offers: every entry of bundle_items (coins, diamonds, talk time and
+ *   inventory items)
+ *
+ * Ledger credits and inventory items are granted idempotently and are simply
+ * granted again by a retried request. Talk time is extended by the request
+ * that moves the purchase from pending to granted.
+ *
+ * A pack may be on sale for a window only (starts_at / ends_at), limited to
+ * purchase_limit purchases per player ever or per week, and restricted to
+ * players meeting its eligibility rules (add_store_offer_columns.sql). The
+ * catalog hides packs off sale or out of reach of the player, and marks the
+ * ones whose limit the player has reached; a new receipt for such a pack is
+ * refused.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { CURRENCIES, LEDGER_REASONS, REFERENCE_TYPES, credit, isValidCurrency } from './walletService.js';
+
+export const GRANT_TYPES = Object.freeze({
+  COINS: CURRENCIES.COINS,
+  DIAMONDS: CURRENCIES.DIAMONDS,
+  TALKTIME: 'talktime',
+  INVENTORY_ITEM: 'inventory_item',
+});
+
+export const PURCHASE_STATUS = Object.freeze({
+  PENDING: 'pending',
+  GRANTED: 'granted',
+});
+
+export const LIMIT_PERIODS = Object.freeze({
+  LIFETIME: 'lifetime',
+  WEEK: 'week',
+});
+
+// Why a player cannot buy a pack
+export const UNAVAILABLE_REASONS = Object.freeze({
+  NOT_ON_SALE: 'not_on_sale',
+  NOT_ELIGIBLE: 'not_eligible',
+  LIMIT_REACHED: 'limit_reached',
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STORE_TABLE = 'store';
+const PURCHASES_TABLE = 'store_purchases';
+const OFFERS = 'offers';
+
+export async function getStoreItem(itemId) {
+  const { data, error } = await supabaseAdmin
+    .from(STORE_TABLE)
+    .select('*')
+    .eq('item_id', itemId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * What `item` grants: [{ type, value }] for currencies and talk time (one
+ * entry per type) and { type: 'inventory_item', itemId } per inventory item.
+ * Throws on a bundle entry the store cannot grant.
+ */
+export function packContents(item) {
+  const entries = item.item_type === OFFERS
+    ? (Array.isArray(item.bundle_items) ? item.bundle_items : [])
+    : [{ type: item.item_type, value: item.item_value }];
+
+  const amounts = new Map();
+  const items = [];
+  for (const entry of entries) {
+    if (entry?.type === GRANT_TYPES.INVENTORY_ITEM) {
+      if (!entry.item_id) throw new Error(`Store item ${item.item_id}: bundle entry without item_id`);
+      if (!items.includes(entry.item_id)) items.push(entry.item_id);
+      continue;
+    }
+    if (!isValidCurrency(entry?.type) && entry?.type !== GRANT_TYPES.TALKTIME) {
+      throw new Error(`Store item ${item.item_id}: cannot grant ${entry?.type}`);
+    }
+    const value = Number(entry.value ?? 0);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Store item ${item.item_id}: invalid ${entry.type} value ${entry.value}`);
+    }
+    if (value > 0) amounts.set(entry.type, (amounts.get(entry.type) ?? 0) + value);
+  }
+
+  return [
+    ...[...amounts].map(([type, value]) => ({ type, value })),
+    ...items.map((itemId) => ({ type: GRANT_TYPES.INVENTORY_ITEM, itemId })),
+  ];
+}
+
+// Push the user's talk time end `minutes` further (from now when it has run
+// out). Resolves the new end date.
+export async function extendTalkTime(userId, minutes) {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('talk_time_end_date')
+    .eq('uid', userId)
+    .single();
+  if (error) throw error;
+
+  const now = new Date();
+  const currentEnd = user?.talk_time_end_date ? new Date(user.talk_time_end_date) : null;
+  const base = currentEnd && currentEnd > now ? currentEnd : now;
+  const newEnd = new Date(base.getTime() + minutes * 60_000).toISOString();
+
+  const { error: updateError } = await supabaseAdmin
+    .from('users')
+    .update({ talk_time_end_date: newEnd })
+    .eq('uid', userId);
+  if (updateError) throw updateError;
+
+  return newEnd;
+}
+
+// Add an inventory item to the user's owned items (no-op when already owned).
+// The add_owned_item RPC appends in one statement, so concurrent grants all land.
+export async function addOwnedItem(userId, itemId) {
+  const { data: owned, error } = await supabaseAdmin.rpc('add_owned_item', {
+    p_user_id: userId,
+    p_item_id: itemId,
+  });
+  if (error) throw error;
+  return owned || [];
+}
+
+// ============================================
+// CATALOG
+// ============================================
+
+async function loadBuyer(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select('uid, created_at, games_won, games_lost')
+    .eq('uid', userId)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listUserPurchases(userId) {
+  const { data, error } = await supabaseAdmin
+    .from(PURCHASES_TABLE)
+    .select('store_item_id, created_at')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Monday 00:00 UTC of the week `now` falls in
+function weekStart(now) {
+  const start = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+// A pack's price: item_price is what the store charges, the discount
+// already taken off; original_price is the price before the discount.
+export function storePrices(item) {
+  const finalPrice = Number(item.item_price);
+  const discount = Number(item.discount_percent ?? 0);
+  const originalPrice = discount > 0 && discount < 100
+    ? Math.round((finalPrice * 100) / (100 - discount))
+    : finalPrice;
+  return { final_price: finalPrice, original_price: originalPrice };
+}
+
+function isOnSale(item, now) {
+  if (item.starts_at && Date.parse(item.starts_at) > now.getTime()) return false;
+  if (item.ends_at && Date.parse(item.ends_at) <= now.getTime()) return false;
+  return true;
+}
+
+function isEligible(item, buyer, purchases, now) {
+  const rules = item.eligibility || {};
+  if (rules.max_account_age_days != null) {
+    const age = now.getTime() - Date.parse(buyer.created_at);
+    if (!(age <= rules.max_account_age_days * DAY_MS)) return false;
+  }
+  if (rules.max_games_played != null) {
+    const played = Number(buyer.games_won ?? 0) + Number(buyer.games_lost ?? 0);
+    if (played > rules.max_games_played) return false;
+  }
+  if (rules.first_purchase && purchases.length > 0) return false;
+  return true;
+}
+
+/**
+ * Whether `buyer` (users row) can buy `item` at `now`, given their store
+ * purchases. Resolves { available: true, remaining } (remaining purchases,
+ * null when unlimited) or { available: false, reason, remaining }.
+ */
+export function checkAvailability(item, buyer, purchases, now = new Date()) {
+  if (!isOnSale(item, now)) return { available: false, reason: UNAVAILABLE_REASONS.NOT_ON_SALE, remaining: 0 };
+  if (!isEligible(item, buyer, purchases, now)) {
+    return { available: false, reason: UNAVAILABLE_REASONS.NOT_ELIGIBLE, remaining: 0 };
+  }
+  if (!item.purchase_limit) return { available: true, remaining: null };
+
+  const since = item.purchase_limit_period === LIMIT_PERIODS.WEEK ? weekStart(now).getTime() : 0;
+  const made = purchases.filter((purchase) => (
+    purchase.store_item_id === item.item_id && Date.parse(purchase.created_at) >= since
+  )).length;
+  const remaining = Math.max(0, item.purchase_limit - made);
+  return remaining > 0
+    ? { available: true, remaining }
+    : { available: false, reason: UNAVAILABLE_REASONS.LIMIT_REACHED, remaining: 0 };
+}
+
+/**
+ * The active packs `userId` may see at `now`, featured first, with prices,
+ * contents and whether they can still buy them.
+ */
+export async function getCatalog(userId, now = new Date()) {
+  const [{ data: items, error }, buyer, purchases] = await Promise.all([
+    supabaseAdmin.from(STORE_TABLE).select('*').eq('is_active', true),
+    loadBuyer(userId),
+    listUserPurchases(userId),
+  ]);
+  if (error) throw error;
+
+  const catalog = [];
+  for (const item of items || []) {
+    const availability = checkAvailability(item, buyer, purchases, now);
+    if (availability.reason === UNAVAILABLE_REASONS.NOT_ON_SALE) continue;
+    if (availability.reason === UNAVAILABLE_REASONS.NOT_ELIGIBLE) continue;
+
+    catalog.push({
+      ...item,
+      ...storePrices(item),
+      contents: packContents(item),
+      available: availability.available,
+      unavailable_reason: availability.reason ?? null,
+      purchases_remaining: availability.remaining,
+    });
+  }
+
+  return catalog.sort((a, b) => (
+    Number(Boolean(b.is_featured)) - Number(Boolean(a.is_featured))
+    || a.item_type.localeCompare(b.item_type)
+    || a.final_price - b.final_price
+  ));
+}
+
+// ============================================
+// PURCHASES
+// ============================================
+
+async function findPurchase(platform, receiptId) {
+  const { data, error } = await supabaseAdmin
+    .from(PURCHASES_TABLE)
+    .select('*')
+    .eq('platform', platform)
+    .eq('receipt_id', receiptId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// The purchase row of a receipt, recorded for `userId` if it is new
+async function recordReceipt(userId, storeItemId, platform, receiptId) {
+  const existing = await findPurchase(platform, receiptId);
+  if (existing) return existing;
+
+  const { data, error } = await supabaseAdmin
+    .from(PURCHASES_TABLE)
+    .insert({ user_id: userId, store_item_id: storeItemId, platform, receipt_id: receiptId })
+    .select()
+    .single();
+
+  if (error) {
+    // Unique violation => a concurrent request recorded the receipt first
+    if (error.code === '23505') {
+      const winner = await findPurchase(platform, receiptId);
+      if (winner) return winner;
+    }
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Grant `item` to `userId` for a verified receipt. Resolves
+ * { purchase, alreadyGranted }, { conflict: true } when the receipt was used
+ * by another player or for another pack, or { unavailable: reason } when a
+ * new receipt is for a pack the player cannot buy (UNAVAILABLE_REASONS).
+ */
+export async function purchaseStoreItem(userId, item, { platform, receiptId }, now = new Date()) {
+  const contents = packContents(item);
+
+  // Limits apply to new receipts; a retried one finishes what it started
+  if (!(await findPurchase(platform, receiptId))) {
+    const [buyer, purchases] = await Promise.all([loadBuyer(userId), listUserPurchases(userId)]);
+    const { available, reason } = checkAvailability(item, buyer, purchases, now);
+    if (!available) return { unavailable: reason };
+  }
+
+  const purchase = await recordReceipt(userId, item.item_id, platform, receiptId);
+  if (purchase.user_id !== userId || purchase.store_item_id !== item.item_id) {
+    return { conflict: true };
+  }
+  if (purchase.status === PURCHASE_STATUS.GRANTED) {
+    return { purchase, alreadyGranted: true };
+  }
+
+  const referenceId = `${platform}:${receiptId}`;
+  const grants = [];
+  for (const content of contents) {
+    if (isValidCurrency(content.type)) {
+      await credit(userId, content.value, {
+        currency: content.type,
+        reason: LEDGER_REASONS.PURCHASE,
+        referenceType: REFERENCE_TYPES.RECEIPT,
+        referenceId,
+        idempotencyKey: `purchase:${referenceId}`,
+      });
+    } else if (content.type === GRANT_TYPES.INVENTORY_ITEM) {
+      await addOwnedItem(userId, content.itemId);
+    }
+    grants.push(content);
+  }
+
+  const grantedAt = new Date().toISOString();
+  const { data: granted, error } = await supabaseAdmin
+    .from(PURCHASES_TABLE)
+    .update({ status: PURCHASE_STATUS.GRANTED, grants, granted_at: grantedAt, updated_at: grantedAt })
+    .eq('id', purchase.id)
+    .eq('status', PURCHASE_STATUS.PENDING)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!granted) {
+    // A concurrent request completed the purchase (and extended the talk time)
+    return { purchase: await findPurchase(platform, receiptId), alreadyGranted: true };
+  }
+
+  const talkTime = contents.find((content) => content.type === GRANT_TYPES.TALKTIME);
+  if (talkTime) await extendTalkTime(userId, talkTime.value);
+
+  console.log(`🛒 [STORE] ${userId} bought ${item.item_id} (${referenceId}): ${JSON.stringify(grants)}`);
+  return { purchase: granted, alreadyGranted: false };
+}
@@ -0,0 +1,182 @@
+/**
+ * Tournament Scheduler - TOURNAMENTS RUN BY THE CLOCK
+ *
+ * Every tick walks the tournaments that are not completed or cancelled
+ * (add_tournament_schedule_columns.sql) and moves each one along:
+ * - registration_opens_at reached: upcoming -> registration
+ * - registration closes (registration_closes_at, else tournament_start_time):
+ *   -> registration_closed
+ * - tournament_start_time reached: the bracket is seeded and the first rooms
+ *   open (tournamentService.startTournament); short of min_players the
+ *   tournament is cancelled and its entry fees refunded
+ * - a match room finished: its winner is recorded and the next rooms open,
+ *   without waiting for a client to report it
+ * - a champion decided but the tournament not completed (a crash cut the
+ *   payout short): the completion is run again (tournamentService
+ *   .completeTournament), paying the prizes still owed
+ * - a match room still waiting TOURNAMENT_NO_SHOW_GRACE_MS after it opened:
+ *   players who did not check in forfeit (tournamentService.forfeitNoShows)
+ * - tournament_end_time reached: a tournament still running is cancelled and
+ *   its entry fees refunded
+ * - entry fees still held after registration are settled
+ *   (tournamentService.settleHeldTournamentFees): refunds a crash cut short
+ *   are finished, whatever state the tournament is in
+ *
+ * Each step reads the state it acts on from the database and is guarded by
+ * a conditional write, so a tick can stop anywhere and the next one (on this
+ * instance or, after a restart, another) carries on. The scheduler runs on
+ * one server instance at a time: the holder of the scheduler lease
+ * (roomLeaseService). The server starts it (startTournamentScheduler) once
+ * it is listening; importing this module starts nothing.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { ROOM_TABLES } from './roomRepository.js';
+import { acquireRoomLease, releaseRoomLease } from './roomLeaseService.js';
+import {
+  OPEN_STATUSES,
+  TOURNAMENT_STATUS,
+  cancelTournament,
+  completeMatch,
+  completeTournament,
+  forfeitNoShows,
+  isRegistrationOpen,
+  openReadyMatches,
+  registrationClosesAt,
+  settleHeldTournamentFees,
+  startTournament,
+} from './tournamentService.js';
+import { MATCH_STATUS, findMatchByRoom } from '../utils/tournamentBrackets.js';
+
+export const NO_SHOW_GRACE_MS = Number(process.env.TOURNAMENT_NO_SHOW_GRACE_MS) || 120_000;
+const SCHEDULER_INTERVAL_MS = Number(process.env.TOURNAMENT_SCHEDULER_INTERVAL_MS) || 15_000;
+const SCHEDULER_LEASE = { tableName: 'tournaments', roomId: 'scheduler' };
+
+let schedulerTimer = null;
+let schedulerRun = null;
+
+const reached = (time, now) => !!time && Date.parse(time) <= now;
+
+async function setStatus(tournament, from, to) {
+  const { error } = await supabaseAdmin
+    .from('tournaments')
+    .update({ status: to })
+    .eq('tournament_id', tournament.tournament_id)
+    .eq('status', from);
+  if (error) throw error;
+  console.log(`🗓️ [TOURNAMENTS] ${tournament.tournament_id}: ${from} -> ${to}`);
+}
+
+// Before the bracket: registration window and the scheduled start
+async function advanceRegistration(tournament, now) {
+  if (reached(tournament.tournament_start_time, now)) {
+    const result = await startTournament(tournament);
+    if (result.notEnoughPlayers) {
+      await cancelTournament(tournament, `${result.playerCount} players, below the minimum`);
+    }
+    return;
+  }
+
+  if (reached(registrationClosesAt(tournament), now)) {
+    if (tournament.status !== TOURNAMENT_STATUS.REGISTRATION_CLOSED) {
+      await setStatus(tournament, tournament.status, TOURNAMENT_STATUS.REGISTRATION_CLOSED);
+    }
+  } else if (tournament.status === TOURNAMENT_STATUS.UPCOMING && isRegistrationOpen(tournament, now)) {
+    await setStatus(tournament, TOURNAMENT_STATUS.UPCOMING, TOURNAMENT_STATUS.REGISTRATION);
+  }
+}
+
+// After the bracket: record finished rooms, forfeit no-shows, open what is ready
+async function advanceBracket(tournament, now) {
+  const { data: rooms, error } = await supabaseAdmin
+    .from(ROOM_TABLES.tournament)
+    .select('*')
+    .eq('tournament_id', tournament.tournament_id);
+  if (error) throw error;
+
+  for (const room of rooms || []) {
+    const found = findMatchByRoom(tournament.bracket, room.room_id);
+    if (found?.match.status !== MATCH_STATUS.PLAYING) continue;
+
+    if (room.game_state === 'finished' && room.winners?.length) {
+      const result = await completeMatch(tournament.tournament_id, room.id, room.winners[0]);
+      if (result.error) console.error(`❌ [TOURNAMENTS] ${room.room_id}: ${result.error}`);
+    } else if (room.game_state === 'waiting' && Date.parse(room.created_at) + NO_SHOW_GRACE_MS <= now) {
+      await forfeitNoShows(tournament, room);
+    }
+  }
+
+  // Rooms a crash left unopened
+  const { data: latest, error: latestError } = await supabaseAdmin
+    .from('tournaments')
+    .select('*')
+    .eq('tournament_id', tournament.tournament_id)
+    .single();
+  if (latestError) throw latestError;
+  if (latest.bracket && !latest.bracket.champion && OPEN_STATUSES.includes(latest.status)) {
+    await openReadyMatches(latest);
+  }
+}
+
+async function advanceTournament(tournament, now) {
+  if (tournament.bracket?.champion) {
+    await completeTournament(tournament);
+  } else if (reached(tournament.tournament_end_time, now)) {
+    await cancelTournament(tournament, 'end time reached');
+  } else if (!tournament.bracket) {
+    await advanceRegistration(tournament, now);
+  } else {
+    await advanceBracket(tournament, now);
+  }
+}
+
+/**
+ * One pass over every open tournament. Exported so tests (and operators)
+ * can run it at a chosen time.
+ */
+export async function runTournamentScheduler(now = Date.now()) {
+  const { data: tournaments, error } = await supabaseAdmin
+    .from('tournaments')
+    .select('*')
+    .in('status', OPEN_STATUSES);
+  if (error) throw error;
+
+  for (const tournament of tournaments || []) {
+    try {
+      await advanceTournament(tournament, now);
+    } catch (tournamentError) {
+      // One broken tournament must not hold up the others
+      console.error(`❌ [TOURNAMENTS] ${tournament.tournament_id} failed:`, tournamentError);
+    }
+  }
+
+  await settleHeldTournamentFees();
+}
+
+async function schedulerTick() {
+  if (schedulerRun) return;
+
+  schedulerRun = (async () => {
+    if (!(await acquireRoomLease(SCHEDULER_LEASE.tableName, SCHEDULER_LEASE.roomId))) return;
+    await runTournamentScheduler();
+  })()
+    .catch((error) => console.error('❌ [TOURNAMENTS] Scheduler run failed:', error))
+    .finally(() => {
+      schedulerRun = null;
+    });
+}
+
+export function startTournamentScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(schedulerTick, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref?.();
+  console.log('🗓️ [TOURNAMENTS] Scheduler started');
+}
+
+// Stop scheduling and hand the scheduler lease to another instance
+export async function stopTournamentScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+  await schedulerRun;
+  await releaseRoomLease(SCHEDULER_LEASE.tableName, SCHEDULER_LEASE.roomId);
+}
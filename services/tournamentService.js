@@ -0,0 +1,885 @@
+/**
+ * Tournament Service - BRACKETS AND LEAGUES
+ *
+ * Starting a tournament seeds its registered players, shuffled, into the
+ * bracket of its format (tournaments.format, add_tournament_format_columns.sql)
+ * kept on the tournament row (tournaments.bracket):
+ * - single_elimination (utils/tournamentBrackets.js): recording a room's
+ *   winner moves them to the table they feed, whose room opens once its last
+ *   player is known. The winner of the last table is the champion.
+ * - swiss / round_robin (utils/tournamentLeagues.js): everyone plays every
+ *   round; each room's result is recorded with the players' kills and tokens
+ *   home for the tiebreaks, and the next round is paired once a round ends.
+ *   The top of the standings after the last round is the champion.
+ * Every match whose players are all known gets a tournament room, played
+ * with the tournament's rule_variant and rule_options (utils/ruleVariants.js,
+ * e.g. the three-sixes penalty). Once there is a champion the tournament
+ * completes and its reward_amount is paid by the tournament payout table
+ * (utils/payoutTables.js): one position per elimination round, or per place
+ * in the league standings.
+ *
+ * Registration: joining holds the entry fee in escrow (escrowService.js) and
+ * takes a seat, or a place on the waitlist once max_players are seated;
+ * leaving before the start refunds the fee and hands the seat to the first
+ * on the waitlist. At the start whoever did not get a seat is refunded; a
+ * tournament short of min_players at its scheduled start is cancelled,
+ * refunding everyone. The fees of a completed tournament are released to
+ * the house.
+ *
+ * Registration and bracket writes compare-and-swap on
+ * tournaments.bracket_version, so joins never take more seats than there
+ * are and matches finishing at the same time all land. A match's room is
+ * created before the write that marks it playing and is looked up by its
+ * room_id first, so a retry after a failed write reuses the room instead of
+ * opening another.
+ *
+ * Players check in to their match room; the room starts once all of them
+ * have, and the ones who have not by the no-show deadline forfeit. A
+ * tournament that cannot finish is cancelled and its entry fees refunded.
+ * tournamentScheduler.js drives these steps by the clock.
+ *
+ * tournament_participants[userId] tracks each player: status (waiting,
+ * playing, advanced, eliminated, winner, runner_up, finished, refunded),
+ * room_id (room code of their current match), round, final_position and
+ * prize_won, plus the entry_fee_paid and escrow_id of their fee. League
+ * players wait between rounds and end up finished below the top two.
+ * tournaments.waitlist lists, in order, { user_id, joined_at,
+ * entry_fee_paid, escrow_id } of the players waiting for a seat.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { recordMatchResult, recordTournamentWon } from './userStatsService.js';
+import { RATING_MODES } from './ratingService.js';
+import { createDiceCommitment, revealDiceSeedSafely } from './diceService.js';
+import { ROOM_EVENT_TYPES, getRoomEvents, recordRoomEvents, gameStartedEvent } from './roomEventLog.js';
+import { ROOM_TABLES, createRoom, saveRoom, updateRoomWhere } from './roomRepository.js';
+import { credit, LEDGER_REASONS, REFERENCE_TYPES } from './walletService.js';
+import {
+  holdEntryFee,
+  listHeldEntryFees,
+  refundEntryFee,
+  refundEntryFees,
+  releaseEntryFees,
+} from './escrowService.js';
+import { getPayoutTable, splitPot } from '../utils/payoutTables.js';
+import { assignColor, getBoardConfig, initializePositions } from '../utils/gameHelpers.js';
+import { DEFAULT_RULE_VARIANT, isValidRuleVariant, validateRuleOptions } from '../utils/ruleVariants.js';
+import {
+  MATCH_STATUS,
+  MIN_ENTRANTS,
+  buildBracket,
+  eliminationStandings,
+  findMatchByRoom,
+  readyMatches,
+  recordWinner,
+} from '../utils/tournamentBrackets.js';
+import {
+  LEAGUE_FORMATS,
+  buildLeague,
+  isLeagueFormat,
+  leaguePositions,
+  leagueStandings,
+  recordLeagueResult,
+} from '../utils/tournamentLeagues.js';
+
+export const TOURNAMENT_FORMATS = Object.freeze({
+  SINGLE_ELIMINATION: 'single_elimination',
+  ...LEAGUE_FORMATS,
+});
+
+export const TOURNAMENT_STATUS = Object.freeze({
+  UPCOMING: 'upcoming',
+  REGISTRATION: 'registration',
+  REGISTRATION_CLOSED: 'registration_closed',
+  IN_PROGRESS: 'in_progress',
+  FINALS: 'finals',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+});
+
+export const PARTICIPANT_STATUS = Object.freeze({
+  WAITING: 'waiting',
+  PLAYING: 'playing',
+  ADVANCED: 'advanced',
+  ELIMINATED: 'eliminated',
+  WINNER: 'winner',
+  RUNNER_UP: 'runner_up',
+  FINISHED: 'finished',
+  REFUNDED: 'refunded',
+});
+
+const TOURNAMENTS_TABLE = 'tournaments';
+const MAX_WRITE_ATTEMPTS = 5;
+
+function isBotId(id) {
+  return id && (id.startsWith('00000000-') || id.startsWith('bot_'));
+}
+
+function shuffleArray(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Statuses of tournaments that have not completed or been cancelled
+export const OPEN_STATUSES = Object.freeze(Object.values(TOURNAMENT_STATUS)
+  .filter((status) => ![TOURNAMENT_STATUS.COMPLETED, TOURNAMENT_STATUS.CANCELLED].includes(status)));
+
+// Statuses in which players may join, and may still leave
+const REGISTRATION_STATUSES = [TOURNAMENT_STATUS.UPCOMING, TOURNAMENT_STATUS.REGISTRATION];
+const LEAVABLE_STATUSES = [...REGISTRATION_STATUSES, TOURNAMENT_STATUS.REGISTRATION_CLOSED];
+
+export function isClosed(tournament) {
+  return !OPEN_STATUSES.includes(tournament.status);
+}
+
+// Registration closes at registration_closes_at, or when the tournament starts
+export function registrationClosesAt(tournament) {
+  return tournament.registration_closes_at ?? tournament.tournament_start_time ?? null;
+}
+
+// Players may join before the bracket is seeded, inside the registration window
+export function isRegistrationOpen(tournament, now = Date.now()) {
+  if (!REGISTRATION_STATUSES.includes(tournament.status)) return false;
+  const opens = tournament.registration_opens_at;
+  const closes = registrationClosesAt(tournament);
+  return (!opens || Date.parse(opens) <= now) && (!closes || now < Date.parse(closes));
+}
+
+export async function getTournament(tournamentId) {
+  const { data, error } = await supabaseAdmin
+    .from(TOURNAMENTS_TABLE)
+    .select('*')
+    .eq('tournament_id', tournamentId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Players a tournament needs to start: min_players, and never fewer than a bracket takes
+export function minimumPlayers(tournament) {
+  return Math.max(MIN_ENTRANTS, Number(tournament.min_players ?? 0));
+}
+
+// Versioned write of the registration or the bracket (and whatever goes
+// with them), only while the status is one of `statuses` when given. Returns
+// the saved row, or null when another write got there first.
+async function saveTournament(tournament, changes, { statuses = null } = {}) {
+  const version = Number(tournament.bracket_version ?? 0);
+  let query = supabaseAdmin
+    .from(TOURNAMENTS_TABLE)
+    .update({ ...changes, bracket_version: version + 1 })
+    .eq('tournament_id', tournament.tournament_id)
+    .eq('bracket_version', version);
+  if (statuses) query = query.in('status', statuses);
+  const { data, error } = await query.select();
+  if (error) throw error;
+  return data?.[0] ?? null;
+}
+
+// A player's registration: their seat, or their place on the waitlist
+function registrationOf(tournament, userId) {
+  return tournament?.tournament_participants?.[userId]
+    ?? (tournament?.waitlist || []).find((entry) => entry.user_id === userId)
+    ?? null;
+}
+
+function seatedParticipant({ joined_at: joinedAt, entry_fee_paid: entryFeePaid, escrow_id: escrowId }) {
+  return {
+    joined_at: joinedAt,
+    entry_fee_paid: entryFeePaid,
+    escrow_id: escrowId,
+    status: PARTICIPANT_STATUS.WAITING,
+    room_id: null,
+    round: null,
+    final_position: null,
+    is_bot: false,
+  };
+}
+
+/**
+ * Register `userId`. The entry fee is held in escrow first; then the player
+ * takes a seat, or a place on the waitlist once max_players seats are taken.
+ * Counting the seats and taking one is a single versioned write, so joins
+ * at the same time never oversubscribe. A join that does not go through
+ * gives its fee back. Returns { seated, waitlisted, position } or
+ * { notFound } / { error }.
+ */
+export async function joinTournament(tournamentId, userId, now = Date.now()) {
+  let tournament = await getTournament(tournamentId);
+  if (!tournament) return { notFound: true };
+  if (!isRegistrationOpen(tournament, now)) return { error: 'Registration is closed' };
+  if (registrationOf(tournament, userId)) return { error: 'Already joined this tournament' };
+
+  const entryFee = Number(tournament.entry_fee || 0);
+  const { held, escrow } = await holdEntryFee(TOURNAMENTS_TABLE, tournamentId, userId, entryFee);
+  if (!held) return { error: 'Insufficient coins' };
+
+  // Unless another request of this player registered with this very hold
+  const giveBack = async (latest) => {
+    if (escrow && registrationOf(latest, userId)?.escrow_id !== escrow.id) await refundEntryFee(escrow);
+  };
+
+  try {
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      if (!tournament || !isRegistrationOpen(tournament, now)) {
+        await giveBack(tournament);
+        return { error: 'Registration is closed' };
+      }
+      if (registrationOf(tournament, userId)) {
+        await giveBack(tournament);
+        return { error: 'Already joined this tournament' };
+      }
+
+      const entry = { joined_at: new Date(now).toISOString(), entry_fee_paid: entryFee, escrow_id: escrow?.id ?? null };
+      const participants = tournament.tournament_participants || {};
+      const seats = Object.keys(participants).length;
+      const waitlist = tournament.waitlist || [];
+      const seated = seats < tournament.max_players;
+      const changes = seated
+        ? {
+          tournament_participants: { ...participants, [userId]: seatedParticipant(entry) },
+          registered_players: [...(tournament.registered_players || []), userId],
+          current_players: seats + 1,
+        }
+        : { waitlist: [...waitlist, { user_id: userId, ...entry }] };
+
+      const saved = await saveTournament(tournament, changes, { statuses: REGISTRATION_STATUSES });
+      if (saved) {
+        return { seated, waitlisted: !seated, position: seated ? null : waitlist.length + 1 };
+      }
+      tournament = await getTournament(tournamentId);
+    }
+  } catch (error) {
+    await giveBack(await getTournament(tournamentId));
+    throw error;
+  }
+  await giveBack(await getTournament(tournamentId));
+  throw new Error(`Could not register ${userId} for tournament ${tournamentId}`);
+}
+
+/**
+ * Take `userId` off a tournament whose bracket is not seeded yet and refund
+ * their entry fee. A seat given up goes to the first player on the
+ * waitlist. Returns { refunded, promoted } or { notFound } / { error }.
+ */
+export async function leaveTournament(tournamentId, userId) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const tournament = await getTournament(tournamentId);
+    if (!tournament) return { notFound: true };
+    if (tournament.bracket || !LEAVABLE_STATUSES.includes(tournament.status)) {
+      return { error: 'Tournament already started' };
+    }
+    if (!registrationOf(tournament, userId)) return { error: 'Not registered for this tournament' };
+
+    const participants = { ...(tournament.tournament_participants || {}) };
+    const participant = participants[userId];
+    const waitlist = (tournament.waitlist || []).filter((entry) => entry.user_id !== userId);
+    let changes = { waitlist };
+    let promoted = null;
+    if (participants[userId]) {
+      delete participants[userId];
+      const registeredPlayers = (tournament.registered_players || []).filter((id) => id !== userId);
+      const next = waitlist.shift();
+      if (next) {
+        participants[next.user_id] = seatedParticipant(next);
+        registeredPlayers.push(next.user_id);
+        promoted = next.user_id;
+      }
+      changes = {
+        tournament_participants: participants,
+        registered_players: registeredPlayers,
+        current_players: Object.keys(participants).length,
+        waitlist,
+      };
+    }
+
+    const saved = await saveTournament(tournament, changes, { statuses: LEAVABLE_STATUSES });
+    if (!saved) continue;
+
+    const refunds = await refundEntryFees(TOURNAMENTS_TABLE, tournamentId, userId);
+    let refunded = refunds.reduce((sum, escrow) => sum + Number(escrow.amount), 0);
+
+    // Entries from before fees were escrowed, keyed as cancelTournament refunds them
+    const legacyFee = Number(participant?.entry_fee_paid || 0);
+    if (legacyFee > 0 && !participant.escrow_id) {
+      await credit(userId, legacyFee, {
+        reason: LEDGER_REASONS.ENTRY_FEE_REFUND,
+        referenceType: REFERENCE_TYPES.TOURNAMENT,
+        referenceId: tournamentId,
+        idempotencyKey: `refund:tournament:${tournamentId}`,
+      });
+      refunded += legacyFee;
+    }
+    if (promoted) console.log(`🎟️ Tournament ${tournamentId}: ${promoted} takes the seat of ${userId}`);
+    return { refunded, promoted };
+  }
+  throw new Error(`Could not take ${userId} off tournament ${tournamentId}`);
+}
+
+// 2-player tables sit red vs blue like the original tournament rooms; 3 and
+// 4 use the regular seating of that player count
+function seatPlayers(playerIds) {
+  if (playerIds.length === 2) return { [playerIds[0]]: 'red', [playerIds[1]]: 'blue' };
+  const seats = {};
+  for (const userId of playerIds) seats[userId] = assignColor(seats, playerIds.length);
+  return seats;
+}
+
+async function findMatchRoom(roomCode) {
+  const { data, error } = await supabaseAdmin
+    .from(ROOM_TABLES.tournament)
+    .select('*')
+    .eq('room_id', roomCode)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// The rule variant and options every room of the tournament is played with:
+// { rules: { rule_variant, rule_options } } or { error }
+function tournamentRules(tournament) {
+  const variant = tournament.rule_variant ?? DEFAULT_RULE_VARIANT;
+  if (!isValidRuleVariant(variant)) return { error: `Unknown rule variant: ${variant}` };
+  const { options, error } = validateRuleOptions(tournament.rule_options);
+  if (error) return { error };
+  return { rules: { rule_variant: variant, rule_options: options } };
+}
+
+// The room of a ready match, created unless an earlier attempt already did
+async function openMatchRoom(tournament, { name, match }) {
+  const existing = await findMatchRoom(match.room_id);
+  if (existing) return existing;
+
+  const { rules, error } = tournamentRules(tournament);
+  if (error) throw new Error(`Tournament ${tournament.tournament_id}: ${error}`);
+
+  const [host] = match.players;
+  const players = seatPlayers(match.players);
+  const perPlayer = (value) => Object.fromEntries(match.players.map((id) => [id, value]));
+  const room = await createRoom(ROOM_TABLES.tournament, {
+    room_id: match.room_id,
+    host_id: host,
+    no_of_players: match.players.length,
+    board_theme: 'classic',
+    dice_state: 'waiting',
+    game_state: 'waiting',
+    room_level: name,
+    tournament_id: tournament.tournament_id,
+    ...rules,
+    positions: initializePositions(players),
+    players,
+    pending_steps: perPlayer(0),
+    consecutive_sixes: perPlayer(0),
+    dice_commitment: await createDiceCommitment(match.room_id, ROOM_TABLES.tournament),
+    turn: host,
+  });
+  await recordRoomEvents(match.room_id, ROOM_TABLES.tournament, [gameStartedEvent(room)]);
+  return room;
+}
+
+/**
+ * Open a room for every match whose players are all known, and mark those
+ * matches playing. Returns { tournament, opened: [{ round, name, match, room }] }.
+ */
+export async function openReadyMatches(tournament) {
+  let current = tournament;
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const ready = readyMatches(current.bracket);
+    if (ready.length === 0) return { tournament: current, opened: [] };
+
+    const opened = [];
+    for (const entry of ready) {
+      opened.push({ ...entry, room: await openMatchRoom(current, entry) });
+    }
+
+    const bracket = structuredClone(current.bracket);
+    const participants = { ...(current.tournament_participants || {}) };
+    for (const { round, match } of opened) {
+      findMatchByRoom(bracket, match.room_id).match.status = MATCH_STATUS.PLAYING;
+      for (const userId of match.players) {
+        participants[userId] = {
+          ...participants[userId],
+          status: PARTICIPANT_STATUS.PLAYING,
+          room_id: match.room_id,
+          round,
+        };
+      }
+    }
+    const lastRound = bracket.total_rounds ?? bracket.rounds.length;
+    const finalOpened = opened.some(({ round }) => round === lastRound);
+
+    const saved = await saveTournament(current, {
+      bracket,
+      tournament_participants: participants,
+      ...(finalOpened ? { status: TOURNAMENT_STATUS.FINALS } : {}),
+    });
+    if (saved) return { tournament: saved, opened };
+    current = await getTournament(current.tournament_id);
+  }
+  throw new Error(`Could not open the next matches of tournament ${tournament.tournament_id}`);
+}
+
+// The bracket of the tournament's format for `entrants`: { bracket } or { error }
+function buildTournamentBracket(tournament, entrants) {
+  const format = tournament.format ?? TOURNAMENT_FORMATS.SINGLE_ELIMINATION;
+  if (isLeagueFormat(format)) {
+    return buildLeague(tournament.tournament_id, entrants, {
+      format,
+      rounds: tournament.league_rounds ?? null,
+      ...(tournament.tiebreaks ? { tiebreaks: tournament.tiebreaks } : {}),
+    });
+  }
+  if (format !== TOURNAMENT_FORMATS.SINGLE_ELIMINATION) return { error: `Unknown tournament format: ${format}` };
+  return buildBracket(tournament.tournament_id, entrants, Number(tournament.table_size ?? 2));
+}
+
+/**
+ * Settle the entry fees a tournament still holds: refunded once it is
+ * cancelled; once the bracket is seeded, refunded to whoever is not in it
+ * (the waitlist, a join that lost the race to the start) and, once it has
+ * completed, kept for the players. Before the start there is nothing to
+ * settle: leaving refunds. Safe to repeat. Returns { refunded, released }.
+ */
+export async function settleEntryFees(tournament) {
+  const cancelled = tournament.status === TOURNAMENT_STATUS.CANCELLED;
+  if (!cancelled && !tournament.bracket) return { refunded: [], released: [] };
+
+  const { tournament_id: tournamentId } = tournament;
+  const entrants = new Set(tournament.bracket?.entrants || []);
+  const refunded = [];
+  for (const escrow of await listHeldEntryFees(TOURNAMENTS_TABLE, tournamentId)) {
+    if (!cancelled && entrants.has(escrow.user_id)) continue;
+    const closed = await refundEntryFee(escrow);
+    if (closed) refunded.push(closed);
+  }
+
+  const released = tournament.status === TOURNAMENT_STATUS.COMPLETED
+    ? await releaseEntryFees(TOURNAMENTS_TABLE, tournamentId)
+    : [];
+  if (refunded.length) console.log(`💸 Tournament ${tournamentId}: refunded ${refunded.length} entry fees`);
+  return { refunded, released };
+}
+
+/**
+ * Settle the fees of every tournament holding some after its registration
+ * (settleEntryFees): picks up refunds a crash interrupted. Run by the
+ * tournament scheduler.
+ */
+export async function settleHeldTournamentFees() {
+  const tournamentIds = new Set((await listHeldEntryFees(TOURNAMENTS_TABLE)).map(({ room_id: roomId }) => roomId));
+  for (const tournamentId of tournamentIds) {
+    const tournament = await getTournament(tournamentId);
+    if (tournament) await settleEntryFees(tournament);
+  }
+}
+
+/**
+ * Seed the registered players into the bracket of the tournament's format
+ * and open the first matches. Returns { tournament, opened }, or
+ * { notEnoughPlayers, playerCount }, { alreadyStarted } or { error } when it
+ * cannot start.
+ */
+export async function startTournament(tournament) {
+  if (tournament.bracket) return { alreadyStarted: true };
+  if (isClosed(tournament)) {
+    return { error: `Tournament is ${tournament.status}` };
+  }
+
+  const participants = tournament.tournament_participants || {};
+  const entrants = shuffleArray(Object.keys(participants).filter((id) => !participants[id].is_bot));
+  if (entrants.length < minimumPlayers(tournament)) {
+    return { notEnoughPlayers: true, playerCount: entrants.length };
+  }
+
+  const { error: rulesError } = tournamentRules(tournament);
+  if (rulesError) return { error: rulesError };
+
+  const { bracket, error } = buildTournamentBracket(tournament, entrants);
+  if (error) return { error };
+
+  const seeded = { ...participants };
+  for (const match of bracket.rounds[0].matches.filter(({ status }) => status === MATCH_STATUS.BYE)) {
+    const status = isLeagueFormat(bracket.format) ? PARTICIPANT_STATUS.WAITING : PARTICIPANT_STATUS.ADVANCED;
+    seeded[match.winner] = { ...seeded[match.winner], status, round: 1 };
+  }
+
+  const started = await saveTournament(tournament, {
+    bracket,
+    status: TOURNAMENT_STATUS.IN_PROGRESS,
+    tournament_participants: seeded,
+    waitlist: [],
+  });
+  if (!started) return { alreadyStarted: true };
+
+  const rounds = bracket.total_rounds ?? bracket.rounds.length;
+  console.log(`🏆 Tournament ${tournament.tournament_id} started: ${entrants.length} players, ${rounds} rounds`);
+  // The waitlist did not get in
+  await settleEntryFees(started);
+  return openReadyMatches(started);
+}
+
+// Pay a player's prize once, whatever retries reach the completion code
+async function awardTournamentPrize(userId, amount, tournamentId) {
+  if (amount <= 0 || isBotId(userId)) return;
+  await credit(userId, amount, {
+    reason: LEDGER_REASONS.PRIZE,
+    referenceType: REFERENCE_TYPES.TOURNAMENT,
+    referenceId: tournamentId,
+    idempotencyKey: `prize:tournament:${tournamentId}:${userId}`,
+  });
+}
+
+// Final positions, best first, each a list of the ids tied there
+function finalStandings(bracket) {
+  return isLeagueFormat(bracket.format) ? leaguePositions(bracket) : eliminationStandings(bracket);
+}
+
+/**
+ * Close a decided tournament: final positions by elimination round or
+ * league standings, prizes by the tournament payout table, and the
+ * champion's stats. The prizes are paid before the tournament is marked
+ * completed, each keyed per player, so a run a crash cut short is finished
+ * by the next (the scheduler retries a decided tournament still open) and
+ * nobody is paid twice; the champion's stats are recorded once.
+ */
+export async function completeTournament(tournament) {
+  const { tournament_id: tournamentId, bracket } = tournament;
+  const decidedStatuses = [TOURNAMENT_STATUS.IN_PROGRESS, TOURNAMENT_STATUS.FINALS];
+  if (!decidedStatuses.includes(tournament.status)) return { alreadyCompleted: true };
+
+  const standings = finalStandings(bracket);
+  const belowPodium = isLeagueFormat(bracket.format) ? PARTICIPANT_STATUS.FINISHED : PARTICIPANT_STATUS.ELIMINATED;
+  const { prizes } = splitPot(
+    Number(tournament.reward_amount || 0),
+    getPayoutTable('tournament', bracket.entrants.length, tournament.entry_fee),
+    standings,
+  );
+  const prizeOf = (userId) => prizes.find((prize) => prize.userId === userId)?.amount ?? 0;
+
+  const participants = { ...(tournament.tournament_participants || {}) };
+  standings.forEach((playerIds, index) => {
+    const status = [PARTICIPANT_STATUS.WINNER, PARTICIPANT_STATUS.RUNNER_UP][index] ?? belowPodium;
+    for (const userId of playerIds) {
+      participants[userId] = {
+        ...participants[userId],
+        status,
+        final_position: index + 1,
+        prize_won: prizeOf(userId),
+      };
+    }
+  });
+
+  for (const { userId, amount } of prizes) {
+    await awardTournamentPrize(userId, amount, tournamentId);
+  }
+
+  const { data: completionLock, error } = await supabaseAdmin
+    .from(TOURNAMENTS_TABLE)
+    .update({
+      status: TOURNAMENT_STATUS.COMPLETED,
+      champion_id: bracket.champion,
+      final_rankings: standings.flat(),
+      tournament_participants: participants,
+    })
+    .eq('tournament_id', tournamentId)
+    .in('status', decidedStatuses)
+    .select('tournament_id')
+    .maybeSingle();
+  if (error) throw error;
+  if (!completionLock) return { alreadyCompleted: true };
+
+  await settleEntryFees({ ...tournament, status: TOURNAMENT_STATUS.COMPLETED });
+
+  try {
+    await recordTournamentWon({ winnerUserIds: [bracket.champion] });
+  } catch (e) {
+    console.error('[UserStats] recordTournamentWon failed:', e?.message ?? e);
+  }
+
+  console.log(`🏆 Tournament ${tournamentId} won by ${bracket.champion}`);
+  return { alreadyCompleted: false, prizes };
+}
+
+// Tournament room `roomId` (its uuid) of the tournament, or null
+export async function getMatchRoom(tournamentId, roomId) {
+  const { data, error } = await supabaseAdmin
+    .from(ROOM_TABLES.tournament)
+    .select('*')
+    .eq('id', roomId)
+    .eq('tournament_id', tournamentId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Kills (from the room's event log) and tokens home of each player of a
+// finished room, for the league tiebreaks
+async function matchStats(room) {
+  const events = await getRoomEvents(room.room_id, ROOM_TABLES.tournament);
+  const { homePosition } = getBoardConfig(room.no_of_players);
+  return Object.fromEntries(Object.entries(room.players || {}).map(([userId, color]) => [userId, {
+    kills: events.filter(({ event_type: type, user_id: killer }) => (
+      type === ROOM_EVENT_TYPES.TOKEN_KILLED && killer === userId
+    )).length,
+    tokens_home: Object.values(room.positions?.[color] || {}).filter((position) => position === homePosition).length,
+  }]));
+}
+
+function recordResult(bracket, roomCode, winnerId, stats) {
+  return isLeagueFormat(bracket.format)
+    ? recordLeagueResult(bracket, roomCode, winnerId, stats)
+    : recordWinner(bracket, roomCode, winnerId);
+}
+
+// Participants after a match: elimination winners advance and losers are
+// out; league players wait for the next round, which may hand out a bye
+function participantsAfterMatch(tournament, bracket, players, winnerId) {
+  const participants = { ...(tournament.tournament_participants || {}) };
+  const league = isLeagueFormat(bracket.format);
+  for (const userId of players) {
+    let status = userId === winnerId ? PARTICIPANT_STATUS.ADVANCED : PARTICIPANT_STATUS.ELIMINATED;
+    if (league) status = PARTICIPANT_STATUS.WAITING;
+    participants[userId] = { ...participants[userId], status, room_id: null };
+  }
+
+  if (league && bracket.rounds.length > tournament.bracket.rounds.length) {
+    const paired = bracket.rounds[bracket.rounds.length - 1];
+    for (const match of paired.matches.filter(({ status }) => status === MATCH_STATUS.BYE)) {
+      participants[match.winner] = { ...participants[match.winner], round: paired.round };
+    }
+  }
+  return participants;
+}
+
+/**
+ * Record `winnerId` as the winner of tournament room `roomId` (its uuid) and
+ * move them on; in a league, the next round is paired once this one is
+ * done. The winner is one the server decided: the finished room's result,
+ * or a forfeit. Returns { match, alreadyRecorded, opened, champion,
+ * completion }, or { notFound } / { error } (the winner did not play the
+ * match, or contradicts the room's result).
+ */
+export async function completeMatch(tournamentId, roomId, winnerId) {
+  const room = await getMatchRoom(tournamentId, roomId);
+  if (!room) return { notFound: true };
+  if (room.winners?.length && room.winners[0] !== winnerId) {
+    return { error: 'Winner does not match the room result' };
+  }
+
+  let tournament = await getTournament(tournamentId);
+  const found = tournament?.bracket && findMatchByRoom(tournament.bracket, room.room_id);
+  if (!found) return { notFound: true };
+  const { error: winnerError } = recordResult(tournament.bracket, room.room_id, winnerId);
+  if (winnerError) return { error: winnerError };
+
+  // Rooms decided without being played out (forfeits) are finished here
+  const roomLock = await updateRoomWhere(
+    ROOM_TABLES.tournament,
+    { id: roomId },
+    { game_state: 'finished', winners: [winnerId] },
+    { not: { game_state: 'finished' } },
+  );
+  if (roomLock) await revealDiceSeedSafely(roomLock.room_id, ROOM_TABLES.tournament);
+  const stats = isLeagueFormat(tournament.bracket.format) ? await matchStats(room) : null;
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const { bracket, alreadyRecorded, error } = recordResult(tournament.bracket, room.room_id, winnerId, stats);
+    if (error) return { error };
+
+    let saved = tournament;
+    if (!alreadyRecorded) {
+      const participants = participantsAfterMatch(tournament, bracket, found.match.players, winnerId);
+      saved = await saveTournament(tournament, { bracket, tournament_participants: participants });
+      if (!saved) {
+        tournament = await getTournament(tournamentId);
+        continue;
+      }
+
+      // Counted by the write that recorded the result, so once per match
+      try {
+        await recordMatchResult({
+          winnerUserIds: [winnerId],
+          loserUserIds: found.match.players.filter((id) => id !== winnerId),
+          mode: RATING_MODES.TOURNAMENT,
+        });
+      } catch (e) {
+        console.error(`[UserStats] recordMatchResult failed (tournament ${found.name}):`, e?.message ?? e);
+      }
+    }
+
+    const match = { round: found.round, name: found.name, match: found.match.match };
+    if (saved.bracket.champion) {
+      return {
+        match,
+        alreadyRecorded,
+        opened: [],
+        champion: saved.bracket.champion,
+        completion: await completeTournament(saved),
+      };
+    }
+    const { opened } = await openReadyMatches(saved);
+    return { match, alreadyRecorded, opened, champion: null, completion: null };
+  }
+  throw new Error(`Could not record the winner of ${room.room_id}`);
+}
+
+/**
+ * Cancel a tournament that cannot finish (short of its minimum players at
+ * the start, or still running at tournament_end_time): open rooms are
+ * closed and every entry fee paid, waitlist included, is refunded. Runs
+ * once; the scheduler finishes refunds a crash interrupted
+ * (settleHeldTournamentFees).
+ */
+export async function cancelTournament(tournament, reason) {
+  const { tournament_id: tournamentId } = tournament;
+  const { data: cancelled, error: lockError } = await supabaseAdmin
+    .from(TOURNAMENTS_TABLE)
+    .update({ status: TOURNAMENT_STATUS.CANCELLED })
+    .eq('tournament_id', tournamentId)
+    .in('status', OPEN_STATUSES)
+    .select()
+    .maybeSingle();
+  if (lockError) throw lockError;
+  if (!cancelled) return { alreadyClosed: true };
+
+  const { error: roomsError } = await supabaseAdmin
+    .from(ROOM_TABLES.tournament)
+    .update({ game_state: 'finished' })
+    .eq('tournament_id', tournamentId)
+    .neq('game_state', 'finished');
+  if (roomsError) throw roomsError;
+
+  const { refunded: escrows } = await settleEntryFees(cancelled);
+  const refunded = escrows.map(({ user_id: userId }) => userId);
+
+  const participants = { ...(cancelled.tournament_participants || {}) };
+  for (const [userId, participant] of Object.entries(participants)) {
+    // Entries from before fees were escrowed
+    const fee = Number(participant.entry_fee_paid || 0);
+    if (fee > 0 && !participant.escrow_id && !isBotId(userId)) {
+      await credit(userId, fee, {
+        reason: LEDGER_REASONS.ENTRY_FEE_REFUND,
+        referenceType: REFERENCE_TYPES.TOURNAMENT,
+        referenceId: tournamentId,
+        idempotencyKey: `refund:tournament:${tournamentId}`,
+      });
+      refunded.push(userId);
+    }
+    participants[userId] = { ...participant, status: PARTICIPANT_STATUS.REFUNDED, room_id: null };
+  }
+
+  const { error } = await supabaseAdmin
+    .from(TOURNAMENTS_TABLE)
+    .update({ tournament_participants: participants, waitlist: [] })
+    .eq('tournament_id', tournamentId);
+  if (error) throw error;
+
+  console.log(`🚫 Tournament ${tournamentId} cancelled (${reason}), refunded ${refunded.length} players`);
+  return { alreadyClosed: false, refunded };
+}
+
+/**
+ * Check `userId` in to their current match. The room starts once everyone
+ * seated has checked in; players who have not by the no-show deadline
+ * forfeit (tournamentScheduler). Returns { room } or { notFound }.
+ */
+export async function checkIn(tournamentId, userId) {
+  const tournament = await getTournament(tournamentId);
+  const roomCode = tournament?.tournament_participants?.[userId]?.room_id;
+  if (!roomCode) return { notFound: true };
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const room = await findMatchRoom(roomCode);
+    if (!room?.players?.[userId]) return { notFound: true };
+
+    const checkedIn = room.checked_in_players || [];
+    if (checkedIn.includes(userId) || room.game_state !== 'waiting') return { room };
+
+    const nextCheckedIn = [...checkedIn, userId];
+    const everyone = Object.keys(room.players).every((id) => nextCheckedIn.includes(id));
+    const { room: saved } = await saveRoom(ROOM_TABLES.tournament, room, {
+      checked_in_players: nextCheckedIn,
+      ...(everyone ? { game_state: 'playing' } : {}),
+      updated_at: new Date().toISOString(),
+    });
+    if (saved) return { room: saved };
+  }
+  throw new Error(`Could not check ${userId} in to ${roomCode}`);
+}
+
+/**
+ * Settle a match room nobody started in time. Seated players who did not
+ * check in forfeit: with two or more present the game starts without the
+ * others, a single player present wins, and when nobody came the first seat
+ * goes through so the bracket can carry on.
+ */
+export async function forfeitNoShows(tournament, room) {
+  const seated = Object.keys(room.players || {});
+  const present = seated.filter((id) => (room.checked_in_players || []).includes(id));
+  const noShows = seated.filter((id) => !present.includes(id));
+
+  if (present.length >= 2) {
+    const started = await updateRoomWhere(
+      ROOM_TABLES.tournament,
+      { room_id: room.room_id, game_state: 'waiting' },
+      {
+        game_state: 'playing',
+        kicked_players: noShows,
+        escaped_players: noShows,
+        turn: present[0],
+        updated_at: new Date().toISOString(),
+      },
+    );
+    if (started) console.log(`⏱️ ${room.room_id}: started without no-shows ${noShows.join(', ')}`);
+    return { started: !!started, forfeited: noShows };
+  }
+
+  const winnerId = present[0] ?? seated[0];
+  await updateRoomWhere(ROOM_TABLES.tournament, { room_id: room.room_id, game_state: 'waiting' }, { kicked_players: noShows });
+  const result = await completeMatch(tournament.tournament_id, room.id, winnerId);
+  console.log(`⏱️ ${room.room_id}: ${winnerId} advances by forfeit`);
+  return { ...result, forfeited: noShows.filter((id) => id !== winnerId) };
+}
+
+// League standings so far, or null for an elimination bracket
+export function describeStandings(tournament) {
+  const { bracket } = tournament;
+  return bracket && isLeagueFormat(bracket.format) ? leagueStandings(bracket) : null;
+}
+
+// The bracket with each match's room state, for /status. League rounds carry
+// the standings as they stood after that round.
+export async function describeBracket(tournament) {
+  if (!tournament.bracket) return [];
+
+  const { data: rooms, error } = await supabaseAdmin
+    .from(ROOM_TABLES.tournament)
+    .select('id, room_id, game_state, winners, players')
+    .eq('tournament_id', tournament.tournament_id);
+  if (error) throw error;
+  const roomsByCode = new Map((rooms || []).map((room) => [room.room_id, room]));
+
+  const league = isLeagueFormat(tournament.bracket.format);
+  return tournament.bracket.rounds.map(({ round, name, matches }) => ({
+    round,
+    name,
+    ...(league ? { standings: leagueStandings(tournament.bracket, round) } : {}),
+    matches: matches.map((match) => {
+      const room = roomsByCode.get(match.room_id);
+      return {
+        match: match.match,
+        status: match.status,
+        players: match.players,
+        winner: match.winner,
+        ...(league ? { stats: match.stats } : {}),
+        roomId: room?.id ?? null,
+        roomCode: match.room_id,
+        gameState: room?.game_state ?? null,
+        seats: room?.players ?? null,
+      };
+    }),
+  }));
+}
@@ -1,4 +1,5 @@
 import { supabaseAdmin } from '../config/supabase.js';
+import { updateRatings } from './ratingService.js';
 
 const isBotId = (id) => id && (id.startsWith('00000000-') || id.startsWith('bot_'));
 
@@ -18,7 +19,9 @@ async function _updateUserStats(userId, patch) {
   if (error) throw error;
 }
 
-export async function recordMatchResult({ winnerUserIds, loserUserIds }) {
+// Bot ids may be passed on either side: they get no stats, but count as
+// rating opponents when `mode` (see ratingService.RATING_MODES) is given.
+export async function recordMatchResult({ winnerUserIds, loserUserIds, mode }) {
   const winners = (winnerUserIds || []).filter((id) => !isBotId(id));
   const losers = (loserUserIds || []).filter((id) => !isBotId(id));
 
@@ -46,6 +49,10 @@ export async function recordMatchResult({ winnerUserIds, loserUserIds }) {
       win_streak: 0,
     });
   }
+
+  if (mode) {
+    await updateRatings({ mode, winnerUserIds, loserUserIds });
+  }
 }
 
 export async function recordTournamentWon({ winnerUserIds }) {
@@ -0,0 +1,194 @@
+/**
+ * Wallet Service - COIN AND DIAMOND LEDGER
+ *
+ * Every change to users.total_coins / total_diamonds goes through here and is
+ * recorded in wallet_transactions (create_wallet_ledger.sql): one transaction
+ * with a leg on the player's account, carrying the resulting balance, and
+ * the opposite leg on a system account. The apply_wallet_change RPC locks the
+ * balance, applies the change and writes both legs atomically.
+ *
+ * Debits never take a balance below zero: they are refused (or, with
+ * clampToZero, take what is there). An idempotency key makes a retried
+ * change apply once.
+ */
+
+import { randomUUID } from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+
+export const CURRENCIES = Object.freeze({
+  COINS: 'coins',
+  DIAMONDS: 'diamonds',
+});
+
+// Why a balance changed, with the system account on the other side
+export const LEDGER_REASONS = Object.freeze({
+  SIGNUP_BONUS: 'signup_bonus',
+  ENTRY_FEE: 'entry_fee',
+  ENTRY_FEE_REFUND: 'entry_fee_refund',
+  PRIZE: 'prize',
+  MISSION_REWARD: 'mission_reward',
+  GIFT: 'gift',
+  PURCHASE: 'purchase',
+  ITEM_PURCHASE: 'item_purchase',
+  ADJUSTMENT: 'adjustment',
+});
+
+const COUNTER_ACCOUNTS = {
+  [LEDGER_REASONS.SIGNUP_BONUS]: 'signup_bonuses',
+  [LEDGER_REASONS.ENTRY_FEE]: 'entry_fees',
+  [LEDGER_REASONS.ENTRY_FEE_REFUND]: 'entry_fees',
+  [LEDGER_REASONS.PRIZE]: 'prizes',
+  [LEDGER_REASONS.MISSION_REWARD]: 'rewards',
+  [LEDGER_REASONS.GIFT]: 'gifts',
+  [LEDGER_REASONS.PURCHASE]: 'store_sales',
+  [LEDGER_REASONS.ITEM_PURCHASE]: 'item_sales',
+  [LEDGER_REASONS.ADJUSTMENT]: 'adjustments',
+};
+
+export const REFERENCE_TYPES = Object.freeze({
+  ROOM: 'room',
+  TOURNAMENT: 'tournament',
+  MISSION: 'mission',
+  GIFT: 'gift',
+  RECEIPT: 'receipt',
+  ITEM: 'item',
+  TICKET: 'matchmaking_ticket',
+});
+
+const BALANCE_COLUMNS = {
+  [CURRENCIES.COINS]: 'total_coins',
+  [CURRENCIES.DIAMONDS]: 'total_diamonds',
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+export function isValidCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(BALANCE_COLUMNS, currency);
+}
+
+// The user's leg of the change recorded under `idempotencyKey`, or null
+async function findKeyedEntry(userId, currency, idempotencyKey) {
+  const { data, error } = await supabaseAdmin
+    .from('wallet_transactions')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('currency', currency)
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Apply `delta` to one balance. Resolves { applied: true, entry, balance }
+ * or { applied: false, balance } when a debit exceeds the balance.
+ */
+export async function applyWalletChange({
+  userId,
+  currency = CURRENCIES.COINS,
+  delta,
+  reason,
+  referenceType = null,
+  referenceId = null,
+  idempotencyKey = null,
+  clampToZero = false,
+}) {
+  if (!isValidCurrency(currency)) throw new Error(`Unknown currency: ${currency}`);
+  if (!Number.isInteger(delta)) throw new Error(`Wallet delta must be an integer, got ${delta}`);
+  if (!COUNTER_ACCOUNTS[reason]) throw new Error(`Unknown ledger reason: ${reason}`);
+
+  const { data, error } = await supabaseAdmin.rpc('apply_wallet_change', {
+    p_user_id: userId,
+    p_currency: currency,
+    p_delta: delta,
+    p_reason: reason,
+    p_counter_account: COUNTER_ACCOUNTS[reason],
+    p_reference_type: referenceType,
+    p_reference_id: referenceId == null ? null : String(referenceId),
+    p_idempotency_key: idempotencyKey,
+    p_clamp_to_zero: clampToZero,
+  });
+
+  if (error) {
+    // Two calls with one key both got past the RPC's lookup: the unique index
+    // let the other in, so this change is applied already
+    const existing = error.code === '23505' && idempotencyKey !== null
+      ? await findKeyedEntry(userId, currency, idempotencyKey)
+      : null;
+    if (!existing) throw error;
+    return { applied: true, entry: existing, balance: Number(existing.balance_after) };
+  }
+
+  const [entry] = data || [];
+  if (!entry) {
+    return { applied: false, balance: await getBalance(userId, currency) };
+  }
+
+  console.log(`💰 [WALLET] ${userId} ${entry.delta >= 0 ? '+' : ''}${entry.delta} ${currency} (${reason}) -> ${entry.balance_after}`);
+  return { applied: true, entry, balance: Number(entry.balance_after) };
+}
+
+export function credit(userId, amount, options) {
+  return applyWalletChange({ ...options, userId, delta: amount });
+}
+
+export function debit(userId, amount, options) {
+  return applyWalletChange({ ...options, userId, delta: -amount });
+}
+
+export async function getBalance(userId, currency = CURRENCIES.COINS) {
+  const column = BALANCE_COLUMNS[currency];
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select(column)
+    .eq('uid', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Number(data?.[column] ?? 0);
+}
+
+/**
+ * Record the balances a new user starts with (set by the users insert) so
+ * the ledger accounts for every coin from the first one.
+ */
+export async function recordSignupBalances(user) {
+  const transactionId = randomUUID();
+  const rows = [];
+  for (const [currency, column] of Object.entries(BALANCE_COLUMNS)) {
+    const amount = Number(user[column] ?? 0);
+    if (amount === 0) continue;
+
+    const leg = { transaction_id: transactionId, currency, reason: LEDGER_REASONS.SIGNUP_BONUS };
+    rows.push(
+      { ...leg, account: `system:${COUNTER_ACCOUNTS[LEDGER_REASONS.SIGNUP_BONUS]}`, user_id: null, delta: -amount },
+      { ...leg, account: `user:${user.uid}`, user_id: user.uid, delta: amount, balance_after: amount },
+    );
+  }
+  if (rows.length === 0) return;
+
+  const { error } = await supabaseAdmin.from('wallet_transactions').insert(rows);
+  if (error) throw error;
+}
+
+/**
+ * A user's ledger entries, newest first. `before` (ISO timestamp) pages
+ * further back; `currency` filters to one balance.
+ */
+export async function getTransactions(userId, { currency, before, limit = DEFAULT_PAGE_SIZE } = {}) {
+  let query = supabaseAdmin
+    .from('wallet_transactions')
+    .select('id, transaction_id, currency, delta, balance_after, reason, reference_type, reference_id, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(1, Number(limit) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE));
+
+  if (currency) query = query.eq('currency', currency);
+  if (before) query = query.lt('created_at', before);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
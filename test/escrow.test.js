@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+const STARTING_COINS = 2500;
+const TICKETS = '/api/matchmaking/tickets';
+
+let harness;
+// services/escrowService.js and matchmakingService.js, imported once the harness has picked the memory backend
+let escrow;
+let matchmaking;
+
+before(async () => {
+  harness = await startHarness();
+  escrow = await import('../services/escrowService.js');
+  matchmaking = await import('../services/matchmakingService.js');
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+async function escrowsOf(roomId) {
+  const { data, error } = await harness.storage.from('room_escrows').select('*').eq('room_id', roomId);
+  assert.equal(error, null);
+  return data;
+}
+
+describe('entry fee escrow', () => {
+  it('holds fees when players take a seat and refunds them when they leave before the start', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const { gameRoom } = await harness.post(host, '/api/game-rooms/create', { noOfPlayers: 3, entryFee: 100 });
+    await harness.post(guest, `/api/game-rooms/${gameRoom.room_id}/join`);
+
+    assert.equal((await harness.getUser(host)).total_coins, STARTING_COINS - 100);
+    assert.equal((await harness.getUser(guest)).total_coins, STARTING_COINS - 100);
+    assert.equal((await escrowsOf(gameRoom.room_id)).length, 2);
+
+    await harness.post(guest, `/api/game-rooms/${gameRoom.room_id}/leave`);
+    assert.equal((await harness.getUser(guest)).total_coins, STARTING_COINS);
+
+    const statuses = Object.fromEntries((await escrowsOf(gameRoom.room_id)).map((row) => [row.user_id, row.status]));
+    assert.deepEqual(statuses, { [host]: 'held', [guest]: 'refunded' });
+  });
+
+  it('turns away players who cannot pay the entry fee', async () => {
+    const [host] = await harness.createUsers(1);
+    const [poor] = await harness.createUsers(1, { total_coins: 40 });
+    const { friendRoom } = await harness.post(host, '/api/friend-rooms/create', { noOfPlayers: 2, entryFee: 50 });
+
+    const refused = await harness.request(poor, 'POST', `/api/friend-rooms/${friendRoom.room_id}/join`);
+    assert.equal(refused.status, 400);
+    assert.equal((await harness.getUser(poor)).total_coins, 40);
+    assert.equal((await harness.request(poor, 'POST', '/api/game-rooms/create', { noOfPlayers: 2, entryFee: 50 })).status, 400);
+  });
+
+  it('forfeits the fee of an escaped player into the pot and takes the rake', async () => {
+    const [winner, loser, escaped] = await harness.createUsers(3);
+    const roomId = `ESC${Date.now().toString(36).toUpperCase()}`;
+    for (const userId of [winner, loser, escaped]) {
+      assert.equal((await escrow.holdEntryFee('game_rooms', roomId, userId, 100)).held, true);
+    }
+
+    const room = { room_id: roomId, entry_fee: 100, players: { [winner]: 'red', [loser]: 'green', [escaped]: 'blue' }, escaped_players: [escaped] };
+    const settlement = await escrow.settleRoom('game_rooms', room, [winner, escaped]);
+    assert.deepEqual(settlement, { pot: 300, rake: 30, paid: [{ userId: winner, position: 1, amount: 189 }] });
+
+    // The escaped player's 2nd place share stays with the house
+    assert.equal((await harness.getUser(winner)).total_coins, STARTING_COINS + 89);
+    assert.equal((await harness.getUser(escaped)).total_coins, STARTING_COINS - 100);
+    const statuses = Object.fromEntries((await escrowsOf(roomId)).map((row) => [row.user_id, row.status]));
+    assert.deepEqual(statuses, { [winner]: 'released', [loser]: 'released', [escaped]: 'forfeited' });
+
+    // Settling again (a retry after a crash) comes to the same pot and pays nobody twice
+    assert.deepEqual(await escrow.settleRoom('game_rooms', room, [winner, escaped]), settlement);
+    assert.equal((await harness.getUser(winner)).total_coins, STARTING_COINS + 89);
+
+    // A free room has nothing to settle
+    const freeRoom = { ...room, room_id: `${roomId}F`, entry_fee: 0 };
+    assert.equal(await escrow.settleRoom('game_rooms', freeRoom, [winner, escaped]), null);
+  });
+
+  it('pays the winner of a game won by forfeit without a distribute call', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const { gameRoom } = await harness.post(host, '/api/game-rooms/create', { noOfPlayers: 2, entryFee: 100 });
+    await harness.post(guest, `/api/game-rooms/${gameRoom.room_id}/join`);
+    assert.equal((await harness.getRoom('game_rooms', gameRoom.room_id)).game_state, 'playing');
+
+    await harness.post(guest, `/api/game-rooms/${gameRoom.room_id}/leave`);
+    const room = await harness.getRoom('game_rooms', gameRoom.room_id);
+    assert.equal(room.game_state, 'finished');
+    assert.equal(room.payout_processed, true);
+
+    // Two fees of 100 less the 10% rake
+    assert.equal((await harness.getUser(host)).total_coins, STARTING_COINS - 100 + 180);
+    assert.equal((await harness.getUser(guest)).total_coins, STARTING_COINS - 100);
+  });
+
+  it('holds matchmaking fees on the ticket until it is cancelled or matched', async () => {
+    const [first, second, quitter] = await harness.createUsers(3);
+    const body = { noOfPlayers: 2, entryFee: 70 };
+
+    const { ticket } = await harness.post(quitter, TICKETS, body);
+    assert.equal((await harness.getUser(quitter)).total_coins, STARTING_COINS - 70);
+    await harness.request(quitter, 'DELETE', `${TICKETS}/${ticket.id}`);
+    assert.equal((await harness.getUser(quitter)).total_coins, STARTING_COINS);
+
+    await harness.post(first, TICKETS, body);
+    await harness.post(second, TICKETS, body);
+    const [room] = await matchmaking.runMatcher();
+    const held = await escrowsOf(room.room_id);
+    assert.deepEqual(held.map((row) => row.user_id).sort(), [first, second].sort());
+    assert.ok(held.every((row) => row.table_name === 'game_rooms' && row.status === 'held'));
+
+    const [poor] = await harness.createUsers(1, { total_coins: 10 });
+    assert.equal((await harness.request(poor, 'POST', TICKETS, body)).status, 400);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+
+import { startHarness } from './helpers/gameHarness.js';
+import { ROOM_CHANGE_TYPES, onRoomChange, publishRoomChange } from '../services/gameEventBus.js';
+
+describe('game event bus', () => {
+  it('delivers a copy of each change in publish order', () => {
+    const seen = [];
+    const stop = onRoomChange((change) => seen.push(change));
+
+    const room = { room_id: 'BUS1', turn: 'a' };
+    publishRoomChange('game_rooms', room);
+    publishRoomChange('game_rooms', { room_id: 'BUS1' }, ROOM_CHANGE_TYPES.DELETE);
+    stop();
+    publishRoomChange('game_rooms', room);
+
+    assert.deepEqual(seen.map((change) => change.type), ['UPDATE', 'DELETE']);
+    assert.deepEqual(seen[0].room, room);
+    assert.notEqual(seen[0].room, room);
+  });
+
+  it('keeps delivering when a listener fails', async () => {
+    const originalError = console.error;
+    console.error = () => {};
+    const seen = [];
+    const stops = [
+      onRoomChange(() => {
+        throw new Error('sync failure');
+      }),
+      onRoomChange(async () => {
+        throw new Error('async failure');
+      }),
+      onRoomChange((change) => seen.push(change.room.room_id)),
+    ];
+
+    try {
+      assert.doesNotThrow(() => publishRoomChange('friend_rooms', { room_id: 'BUS2' }));
+      await sleep(0);
+      assert.deepEqual(seen, ['BUS2']);
+    } finally {
+      stops.forEach((stop) => stop());
+      console.error = originalError;
+    }
+  });
+
+  it('ignores rows without a room id', () => {
+    const seen = [];
+    const stop = onRoomChange((change) => seen.push(change));
+    publishRoomChange('game_rooms', null);
+    publishRoomChange('game_rooms', {});
+    stop();
+    assert.equal(seen.length, 0);
+  });
+});
+
+describe('bot turns without realtime', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+    // Only the in-process bus is left to drive bots
+    const { stopGlobalRoomWatcher } = await import('../services/botPlayerService.js');
+    await stopGlobalRoomWatcher();
+  });
+
+  after(async () => {
+    await harness?.close();
+  });
+
+  it('plays the bot turn right after the write that passed it', async () => {
+    const [host] = await harness.createUsers(1);
+    const { gameRoom } = await harness.post(host, '/api/game-rooms/create', { noOfPlayers: 2 });
+    const roomId = gameRoom.room_id;
+
+    const filled = await harness.post(host, `/api/game-rooms/${roomId}/fill-with-bots`, { numberOfBots: 1 });
+    assert.equal(filled.autoStarted, true);
+    const [botId] = Object.keys(filled.gameRoom.players).filter((id) => id !== host);
+
+    // Host has nothing to move with a 3; the bot gets the same and passes back
+    const { room } = await harness.playRoll('game_rooms', roomId, { roll: 3 });
+    assert.equal(room.turn, botId);
+    harness.scriptRolls(roomId, [3]);
+
+    let current = room;
+    for (let i = 0; i < 100 && current.turn !== host; i++) {
+      await sleep(100);
+      current = await harness.getRoom('game_rooms', roomId);
+    }
+
+    assert.equal(current.turn, host);
+    assert.equal(current.dice_history.length, 2);
+    assert.equal(current.dice_history[1].value, 3);
+  });
+});
@@ -0,0 +1,776 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startHarness, TEAM_UP_API } from './helpers/gameHarness.js';
+import {
+  arePositionsSame,
+  getBoardConfig,
+  getBoardPosition,
+  getStarPositions,
+} from '../utils/gameHelpers.js';
+
+const STARTING_COINS = 2500;
+const PLAYER_COUNTS = [2, 3, 4, 5, 6];
+// Percent of the pot after rake per finishing position (utils/payoutTables.js)
+const POSITION_SHARES = { 2: [100], 3: [70, 30], 4: [60, 30, 10], 5: [50, 30, 20], 6: [50, 30, 20] };
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+function rotate(list, first) {
+  const index = list.indexOf(first);
+  return [...list.slice(index), ...list.slice(0, index)];
+}
+
+function assertAllTokens(room, userId, position) {
+  const color = room.players[userId];
+  for (const [token, pos] of Object.entries(room.positions[color])) {
+    assert.equal(pos, position, `${color} ${token} should be at ${position}`);
+  }
+}
+
+async function assertReplayMatches(path, userId) {
+  const replay = await harness.get(userId, path);
+  assert.equal(replay.matchesRoomState, true);
+  assert.deepEqual(replay.discrepancies, []);
+}
+
+async function assertStats(userId, expected) {
+  const user = await harness.getUser(userId);
+  for (const [column, value] of Object.entries(expected)) {
+    assert.equal(user[column], value, `${column} of ${userId}`);
+  }
+}
+
+async function createOnlineRoom(players, body = {}) {
+  const [host, ...guests] = players;
+  const { gameRoom } = await harness.post(host, '/api/game-rooms/create', {
+    noOfPlayers: players.length,
+    ...body,
+  });
+  for (const guest of guests) {
+    await harness.post(guest, `/api/game-rooms/${gameRoom.room_id}/join`);
+  }
+  return gameRoom.room_id;
+}
+
+async function createFriendRoom(players, body = {}) {
+  const [host, ...guests] = players;
+  const { friendRoom } = await harness.post(host, '/api/friend-rooms/create', {
+    noOfPlayers: players.length,
+    ...body,
+  });
+  for (const guest of guests) {
+    await harness.post(guest, `/api/friend-rooms/${friendRoom.room_id}/join`);
+  }
+  await harness.post(host, `/api/friend-rooms/${friendRoom.room_id}/start`);
+  return friendRoom.room_id;
+}
+
+// Finished free-for-all room: everyone but the last player is home, in turn order.
+async function assertFinishedFreeForAll(tableName, roomId, turnOrder, entryFee, rakePercent) {
+  const room = await harness.getRoom(tableName, roomId);
+  const { homePosition } = getBoardConfig(room.no_of_players);
+  const [winner] = turnOrder;
+  const loser = turnOrder[turnOrder.length - 1];
+
+  assert.equal(room.game_state, 'finished');
+  assert.deepEqual(room.winners, turnOrder.slice(0, -1));
+  for (const userId of room.winners) assertAllTokens(room, userId, homePosition);
+  assertAllTokens(room, loser, 0);
+
+  await assertReplayMatches(`/api/game-rooms/${roomId}/replay`, winner);
+
+  // Payout: the escrowed fees less the rake, shared by finishing position, exactly
+  // once and by the move that finished the room, without a distribute call
+  const pot = entryFee * turnOrder.length;
+  const pool = pot - Math.floor((pot * rakePercent) / 100);
+  const prizes = POSITION_SHARES[turnOrder.length].map((share) => Math.floor((pool * share) / 100));
+  assert.equal(room.payout_processed, true);
+  for (const [index, userId] of turnOrder.entries()) {
+    const prize = prizes[index] ?? 0;
+    assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS - entryFee + prize);
+  }
+
+  const rewardsPath = `/api/game-rooms/${roomId}/distribute-winner-rewards`;
+  const repeat = await harness.post(loser, rewardsPath);
+  assert.equal(repeat.alreadyProcessed, true);
+  assert.equal((await harness.getUser(winner)).total_coins, STARTING_COINS - entryFee + prizes[0]);
+
+  await assertStats(winner, { games_won: 1, games_lost: 0, win_streak: 1 });
+  for (const userId of turnOrder.slice(1)) {
+    await assertStats(userId, { games_won: 0, games_lost: 1, win_streak: 0 });
+  }
+}
+
+describe('online rooms', () => {
+  for (const noOfPlayers of PLAYER_COUNTS) {
+    it(`plays a complete ${noOfPlayers}-player game`, async () => {
+      const players = await harness.createUsers(noOfPlayers);
+      const roomId = await createOnlineRoom(players, { entryFee: 100 });
+
+      const started = await harness.getRoom('game_rooms', roomId);
+      assert.equal(started.game_state, 'playing');
+      assert.equal(started.turn, players[0]);
+
+      await harness.playToFinish('game_rooms', roomId);
+      await assertFinishedFreeForAll('game_rooms', roomId, players, 100, 10);
+    });
+  }
+
+  it('passes the turn when a roll has no legal move', async () => {
+    const players = await harness.createUsers(2);
+    const roomId = await createOnlineRoom(players);
+
+    const { room, moved } = await harness.playRoll('game_rooms', roomId, { roll: 3 });
+    assert.equal(moved, false);
+    assert.equal(room.turn, players[1]);
+  });
+
+  it('moves only by the roll the server made this turn', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const roomId = await createOnlineRoom([host, guest]);
+    const path = `/api/game-rooms/${roomId}/move-token`;
+    const color = (await harness.getRoom('game_rooms', roomId)).players[host];
+
+    // No roll yet: the client's target is not enough
+    const unrolled = await harness.request(host, 'POST', path, { color, tokenName: 'tokenA', newPosition: 1 });
+    assert.equal(unrolled.status, 400);
+
+    harness.scriptRolls(roomId, [6]);
+    await harness.post(host, `/api/game-rooms/${roomId}/roll-dice`);
+    await harness.post(host, `/api/game-rooms/${roomId}/complete-dice`);
+
+    // A target the roll does not reach is refused, then the real move goes through
+    const skipped = await harness.request(host, 'POST', path, { color, tokenName: 'tokenA', newPosition: 40 });
+    assert.equal(skipped.status, 400);
+    const { gameRoom } = await harness.post(host, path, { color, tokenName: 'tokenA', newPosition: 1 });
+    assert.equal(gameRoom.positions[color].tokenA, 1);
+
+    // The six earned another roll, not another move
+    assert.equal(gameRoom.turn, host);
+    const again = await harness.request(host, 'POST', path, { color, tokenName: 'tokenA', newPosition: 7 });
+    assert.equal(again.status, 400);
+  });
+
+  it('rolls through the bot endpoints only for a bot, on its own turn', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const roomId = await createOnlineRoom([host, guest]);
+    const room = await harness.getRoom('game_rooms', roomId);
+    const rollPath = `/api/game-rooms/${roomId}/bot-roll-dice`;
+    const forged = { ...room, turn: '00000000-0000-0000-0000-000000000001' };
+
+    // Rerolling the host's turn under their id, or under a bot's with a forged room
+    const asHuman = { botUserId: host, gameMode: 'online', gameRoom: room };
+    assert.equal((await harness.request(null, 'POST', rollPath, asHuman)).status, 401);
+    assert.equal((await harness.request(guest, 'POST', rollPath, asHuman)).status, 403);
+    const asBot = { botUserId: forged.turn, gameMode: 'online', gameRoom: forged };
+    assert.equal((await harness.request(guest, 'POST', rollPath, asBot)).status, 403);
+    const completed = await harness.request(guest, 'POST', `/api/game-rooms/${roomId}/bot-complete-dice`, { botUserId: host });
+    assert.equal(completed.status, 403);
+
+    const after = await harness.getRoom('game_rooms', roomId);
+    assert.equal(after.dice_roll_count, room.dice_roll_count);
+    assert.equal(after.dice_state, 'waiting');
+  });
+
+  it('refuses to bring a token out of the base on a non-exit roll', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const roomId = await createOnlineRoom([host, guest]);
+    harness.scriptRolls(roomId, [3]);
+    const { gameRoom } = await harness.post(host, `/api/game-rooms/${roomId}/roll-dice`);
+    const color = gameRoom.players[host];
+
+    // Sent before complete-dice has recorded the pending steps
+    const move = await harness.request(host, 'POST', `/api/game-rooms/${roomId}/move-token`, {
+      color,
+      tokenName: 'tokenA',
+      newPosition: 1,
+    });
+    assert.equal(move.status, 400);
+    assert.equal((await harness.getRoom('game_rooms', roomId)).positions[color].tokenA, 0);
+  });
+});
+
+describe('friend rooms', () => {
+  for (const noOfPlayers of PLAYER_COUNTS) {
+    it(`plays a complete ${noOfPlayers}-player game`, async () => {
+      const players = await harness.createUsers(noOfPlayers);
+      const roomId = await createFriendRoom(players, { entryFee: 50 });
+
+      // The host starts with a random first turn; seats follow the turn order
+      const started = await harness.getRoom('friend_rooms', roomId);
+      const turnOrder = rotate(players, started.turn);
+
+      await harness.playToFinish('friend_rooms', roomId);
+      await assertFinishedFreeForAll('friend_rooms', roomId, turnOrder, 50, 0);
+    });
+  }
+});
+
+describe('team up rooms', () => {
+  it('plays a complete 2v2 game and pays the winning team', async () => {
+    const [a1, a2, b1, b2] = await harness.createUsers(4);
+    const roomId = `TEAM${Date.now().toString(36).toUpperCase()}`;
+
+    // The client creates and fills team up rooms directly in the database
+    const empty = { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 };
+    const { error } = await harness.storage.from('team_up_rooms').insert({
+      room_id: roomId,
+      host_id: a1,
+      team_a: [a1, a2],
+      team_b: [b1, b2],
+      positions: { red: empty, yellow: empty, green: empty, blue: empty },
+      entry_fee: 100,
+    });
+    assert.equal(error, null);
+
+    // Each player pays their own fee as they take their seat
+    for (const userId of [a1, a2, b1, b2]) {
+      await harness.post(userId, `/api/team-up-rooms/${roomId}/take-seat`, { entryFee: 100 });
+    }
+    await harness.post(a1, `/api/team-up-rooms/${roomId}/start-game`);
+    const room = await harness.playToFinish('team_up_rooms', roomId, { api: TEAM_UP_API });
+    const { homePosition } = getBoardConfig(4);
+
+    // Turn order is a1, b1, a2, b2: team A is done before b2 ever moves
+    assert.deepEqual(room.winners, [a1, a2, b1, b2]);
+    for (const userId of [a1, a2, b1]) assertAllTokens(room, userId, homePosition);
+    assertAllTokens(room, b2, 0);
+    assert.equal(room.payout_processed, true);
+
+    await assertReplayMatches(`/api/team-up-rooms/${roomId}/replay`, a1);
+
+    // Four fees of 100 less the 10% rake, split between the winning team
+    for (const userId of [a1, a2]) {
+      assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS - 100 + 180);
+      await assertStats(userId, { games_won: 1, games_lost: 0, win_streak: 1 });
+    }
+    for (const userId of [b1, b2]) {
+      assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS - 100);
+      await assertStats(userId, { games_won: 0, games_lost: 1 });
+    }
+  });
+});
+
+describe('three sixes penalty', () => {
+  const rollDice = (path, userId, roomId) => harness.post(userId, `${path}/${roomId}/roll-dice`);
+
+  it('forfeits the third six in a row and undoes its moves', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const roomId = await createOnlineRoom([host, guest], { ruleOptions: { threeSixesPenalty: 'forfeit_undo' } });
+
+    await harness.playRoll('game_rooms', roomId, { roll: 6 });
+    const { room: moved } = await harness.playRoll('game_rooms', roomId, { roll: 6 });
+    const color = moved.players[host];
+    assert.equal(moved.turn, host);
+    assert.equal(moved.positions[color].tokenA, 7);
+
+    harness.scriptRolls(roomId, [6]);
+    const third = await rollDice('/api/game-rooms', host, roomId);
+    assert.equal(third.turnForfeited, true);
+    assert.equal(third.movesUndone, true);
+    assert.equal(third.gameRoom.turn, guest);
+    assertAllTokens(third.gameRoom, host, 0);
+    assert.equal(third.gameRoom.consecutive_sixes[host], 0);
+  });
+
+  it('starts the count again after a roll that is not a six', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const roomId = await createOnlineRoom([host, guest], { ruleOptions: { threeSixesPenalty: 'forfeit' } });
+
+    await harness.playRoll('game_rooms', roomId, { roll: 6 });
+    await harness.playRoll('game_rooms', roomId, { roll: 6 });
+    const { room: broken } = await harness.playRoll('game_rooms', roomId, { roll: 3 });
+    assert.equal(broken.turn, guest);
+    assert.equal(broken.consecutive_sixes[host], 0);
+
+    // Two more sixes are only a streak of two
+    await harness.playRoll('game_rooms', roomId, { roll: 3 });
+    await harness.playRoll('game_rooms', roomId, { roll: 6 });
+    const { room } = await harness.playRoll('game_rooms', roomId, { roll: 6 });
+    assert.equal(room.turn, host);
+    assert.equal(room.consecutive_sixes[host], 2);
+  });
+
+  it('lets the team up host turn it on as the game starts', async () => {
+    const [a1, a2, b1, b2] = await harness.createUsers(4);
+    const roomId = `SIX${Date.now().toString(36).toUpperCase()}`;
+    const empty = { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 };
+    const { error } = await harness.storage.from('team_up_rooms').insert({
+      room_id: roomId,
+      host_id: a1,
+      team_a: [a1, a2],
+      team_b: [b1, b2],
+      positions: { red: empty, yellow: empty, green: empty, blue: empty },
+    });
+    assert.equal(error, null);
+
+    const startPath = `/api/team-up-rooms/${roomId}/start-game`;
+    const ruleOptions = { threeSixesPenalty: 'forfeit' };
+    assert.equal((await harness.request(b1, 'POST', startPath, { ruleOptions })).status, 403);
+    assert.equal((await harness.request(a1, 'POST', startPath, { ruleOptions: { threeSixes: 'on' } })).status, 400);
+    await harness.post(a1, startPath, { ruleOptions });
+    assert.deepEqual((await harness.getRoom('team_up_rooms', roomId)).rule_options, ruleOptions);
+
+    await harness.playRoll('team_up_rooms', roomId, { roll: 6, api: TEAM_UP_API });
+    await harness.playRoll('team_up_rooms', roomId, { roll: 6, api: TEAM_UP_API });
+    harness.scriptRolls(roomId, [6]);
+    const third = await rollDice('/api/team-up-rooms', a1, roomId);
+    assert.equal(third.turnForfeited, true);
+    assert.equal(third.movesUndone, false);
+    assert.equal(third.room.turn, b1);
+    // Forfeit without undo keeps the moves
+    assert.equal(third.room.positions.red.tokenA, 7);
+  });
+});
+
+describe('team up entry fees', () => {
+  it('charges each player only on their own request', async () => {
+    const [attacker, victim, b1, b2, stranger] = await harness.createUsers(5);
+    const roomId = `FEE${Date.now().toString(36).toUpperCase()}`;
+    const empty = { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 };
+    const { error } = await harness.storage.from('team_up_rooms').insert({
+      room_id: roomId,
+      host_id: attacker,
+      team_a: [attacker, victim],
+      team_b: [b1, b2],
+      positions: { red: empty, yellow: empty, green: empty, blue: empty },
+      entry_fee: 2000,
+    });
+    assert.equal(error, null);
+    const base = `/api/team-up-rooms/${roomId}`;
+
+    assert.equal((await harness.request(stranger, 'POST', `${base}/start-game`)).status, 403);
+    assert.equal((await harness.request(stranger, 'POST', `${base}/take-seat`, { entryFee: 2000 })).status, 403);
+
+    // Everyone else has paid; the victim never agreed to the fee
+    for (const userId of [attacker, b1, b2]) {
+      await harness.post(userId, `${base}/take-seat`, { entryFee: 2000 });
+    }
+    const refused = await harness.request(attacker, 'POST', `${base}/start-game`);
+    assert.equal(refused.status, 400);
+    assert.deepEqual(refused.body.players, [victim]);
+    assert.equal((await harness.getUser(victim)).total_coins, STARTING_COINS);
+    assert.equal((await harness.getRoom('team_up_rooms', roomId)).game_state, 'waiting');
+
+    // A fee changed after the player looked at it is not taken
+    assert.equal((await harness.request(victim, 'POST', `${base}/take-seat`, { entryFee: 100 })).status, 409);
+    assert.equal((await harness.getUser(victim)).total_coins, STARTING_COINS);
+
+    // Leaving the waiting room gives the fee back
+    await harness.post(b2, `${base}/leave-game`);
+    assert.equal((await harness.getUser(b2)).total_coins, STARTING_COINS);
+  });
+});
+
+describe('tournaments', () => {
+  const createTournament = async (fields) => {
+    const tournamentId = `t-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+    const [creatorId] = await harness.createUsers(1);
+    const { error } = await harness.storage.from('tournaments').insert({
+      tournament_id: tournamentId,
+      creator_id: creatorId,
+      entry_fee: 100,
+      reward_amount: 1000,
+      max_players: 16,
+      current_players: 0,
+      tournament_participants: {},
+      registered_players: [],
+      status: 'upcoming',
+      ...fields,
+    });
+    assert.equal(error, null);
+    return { tournamentId, creatorId };
+  };
+
+  const joinAll = async (tournamentId, players) => {
+    for (const userId of players) {
+      await harness.post(userId, '/api/tournaments/join', { tournamentId });
+    }
+  };
+
+  // Tournament rooms start once all their players have checked in
+  const checkInAll = async (tournamentId, players) => {
+    for (const userId of players) {
+      await harness.post(userId, '/api/tournaments/check-in', { tournamentId });
+    }
+  };
+
+  const getStatus = (tournamentId) => harness.get(null, `/api/tournaments/status/${tournamentId}`);
+
+  // Play every open match until the bracket has a champion.
+  // `onFinished(room)` runs before each result is reported.
+  const playBracket = async (tournamentId, onFinished = async () => {}) => {
+    const results = [];
+    for (;;) {
+      const { rounds } = await getStatus(tournamentId);
+      const open = rounds.flatMap(({ matches }) => matches.filter(({ status }) => status === 'playing'));
+      if (open.length === 0) return results;
+
+      for (const { roomCode, players } of open) {
+        await checkInAll(tournamentId, players);
+        const room = await harness.playToFinish('tournament_rooms', roomCode);
+        await onFinished(room);
+        const [winnerId] = room.winners;
+        const result = await harness.post(winnerId, '/api/tournaments/match-complete', {
+          tournamentId,
+          roomId: room.id,
+        });
+        assert.equal(result.winnerId, winnerId);
+        results.push({ ...result, winnerId, losers: Object.keys(room.players).filter((id) => id !== winnerId) });
+      }
+    }
+  };
+
+  it('lists tournaments by their UTC times', async () => {
+    const listingId = `listed-${Date.now()}`;
+    const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    const { error } = await harness.storage.from('tournament').insert({
+      tournament_id: listingId,
+      tournament_main_banner: 'banner.png',
+      tournament_start_time: inMinutes(10),
+      tournament_end_time: inMinutes(70),
+    });
+    assert.equal(error, null);
+
+    const listed = async (status) => (await harness.get(null, `/api/tournaments?status=${status}`)).tournaments
+      .map(({ tournament_id: id }) => id);
+    assert.ok((await listed('upcoming')).includes(listingId));
+    assert.ok(!(await listed('started')).includes(listingId));
+  });
+
+  it('runs an eight player bracket to a champion and pays out by round', async () => {
+    const { tournamentId, creatorId } = await createTournament();
+    const players = await harness.createUsers(8);
+    await joinAll(tournamentId, players);
+    const { matches } = await harness.post(creatorId, '/api/tournaments/start', { tournamentId });
+    assert.deepEqual(matches.map(({ name }) => name), ['quarterfinal', 'quarterfinal', 'quarterfinal', 'quarterfinal']);
+    assert.equal((await harness.request(creatorId, 'POST', '/api/tournaments/start', { tournamentId })).status, 409);
+
+    const results = await playBracket(tournamentId);
+    assert.equal(results.length, 7);
+    const final = results.at(-1);
+    assert.equal(final.tournamentComplete, true);
+    assert.equal(final.champion, final.winnerId);
+    assert.deepEqual(final.match, { round: 3, name: 'final', match: 1 });
+
+    // Reporting a match again changes nothing, whoever the request names
+    const status = await getStatus(tournamentId);
+    const finalRoom = status.rounds[2].matches[0];
+    const replay = await harness.post(final.losers[0], '/api/tournaments/final-complete', {
+      tournamentId, roomId: finalRoom.roomId, winnerId: final.losers[0],
+    });
+    assert.equal(replay.alreadyRecorded, true);
+    assert.equal(replay.alreadyCompleted, true);
+    assert.equal(replay.winnerId, final.winnerId);
+
+    assert.equal(status.status, 'completed');
+    assert.equal(status.champion, final.winnerId);
+    assert.deepEqual(status.rounds.map(({ name, matches: roundMatches }) => [name, roundMatches.length]), [
+      ['quarterfinal', 4], ['semifinal', 2], ['final', 1],
+    ]);
+    assert.ok(status.rounds.every(({ matches: roundMatches }) => roundMatches.every(({ winner, gameState }) => winner && gameState === 'finished')));
+
+    // 60% to the champion, 25% to the runner up, 15% shared by the semifinal losers
+    const paidEntry = STARTING_COINS - 100;
+    const [runnerUp] = final.losers;
+    const semifinalLosers = results.slice(4, 6).flatMap(({ losers }) => losers);
+    const quarterfinalLosers = results.slice(0, 4).flatMap(({ losers }) => losers);
+    assert.equal((await harness.getUser(final.winnerId)).total_coins, paidEntry + 600);
+    assert.equal((await harness.getUser(runnerUp)).total_coins, paidEntry + 250);
+    await assertStats(final.winnerId, { tournaments_won: 1 });
+
+    const participants = status.participants;
+    assert.equal(participants[final.winnerId].status, 'winner');
+    assert.equal(participants[runnerUp].status, 'runner_up');
+    for (const userId of semifinalLosers) {
+      assert.equal((await harness.getUser(userId)).total_coins, paidEntry + 75);
+      assert.equal(participants[userId].final_position, 3);
+    }
+    for (const userId of quarterfinalLosers) {
+      assert.equal((await harness.getUser(userId)).total_coins, paidEntry);
+      assert.equal(participants[userId].status, 'eliminated');
+      assert.equal(participants[userId].final_position, 4);
+    }
+  });
+
+  it('gives byes to an odd field at tables of four', async () => {
+    const { tournamentId, creatorId } = await createTournament({ table_size: 4 });
+    const players = await harness.createUsers(6);
+    await joinAll(tournamentId, players);
+
+    // Six players at tables of four: two 2-player semifinals and two byes
+    const { matches } = await harness.post(creatorId, '/api/tournaments/start', { tournamentId });
+    assert.deepEqual(matches.map(({ players: seated }) => seated.length), [2, 2]);
+    const started = await getStatus(tournamentId);
+    assert.deepEqual(started.rounds[0].matches.map(({ status }) => status), ['playing', 'playing', 'bye', 'bye']);
+    const byes = started.rounds[0].matches.filter(({ status }) => status === 'bye').map(({ winner }) => winner);
+    for (const userId of byes) assert.equal(started.participants[userId].status, 'advanced');
+
+    const results = await playBracket(tournamentId);
+    assert.equal(results.length, 3);
+    assert.equal(results[1].nextMatches.length, 1);
+    const final = results.at(-1);
+    assert.equal(final.losers.length, 3);
+
+    const { data: finalRoom } = await harness.storage
+      .from('tournament_rooms')
+      .select('*')
+      .eq('room_id', `tournament_${tournamentId}_r2_m1`)
+      .single();
+    assert.equal(finalRoom.no_of_players, 4);
+    assert.equal(finalRoom.room_level, 'final');
+
+    // 70% to the champion, the rest of the final table shares 30%
+    const paidEntry = STARTING_COINS - 100;
+    assert.equal((await harness.getUser(final.champion)).total_coins, paidEntry + 700);
+    for (const userId of final.losers) {
+      assert.equal((await harness.getUser(userId)).total_coins, paidEntry + 100);
+    }
+  });
+
+  it('plays every room by the tournament rules', async () => {
+    const ruleOptions = { threeSixesPenalty: 'forfeit_undo' };
+    const { tournamentId, creatorId } = await createTournament({ rule_variant: 'quick', rule_options: ruleOptions });
+    const { tournamentId: badId, creatorId: badCreator } = await createTournament({ rule_options: { threeSixes: 'on' } });
+    const players = await harness.createUsers(8);
+    await joinAll(tournamentId, players.slice(0, 4));
+    await joinAll(badId, players.slice(4));
+
+    const { matches } = await harness.post(creatorId, '/api/tournaments/start', { tournamentId });
+    for (const { roomCode } of matches) {
+      const room = await harness.getRoom('tournament_rooms', roomCode);
+      assert.equal(room.rule_variant, 'quick');
+      assert.deepEqual(room.rule_options, ruleOptions);
+    }
+    assert.equal((await harness.request(badCreator, 'POST', '/api/tournaments/start', { tournamentId: badId })).status, 400);
+  });
+
+  it('takes identity from the token and results only from the room', async () => {
+    const { tournamentId } = await createTournament();
+    const players = await harness.createUsers(4);
+    const [outsider, admin] = await harness.createUsers(2);
+    await harness.storage.auth.admin.updateUserById(admin, { app_metadata: { role: 'admin' } });
+
+    // Joining pays from the caller's own wallet, whatever the body says
+    assert.equal((await harness.request(null, 'POST', '/api/tournaments/join', { tournamentId, userId: players[0] })).status, 401);
+    await harness.post(outsider, '/api/tournaments/join', { tournamentId, userId: players[0] });
+    assert.equal((await harness.getUser(players[0])).total_coins, STARTING_COINS);
+    assert.equal((await harness.getUser(outsider)).total_coins, STARTING_COINS - 100);
+    await harness.post(outsider, '/api/tournaments/leave', { tournamentId });
+    await joinAll(tournamentId, players);
+
+    // Only the creator or an admin starts it
+    assert.equal((await harness.request(players[0], 'POST', '/api/tournaments/start', { tournamentId })).status, 403);
+    const { matches: [match] } = await harness.post(admin, '/api/tournaments/start', { tournamentId });
+
+    // A match is reported by its players, once the server has finished it
+    const [playerA, playerB] = match.players;
+    const report = (userId) => harness.request(userId, 'POST', '/api/tournaments/match-complete', {
+      tournamentId, roomId: match.roomId, winnerId: playerB,
+    });
+    assert.equal((await report(outsider)).status, 403);
+    assert.equal((await report(playerB)).status, 409);
+
+    await checkInAll(tournamentId, match.players);
+    const room = await harness.playToFinish('tournament_rooms', match.roomCode);
+    const { body } = await report(playerB);
+    assert.equal(body.winnerId, room.winners[0]);
+    assert.equal(room.winners[0], playerA);
+
+    await assertStats(playerA, { games_won: 1 });
+    await assertStats(playerB, { games_lost: 1 });
+  });
+
+  it('seats joins up to max_players, waitlists the rest and settles every fee', async () => {
+    const { tournamentId, creatorId } = await createTournament({ max_players: 4 });
+    const players = await harness.createUsers(7);
+    const heldFees = async () => {
+      const { data } = await harness.storage.from('room_escrows').select('*').eq('room_id', tournamentId);
+      return Object.fromEntries(data.map(({ user_id: userId, status }) => [userId, status]));
+    };
+
+    // Joining all at once still seats exactly four
+    const joins = await Promise.all(players.slice(0, 6).map((userId) => (
+      harness.post(userId, '/api/tournaments/join', { tournamentId })
+    )));
+    assert.equal(joins.filter(({ seated }) => seated).length, 4);
+    assert.deepEqual(joins.filter(({ waitlisted }) => waitlisted).map(({ waitlistPosition }) => waitlistPosition).sort(), [1, 2]);
+    for (const userId of players.slice(0, 6)) {
+      assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS - 100);
+    }
+
+    let status = await getStatus(tournamentId);
+    assert.equal(Object.keys(status.participants).length, 4);
+    const [seatedLeaver] = Object.keys(status.participants);
+    const [first, second] = status.waitlist.map(({ userId }) => userId);
+
+    // A seat given up goes to the head of the waitlist
+    const left = await harness.post(seatedLeaver, '/api/tournaments/leave', { tournamentId });
+    assert.equal(left.refunded, 100);
+    assert.equal(left.promoted, first);
+    assert.equal((await harness.getUser(seatedLeaver)).total_coins, STARTING_COINS);
+    status = await getStatus(tournamentId);
+    assert.equal(status.participants[first].status, 'waiting');
+    assert.deepEqual(status.waitlist.map(({ userId }) => userId), [second]);
+
+    // Whoever is still waiting at the start gets the fee back
+    await harness.post(players[6], '/api/tournaments/join', { tournamentId });
+    await harness.post(creatorId, '/api/tournaments/start', { tournamentId });
+    for (const userId of [second, players[6]]) {
+      assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS);
+    }
+    assert.equal((await harness.request(second, 'POST', '/api/tournaments/leave', { tournamentId })).status, 400);
+
+    await playBracket(tournamentId);
+    const fees = await heldFees();
+    const seated = Object.keys((await getStatus(tournamentId)).participants);
+    assert.deepEqual(seated.map((userId) => fees[userId]), ['released', 'released', 'released', 'released']);
+    for (const userId of [seatedLeaver, second, players[6]]) assert.equal(fees[userId], 'refunded');
+  });
+
+  it('runs a Swiss league round by round with standings and tiebreak stats', async () => {
+    const { tournamentId, creatorId } = await createTournament({ format: 'swiss' });
+    const players = await harness.createUsers(5);
+    await joinAll(tournamentId, players);
+
+    const { rounds: totalRounds, matches } = await harness.post(creatorId, '/api/tournaments/start', { tournamentId });
+    assert.equal(totalRounds, 3);
+    assert.deepEqual(matches.map(({ name }) => name), ['round_1', 'round_1']);
+
+    // Every first-round loser captured a token on the way out
+    const killers = [];
+    const results = await playBracket(tournamentId, async (room) => {
+      if (!room.room_level.endsWith('_1')) return;
+      const loser = Object.keys(room.players).find((id) => id !== room.winners[0]);
+      killers.push(loser);
+      const { error } = await harness.storage.rpc('append_room_events', {
+        p_room_id: room.room_id,
+        p_table_name: 'tournament_rooms',
+        p_events: [{ type: 'token_killed', user_id: loser, payload: {} }],
+      });
+      assert.equal(error, null);
+    });
+    assert.equal(results.length, 6);
+    assert.equal(results.at(-1).tournamentComplete, true);
+
+    const status = await getStatus(tournamentId);
+    assert.equal(status.format, 'swiss');
+    assert.equal(status.totalRounds, 3);
+    assert.equal(status.status, 'completed');
+    assert.deepEqual(status.tiebreaks, ['kills', 'tokens_home', 'head_to_head']);
+
+    // One bye a round, never the same player twice, and no rematches
+    const met = new Set();
+    const byes = [];
+    for (const { name, matches: roundMatches, standings } of status.rounds) {
+      assert.match(name, /^round_\d$/);
+      assert.equal(standings.length, 5);
+      for (const match of roundMatches) {
+        if (match.status === 'bye') {
+          byes.push(match.winner);
+          continue;
+        }
+        const key = [...match.players].sort().join();
+        assert.ok(!met.has(key));
+        met.add(key);
+        assert.equal(match.gameState, 'finished');
+        assert.equal(match.stats[match.winner].tokens_home, 4);
+      }
+    }
+    assert.equal(new Set(byes).size, 3);
+
+    const firstRound = status.rounds[0];
+    for (const userId of killers) {
+      const match = firstRound.matches.find(({ players: seated }) => seated.includes(userId));
+      assert.equal(match.stats[userId].kills, 1);
+    }
+    // After round 1 the two winners and the bye have a point
+    assert.deepEqual(firstRound.standings.map(({ points }) => points), [1, 1, 1, 0, 0]);
+
+    const [leader] = status.standings;
+    assert.equal(status.champion, leader.userId);
+    assert.equal(leader.wins + leader.byes, leader.points);
+    assert.equal(status.participants[leader.userId].status, 'winner');
+    assert.equal(status.participants[leader.userId].final_position, 1);
+    const { prize_won: prize } = status.participants[leader.userId];
+    assert.ok(prize > 0);
+    assert.equal((await harness.getUser(leader.userId)).total_coins, STARTING_COINS - 100 + prize);
+    const below = status.standings.filter(({ position }) => position > 2);
+    for (const { userId } of below) assert.equal(status.participants[userId].status, 'finished');
+  });
+});
+
+/**
+ * First square (by index) where `attacker` lands on `victim`'s token, with
+ * the victim placed by one non-six move after leaving the base.
+ */
+function findCapture(noOfPlayers, victim, attacker) {
+  const stars = getStarPositions(noOfPlayers);
+  const { finalPosition } = getBoardConfig(noOfPlayers);
+
+  for (let victimIndex = 2; victimIndex <= 6; victimIndex++) {
+    if (stars.includes(victimIndex)) continue;
+    const victimSquare = getBoardPosition(victim, victimIndex, noOfPlayers);
+    for (let attackerIndex = 1; attackerIndex < finalPosition; attackerIndex++) {
+      if (stars.includes(attackerIndex)) continue;
+      if (arePositionsSame(victimSquare, getBoardPosition(attacker, attackerIndex, noOfPlayers), noOfPlayers)) {
+        return { victimIndex, attackerIndex };
+      }
+    }
+  }
+  throw new Error(`No capture square for ${attacker} on ${victim} (${noOfPlayers} players)`);
+}
+
+// Sixes (which keep the turn) and a final remainder that add up to `steps`
+function rollsFor(steps) {
+  const rolls = Array(Math.floor(steps / 6)).fill(6);
+  if (steps % 6) rolls.push(steps % 6);
+  return rolls;
+}
+
+describe('captures through the routes', () => {
+  for (const noOfPlayers of [4, 5, 6]) {
+    const boardType = noOfPlayers <= 4 ? 'grid' : 'vector';
+
+    it(`captures on the ${noOfPlayers}-player ${boardType} board`, async () => {
+      const players = await harness.createUsers(noOfPlayers);
+      const [victimId, attackerId] = players;
+      const roomId = await createOnlineRoom(players);
+
+      const seated = await harness.getRoom('game_rooms', roomId);
+      const victim = seated.players[victimId];
+      const attacker = seated.players[attackerId];
+      const { victimIndex, attackerIndex } = findCapture(noOfPlayers, victim, attacker);
+
+      // Victim leaves the base and stops on the square; the turn moves on
+      await harness.playRoll('game_rooms', roomId, { roll: 6, token: 'tokenA' });
+      const afterVictim = await harness.playRoll('game_rooms', roomId, { roll: victimIndex - 1, token: 'tokenA' });
+      assert.equal(afterVictim.room.positions[victim].tokenA, victimIndex);
+      assert.equal(afterVictim.room.turn, attackerId);
+
+      // Attacker leaves the base and walks onto the same square
+      let last = await harness.playRoll('game_rooms', roomId, { roll: 6, token: 'tokenA' });
+      for (const roll of rollsFor(attackerIndex - 1)) {
+        assert.equal(last.room.turn, attackerId);
+        last = await harness.playRoll('game_rooms', roomId, { roll, token: 'tokenA' });
+      }
+
+      assert.equal(last.move.killed, true);
+      assert.equal(last.move.bonusRoll, true);
+      assert.equal(last.room.positions[attacker].tokenA, attackerIndex);
+      assert.equal(last.room.positions[victim].tokenA, 0);
+      assert.equal(last.room.turn, attackerId, 'a capture earns another roll');
+
+      await assertReplayMatches(`/api/game-rooms/${roomId}/replay`, attackerId);
+    });
+  }
+});
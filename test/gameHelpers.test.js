@@ -0,0 +1,165 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  assignColor,
+  arePositionsSame,
+  checkForKills,
+  getBoardPosition,
+  getNextTurn,
+  getStarPositions,
+} from '../utils/gameHelpers.js';
+
+const emptyTokens = () => ({ tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 });
+
+// Room with one token per color placed; everything else in the base.
+function roomWith(noOfPlayers, placed) {
+  const positions = {};
+  for (const [color, tokens] of Object.entries(placed)) {
+    positions[color] = { ...emptyTokens(), ...tokens };
+  }
+  return { no_of_players: noOfPlayers, positions };
+}
+
+function seatPlayers(noOfPlayers) {
+  const players = {};
+  for (let i = 0; i < noOfPlayers; i++) {
+    players[`player-${i + 1}`] = assignColor(players, noOfPlayers);
+  }
+  return players;
+}
+
+// Squares the same on the board for two colors (from data/positions.js)
+const SHARED_SQUARES = {
+  4: { victim: 'red', attacker: 'blue', victimIndex: 6, attackerIndex: 45 },
+  5: { victim: 'red', attacker: 'green', victimIndex: 6, attackerIndex: 58 },
+  6: { victim: 'red', attacker: 'orange', victimIndex: 6, attackerIndex: 71 },
+};
+
+before(() => {
+  // gameHelpers logs every comparison
+  console.log = () => {};
+});
+
+describe('arePositionsSame', () => {
+  it('compares grid squares exactly on the 4-player board', () => {
+    const square = getBoardPosition('red', 6, 4);
+    assert.equal(square.type, 'grid');
+    assert.equal(arePositionsSame(square, getBoardPosition('blue', 45, 4), 4), true);
+    assert.equal(arePositionsSame(square, getBoardPosition('red', 7, 4), 4), false);
+  });
+
+  it('allows up to 30px of drift between vector coordinates', () => {
+    const a = { type: 'vector', pos: [100, 100] };
+    assert.equal(arePositionsSame(a, { type: 'vector', pos: [130, 70] }, 5), true);
+    assert.equal(arePositionsSame(a, { type: 'vector', pos: [131, 100] }, 6), false);
+  });
+
+  it('matches shared squares whose vector coordinates differ slightly', () => {
+    for (const noOfPlayers of [5, 6]) {
+      const { victim, attacker, victimIndex, attackerIndex } = SHARED_SQUARES[noOfPlayers];
+      const a = getBoardPosition(victim, victimIndex, noOfPlayers);
+      const b = getBoardPosition(attacker, attackerIndex, noOfPlayers);
+      assert.notDeepEqual(a.pos, b.pos);
+      assert.equal(arePositionsSame(a, b, noOfPlayers), true);
+    }
+  });
+
+  it('treats a missing position as no match', () => {
+    assert.equal(arePositionsSame(null, getBoardPosition('red', 6, 4), 4), false);
+  });
+});
+
+describe('checkForKills', () => {
+  for (const noOfPlayers of [4, 5, 6]) {
+    const { victim, attacker, victimIndex, attackerIndex } = SHARED_SQUARES[noOfPlayers];
+
+    it(`captures a lone token on a shared square (${noOfPlayers} players)`, () => {
+      const room = roomWith(noOfPlayers, { [victim]: { tokenA: victimIndex }, [attacker]: {} });
+      const updated = structuredClone(room.positions);
+      updated[attacker].tokenA = attackerIndex;
+
+      const { updatedPositions, bonusRoll } = checkForKills(room, attacker, attackerIndex, updated);
+      assert.equal(updatedPositions[victim].tokenA, 0);
+      assert.equal(bonusRoll, true);
+    });
+
+    it(`does not capture a stacked pair (${noOfPlayers} players)`, () => {
+      const room = roomWith(noOfPlayers, {
+        [victim]: { tokenA: victimIndex, tokenB: victimIndex },
+        [attacker]: {},
+      });
+      const updated = structuredClone(room.positions);
+
+      const { updatedPositions, bonusRoll } = checkForKills(room, attacker, attackerIndex, updated);
+      assert.equal(updatedPositions[victim].tokenA, victimIndex);
+      assert.equal(updatedPositions[victim].tokenB, victimIndex);
+      assert.equal(bonusRoll, false);
+    });
+  }
+
+  it('never captures on a star square', () => {
+    // red 9 and blue 48 are the same star square on the 4-player board
+    assert.ok(getStarPositions(4).includes(48));
+    const room = roomWith(4, { red: { tokenA: 9 }, blue: {} });
+    const updated = structuredClone(room.positions);
+
+    const { updatedPositions, bonusRoll } = checkForKills(room, 'blue', 48, updated);
+    assert.equal(updatedPositions.red.tokenA, 9);
+    assert.equal(bonusRoll, false);
+  });
+
+  it('ignores tokens in the base', () => {
+    const room = roomWith(4, { red: {}, blue: {} });
+    const updated = structuredClone(room.positions);
+
+    const { updatedPositions, bonusRoll } = checkForKills(room, 'blue', 1, updated);
+    assert.deepEqual(updatedPositions.red, emptyTokens());
+    assert.equal(bonusRoll, false);
+  });
+});
+
+describe('getNextTurn', () => {
+  for (const noOfPlayers of [2, 3, 4, 5, 6]) {
+    it(`cycles through every seat in order (${noOfPlayers} players)`, () => {
+      const players = seatPlayers(noOfPlayers);
+      const ids = Object.keys(players);
+      const room = { no_of_players: noOfPlayers, positions: {}, winners: [] };
+
+      let turn = ids[0];
+      const visited = [turn];
+      for (let i = 1; i < noOfPlayers; i++) {
+        turn = getNextTurn(ids, turn, players, room);
+        visited.push(turn);
+      }
+      assert.deepEqual(visited, ids);
+      assert.equal(getNextTurn(ids, turn, players, room), ids[0]);
+    });
+  }
+
+  it('skips winners and escaped players', () => {
+    const players = seatPlayers(4);
+    const ids = Object.keys(players);
+    const room = { no_of_players: 4, positions: {}, winners: [ids[1]], escaped_players: [ids[2]] };
+
+    assert.equal(getNextTurn(ids, ids[0], players, room), ids[3]);
+  });
+
+  it('skips a player whose tokens are all home', () => {
+    const players = seatPlayers(3);
+    const ids = Object.keys(players);
+    const home = { tokenA: 61, tokenB: 61, tokenC: 61, tokenD: 61 };
+    const room = { no_of_players: 3, positions: { [players[ids[1]]]: home }, winners: [] };
+
+    assert.equal(getNextTurn(ids, ids[0], players, room), ids[2]);
+  });
+
+  it('passes the turn in 2-player rooms seated red vs blue', () => {
+    const players = { host: 'red', guest: 'blue' };
+    const ids = Object.keys(players);
+    const room = { no_of_players: 2, positions: {}, winners: [] };
+
+    assert.equal(getNextTurn(ids, 'host', players, room), 'guest');
+    assert.equal(getNextTurn(ids, 'guest', players, room), 'host');
+  });
+});
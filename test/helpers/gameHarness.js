@@ -0,0 +1,219 @@
+/**
+ * Game Harness - HEADLESS END-TO-END GAMES
+ *
+ * Boots the real Express app on the in-memory storage backend, listens on a
+ * random local port and drives games over HTTP exactly like the client does.
+ * Dice are scripted per room through diceService.setScriptedRolls, so every
+ * game is deterministic.
+ *
+ * App modules are imported lazily in startHarness(): STORAGE_BACKEND has to
+ * be set before config/supabase.js is evaluated.
+ */
+
+import { randomUUID } from 'crypto';
+import { once } from 'events';
+import { getBoardConfig } from '../../utils/gameHelpers.js';
+import { getRules, getValidMoves } from '../../utils/ruleVariants.js';
+
+// Routes that play a room. Online, friend and tournament rooms share /api/game-rooms.
+export const GAME_ROOM_API = Object.freeze({
+  base: '/api/game-rooms',
+  roomKey: 'gameRoom',
+  moveBody: (color, tokenName) => ({ color, tokenName }),
+});
+
+export const TEAM_UP_API = Object.freeze({
+  base: '/api/team-up-rooms',
+  roomKey: 'room',
+  moveBody: (color, tokenName) => ({ tokenId: `${color}:${tokenName}` }),
+  noOfPlayers: 4,
+});
+
+export class GameHarness {
+  constructor({ server, storage, stopServices }) {
+    this.server = server;
+    this.storage = storage;
+    this.stopServices = stopServices;
+    this.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    this.scriptedRolls = new Map(); // roomId -> queued dice values
+  }
+
+  // Next scripted value for a room; undefined falls back to the seeded roll.
+  nextRoll({ roomId }) {
+    return this.scriptedRolls.get(roomId)?.shift();
+  }
+
+  scriptRolls(roomId, values) {
+    const queue = this.scriptedRolls.get(roomId) || [];
+    queue.push(...values);
+    this.scriptedRolls.set(roomId, queue);
+  }
+
+  // Authenticated request; the memory backend takes the bearer token as the user id.
+  async request(userId, method, path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(userId ? { Authorization: `Bearer ${userId}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  // POST that must succeed; returns the JSON body.
+  async post(userId, path, body = {}) {
+    const { status, body: json } = await this.request(userId, 'POST', path, body);
+    if (status >= 400) {
+      throw new Error(`POST ${path} as ${userId} failed (${status}): ${JSON.stringify(json)}`);
+    }
+    return json;
+  }
+
+  async get(userId, path) {
+    const { status, body: json } = await this.request(userId, 'GET', path);
+    if (status >= 400) {
+      throw new Error(`GET ${path} as ${userId} failed (${status}): ${JSON.stringify(json)}`);
+    }
+    return json;
+  }
+
+  async createUsers(count, fields = {}) {
+    const rows = Array.from({ length: count }, (_, i) => ({
+      uid: randomUUID(),
+      username: `player_${i + 1}_${randomUUID().slice(0, 8)}`,
+      ...fields,
+    }));
+    const { error } = await this.storage.from('users').insert(rows);
+    if (error) throw error;
+    return rows.map((row) => row.uid);
+  }
+
+  async getUser(uid) {
+    const { data, error } = await this.storage.from('users').select('*').eq('uid', uid).single();
+    if (error) throw error;
+    return data;
+  }
+
+  async getRoom(tableName, roomId) {
+    const { data, error } = await this.storage.from(tableName).select('*').eq('room_id', roomId).single();
+    if (error) throw error;
+    return data;
+  }
+
+  // Write straight to storage - for state the mobile client writes itself.
+  async updateRoom(tableName, roomId, changes) {
+    const { data, error } = await this.storage
+      .from(tableName)
+      .update(changes)
+      .eq('room_id', roomId)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Play one dice roll for whoever holds the turn: roll-dice, complete-dice
+   * and (when there is a legal move) move-token.
+   * `token` picks the token to move; by default the most advanced movable one.
+   * Returns { room, diceResult, moved, move } with `move` the move-token body.
+   */
+  async playRoll(tableName, roomId, { roll, token, api = GAME_ROOM_API } = {}) {
+    const room = await this.getRoom(tableName, roomId);
+    const userId = room.turn;
+    const color = room.players[userId];
+    const value = roll ?? fastFinishRoll(room, color, api);
+    this.scriptRolls(roomId, [value]);
+
+    const base = `${api.base}/${roomId}`;
+    const rolled = await this.post(userId, `${base}/roll-dice`);
+    const completed = await this.post(userId, `${base}/complete-dice`);
+    if (completed.noValidMoves) {
+      return { room: completed[api.roomKey], diceResult: rolled.diceResult, moved: false };
+    }
+
+    const current = completed[api.roomKey];
+    const tokenName = token ?? pickToken(current, color, rolled.diceResult, api);
+    const move = await this.post(userId, `${base}/move-token`, api.moveBody(color, tokenName));
+    return { room: move[api.roomKey], diceResult: rolled.diceResult, moved: true, move };
+  }
+
+  // Keep rolling (fast-finish dice by default) until the room is finished.
+  async playToFinish(tableName, roomId, { api = GAME_ROOM_API, maxRolls = 2000 } = {}) {
+    for (let i = 0; i < maxRolls; i++) {
+      const room = await this.getRoom(tableName, roomId);
+      if (room.game_state === 'finished') return room;
+      await this.playRoll(tableName, roomId, { api });
+    }
+    throw new Error(`Room ${roomId} did not finish within ${maxRolls} rolls`);
+  }
+
+  async close() {
+    await this.stopServices();
+    this.server.closeAllConnections?.();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+function boardHome(room, api) {
+  return getBoardConfig(api.noOfPlayers ?? room.no_of_players ?? 4).homePosition;
+}
+
+/**
+ * Roll that walks the leading token home without ever giving up the turn:
+ * 6 to leave the base and to advance, the exact remainder to finish (entering
+ * home earns another roll). Each player therefore finishes in one visit.
+ */
+export function fastFinishRoll(room, color, api = GAME_ROOM_API) {
+  const home = boardHome(room, api);
+  const onTrack = Object.values(room.positions?.[color] || {}).filter((pos) => pos > 0 && pos < home);
+  if (onTrack.length === 0) return 6;
+  const remaining = home - Math.max(...onTrack);
+  return Math.min(6, remaining);
+}
+
+// Most advanced token that can legally move with `diceResult`.
+export function pickToken(room, color, diceResult, api = GAME_ROOM_API) {
+  const moves = getValidMoves(getRules(room), room.positions?.[color], diceResult, boardHome(room, api));
+  if (moves.length === 0) throw new Error(`No legal move for ${color} with ${diceResult}`);
+  moves.sort((a, b) => b.currentPos - a.currentPos || a.tokenName.localeCompare(b.tokenName));
+  return moves[0].tokenName;
+}
+
+/**
+ * Start the app on the in-memory backend.
+ * Set TEST_VERBOSE=1 to keep the server's console.log output.
+ */
+export async function startHarness() {
+  process.env.STORAGE_BACKEND = 'memory';
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const { supabaseAdmin } = await import('../../config/supabase.js');
+  const { setScriptedRolls } = await import('../../services/diceService.js');
+  const { stopBotPlayerService } = await import('../../services/botPlayerService.js');
+  const { stopMatchmaker } = await import('../../services/matchmakingService.js');
+  const { stopTournamentScheduler } = await import('../../services/tournamentScheduler.js');
+  const { default: app } = await import('../../server-modular.js');
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const harness = new GameHarness({
+    server,
+    storage: supabaseAdmin,
+    stopServices: async () => {
+      setScriptedRolls(null);
+      await stopMatchmaker();
+      await stopTournamentScheduler();
+      await stopBotPlayerService();
+    },
+  });
+  setScriptedRolls((context) => harness.nextRoll(context));
+  return harness;
+}
@@ -0,0 +1,193 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+const TICKETS = '/api/matchmaking/tickets';
+const QUICK_MATCH = '/api/game-rooms/quick-match';
+
+let harness;
+// services/matchmakingService.js, imported once the harness has picked the memory backend
+let matchmaking;
+
+before(async () => {
+  harness = await startHarness();
+  matchmaking = await import('../services/matchmakingService.js');
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+async function enqueue(userId, body) {
+  const { ticket } = await harness.post(userId, TICKETS, body);
+  assert.equal(ticket.status, 'queued');
+  return ticket;
+}
+
+describe('matchmaking tickets', () => {
+  it('assembles a full room that starts playing', async () => {
+    const [first, second] = await harness.createUsers(2);
+    const body = { noOfPlayers: 2, entryFee: 10 };
+    const firstTicket = await enqueue(first, body);
+
+    const duplicate = await harness.request(first, 'POST', TICKETS, body);
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.ticket.id, firstTicket.id);
+
+    const secondTicket = await enqueue(second, body);
+    const [room] = await matchmaking.runMatcher();
+
+    assert.equal(room.game_state, 'playing');
+    assert.deepEqual(Object.keys(room.players).sort(), [first, second].sort());
+    assert.equal(room.turn, first);
+    assert.equal(room.entry_fee, 10);
+    assert.ok(room.dice_commitment);
+
+    const { ticket, gameRoom } = await harness.get(second, `${TICKETS}/${secondTicket.id}`);
+    assert.equal(ticket.status, 'matched');
+    assert.equal(ticket.room_id, room.room_id);
+    assert.equal(gameRoom.room_id, room.room_id);
+  });
+
+  it('matches distant ratings only once the oldest ticket has waited', async () => {
+    const [veteran, newcomer] = await harness.createUsers(2);
+    const { error } = await harness.storage.from('user_ratings').insert({
+      user_id: veteran,
+      mode: 'online',
+      rating: 1600,
+      games_played: 200,
+    });
+    assert.equal(error, null);
+
+    const body = { noOfPlayers: 2, entryFee: 20 };
+    const veteranTicket = await enqueue(veteran, body);
+    assert.equal(veteranTicket.rating, 1600);
+    await enqueue(newcomer, body);
+
+    assert.deepEqual(await matchmaking.runMatcher(), []);
+
+    // 40 seconds on, the window around the veteran is wide enough for 400 points
+    const [room] = await matchmaking.runMatcher(Date.now() + 40_000);
+    assert.deepEqual(Object.keys(room.players).sort(), [veteran, newcomer].sort());
+  });
+
+  it('lets the owner cancel a ticket while it is queued', async () => {
+    const [player, stranger, other] = await harness.createUsers(3);
+    const body = { noOfPlayers: 2, entryFee: 30 };
+    const ticket = await enqueue(player, body);
+    const path = `${TICKETS}/${ticket.id}`;
+
+    assert.equal((await harness.request(stranger, 'GET', path)).status, 403);
+    assert.equal((await harness.request(stranger, 'DELETE', path)).status, 403);
+
+    const cancelled = await harness.request(player, 'DELETE', path);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.ticket.status, 'cancelled');
+    assert.equal((await harness.request(player, 'DELETE', path)).status, 409);
+
+    // A cancelled ticket is never matched, and the player may queue again
+    await enqueue(other, body);
+    assert.deepEqual(await matchmaking.runMatcher(), []);
+    await enqueue(player, body);
+    assert.equal((await matchmaking.runMatcher()).length, 1);
+  });
+
+  it('expires tickets after their maximum wait', async () => {
+    const [player] = await harness.createUsers(1);
+    const ticket = await enqueue(player, { noOfPlayers: 2, entryFee: 40, maxWaitSeconds: 10 });
+
+    await matchmaking.runMatcher(Date.now() + 11_000);
+
+    const { ticket: expired, gameRoom } = await harness.get(player, `${TICKETS}/${ticket.id}`);
+    assert.equal(expired.status, 'expired');
+    assert.equal(gameRoom, null);
+  });
+
+  it('fills the empty seats with bots when the ticket asks for it', async () => {
+    const [player] = await harness.createUsers(1);
+    const ticket = await enqueue(player, { noOfPlayers: 4, entryFee: 50, fillWithBotsAfterSeconds: 5 });
+
+    assert.deepEqual(await matchmaking.runMatcher(), []);
+
+    const [room] = await matchmaking.runMatcher(Date.now() + 6_000);
+    const seated = Object.keys(room.players);
+    assert.equal(seated.length, 4);
+    assert.equal(seated.filter((id) => id.startsWith('00000000-')).length, 3);
+    assert.equal(room.turn, player);
+
+    const { ticket: matched } = await harness.get(player, `${TICKETS}/${ticket.id}`);
+    assert.equal(matched.room_id, room.room_id);
+  });
+
+  it('rejects invalid ticket policies', async () => {
+    const [player] = await harness.createUsers(1);
+    const tooLong = await harness.request(player, 'POST', TICKETS, { noOfPlayers: 2, maxWaitSeconds: 3600 });
+    assert.equal(tooLong.status, 400);
+    const botsTooLate = await harness.request(player, 'POST', TICKETS, {
+      noOfPlayers: 2,
+      maxWaitSeconds: 30,
+      fillWithBotsAfterSeconds: 60,
+    });
+    assert.equal(botsTooLate.status, 400);
+  });
+});
+
+describe('regions', () => {
+  it('matches within a region first and across regions after waiting', async () => {
+    const [india1, europe1, india2, america1] = await harness.createUsers(4);
+    const body = { noOfPlayers: 2, entryFee: 60 };
+    await enqueue(india1, { ...body, region: 'asia-south' });
+    const europeTicket = await enqueue(europe1, { ...body, region: 'europe' });
+    const latencyTicket = await enqueue(india2, { ...body, latencies: { europe: 150, 'asia-south': 40 } });
+    assert.equal(latencyTicket.region, 'asia-south');
+
+    const [room] = await matchmaking.runMatcher();
+    assert.equal(room.region, 'asia-south');
+    assert.deepEqual(Object.keys(room.players).sort(), [india1, india2].sort());
+
+    await enqueue(america1, { ...body, region: 'north-america' });
+    assert.deepEqual(await matchmaking.runMatcher(), []);
+
+    const { queues } = await harness.get(america1, '/api/matchmaking/queue');
+    assert.ok(queues.some(({ region, queued }) => region === 'europe' && queued >= 1));
+    assert.ok(queues.some(({ region, queued }) => region === 'north-america' && queued >= 1));
+
+    // Once the oldest ticket has waited long enough, other regions are accepted
+    const [crossRoom] = await matchmaking.runMatcher(Date.now() + 16_000);
+    assert.equal(crossRoom.region, 'europe');
+    assert.deepEqual(Object.keys(crossRoom.players).sort(), [europe1, america1].sort());
+
+    const { ticket } = await harness.get(europe1, `${TICKETS}/${europeTicket.id}`);
+    assert.equal(ticket.status, 'matched');
+  });
+
+  it('rejects unknown regions', async () => {
+    const [player] = await harness.createUsers(1);
+    const response = await harness.request(player, 'POST', TICKETS, { noOfPlayers: 2, region: 'mars' });
+    assert.equal(response.status, 400);
+  });
+
+  it('queues quick-match as a ticket the matcher seats, same region first', async () => {
+    const [european, indian, latecomer] = await harness.createUsers(3);
+    const body = { noOfPlayers: 2, entryFee: 70 };
+
+    const europeMatch = await harness.post(european, QUICK_MATCH, { ...body, region: 'europe' });
+    assert.equal(europeMatch.action, 'queued');
+    assert.equal(europeMatch.ticket.region, 'europe');
+    await harness.post(indian, QUICK_MATCH, { ...body, region: 'asia-south' });
+    await harness.post(latecomer, QUICK_MATCH, { ...body, region: 'asia-south' });
+
+    const again = await harness.request(european, 'POST', QUICK_MATCH, body);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.ticket.id, europeMatch.ticket.id);
+
+    // The European ticket is older, but the two Indian tickets share a region
+    const [room] = await matchmaking.runMatcher();
+    assert.equal(room.region, 'asia-south');
+    assert.deepEqual(Object.keys(room.players).sort(), [indian, latecomer].sort());
+
+    const { ticket } = await harness.get(european, `${TICKETS}/${europeMatch.ticket.id}`);
+    assert.equal(ticket.status, 'queued');
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+let harness;
+// services/matchmakingService.js, imported once the harness has picked the memory backend
+let matchmaking;
+
+before(async () => {
+  harness = await startHarness();
+  matchmaking = await import('../services/matchmakingService.js');
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+// Leader plus friends who accepted the invite
+async function formParty(leader, friends) {
+  const { error } = await harness.storage.from('users').update({ friends }).eq('uid', leader);
+  assert.equal(error, null);
+
+  const { party } = await harness.post(leader, '/api/parties');
+  for (const friend of friends) {
+    await harness.post(leader, `/api/parties/${party.id}/invites`, { userId: friend });
+    await harness.post(friend, `/api/parties/${party.id}/join`);
+  }
+  return party.id;
+}
+
+function sameMembers(actual, expected) {
+  assert.deepEqual([...actual].sort(), [...expected].sort());
+}
+
+describe('parties', () => {
+  it('needs a friend invite to join and hands over leadership', async () => {
+    const [leader, friend, stranger] = await harness.createUsers(3);
+    const partyId = await formParty(leader, [friend]);
+
+    const notFriend = await harness.request(leader, 'POST', `/api/parties/${partyId}/invites`, { userId: stranger });
+    assert.equal(notFriend.status, 403);
+    const uninvited = await harness.request(stranger, 'POST', `/api/parties/${partyId}/join`);
+    assert.equal(uninvited.status, 404);
+    const secondParty = await harness.request(friend, 'POST', '/api/parties');
+    assert.equal(secondParty.status, 409);
+
+    const { party: afterLeave } = await harness.post(leader, `/api/parties/${partyId}/leave`);
+    assert.equal(afterLeave.leader_id, friend);
+    assert.deepEqual(afterLeave.members, [friend]);
+
+    const { party: disbanded } = await harness.post(friend, `/api/parties/${partyId}/leave`);
+    assert.equal(disbanded, null);
+    assert.equal((await harness.get(friend, '/api/parties/me')).party, null);
+  });
+
+  it('seats a party together in a quick match room', async () => {
+    const [leader, friend, solo1, solo2] = await harness.createUsers(4);
+    const partyId = await formParty(leader, [friend]);
+    const body = { noOfPlayers: 4, entryFee: 110 };
+
+    await harness.post(solo1, '/api/matchmaking/tickets', body);
+    const { tickets } = await harness.post(leader, `/api/parties/${partyId}/queue`, body);
+    assert.deepEqual(tickets.map(({ user_id }) => user_id), [leader, friend]);
+
+    // Three seats in a queue of 1 + 2: nothing starts until the fourth player
+    assert.deepEqual(await matchmaking.runMatcher(), []);
+    await harness.post(solo2, '/api/matchmaking/tickets', body);
+    const [room] = await matchmaking.runMatcher();
+    sameMembers(Object.keys(room.players), [leader, friend, solo1, solo2]);
+
+    const { ticket } = await harness.get(friend, `/api/matchmaking/tickets/${tickets[1].id}`);
+    assert.equal(ticket.room_id, room.room_id);
+  });
+
+  it('never splits a party that does not fit the open seats', async () => {
+    const [leader, friend, solo] = await harness.createUsers(3);
+    const partyId = await formParty(leader, [friend]);
+    const body = { noOfPlayers: 2, entryFee: 120 };
+
+    await harness.post(solo, '/api/matchmaking/tickets', body);
+    await harness.post(leader, `/api/parties/${partyId}/queue`, body);
+
+    const [room] = await matchmaking.runMatcher();
+    sameMembers(Object.keys(room.players), [leader, friend]);
+    const { data: ticket } = await harness.storage.from('matchmaking_tickets').select('*').eq('user_id', solo).single();
+    assert.equal(ticket.status, 'queued');
+  });
+
+  it('puts team up partners on the same team', async () => {
+    const [a1, a2, b1, b2] = await harness.createUsers(4);
+    const partyId = await formParty(a2, [a1]);
+    const body = { mode: 'teamup', entryFee: 130 };
+
+    await harness.post(b1, '/api/matchmaking/tickets', body);
+    await harness.post(a2, `/api/parties/${partyId}/queue`, body);
+    await harness.post(b2, '/api/matchmaking/tickets', body);
+
+    const [room] = await matchmaking.runMatcher();
+    const teams = [room.team_a, room.team_b];
+    const partyTeam = teams.find((team) => team.includes(a1));
+    sameMembers(partyTeam, [a1, a2]);
+    sameMembers(teams.find((team) => team !== partyTeam), [b1, b2]);
+    assert.equal(room.game_state, 'playing');
+    assert.equal(room.turn, room.team_a[0]);
+    assert.equal(room.players[room.team_a[0]], 'red');
+  });
+
+  it('only lets parties of two queue for team up', async () => {
+    const [leader, ...friends] = await harness.createUsers(3);
+    const partyId = await formParty(leader, friends);
+
+    const rejected = await harness.request(leader, 'POST', `/api/parties/${partyId}/queue`, { mode: 'teamup' });
+    assert.equal(rejected.status, 400);
+  });
+
+  it('takes the party out of the queue when a member leaves', async () => {
+    const [leader, friend] = await harness.createUsers(2);
+    const partyId = await formParty(leader, [friend]);
+    const { tickets } = await harness.post(leader, `/api/parties/${partyId}/queue`, { noOfPlayers: 4, entryFee: 140 });
+
+    await harness.post(friend, `/api/parties/${partyId}/leave`);
+
+    for (const { id, user_id: userId } of tickets) {
+      const { ticket } = await harness.get(userId, `/api/matchmaking/tickets/${id}`);
+      assert.equal(ticket.status, 'cancelled');
+    }
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getPayoutTable, splitPot, validatePayoutTiers } from '../utils/payoutTables.js';
+
+describe('payout tables', () => {
+  it('picks the entry tier and the nearest smaller player count', () => {
+    assert.deepEqual(getPayoutTable('online', 3, 100), { rakePercent: 10, shares: [70, 30] });
+    assert.deepEqual(getPayoutTable('online', 6, 100), { rakePercent: 10, shares: [50, 30, 20] });
+    assert.equal(getPayoutTable('online', 2, 1000).rakePercent, 7);
+    assert.equal(getPayoutTable('friend', 4, 5000).rakePercent, 0);
+    assert.throws(() => getPayoutTable('arcade', 2, 0));
+  });
+
+  it('splits the pot after rake by position, sharing ties', () => {
+    const { rake, prizes } = splitPot(1000, { rakePercent: 10, shares: [60, 30, 10] }, ['a', ['b', 'c'], 'd', 'e']);
+    assert.equal(rake, 100);
+    assert.deepEqual(prizes, [
+      { userId: 'a', position: 1, amount: 540 },
+      { userId: 'b', position: 2, amount: 135 },
+      { userId: 'c', position: 2, amount: 135 },
+      { userId: 'd', position: 3, amount: 90 },
+    ]);
+  });
+
+  it('pays the tournament pool by the round each player went out in', () => {
+    const table = getPayoutTable('tournament', 12, 100);
+    const { prizes } = splitPot(1000, table, [['c'], ['f'], ['s1', 's2'], ['q1', 'q2', 'q3', 'q4']]);
+    assert.deepEqual(prizes.map(({ amount }) => amount), [600, 250, 75, 75]);
+    assert.deepEqual(getPayoutTable('tournament', 32, 0).shares, [50, 25, 15, 10]);
+  });
+
+  it('rejects invalid tiers', () => {
+    assert.ok(validatePayoutTiers([{ minEntryFee: 0, rakePercent: 10, shares: { 2: [100] } }]).tiers);
+    assert.ok(validatePayoutTiers([]).error);
+    assert.ok(validatePayoutTiers([{ minEntryFee: 100, rakePercent: 10, shares: { 2: [100] } }]).error);
+    assert.ok(validatePayoutTiers([{ minEntryFee: 0, rakePercent: 110, shares: { 2: [100] } }]).error);
+    assert.ok(validatePayoutTiers([{ minEntryFee: 0, rakePercent: 10, shares: { 3: [70, 40] } }]).error);
+    assert.ok(validatePayoutTiers([
+      { minEntryFee: 0, rakePercent: 10, shares: { 2: [100] } },
+      { minEntryFee: 0, rakePercent: 5, shares: { 2: [100] } },
+    ]).error);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+const BOT_ID = '00000000-0000-0000-0000-000000000001';
+
+let harness;
+// services/ratingService.js, imported once the harness has picked the memory backend
+let rating;
+// services/matchmakingService.js, for running the matcher
+let matchmaking;
+
+before(async () => {
+  harness = await startHarness();
+  rating = await import('../services/ratingService.js');
+  matchmaking = await import('../services/matchmakingService.js');
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+function ratingsOf(entries) {
+  return new Map(Object.entries(entries).map(([id, rating]) => [id, { rating, gamesPlayed: 30 }]));
+}
+
+function changesById(changes) {
+  return Object.fromEntries(changes.map(({ userId, before, after }) => [userId, after - before]));
+}
+
+describe('rating math', () => {
+  it('moves evenly matched players by half the K factor', () => {
+    const changes = rating.computeRatingChanges({
+      winnerUserIds: ['a'],
+      loserUserIds: ['b'],
+      ratings: new Map(),
+    });
+    assert.deepEqual(changes, [
+      { userId: 'a', before: rating.DEFAULT_RATING, after: rating.DEFAULT_RATING + 24 },
+      { userId: 'b', before: rating.DEFAULT_RATING, after: rating.DEFAULT_RATING - 24 },
+    ]);
+  });
+
+  it('rewards upsets more than expected wins', () => {
+    const ratings = ratingsOf({ strong: 1600, weak: 1200 });
+    const expected = changesById(rating.computeRatingChanges({ winnerUserIds: ['strong'], loserUserIds: ['weak'], ratings }));
+    const upset = changesById(rating.computeRatingChanges({ winnerUserIds: ['weak'], loserUserIds: ['strong'], ratings }));
+
+    assert.equal(expected.strong, 2);
+    assert.equal(upset.weak, 22);
+    assert.equal(upset.strong, -22);
+  });
+
+  it('scores every winner against every loser and never rates bots', () => {
+    const ratings = ratingsOf({ a1: 1300, a2: 1100, b1: 1200 });
+    const changes = rating.computeRatingChanges({
+      winnerUserIds: ['a1', 'a2'],
+      loserUserIds: ['b1', BOT_ID],
+      ratings,
+    });
+
+    assert.deepEqual(changes.map(({ userId }) => userId), ['a1', 'a2', 'b1']);
+    const deltas = changesById(changes);
+    assert.ok(deltas.a2 > deltas.a1);
+    assert.ok(deltas.b1 < 0);
+  });
+
+  it('widens the quick-match window with wait time up to a cap', () => {
+    assert.equal(rating.ratingWindow(0), rating.MATCH_WINDOW.initial);
+    assert.equal(rating.ratingWindow(30_000), rating.MATCH_WINDOW.initial + 30 * rating.MATCH_WINDOW.perSecond);
+    assert.equal(rating.ratingWindow(60 * 60_000), rating.MATCH_WINDOW.max);
+  });
+});
+
+describe('ratings in games', () => {
+  it('updates both players after a finished online game', async () => {
+    const [host, guest] = await harness.createUsers(2);
+    const { gameRoom } = await harness.post(host, '/api/game-rooms/create', { noOfPlayers: 2 });
+    await harness.post(guest, `/api/game-rooms/${gameRoom.room_id}/join`);
+
+    const room = await harness.playToFinish('game_rooms', gameRoom.room_id);
+    const [winner] = room.winners;
+    const loser = winner === host ? guest : host;
+
+    const { ratings: winnerRatings } = await harness.get(winner, `/api/users/${winner}/ratings`);
+    const { ratings: loserRatings } = await harness.get(loser, `/api/users/${loser}/ratings`);
+    assert.deepEqual(winnerRatings.online, { rating: rating.DEFAULT_RATING + 24, gamesPlayed: 1 });
+    assert.deepEqual(loserRatings.online, { rating: rating.DEFAULT_RATING - 24, gamesPlayed: 1 });
+    assert.deepEqual(winnerRatings.teamup, { rating: rating.DEFAULT_RATING, gamesPlayed: 0 });
+  });
+
+  it('quick-matches players near each other in rating, wider as they wait', async () => {
+    const [veteran, newcomer] = await harness.createUsers(2);
+    const { error } = await harness.storage.from('user_ratings').insert({
+      user_id: veteran,
+      mode: 'online',
+      rating: 1600,
+      games_played: 200,
+    });
+    assert.equal(error, null);
+
+    const body = { noOfPlayers: 2, entryFee: 0 };
+    const veteranMatch = await harness.post(veteran, '/api/game-rooms/quick-match', body);
+    assert.equal(veteranMatch.action, 'queued');
+    assert.equal(veteranMatch.ticket.rating, 1600);
+    await harness.post(newcomer, '/api/game-rooms/quick-match', body);
+
+    // 400 points apart and nobody has waited yet: no room
+    assert.deepEqual(await matchmaking.runMatcher(), []);
+
+    // After 40 seconds of waiting the window accepts the gap
+    const [room] = await matchmaking.runMatcher(Date.now() + 40_000);
+    assert.deepEqual(Object.keys(room.players).sort(), [veteran, newcomer].sort());
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+const OTHER_INSTANCE = 'other-instance';
+
+let harness;
+let leases;
+let bots;
+
+before(async () => {
+  harness = await startHarness();
+  leases = await import('../services/roomLeaseService.js');
+  bots = await import('../services/botPlayerService.js');
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+// What another server instance would do through the same RPC
+async function acquireAsOtherInstance(leaseKey, ttlMs) {
+  const { data, error } = await harness.storage.rpc('acquire_room_lease', {
+    p_lease_key: leaseKey,
+    p_owner_id: OTHER_INSTANCE,
+    p_ttl_ms: ttlMs,
+  });
+  assert.equal(error, null);
+  return data;
+}
+
+async function waitForRoom(tableName, roomId, predicate) {
+  let room = await harness.getRoom(tableName, roomId);
+  for (let i = 0; i < 100 && !predicate(room); i++) {
+    await sleep(100);
+    room = await harness.getRoom(tableName, roomId);
+  }
+  return room;
+}
+
+describe('room leases', () => {
+  it('gives each room to one instance until it is released', async () => {
+    const { INSTANCE_ID, acquireRoomLease, releaseRoomLease, roomLeaseKey } = leases;
+    const key = roomLeaseKey('game_rooms', 'LEASE1');
+
+    assert.equal(await acquireRoomLease('game_rooms', 'LEASE1'), true);
+    assert.equal((await acquireAsOtherInstance(key, 60_000)).owner_id, INSTANCE_ID);
+
+    await releaseRoomLease('game_rooms', 'LEASE1');
+    assert.equal((await acquireAsOtherInstance(key, 60_000)).owner_id, OTHER_INSTANCE);
+    assert.equal(await acquireRoomLease('game_rooms', 'LEASE1'), false);
+  });
+
+  it('gives back leases on rooms that are no longer playing', async () => {
+    assert.equal(await leases.acquireRoomLease('friend_rooms', 'LEASE2'), true);
+    assert.ok(leases.listHeldRoomLeases().some(({ roomId }) => roomId === 'LEASE2'));
+
+    // Wait out the guard for leases taken while a sweep is reading
+    await sleep(5);
+    await bots.sweepDrivenRooms();
+
+    assert.ok(!leases.listHeldRoomLeases().some(({ roomId }) => roomId === 'LEASE2'));
+    const key = leases.roomLeaseKey('friend_rooms', 'LEASE2');
+    assert.equal((await acquireAsOtherInstance(key, 60_000)).owner_id, OTHER_INSTANCE);
+  });
+
+  it('adopts a room once its owner stops renewing the lease', async () => {
+    const [host] = await harness.createUsers(1);
+    const { gameRoom } = await harness.post(host, '/api/game-rooms/create', { noOfPlayers: 2 });
+    const roomId = gameRoom.room_id;
+
+    const ttlMs = 2_000;
+    const otherLease = await acquireAsOtherInstance(leases.roomLeaseKey('game_rooms', roomId), ttlMs);
+    const expiresAt = Date.parse(otherLease.expires_at);
+
+    const filled = await harness.post(host, `/api/game-rooms/${roomId}/fill-with-bots`, { numberOfBots: 1 });
+    const [botId] = Object.keys(filled.gameRoom.players).filter((id) => id !== host);
+
+    const { room } = await harness.playRoll('game_rooms', roomId, { roll: 3 });
+    assert.equal(room.turn, botId);
+    harness.scriptRolls(roomId, [3]);
+
+    // The other instance owns the room: nothing here plays its bot
+    await sleep(Math.max(0, expiresAt - Date.now()) + 100);
+    const waiting = await harness.getRoom('game_rooms', roomId);
+    assert.equal(waiting.turn, botId);
+    assert.equal(waiting.dice_history.length, 1);
+
+    // Its lease ran out without a renewal: the next sweep takes the room over
+    await bots.sweepDrivenRooms();
+    const played = await waitForRoom('game_rooms', roomId, (current) => current.turn === host);
+
+    assert.equal(played.turn, host);
+    assert.equal(played.dice_history.length, 2);
+    const { data: lease } = await harness.storage.rpc('acquire_room_lease', {
+      p_lease_key: leases.roomLeaseKey('game_rooms', roomId),
+      p_owner_id: OTHER_INSTANCE,
+      p_ttl_ms: ttlMs,
+    });
+    assert.equal(lease.owner_id, leases.INSTANCE_ID);
+  });
+});
+
+describe('team up disconnect deadlines', () => {
+  it('removes a disconnected player when the deadline stored on the room passes', async () => {
+    const [a1, a2, b1, b2] = await harness.createUsers(4);
+    const roomId = `LEASE${Date.now().toString(36).toUpperCase()}`;
+    const empty = { tokenA: 0, tokenB: 0, tokenC: 0, tokenD: 0 };
+    const { error } = await harness.storage.from('team_up_rooms').insert({
+      room_id: roomId,
+      host_id: a1,
+      team_a: [a1, a2],
+      team_b: [b1, b2],
+      positions: { red: empty, yellow: empty, green: empty, blue: empty },
+    });
+    assert.equal(error, null);
+
+    const { firstTurn } = await harness.post(a1, `/api/team-up-rooms/${roomId}/start-game`);
+    const leaver = [a1, a2, b1, b2].find((id) => id !== firstTurn);
+    const base = `/api/team-up-rooms/${roomId}`;
+
+    await harness.post(leaver, `${base}/player-disconnect`);
+    let room = await harness.getRoom('team_up_rooms', roomId);
+    assert.ok(Date.parse(room.disconnect_deadlines[leaver]) > Date.now());
+
+    await harness.post(leaver, `${base}/player-reconnect`);
+    room = await harness.getRoom('team_up_rooms', roomId);
+    assert.deepEqual(room.disconnect_deadlines, {});
+
+    await harness.post(leaver, `${base}/player-disconnect`);
+    // Time passes: bring the deadline forward instead of waiting out the grace period
+    await harness.updateRoom('team_up_rooms', roomId, {
+      disconnect_deadlines: { [leaver]: new Date(Date.now() - 1000).toISOString() },
+    });
+
+    room = await waitForRoom('team_up_rooms', roomId, (current) => current.escaped_players.includes(leaver));
+    assert.ok(room.escaped_players.includes(leaver));
+    assert.ok(!room.disconnected_players.includes(leaver));
+    assert.deepEqual(room.disconnect_deadlines, {});
+  });
+});
+
+describe('chat rate limits', () => {
+  it('counts messages from every instance against the same limit', async () => {
+    const [host] = await harness.createUsers(1);
+    const { gameRoom } = await harness.post(host, '/api/game-rooms/create', { noOfPlayers: 2 });
+    const path = `/api/chat/${gameRoom.room_id}/message`;
+
+    // Nine messages already went through another instance
+    for (let i = 0; i < 9; i++) {
+      const { data: allowed } = await harness.storage.rpc('consume_rate_limit', {
+        p_limit_key: `chat_message:${host}`,
+        p_max_hits: 10,
+        p_window_ms: 60_000,
+      });
+      assert.equal(allowed, true);
+    }
+
+    const sent = await harness.request(host, 'POST', path, { message: 'gg' });
+    assert.equal(sent.status, 200);
+    const limited = await harness.request(host, 'POST', path, { message: 'gg' });
+    assert.equal(limited.status, 429);
+  });
+});
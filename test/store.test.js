@@ -0,0 +1,215 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+const CATALOG = '/api/store';
+const PURCHASE = '/api/store/purchase';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let harness;
+// services/purchaseVerifier.js, imported once the harness has picked the memory backend
+let purchaseVerifier;
+
+before(async () => {
+  harness = await startHarness();
+  purchaseVerifier = await import('../services/purchaseVerifier.js');
+});
+
+after(async () => {
+  purchaseVerifier?.setPurchaseVerifier(null);
+  await harness?.close();
+});
+
+async function addStoreItems(rows) {
+  const { error } = await harness.storage.from('store').insert(rows.map((row) => ({
+    item_image: 'assets/images/coinIcon.png',
+    item_value: 0,
+    ...row,
+  })));
+  assert.equal(error, null);
+}
+
+describe('store purchases', () => {
+  it('grants a pack once per verified receipt', async () => {
+    const [buyer, other] = await harness.createUsers(2, { total_diamonds: 0 });
+    await addStoreItems([
+      { item_id: 'diamonds_50', item_name: '50 Diamonds', item_type: 'diamonds', item_price: 9000, item_value: 50 },
+    ]);
+
+    const body = { storeItemId: 'diamonds_50', platform: 'google_play', receipt: 'fake:diamonds_50:order-1' };
+    purchaseVerifier.setPurchaseVerifier(null);
+    assert.equal((await harness.request(buyer, 'POST', PURCHASE, body)).status, 402);
+
+    purchaseVerifier.setPurchaseVerifier(purchaseVerifier.fakeStoreVerifier);
+    const forged = await harness.request(buyer, 'POST', PURCHASE, { ...body, receipt: 'forged' });
+    assert.equal(forged.status, 402);
+    const otherPack = await harness.request(buyer, 'POST', PURCHASE, { ...body, receipt: 'fake:coins_100:order-1' });
+    assert.equal(otherPack.status, 402);
+
+    const bought = await harness.post(buyer, PURCHASE, body);
+    assert.equal(bought.alreadyGranted, false);
+    assert.equal(bought.balances.diamonds, 50);
+    assert.equal(bought.purchase.status, 'granted');
+
+    const { transactions } = await harness.get(buyer, '/api/wallet/transactions');
+    assert.equal(transactions[0].reason, 'purchase');
+    assert.equal(transactions[0].reference_id, 'google_play:fake-order-1');
+
+    // Replaying the receipt grants nothing more, and nobody else can use it
+    const replayed = await harness.post(buyer, PURCHASE, body);
+    assert.equal(replayed.alreadyGranted, true);
+    assert.equal((await harness.getUser(buyer)).total_diamonds, 50);
+    assert.equal((await harness.request(other, 'POST', PURCHASE, body)).status, 409);
+    assert.equal((await harness.getUser(other)).total_diamonds, 0);
+  });
+
+  it('grants every item of an offer bundle', async () => {
+    const [buyer] = await harness.createUsers(1, { total_coins: 0, total_diamonds: 0, owned_items: [] });
+    await addStoreItems([{
+      item_id: 'festival_bundle',
+      item_name: 'Festival Bundle',
+      item_type: 'offers',
+      item_price: 19900,
+      bundle_items: [
+        { type: 'coins', value: 3000 },
+        { type: 'diamonds', value: 40 },
+        { type: 'talktime', value: 30 },
+        { type: 'inventory_item', item_id: 'golden_dice' },
+      ],
+    }]);
+    purchaseVerifier.setPurchaseVerifier(purchaseVerifier.fakeStoreVerifier);
+
+    const before = Date.now();
+    const bought = await harness.post(buyer, PURCHASE, {
+      storeItemId: 'festival_bundle',
+      platform: 'app_store',
+      receipt: 'fake:festival_bundle:txn-9',
+    });
+
+    assert.deepEqual(bought.balances, { coins: 3000, diamonds: 40 });
+    assert.deepEqual(bought.ownedItems, ['golden_dice']);
+    assert.ok(Date.parse(bought.talkTimeEndDate) >= before + 30 * 60_000);
+    assert.deepEqual(bought.purchase.grants.map(({ type }) => type), ['coins', 'diamonds', 'talktime', 'inventory_item']);
+  });
+
+  it('refuses packs that are inactive or grant nothing', async () => {
+    const [buyer] = await harness.createUsers(1);
+    await addStoreItems([
+      { item_id: 'retired_pack', item_name: 'Retired', item_type: 'coins', item_price: 100, item_value: 100, is_active: false },
+      { item_id: 'empty_offer', item_name: 'Empty', item_type: 'offers', item_price: 100 },
+    ]);
+    purchaseVerifier.setPurchaseVerifier(purchaseVerifier.fakeStoreVerifier);
+
+    const body = (storeItemId) => ({ storeItemId, platform: 'google_play', receipt: `fake:${storeItemId}:x` });
+    assert.equal((await harness.request(buyer, 'POST', PURCHASE, body('retired_pack'))).status, 404);
+    assert.equal((await harness.request(buyer, 'POST', PURCHASE, body('empty_offer'))).status, 400);
+    assert.equal((await harness.request(buyer, 'POST', PURCHASE, { ...body('empty_offer'), platform: 'web' })).status, 400);
+  });
+});
+
+describe('store catalog', () => {
+  const catalogItem = async (userId, itemId) => (
+    (await harness.get(userId, CATALOG)).items.find((item) => item.item_id === itemId)
+  );
+
+  it('lists active packs with final and original prices, featured first', async () => {
+    const [player] = await harness.createUsers(1);
+    await addStoreItems([
+      { item_id: 'cat_coins_1000', item_name: '1000 Coins', item_type: 'coins', item_price: 8000, item_value: 1000, discount_percent: 20, is_featured: true },
+      { item_id: 'cat_coins_100', item_name: '100 Coins', item_type: 'coins', item_price: 1000, item_value: 100 },
+      { item_id: 'cat_hidden', item_name: 'Hidden', item_type: 'coins', item_price: 1000, item_value: 100, is_active: false },
+    ]);
+
+    const { items } = await harness.get(player, CATALOG);
+    const ids = items.map(({ item_id }) => item_id);
+    assert.ok(!ids.includes('cat_hidden'));
+    assert.ok(ids.indexOf('cat_coins_1000') < ids.indexOf('cat_coins_100'));
+
+    const featured = items.find((item) => item.item_id === 'cat_coins_1000');
+    assert.equal(featured.final_price, 8000);
+    assert.equal(featured.original_price, 10000);
+    assert.deepEqual(featured.contents, [{ type: 'coins', value: 1000 }]);
+    assert.equal(featured.available, true);
+    assert.equal(featured.purchases_remaining, null);
+  });
+
+  it('shows offers only inside their window', async () => {
+    const [player] = await harness.createUsers(1);
+    const now = Date.now();
+    await addStoreItems([
+      { item_id: 'cat_live', item_name: 'Live', item_type: 'offers', item_price: 100, bundle_items: [{ type: 'coins', value: 10 }], ends_at: new Date(now + DAY_MS).toISOString() },
+      { item_id: 'cat_soon', item_name: 'Soon', item_type: 'offers', item_price: 100, bundle_items: [{ type: 'coins', value: 10 }], starts_at: new Date(now + DAY_MS).toISOString() },
+      { item_id: 'cat_over', item_name: 'Over', item_type: 'offers', item_price: 100, bundle_items: [{ type: 'coins', value: 10 }], ends_at: new Date(now - DAY_MS).toISOString() },
+    ]);
+
+    const ids = (await harness.get(player, CATALOG)).items.map(({ item_id }) => item_id);
+    assert.ok(ids.includes('cat_live'));
+    assert.ok(!ids.includes('cat_soon'));
+    assert.ok(!ids.includes('cat_over'));
+
+    purchaseVerifier.setPurchaseVerifier(purchaseVerifier.fakeStoreVerifier);
+    const expired = await harness.request(player, 'POST', PURCHASE, { storeItemId: 'cat_over', platform: 'google_play', receipt: 'fake:cat_over:o1' });
+    assert.equal(expired.status, 403);
+  });
+
+  it('offers the starter pack to new players only, once', async () => {
+    const [newcomer] = await harness.createUsers(1);
+    const [veteran] = await harness.createUsers(1, { created_at: new Date(Date.now() - 30 * DAY_MS).toISOString() });
+    await addStoreItems([{
+      item_id: 'cat_starter',
+      item_name: 'Starter Pack',
+      item_type: 'offers',
+      item_price: 9900,
+      bundle_items: [{ type: 'coins', value: 1000 }],
+      purchase_limit: 1,
+      eligibility: { max_account_age_days: 7 },
+    }]);
+    purchaseVerifier.setPurchaseVerifier(purchaseVerifier.fakeStoreVerifier);
+
+    assert.equal(await catalogItem(veteran, 'cat_starter'), undefined);
+    const refused = await harness.request(veteran, 'POST', PURCHASE, { storeItemId: 'cat_starter', platform: 'google_play', receipt: 'fake:cat_starter:v1' });
+    assert.equal(refused.status, 403);
+
+    assert.equal((await catalogItem(newcomer, 'cat_starter')).purchases_remaining, 1);
+    const body = { storeItemId: 'cat_starter', platform: 'google_play', receipt: 'fake:cat_starter:n1' };
+    await harness.post(newcomer, PURCHASE, body);
+
+    const bought = await catalogItem(newcomer, 'cat_starter');
+    assert.equal(bought.available, false);
+    assert.equal(bought.unavailable_reason, 'limit_reached');
+    const again = await harness.request(newcomer, 'POST', PURCHASE, { ...body, receipt: 'fake:cat_starter:n2' });
+    assert.equal(again.status, 409);
+    // The receipt already granted is still answered
+    assert.equal((await harness.post(newcomer, PURCHASE, body)).alreadyGranted, true);
+  });
+
+  it('resets weekly limits at the start of the week', async () => {
+    const [player] = await harness.createUsers(1);
+    await addStoreItems([{
+      item_id: 'cat_weekly',
+      item_name: 'Weekly Deal',
+      item_type: 'offers',
+      item_price: 19900,
+      bundle_items: [{ type: 'diamonds', value: 30 }],
+      purchase_limit: 1,
+      purchase_limit_period: 'week',
+    }]);
+
+    // Bought last week: available again
+    const { error } = await harness.storage.from('store_purchases').insert({
+      user_id: player,
+      store_item_id: 'cat_weekly',
+      platform: 'google_play',
+      receipt_id: 'fake-last-week',
+      status: 'granted',
+      created_at: new Date(Date.now() - 8 * DAY_MS).toISOString(),
+    });
+    assert.equal(error, null);
+    assert.equal((await catalogItem(player, 'cat_weekly')).available, true);
+
+    purchaseVerifier.setPurchaseVerifier(purchaseVerifier.fakeStoreVerifier);
+    await harness.post(player, PURCHASE, { storeItemId: 'cat_weekly', platform: 'google_play', receipt: 'fake:cat_weekly:w2' });
+    assert.equal((await catalogItem(player, 'cat_weekly')).unavailable_reason, 'limit_reached');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MATCH_STATUS,
+  buildBracket,
+  eliminationStandings,
+  readyMatches,
+  recordWinner,
+} from '../utils/tournamentBrackets.js';
+
+const players = (count) => Array.from({ length: count }, (_, i) => `p${i + 1}`);
+
+describe('tournament brackets', () => {
+  it('gives byes in the first round when the field is not a full bracket', () => {
+    const { bracket } = buildBracket('t1', players(5));
+
+    assert.deepEqual(bracket.rounds.map(({ name, matches }) => [name, matches.length]), [
+      ['quarterfinal', 4], ['semifinal', 2], ['final', 1],
+    ]);
+    const [first, second] = bracket.rounds;
+    assert.deepEqual(first.matches.map(({ players: seated }) => seated), [['p1', 'p5'], ['p2'], ['p3'], ['p4']]);
+    assert.deepEqual(first.matches.map(({ status }) => status), [
+      MATCH_STATUS.WAITING, MATCH_STATUS.BYE, MATCH_STATUS.BYE, MATCH_STATUS.BYE,
+    ]);
+    assert.deepEqual(second.matches.map(({ players: seated }) => seated), [[null, 'p2'], ['p3', 'p4']]);
+
+    // The two byes meeting in the semifinal do not wait for the first match
+    assert.deepEqual(readyMatches(bracket).map(({ match }) => match.room_id), [
+      'tournament_t1_r1_m1', 'tournament_t1_r2_m2',
+    ]);
+  });
+
+  it('plays down to a single champion and ranks players by the round they lost', () => {
+    let { bracket } = buildBracket('t2', players(8));
+    assert.equal(bracket.rounds.length, 3);
+
+    while (!bracket.champion) {
+      const [{ match }] = readyMatches(bracket);
+      ({ bracket } = recordWinner(bracket, match.room_id, match.players[0]));
+    }
+
+    assert.equal(bracket.champion, 'p1');
+    assert.deepEqual(eliminationStandings(bracket), [
+      ['p1'], ['p3'], ['p2', 'p4'], ['p5', 'p6', 'p7', 'p8'],
+    ]);
+  });
+
+  it('seats up to four players per table', () => {
+    const { bracket } = buildBracket('t3', players(7), 4);
+
+    assert.deepEqual(bracket.rounds.map(({ name }) => name), ['semifinal', 'final']);
+    assert.deepEqual(bracket.rounds[0].matches.map(({ players: seated }) => seated.length), [2, 2, 2, 1]);
+    assert.deepEqual(bracket.rounds[1].matches[0].players, [null, null, null, 'p4']);
+    assert.equal(readyMatches(bracket).length, 3);
+
+    assert.equal(buildBracket('t4', players(256), 4).bracket.rounds.length, 4);
+    assert.equal(buildBracket('t5', players(256)).bracket.rounds.length, 8);
+  });
+
+  it('rejects bad sizes and winners that did not play', () => {
+    assert.ok(buildBracket('t6', players(3)).error);
+    assert.ok(buildBracket('t6', players(257)).error);
+    assert.ok(buildBracket('t6', players(8), 3).error);
+
+    const { bracket } = buildBracket('t7', players(4));
+    const roomId = bracket.rounds[0].matches[0].room_id;
+    assert.ok(recordWinner(bracket, roomId, 'p2').error);
+    assert.ok(recordWinner(bracket, 'elsewhere', 'p1').error);
+
+    const { bracket: recorded } = recordWinner(bracket, roomId, 'p1');
+    assert.equal(recordWinner(recorded, roomId, 'p1').alreadyRecorded, true);
+    assert.ok(recordWinner(recorded, roomId, 'p3').error);
+    // The original is left untouched
+    assert.equal(bracket.rounds[0].matches[0].winner, null);
+  });
+});
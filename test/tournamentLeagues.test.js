@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MATCH_STATUS, readyMatches } from '../utils/tournamentBrackets.js';
+import {
+  buildLeague,
+  leaguePositions,
+  leagueStandings,
+  recordLeagueResult,
+} from '../utils/tournamentLeagues.js';
+
+const players = (count) => Array.from({ length: count }, (_, i) => `p${i + 1}`);
+
+// Play the open round: the better seed of each match wins
+function playRound(league, stats = () => ({})) {
+  let current = league;
+  for (const { match } of readyMatches(current)) {
+    const [winner] = [...match.players].sort((a, b) => current.entrants.indexOf(a) - current.entrants.indexOf(b));
+    ({ bracket: current } = recordLeagueResult(current, match.room_id, winner, stats(match)));
+  }
+  return current;
+}
+
+const pairings = (round) => round.matches.map(({ players: seated }) => seated);
+
+describe('tournament leagues', () => {
+  it('plays a round robin where everyone meets everyone once', () => {
+    let { bracket: league } = buildLeague('rr', players(5), { format: 'round_robin' });
+    assert.equal(league.total_rounds, 5);
+
+    while (!league.champion) league = playRound(league);
+
+    const meetings = new Set();
+    const byes = [];
+    for (const round of league.rounds) {
+      for (const match of round.matches) {
+        if (match.status === MATCH_STATUS.BYE) {
+          byes.push(match.winner);
+          continue;
+        }
+        const key = [...match.players].sort().join('-');
+        assert.ok(!meetings.has(key), `${key} met twice`);
+        meetings.add(key);
+      }
+    }
+    assert.equal(meetings.size, 10);
+    assert.deepEqual(byes.sort(), players(5));
+
+    // Byes score nothing in a round robin
+    assert.equal(league.champion, 'p1');
+    assert.deepEqual(leagueStandings(league).map(({ userId, points }) => [userId, points]), [
+      ['p1', 4], ['p2', 3], ['p3', 2], ['p4', 1], ['p5', 0],
+    ]);
+  });
+
+  it('pairs Swiss rounds by points without rematches', () => {
+    let { bracket: league } = buildLeague('sw', players(6), { format: 'swiss' });
+    assert.equal(league.total_rounds, 3);
+    assert.deepEqual(pairings(league.rounds[0]), [['p1', 'p2'], ['p3', 'p4'], ['p5', 'p6']]);
+
+    league = playRound(league);
+    // Winners meet winners, losers meet losers
+    assert.deepEqual(pairings(league.rounds[1]), [['p1', 'p3'], ['p5', 'p2'], ['p4', 'p6']]);
+
+    league = playRound(league);
+    league = playRound(league);
+    const seen = new Set();
+    for (const { matches } of league.rounds) {
+      for (const { players: seated } of matches) {
+        const key = [...seated].sort().join('-');
+        assert.ok(!seen.has(key), `${key} met twice`);
+        seen.add(key);
+      }
+    }
+    assert.equal(league.champion, 'p1');
+    assert.equal(leagueStandings(league, 1).filter(({ points }) => points === 1).length, 3);
+  });
+
+  it('gives a Swiss bye to the lowest player without one, worth a win', () => {
+    let { bracket: league } = buildLeague('odd', players(5), { format: 'swiss', rounds: 2 });
+    assert.deepEqual(league.rounds[0].matches.at(-1), {
+      match: 3, room_id: null, players: ['p5'], status: MATCH_STATUS.BYE, winner: 'p5', stats: null,
+    });
+
+    league = playRound(league);
+    const [bye] = league.rounds[1].matches.filter(({ status }) => status === MATCH_STATUS.BYE);
+    assert.notEqual(bye.winner, 'p5');
+    assert.equal(leagueStandings(league, 1).find(({ userId }) => userId === 'p5').points, 1);
+  });
+
+  it('splits players level on points by the tiebreaks in order', () => {
+    const stats = (kills) => ({ players: seated }) => Object.fromEntries(seated.map((userId) => [
+      userId, { kills: kills[userId] ?? 0, tokens_home: userId === 'p4' ? 4 : 0 },
+    ]));
+    const kills = { p3: 2 };
+
+    const { bracket: built } = buildLeague('tb', players(4), { format: 'swiss', rounds: 1 });
+    const league = playRound(built, stats(kills));
+    // p1 and p3 won; p3 has more kills. p2 and p4 lost with equal kills; p4 brought tokens home
+    assert.deepEqual(leagueStandings(league).map(({ position, userId }) => [position, userId]), [
+      [1, 'p3'], [2, 'p1'], [3, 'p4'], [4, 'p2'],
+    ]);
+    assert.equal(league.champion, 'p3');
+
+    // With no tiebreaks, level players share the position
+    const untied = playRound({ ...built, tiebreaks: [] }, stats(kills));
+    assert.deepEqual(leaguePositions(untied), [['p1', 'p3'], ['p2', 'p4']]);
+    assert.equal(untied.champion, 'p1');
+
+    // Head to head: points against the other tied players only
+    const { bracket: rr } = buildLeague('h2h', players(4), { format: 'round_robin', tiebreaks: ['head_to_head'] });
+    let played = rr;
+    while (!played.champion) {
+      for (const { match } of readyMatches(played)) {
+        // p1 and p3 win two each, p2 and p4 one each; p3 beat p1 and p4 beat p2
+        const pair = [...match.players].sort().join('-');
+        const winner = {
+          'p1-p2': 'p1', 'p1-p3': 'p3', 'p1-p4': 'p1', 'p2-p3': 'p2', 'p2-p4': 'p4', 'p3-p4': 'p3',
+        }[pair];
+        ({ bracket: played } = recordLeagueResult(played, match.room_id, winner));
+      }
+    }
+    assert.deepEqual(leagueStandings(played).map(({ position, userId, points }) => [position, userId, points]), [
+      [1, 'p3', 2], [2, 'p1', 2], [3, 'p4', 1], [4, 'p2', 1],
+    ]);
+    assert.equal(played.champion, 'p3');
+  });
+
+  it('rejects bad leagues and results', () => {
+    assert.ok(buildLeague('bad', players(4), { format: 'ladder' }).error);
+    assert.ok(buildLeague('bad', players(3), { format: 'swiss' }).error);
+    assert.ok(buildLeague('bad', players(33), { format: 'round_robin' }).error);
+    assert.ok(buildLeague('bad', players(4), { format: 'swiss', rounds: 4 }).error);
+    assert.ok(buildLeague('bad', players(4), { format: 'swiss', tiebreaks: ['luck'] }).error);
+    assert.ok(buildLeague('bad', players(4), { format: 'swiss', tiebreaks: ['kills', 'kills'] }).error);
+
+    const { bracket: league } = buildLeague('ok', players(4), { format: 'swiss' });
+    const roomId = league.rounds[0].matches[0].room_id;
+    assert.equal(roomId, 'tournament_ok_r1_m1');
+    assert.ok(recordLeagueResult(league, roomId, 'p3').error);
+    const { bracket: recorded } = recordLeagueResult(league, roomId, 'p2', { p2: { kills: 1 } });
+    assert.deepEqual(recorded.rounds[0].matches[0].stats, {
+      p1: { kills: 0, tokens_home: 0 }, p2: { kills: 1, tokens_home: 0 },
+    });
+    assert.equal(recordLeagueResult(recorded, roomId, 'p2').alreadyRecorded, true);
+    assert.ok(recordLeagueResult(recorded, roomId, 'p1').error);
+    assert.equal(league.rounds[0].matches[0].winner, null);
+  });
+});
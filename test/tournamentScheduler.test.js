@@ -0,0 +1,247 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const STARTING_COINS = 2500;
+
+let harness;
+// services/tournamentScheduler.js, imported once the harness has picked the memory backend
+let scheduler;
+
+before(async () => {
+  harness = await startHarness();
+  scheduler = await import('../services/tournamentScheduler.js');
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+async function createTournament(fields) {
+  const tournamentId = `ts-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const { error } = await harness.storage.from('tournaments').insert({
+    tournament_id: tournamentId,
+    entry_fee: 100,
+    reward_amount: 1000,
+    max_players: 16,
+    status: 'upcoming',
+    ...fields,
+  });
+  assert.equal(error, null);
+  return tournamentId;
+}
+
+async function getTournament(tournamentId) {
+  const { data, error } = await harness.storage.from('tournaments').select('*').eq('tournament_id', tournamentId).single();
+  assert.equal(error, null);
+  return data;
+}
+
+const join = (tournamentId, userId) => harness.request(userId, 'POST', '/api/tournaments/join', { tournamentId });
+
+// Every player opens the match room, which starts it
+async function checkInAll(tournamentId, { players }) {
+  for (const userId of players) {
+    await harness.post(userId, '/api/tournaments/check-in', { tournamentId });
+  }
+}
+
+async function openRooms(tournamentId) {
+  const { rounds } = await harness.get(null, `/api/tournaments/status/${tournamentId}`);
+  return rounds.flatMap(({ matches }) => matches.filter(({ status }) => status === 'playing'));
+}
+
+describe('tournament scheduler', () => {
+  it('opens and closes registration, starts on time and advances finished rooms', async () => {
+    const now = Date.now();
+    const tournamentId = await createTournament({
+      registration_opens_at: new Date(now - HOUR_MS).toISOString(),
+      registration_closes_at: new Date(now + HOUR_MS).toISOString(),
+      tournament_start_time: new Date(now + 2 * HOUR_MS).toISOString(),
+      tournament_end_time: new Date(now + 6 * HOUR_MS).toISOString(),
+    });
+    const players = await harness.createUsers(5);
+
+    await scheduler.runTournamentScheduler(now);
+    assert.equal((await getTournament(tournamentId)).status, 'registration');
+    for (const userId of players.slice(0, 4)) {
+      assert.equal((await join(tournamentId, userId)).status, 200);
+    }
+
+    await scheduler.runTournamentScheduler(now + 1.5 * HOUR_MS);
+    assert.equal((await getTournament(tournamentId)).status, 'registration_closed');
+    assert.equal((await join(tournamentId, players[4])).status, 400);
+
+    // It starts at the time the status shows players, not a moment before
+    const { schedule } = await harness.get(null, `/api/tournaments/status/${tournamentId}`);
+    const startsAt = Date.parse(schedule.startTime);
+    assert.equal(startsAt, now + 2 * HOUR_MS);
+    await scheduler.runTournamentScheduler(startsAt - 1);
+    assert.equal((await getTournament(tournamentId)).status, 'registration_closed');
+
+    // Starting is repeatable: the next pass finds the bracket already seeded.
+    // Later passes run on the real clock, inside the rooms' no-show grace period.
+    await scheduler.runTournamentScheduler(startsAt);
+    await scheduler.runTournamentScheduler(Date.now());
+    const semifinals = await openRooms(tournamentId);
+    assert.equal(semifinals.length, 2);
+
+    // Nobody reports results: the scheduler sees the finished rooms
+    for (const semifinal of semifinals) {
+      await checkInAll(tournamentId, semifinal);
+      await harness.playToFinish('tournament_rooms', semifinal.roomCode);
+    }
+    await scheduler.runTournamentScheduler(Date.now());
+    const [final] = await openRooms(tournamentId);
+    assert.equal(final.roomCode, `tournament_${tournamentId}_r2_m1`);
+    const semifinalWinners = [];
+    for (const { roomCode } of semifinals) {
+      semifinalWinners.push((await harness.getRoom('tournament_rooms', roomCode)).winners[0]);
+    }
+    assert.deepEqual(final.players, semifinalWinners);
+
+    await checkInAll(tournamentId, final);
+    const finished = await harness.playToFinish('tournament_rooms', final.roomCode);
+    await scheduler.runTournamentScheduler(Date.now());
+
+    const completed = await getTournament(tournamentId);
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.champion_id, finished.winners[0]);
+    assert.equal((await harness.getUser(finished.winners[0])).total_coins, STARTING_COINS - 100 + 700);
+
+    // Past the end time a completed tournament is left alone
+    await scheduler.runTournamentScheduler(now + 7 * HOUR_MS);
+    assert.equal((await getTournament(tournamentId)).status, 'completed');
+  });
+
+  it('forfeits players who do not check in', async () => {
+    const now = Date.now();
+    const tournamentId = await createTournament({ tournament_start_time: new Date(now + HOUR_MS).toISOString() });
+    const players = await harness.createUsers(4);
+    for (const userId of players) await join(tournamentId, userId);
+
+    await scheduler.runTournamentScheduler(now + HOUR_MS);
+    const [first, second] = await openRooms(tournamentId);
+
+    // Both players of the first room check in and it starts; in the second only one does
+    await checkInAll(tournamentId, first);
+    assert.equal((await harness.getRoom('tournament_rooms', first.roomCode)).game_state, 'playing');
+    const [present, absent] = second.players;
+    await harness.post(present, '/api/tournaments/check-in', { tournamentId });
+
+    // Within the grace period nothing happens
+    await scheduler.runTournamentScheduler(Date.now());
+    assert.equal((await harness.getRoom('tournament_rooms', second.roomCode)).game_state, 'waiting');
+
+    await scheduler.runTournamentScheduler(Date.now() + scheduler.NO_SHOW_GRACE_MS);
+    const forfeited = await harness.getRoom('tournament_rooms', second.roomCode);
+    assert.equal(forfeited.game_state, 'finished');
+    assert.deepEqual(forfeited.winners, [present]);
+    assert.deepEqual(forfeited.kicked_players, [absent]);
+
+    const { participants } = await harness.get(null, `/api/tournaments/status/${tournamentId}`);
+    assert.equal(participants[present].status, 'advanced');
+    assert.equal(participants[absent].status, 'eliminated');
+    // The room that started is not touched
+    assert.equal((await harness.getRoom('tournament_rooms', first.roomCode)).game_state, 'playing');
+  });
+
+  it('cancels and refunds a tournament short of its minimum at the start', async () => {
+    const now = Date.now();
+    const tournamentId = await createTournament({
+      min_players: 6,
+      tournament_start_time: new Date(now + HOUR_MS).toISOString(),
+    });
+    const players = await harness.createUsers(5);
+    for (const userId of players) await join(tournamentId, userId);
+    assert.equal((await harness.getUser(players[0])).total_coins, STARTING_COINS - 100);
+
+    // Cancelled once, on a restart too
+    await scheduler.runTournamentScheduler(now + HOUR_MS);
+    await scheduler.runTournamentScheduler(now + HOUR_MS);
+
+    const cancelled = await getTournament(tournamentId);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.bracket, null);
+    for (const userId of players) {
+      assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS);
+      assert.equal(cancelled.tournament_participants[userId].status, 'refunded');
+    }
+  });
+
+  it('cancels and refunds a tournament still running at its end time', async () => {
+    const now = Date.now();
+    const tournamentId = await createTournament({
+      tournament_start_time: new Date(now + HOUR_MS).toISOString(),
+      tournament_end_time: new Date(now + 2 * HOUR_MS).toISOString(),
+    });
+    const players = await harness.createUsers(4);
+    for (const userId of players) await join(tournamentId, userId);
+
+    await scheduler.runTournamentScheduler(now + HOUR_MS);
+    const rooms = await openRooms(tournamentId);
+    assert.equal(rooms.length, 2);
+
+    await scheduler.runTournamentScheduler(now + 2 * HOUR_MS);
+    assert.equal((await getTournament(tournamentId)).status, 'cancelled');
+    for (const { roomCode } of rooms) {
+      assert.equal((await harness.getRoom('tournament_rooms', roomCode)).game_state, 'finished');
+    }
+    for (const userId of players) {
+      assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS);
+    }
+  });
+
+  it('completes a decided tournament a crash left open, paying nobody twice', async () => {
+    const now = Date.now();
+    const tournamentId = await createTournament({
+      tournament_start_time: new Date(now + HOUR_MS).toISOString(),
+      tournament_end_time: new Date(now + 2 * HOUR_MS).toISOString(),
+    });
+    const players = await harness.createUsers(4);
+    for (const userId of players) await join(tournamentId, userId);
+
+    await scheduler.runTournamentScheduler(now + HOUR_MS);
+    await scheduler.runTournamentScheduler(Date.now());
+    let finished;
+    for (let rooms = await openRooms(tournamentId); rooms.length; rooms = await openRooms(tournamentId)) {
+      for (const room of rooms) {
+        await checkInAll(tournamentId, room);
+        finished = await harness.playToFinish('tournament_rooms', room.roomCode);
+      }
+      await scheduler.runTournamentScheduler(Date.now());
+    }
+    const [champion] = finished.winners;
+    const prizeBalance = (await harness.getUser(champion)).total_coins;
+    assert.ok(prizeBalance > STARTING_COINS - 100);
+
+    // The server went down after paying out but before marking it completed;
+    // by the next pass its end time has come too
+    await harness.storage.from('tournaments').update({ status: 'in_progress' }).eq('tournament_id', tournamentId);
+    await scheduler.runTournamentScheduler(now + 2 * HOUR_MS);
+
+    const completed = await getTournament(tournamentId);
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.champion_id, champion);
+    assert.equal((await harness.getUser(champion)).total_coins, prizeBalance);
+  });
+
+  it('refunds held fees a crash left behind', async () => {
+    const tournamentId = await createTournament({});
+    const players = await harness.createUsers(3);
+    for (const userId of players) await join(tournamentId, userId);
+
+    // Cancelled, but the server went down before refunding anyone
+    await harness.storage.from('tournaments').update({ status: 'cancelled' }).eq('tournament_id', tournamentId);
+    await scheduler.runTournamentScheduler(Date.now());
+    await scheduler.runTournamentScheduler(Date.now());
+
+    for (const userId of players) {
+      assert.equal((await harness.getUser(userId)).total_coins, STARTING_COINS);
+    }
+    const { data: escrows } = await harness.storage.from('room_escrows').select('*').eq('room_id', tournamentId);
+    assert.deepEqual(escrows.map(({ status }) => status), ['refunded', 'refunded', 'refunded']);
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+
+import { startHarness } from './helpers/gameHarness.js';
+
+const TRANSACTIONS = '/api/wallet/transactions';
+
+let harness;
+// services/walletService.js, imported once the harness has picked the memory backend
+let wallet;
+
+before(async () => {
+  harness = await startHarness();
+  wallet = await import('../services/walletService.js');
+});
+
+after(async () => {
+  await harness?.close();
+});
+
+async function ledgerRows(transactionId) {
+  const { data, error } = await harness.storage
+    .from('wallet_transactions')
+    .select('*')
+    .eq('transaction_id', transactionId);
+  assert.equal(error, null);
+  return data;
+}
+
+describe('wallet ledger', () => {
+  it('records the signup balances of a new profile', async () => {
+    const uid = randomUUID();
+    const { user } = await harness.post(uid, '/api/users/profile', { uid, username: `new_${uid.slice(0, 8)}` });
+
+    const { transactions, balances } = await harness.get(uid, TRANSACTIONS);
+    assert.deepEqual(balances, { coins: user.total_coins, diamonds: user.total_diamonds });
+    assert.deepEqual(
+      transactions.map(({ currency, delta, reason }) => ({ currency, delta, reason })).sort((a, b) => a.currency.localeCompare(b.currency)),
+      [
+        { currency: 'coins', delta: user.total_coins, reason: 'signup_bonus' },
+        { currency: 'diamonds', delta: user.total_diamonds, reason: 'signup_bonus' },
+      ],
+    );
+  });
+
+  it('lists only the caller\'s entries, filtered by currency', async () => {
+    const [player, other] = await harness.createUsers(2, { total_coins: 100, total_diamonds: 5 });
+    const options = { reason: wallet.LEDGER_REASONS.GIFT, referenceType: wallet.REFERENCE_TYPES.GIFT };
+    await wallet.credit(player, 40, options);
+    await wallet.debit(player, 5, { ...options, currency: 'diamonds' });
+    await wallet.credit(other, 1, options);
+
+    const { transactions } = await harness.get(player, TRANSACTIONS);
+    assert.deepEqual(
+      transactions.map(({ currency, delta, balance_after }) => [currency, delta, balance_after]).sort(),
+      [['coins', 40, 140], ['diamonds', -5, 0]],
+    );
+
+    // Each change is balanced by a system leg
+    const legs = await ledgerRows(transactions[0].transaction_id);
+    assert.equal(legs.length, 2);
+    assert.equal(legs.reduce((sum, { delta }) => sum + Number(delta), 0), 0);
+
+    const coinsOnly = await harness.get(player, `${TRANSACTIONS}?currency=coins`);
+    assert.deepEqual(coinsOnly.transactions.map(({ currency }) => currency), ['coins']);
+    assert.equal((await harness.request(player, 'GET', `${TRANSACTIONS}?currency=gems`)).status, 400);
+  });
+
+  it('refuses debits beyond the balance and applies a keyed change once', async () => {
+    const [player] = await harness.createUsers(1, { total_coins: 50 });
+    const options = { reason: wallet.LEDGER_REASONS.GIFT, referenceType: wallet.REFERENCE_TYPES.GIFT };
+
+    const refused = await wallet.debit(player, 80, options);
+    assert.deepEqual(refused, { applied: false, balance: 50 });
+
+    const prize = {
+      reason: wallet.LEDGER_REASONS.PRIZE,
+      referenceType: wallet.REFERENCE_TYPES.ROOM,
+      referenceId: 'room-1',
+      idempotencyKey: 'prize:game_rooms:room-1',
+    };
+    const first = await wallet.credit(player, 30, prize);
+    const retried = await wallet.credit(player, 30, prize);
+    assert.equal(retried.entry.id, first.entry.id);
+    assert.equal((await harness.getUser(player)).total_coins, 80);
+
+    const { transactions } = await harness.get(player, TRANSACTIONS);
+    assert.equal(transactions.length, 1);
+    assert.equal(transactions[0].reference_id, 'room-1');
+  });
+
+  it('charges tournament entry fees through the ledger', async () => {
+    const [rich] = await harness.createUsers(1);
+    const [poor] = await harness.createUsers(1, { total_coins: 20 });
+
+    const tournamentId = `t-wallet-${Date.now()}`;
+    const { error } = await harness.storage.from('tournaments').insert({
+      tournament_id: tournamentId,
+      entry_fee: 100,
+      max_players: 8,
+      current_players: 0,
+      tournament_participants: {},
+      registered_players: [],
+      status: 'upcoming',
+    });
+    assert.equal(error, null);
+
+    const refused = await harness.request(poor, 'POST', '/api/tournaments/join', { tournamentId });
+    assert.equal(refused.status, 400);
+    assert.equal((await harness.getUser(poor)).total_coins, 20);
+
+    await harness.post(rich, '/api/tournaments/join', { tournamentId });
+    const { transactions, balances } = await harness.get(rich, TRANSACTIONS);
+    assert.equal(transactions.length, 1);
+    assert.equal(transactions[0].reason, 'entry_fee');
+    assert.equal(transactions[0].reference_type, 'tournament');
+    assert.equal(transactions[0].reference_id, tournamentId);
+    assert.equal(Number(transactions[0].balance_after), balances.coins);
+  });
+});
+
+describe('wallet intents', () => {
+  it('no longer accepts raw balance changes from clients', async () => {
+    const [player] = await harness.createUsers(1, { total_coins: 100 });
+    for (const currency of ['coins', 'diamonds']) {
+      const response = await harness.request(player, 'PATCH', `/api/users/${player}/${currency}`, { amount: 1_000_000 });
+      assert.equal(response.status, 410);
+    }
+    assert.equal((await harness.getUser(player)).total_coins, 100);
+  });
+
+  it('charges coins for an item and adds it to the owned items', async () => {
+    const [buyer] = await harness.createUsers(1, { total_coins: 300, owned_items: ['classic_dice'] });
+    const { error } = await harness.storage.from('inventory').insert([
+      { item_id: 'golden_dice', item_name: 'Golden Dice', item_type: 'dice', item_images: {}, item_price: 250 },
+      { item_id: 'royal_board', item_name: 'Royal Board', item_type: 'board', item_images: {}, item_price: 500 },
+    ]);
+    assert.equal(error, null);
+
+    const bought = await harness.post(buyer, '/api/wallet/spend', { itemId: 'golden_dice' });
+    assert.deepEqual(bought.ownedItems, ['classic_dice', 'golden_dice']);
+    assert.equal(bought.balance, 50);
+
+    assert.equal((await harness.request(buyer, 'POST', '/api/wallet/spend', { itemId: 'golden_dice' })).status, 409);
+    assert.equal((await harness.request(buyer, 'POST', '/api/wallet/spend', { itemId: 'royal_board' })).status, 400);
+    assert.equal((await harness.getUser(buyer)).total_coins, 50);
+  });
+
+  it('keeps every item of purchases made at the same time', async () => {
+    const [buyer] = await harness.createUsers(1, { total_coins: 1000, owned_items: [] });
+    const items = ['neon_token', 'neon_dice', 'neon_board'];
+    const { error } = await harness.storage.from('inventory').insert(items.map((itemId) => ({
+      item_id: itemId, item_name: itemId, item_type: 'token', item_images: {}, item_price: 100,
+    })));
+    assert.equal(error, null);
+
+    await Promise.all(items.map((itemId) => harness.post(buyer, '/api/wallet/spend', { itemId })));
+    const user = await harness.getUser(buyer);
+    assert.deepEqual([...user.owned_items].sort(), [...items].sort());
+    assert.equal(user.total_coins, 700);
+  });
+
+  it('charges a gift only once the room and recipient check out', async () => {
+    const [sender, recipient, outsider] = await harness.createUsers(3, { total_coins: 100 });
+    const { gameRoom } = await harness.post(sender, '/api/game-rooms/create', { noOfPlayers: 2 });
+    await harness.post(recipient, `/api/game-rooms/${gameRoom.room_id}/join`);
+    const gift = (roomId, body) => harness.request(sender, 'POST', `/api/chat/${roomId}/gift`, {
+      emojiId: 'rose', cost: 30, ...body,
+    });
+
+    assert.equal((await gift('NOSUCHROOM', { recipientId: recipient })).status, 404);
+    assert.equal((await gift(gameRoom.room_id, { recipientId: outsider })).status, 403);
+    assert.equal((await gift(gameRoom.room_id, { recipientId: recipient, cost: -30 })).status, 400);
+    assert.equal((await harness.getUser(sender)).total_coins, 100);
+
+    // A retried gift is delivered and paid for once
+    const giftId = randomUUID();
+    for (let i = 0; i < 2; i++) {
+      const sent = await gift(gameRoom.room_id, { recipientId: recipient, giftId });
+      assert.equal(sent.status, 200);
+      assert.equal(sent.body.gift.id, giftId);
+    }
+    assert.equal((await harness.getUser(sender)).total_coins, 70);
+    const room = await harness.getRoom('game_rooms', gameRoom.room_id);
+    assert.equal(room.room_gifts.filter(({ id }) => id === giftId).length, 1);
+  });
+
+  it('refunds the entry fee of a tournament left before it starts, once', async () => {
+    const [player] = await harness.createUsers(1, { total_coins: 500 });
+    const tournamentId = `t-refund-${Date.now()}`;
+    const { error } = await harness.storage.from('tournaments').insert({
+      tournament_id: tournamentId,
+      entry_fee: 100,
+      max_players: 8,
+      current_players: 0,
+      tournament_participants: {},
+      registered_players: [],
+      status: 'upcoming',
+    });
+    assert.equal(error, null);
+
+    await harness.post(player, '/api/tournaments/join', { tournamentId });
+
+    // Leaving gives the held fee back; there is no other way to claim it
+    const left = await harness.post(player, '/api/tournaments/leave', { tournamentId });
+    assert.equal(left.refunded, 100);
+    const { transactions, balances } = await harness.get(player, TRANSACTIONS);
+    assert.equal(balances.coins, 500);
+    assert.deepEqual(transactions.map(({ reason }) => reason).sort(), ['entry_fee', 'entry_fee_refund']);
+
+    assert.equal((await harness.request(player, 'POST', '/api/tournaments/leave', { tournamentId })).status, 400);
+    assert.equal((await harness.getUser(player)).total_coins, 500);
+  });
+
+  it('refunds an entry from before fees were escrowed when the player leaves, once', async () => {
+    const [player] = await harness.createUsers(1, { total_coins: 400 });
+    const tournamentId = `t-legacy-${Date.now()}`;
+    const { error } = await harness.storage.from('tournaments').insert({
+      tournament_id: tournamentId,
+      entry_fee: 100,
+      max_players: 8,
+      current_players: 1,
+      tournament_participants: { [player]: { joined_at: new Date().toISOString(), entry_fee_paid: 100 } },
+      registered_players: [player],
+      status: 'upcoming',
+    });
+    assert.equal(error, null);
+
+    const left = await harness.post(player, '/api/tournaments/leave', { tournamentId });
+    assert.equal(left.refunded, 100);
+    assert.equal((await harness.request(player, 'POST', '/api/tournaments/leave', { tournamentId })).status, 400);
+    assert.equal((await harness.getUser(player)).total_coins, 500);
+  });
+});
@@ -232,34 +232,6 @@ export function checkForKills(gameRoom, color, newPosition, updatedPositions) {
   return { updatedPositions, bonusRoll };
 }
 
-// Check if player has valid moves
-export function hasValidMoves(playerPositions, diceResult, noOfPlayers) {
-  const { homePosition } = getBoardConfig(noOfPlayers);
-  
-  for (const tokenName in playerPositions) {
-    const currentPos = playerPositions[tokenName];
-    
-    if (currentPos === 0) {
-      // Token at home - can only exit with a 6
-      if (diceResult === 6) return true;
-    } else if (currentPos >= homePosition) {
-      // Token already at final position (home center) - cannot move
-      continue;
-    } else {
-      // Token on board or in home column (1 to homePosition-1)
-      // Can move if new position doesn't exceed homePosition
-      if (currentPos + diceResult <= homePosition) return true;
-    }
-  }
-  return false;
-}
-
-// Check if all tokens reached home
-export function checkAllTokensHome(positions, noOfPlayers) {
-  const { homePosition } = getBoardConfig(noOfPlayers);
-  return Object.values(positions).every(pos => pos === homePosition);
-}
-
 // Get next player turn
 export function getNextTurn(playerIds, currentUserId, players = null, roomData = null) {
   // If we have the players object with colors, use proper turn order
@@ -277,6 +249,11 @@ export function getNextTurn(playerIds, currentUserId, players = null, roomData =
     } else {
       TURN_ORDER = ['red', 'orange', 'green', 'yellow', 'purple', 'blue'];
     }
+    // 2-player rooms from /create and tournaments seat red vs blue instead of
+    // the diagonal pair; use the full 4-player order so the turn still passes
+    if (Object.values(players).some((color) => !TURN_ORDER.includes(color))) {
+      TURN_ORDER = ['red', 'blue', 'yellow', 'green'];
+    }
     const currentColor = players[currentUserId];
     if (!currentColor) return playerIds[0]; // Fallback
     
@@ -0,0 +1,134 @@
+// ============================================
+// PAYOUT TABLES
+// ============================================
+// How a prize pool is paid out, per mode (online, friend, teamUp, tournament):
+// a list of entry tiers, each applying from `minEntryFee` up to the next
+// tier, with
+//
+// rakePercent - percent of the pot the house keeps
+// shares      - by player count: percent of what is left for each finishing
+//               position, best first. A count without its own entry uses the
+//               nearest smaller one. Players tied at a position (a team up
+//               team, the losers of a tournament round) split its share
+//               equally.
+//
+// Shares of positions nobody holds, of bots and of escaped players, and the
+// rounding remainders, stay with the house.
+//
+// The whole table of a mode can be replaced through PAYOUT_TABLES, a JSON
+// object of mode => tiers; it is validated when the server starts.
+
+const DEFAULT_PAYOUT_TABLES = {
+  online: [
+    { minEntryFee: 0, rakePercent: 10, shares: { 2: [100], 3: [70, 30], 4: [60, 30, 10], 5: [50, 30, 20] } },
+    { minEntryFee: 1000, rakePercent: 7, shares: { 2: [100], 3: [70, 30], 4: [60, 30, 10], 5: [50, 30, 20] } },
+  ],
+  friend: [
+    { minEntryFee: 0, rakePercent: 0, shares: { 2: [100], 3: [70, 30], 4: [60, 30, 10], 5: [50, 30, 20] } },
+  ],
+  teamUp: [
+    { minEntryFee: 0, rakePercent: 10, shares: { 4: [100] } },
+  ],
+  // Tournaments pay out their reward_amount by bracket entrants: the
+  // champion, the rest of the final, then the losers of each earlier round
+  // (tied at the round they went out in)
+  tournament: [
+    { minEntryFee: 0, rakePercent: 0, shares: { 4: [70, 30], 8: [60, 25, 15], 16: [50, 25, 15, 10] } },
+  ],
+};
+
+export const PAYOUT_MODES = Object.freeze(Object.keys(DEFAULT_PAYOUT_TABLES));
+
+function isPercent(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+// Validate the tiers of one mode. Returns { tiers } or { error }.
+export function validatePayoutTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return { error: 'tiers must be a non-empty array' };
+
+  let previousMin = -1;
+  for (const tier of tiers) {
+    if (!Number.isInteger(tier?.minEntryFee) || tier.minEntryFee <= previousMin) {
+      return { error: 'minEntryFee must be an integer, increasing from tier to tier' };
+    }
+    previousMin = tier.minEntryFee;
+
+    if (!isPercent(tier.rakePercent)) return { error: 'rakePercent must be between 0 and 100' };
+    if (!tier.shares || typeof tier.shares !== 'object' || Object.keys(tier.shares).length === 0) {
+      return { error: 'shares must map player counts to percents' };
+    }
+    for (const [count, shares] of Object.entries(tier.shares)) {
+      if (!/^[1-9]\d*$/.test(count)) return { error: `Invalid player count: ${count}` };
+      if (!Array.isArray(shares) || !shares.every(isPercent)) {
+        return { error: `Shares for ${count} players must be percents` };
+      }
+      if (shares.reduce((sum, share) => sum + share, 0) > 100) {
+        return { error: `Shares for ${count} players add up to more than 100` };
+      }
+    }
+  }
+  if (tiers[0].minEntryFee !== 0) return { error: 'The first tier must start at minEntryFee 0' };
+
+  return { tiers };
+}
+
+function loadPayoutTables() {
+  const tables = { ...DEFAULT_PAYOUT_TABLES };
+  if (process.env.PAYOUT_TABLES) {
+    for (const [mode, tiers] of Object.entries(JSON.parse(process.env.PAYOUT_TABLES))) {
+      if (!PAYOUT_MODES.includes(mode)) throw new Error(`PAYOUT_TABLES: unknown mode ${mode}`);
+      const { error } = validatePayoutTiers(tiers);
+      if (error) throw new Error(`PAYOUT_TABLES.${mode}: ${error}`);
+      tables[mode] = tiers;
+    }
+  }
+
+  return Object.freeze(Object.fromEntries(Object.entries(tables).map(([mode, tiers]) => [
+    mode,
+    Object.freeze(tiers.map((tier) => Object.freeze({
+      ...tier,
+      shares: Object.freeze(Object.fromEntries(
+        Object.entries(tier.shares).map(([count, shares]) => [count, Object.freeze([...shares])]),
+      )),
+    }))),
+  ])));
+}
+
+export const PAYOUT_TABLES = loadPayoutTables();
+
+/**
+ * The payout for a game of `mode` with `noOfPlayers` seats and the given
+ * entry fee: { rakePercent, shares } with the shares by finishing position.
+ */
+export function getPayoutTable(mode, noOfPlayers, entryFee = 0) {
+  const tiers = PAYOUT_TABLES[mode];
+  if (!tiers) throw new Error(`No payout table for ${mode}`);
+
+  const tier = [...tiers].reverse().find((candidate) => candidate.minEntryFee <= Number(entryFee || 0));
+  const counts = Object.keys(tier.shares).map(Number).sort((a, b) => a - b);
+  const count = [...counts].reverse().find((candidate) => candidate <= noOfPlayers) ?? counts[0];
+
+  return { rakePercent: tier.rakePercent, shares: tier.shares[count] };
+}
+
+/**
+ * Split `pot` by a payout table. `standings` lists the finishing positions,
+ * best first; each is a user id or a list of ids tied at that position.
+ * Returns { rake, prizes: [{ userId, position, amount }] } with a prize for
+ * every id in a paid position (callers leave out bots and escaped players).
+ */
+export function splitPot(pot, { rakePercent, shares }, standings) {
+  const rake = Math.floor((pot * rakePercent) / 100);
+  const pool = pot - rake;
+
+  const prizes = [];
+  standings.slice(0, shares.length).forEach((entry, index) => {
+    const tied = [].concat(entry).filter(Boolean);
+    if (tied.length === 0) return;
+    const amount = Math.floor((pool * shares[index]) / 100 / tied.length);
+    for (const userId of tied) prizes.push({ userId, position: index + 1, amount });
+  });
+
+  return { rake, prizes };
+}
@@ -0,0 +1,60 @@
+// ============================================
+// REGIONS
+// ============================================
+// Clients report the region they play from when they quick match or queue a
+// matchmaking ticket: either `region` directly, or `latencies` measured to
+// each region ({ 'asia-south': 40, europe: 160 }), of which the fastest wins.
+// Rooms record the region they were matched in. Players who report nothing
+// (older clients) have no region and match anywhere.
+//
+// Matching prefers the player's own region. A room or ticket accepts players
+// from other regions once it has waited CROSS_REGION_AFTER_MS.
+
+export const REGIONS = Object.freeze([
+  'asia-south',
+  'asia-southeast',
+  'asia-east',
+  'middle-east',
+  'europe',
+  'africa',
+  'north-america',
+  'south-america',
+  'oceania',
+]);
+
+export const CROSS_REGION_AFTER_MS = 15_000;
+
+export function isValidRegion(region) {
+  return REGIONS.includes(region);
+}
+
+// Region from a request body. Returns { region } (null when none was
+// reported) or { error }.
+export function resolveRegion({ region, latencies } = {}) {
+  if (region !== undefined && region !== null) {
+    return isValidRegion(region) ? { region } : { error: `Unknown region: ${region}` };
+  }
+
+  if (latencies === undefined || latencies === null) return { region: null };
+  if (typeof latencies !== 'object' || Array.isArray(latencies)) {
+    return { error: 'latencies must map regions to milliseconds' };
+  }
+
+  let fastest = null;
+  for (const [name, ms] of Object.entries(latencies)) {
+    if (!isValidRegion(name) || !Number.isFinite(Number(ms))) continue;
+    if (!fastest || Number(ms) < fastest.ms) fastest = { name, ms: Number(ms) };
+  }
+  return { region: fastest?.name ?? null };
+}
+
+// 0 for the same region (or when either side has none), 1 for another region
+export function regionDistance(a, b) {
+  return !a || !b || a === b ? 0 : 1;
+}
+
+// Whether a room or ticket in `region` that has waited `waitMs` takes a
+// player from `playerRegion`
+export function acceptsRegion(region, playerRegion, waitMs) {
+  return regionDistance(region, playerRegion) === 0 || waitMs >= CROSS_REGION_AFTER_MS;
+}
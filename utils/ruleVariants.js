@@ -0,0 +1,307 @@
+import { getBoardConfig, getBoardPosition, getStarPositions, checkForKills } from './gameHelpers.js';
+
+// ============================================
+// RULE VARIANTS
+// ============================================
+// Every room stores a `rule_variant` (defaults to classic). Routes and the bot
+// service must go through these helpers instead of hard-coding Ludo rules.
+//
+// exitRolls     - dice values that bring a token out of the base (0 -> 1)
+// captureBonus  - capturing an opponent token grants another roll
+// sixBonus      - rolling a 6 grants another roll
+// homeBonus     - moving a token into home grants another roll
+// exactHome     - a token needs the exact count to enter home (else overshoot stops at home)
+// winCondition  - 'all_but_one': play until only one player/team is left
+//                 'first_finish': game ends as soon as one player/team finishes
+// threeSixesPenalty - 'off': sixes can be rolled forever
+//                     'forfeit': the third six in a row ends the turn
+//                     'forfeit_undo': as above, and the moves made with those sixes are undone
+//
+// A room can override individual options through its `rule_options` JSONB.
+
+export const DEFAULT_RULE_VARIANT = 'classic';
+
+export const RULE_VARIANTS = Object.freeze({
+  classic: Object.freeze({
+    name: 'classic',
+    exitRolls: [6],
+    captureBonus: true,
+    sixBonus: true,
+    homeBonus: true,
+    exactHome: true,
+    winCondition: 'all_but_one',
+    threeSixesPenalty: 'off',
+  }),
+  quick: Object.freeze({
+    name: 'quick',
+    exitRolls: [1, 6],
+    captureBonus: true,
+    sixBonus: true,
+    homeBonus: true,
+    exactHome: false,
+    winCondition: 'first_finish',
+    threeSixesPenalty: 'off',
+  }),
+  casual: Object.freeze({
+    name: 'casual',
+    exitRolls: [1, 6],
+    captureBonus: false,
+    sixBonus: true,
+    homeBonus: true,
+    exactHome: true,
+    winCondition: 'all_but_one',
+    threeSixesPenalty: 'off',
+  }),
+});
+
+// Options a room may override, with their allowed values
+const RULE_OPTION_VALUES = {
+  threeSixesPenalty: ['off', 'forfeit', 'forfeit_undo'],
+  captureBonus: [true, false],
+  exactHome: [true, false],
+};
+
+export function isValidRuleVariant(name) {
+  return Object.prototype.hasOwnProperty.call(RULE_VARIANTS, name);
+}
+
+// Validate client-supplied rule_options. Returns { options } or { error }.
+export function validateRuleOptions(options) {
+  if (options === undefined || options === null) return { options: {} };
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'ruleOptions must be an object' };
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    const allowed = RULE_OPTION_VALUES[key];
+    if (!allowed) return { error: `Unknown rule option: ${key}` };
+    if (!allowed.includes(value)) {
+      return { error: `Invalid value for ${key}: ${JSON.stringify(value)}` };
+    }
+  }
+  return { options: { ...options } };
+}
+
+// Accepts a room row or a variant name; unknown values fall back to classic.
+// Room-level rule_options are layered on top of the variant.
+export function getRules(roomOrVariant) {
+  const name = typeof roomOrVariant === 'string'
+    ? roomOrVariant
+    : roomOrVariant?.rule_variant;
+  const variant = RULE_VARIANTS[name] || RULE_VARIANTS[DEFAULT_RULE_VARIANT];
+
+  const overrides = typeof roomOrVariant === 'object' ? roomOrVariant?.rule_options : null;
+  if (!overrides || typeof overrides !== 'object') return variant;
+
+  const { options } = validateRuleOptions(overrides);
+  return options ? { ...variant, ...options } : variant;
+}
+
+export function canExitBase(rules, diceResult) {
+  return rules.exitRolls.includes(diceResult);
+}
+
+// Target position for a token, or null if the move is illegal.
+export function getMoveTarget(rules, currentPos, steps, homePosition) {
+  if (!steps || steps <= 0) return null;
+  if (currentPos >= homePosition) return null;
+
+  if (currentPos === 0) {
+    return canExitBase(rules, steps) ? 1 : null;
+  }
+
+  const newPos = currentPos + steps;
+  if (newPos > homePosition) {
+    return rules.exactHome ? null : homePosition;
+  }
+  return newPos;
+}
+
+export function getValidMoves(rules, playerPositions, diceResult, homePosition) {
+  const moves = [];
+  for (const [tokenName, rawPos] of Object.entries(playerPositions || {})) {
+    const currentPos = rawPos || 0;
+    const newPos = getMoveTarget(rules, currentPos, diceResult, homePosition);
+    if (newPos === null) continue;
+
+    let type = 'move';
+    if (currentPos === 0) type = 'exit';
+    else if (newPos === homePosition) type = 'finish';
+
+    moves.push({ tokenName, currentPos, newPos, type });
+  }
+  return moves;
+}
+
+export function hasValidMoves(rules, playerPositions, diceResult, homePosition) {
+  return getValidMoves(rules, playerPositions, diceResult, homePosition).length > 0;
+}
+
+export function areAllTokensHome(playerPositions, homePosition) {
+  const values = Object.values(playerPositions || {});
+  return values.length > 0 && values.every((pos) => pos === homePosition);
+}
+
+/**
+ * Apply captures for a move.
+ * Free-for-all rooms use the shared board geometry (checkForKills).
+ * Team rooms pass `opponentColors`: only those tokens can be captured, and only
+ * when exactly one of them sits on the square.
+ * Returns { updatedPositions, killedTokens: ['color:token'], bonusRoll }.
+ */
+export function applyCaptures(rules, room, color, newPosition, updatedPositions, { opponentColors } = {}) {
+  const noOfPlayers = room.no_of_players || 4;
+  const killedTokens = [];
+
+  if (!opponentColors) {
+    const before = JSON.parse(JSON.stringify(updatedPositions));
+    const result = checkForKills(room, color, newPosition, updatedPositions);
+    for (const [otherColor, tokens] of Object.entries(before)) {
+      if (otherColor === color) continue;
+      for (const [tokenName, pos] of Object.entries(tokens || {})) {
+        if (pos > 0 && result.updatedPositions?.[otherColor]?.[tokenName] === 0) {
+          killedTokens.push(`${otherColor}:${tokenName}`);
+        }
+      }
+    }
+    return {
+      updatedPositions: result.updatedPositions,
+      killedTokens,
+      bonusRoll: killedTokens.length > 0 && rules.captureBonus,
+    };
+  }
+
+  const { finalPosition } = getBoardConfig(noOfPlayers);
+  const safePositions = getStarPositions(noOfPlayers);
+  const movingPos = getBoardPosition(color, newPosition, noOfPlayers);
+
+  if (!movingPos || safePositions.includes(newPosition) || newPosition <= 0 || newPosition >= finalPosition) {
+    return { updatedPositions, killedTokens, bonusRoll: false };
+  }
+
+  const matches = [];
+  for (const otherColor of opponentColors) {
+    for (const [tokenName, pos] of Object.entries(updatedPositions[otherColor] || {})) {
+      if (pos <= 0 || pos >= finalPosition) continue;
+      const otherPos = getBoardPosition(otherColor, pos, noOfPlayers);
+      if (otherPos && movingPos.pos[0] === otherPos.pos[0] && movingPos.pos[1] === otherPos.pos[1]) {
+        matches.push({ otherColor, tokenName });
+      }
+    }
+  }
+
+  // Two or more opponent tokens form a block and cannot be captured
+  if (matches.length === 1) {
+    const victim = matches[0];
+    updatedPositions[victim.otherColor] = {
+      ...updatedPositions[victim.otherColor],
+      [victim.tokenName]: 0,
+    };
+    killedTokens.push(`${victim.otherColor}:${victim.tokenName}`);
+  }
+
+  return {
+    updatedPositions,
+    killedTokens,
+    bonusRoll: killedTokens.length > 0 && rules.captureBonus,
+  };
+}
+
+// Whether the mover rolls again after this move.
+export function earnsExtraTurn(rules, { steps, captured, reachedHome }) {
+  return (rules.sixBonus && steps === 6) ||
+    (rules.captureBonus && !!captured) ||
+    (rules.homeBonus && !!reachedHome);
+}
+
+// Free-for-all finish check. `winners` lists players whose tokens are all home.
+export function isGameFinished(rules, { winners, playerCount }) {
+  const finishedCount = (winners || []).length;
+  if (rules.winCondition === 'first_finish') return finishedCount >= 1;
+  return finishedCount >= playerCount - 1;
+}
+
+// Team-up finish check: returns the winning team's user ids, or [] while playing.
+export function getWinningTeam(rules, room, positions, homePosition) {
+  const teamA = room?.team_a || [];
+  const teamB = room?.team_b || [];
+  if (teamA.length !== 2 || teamB.length !== 2) return [];
+
+  const finished = (userId) => {
+    const color = room.players?.[userId];
+    return !!color && areAllTokensHome(positions?.[color], homePosition);
+  };
+
+  const check = rules.winCondition === 'first_finish'
+    ? (team) => team.some(finished)
+    : (team) => team.every(finished);
+
+  const teamADone = check(teamA);
+  const teamBDone = check(teamB);
+
+  if (teamADone && !teamBDone) return teamA;
+  if (teamBDone && !teamADone) return teamB;
+  return [];
+}
+
+/**
+ * Track a roll against the three-sixes rule.
+ * `room` is the state before this roll (its dice_history does not include it yet).
+ * Returns the fields to write plus whether the turn is forfeited:
+ *   { consecutiveSixes, sixesStartPositions, forfeit, restorePositions }
+ */
+export function evaluateSixesStreak(rules, room, userId, diceResult) {
+  const counts = room.consecutive_sixes || {};
+  const history = room.dice_history || [];
+  const last = history[history.length - 1];
+
+  // A streak only continues if this player's previous roll was the latest roll and a six
+  const continuing = !!last && last.user_id === userId && last.value === 6;
+  const previous = continuing ? Number(counts[userId] || 0) : 0;
+  const count = diceResult === 6 ? previous + 1 : 0;
+
+  // Board state before the first six of the streak (used to undo its moves)
+  let sixesStartPositions = null;
+  if (count === 1) sixesStartPositions = room.positions;
+  else if (count > 1) sixesStartPositions = room.sixes_start_positions ?? null;
+
+  const forfeit = rules.threeSixesPenalty !== 'off' && count >= 3;
+  const restorePositions = forfeit && rules.threeSixesPenalty === 'forfeit_undo'
+    ? sixesStartPositions
+    : null;
+
+  return {
+    consecutiveSixes: { ...counts, [userId]: forfeit ? 0 : count },
+    sixesStartPositions: forfeit ? null : sixesStartPositions,
+    forfeit,
+    restorePositions,
+  };
+}
+
+// Room fields to persist with every roll for the three-sixes counter.
+export function getSixesStreakUpdate(streak) {
+  return {
+    consecutive_sixes: streak.consecutiveSixes,
+    sixes_start_positions: streak.sixesStartPositions,
+  };
+}
+
+// Room fields for a turn forfeited by the third six (undoing its moves if configured).
+export function getSixesForfeitUpdate(room, userId, streak, nextTurn) {
+  const pendingSteps = { ...(room.pending_steps || {}) };
+  delete pendingSteps[userId];
+
+  return {
+    ...getSixesStreakUpdate(streak),
+    ...(streak.restorePositions ? { positions: streak.restorePositions } : {}),
+    pending_steps: pendingSteps,
+    dice_state: 'waiting',
+    dice_result: null,
+    turn: nextTurn,
+  };
+}
+
+// Clears a player's six streak when their turn ends without rolling (pass/timeout).
+export function resetSixesStreak(room, userId) {
+  return { ...(room.consecutive_sixes || {}), [userId]: 0 };
+}
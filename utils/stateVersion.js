@@ -0,0 +1,43 @@
+// ============================================
+// STATE VERSION (optimistic concurrency)
+// ============================================
+// Every room row carries a `state_version`. A mutation reads the room, computes
+// the new state and writes it with `.eq('state_version', <version it read>)`,
+// setting `state_version` to version + 1. Zero matched rows means someone else
+// wrote first, and the caller answers 409 instead of overwriting their change.
+//
+// Clients send the version they last saw as `stateVersion` in the body (or an
+// `If-Match` header). Requests without one are checked against the version the
+// server just read.
+
+export const STATE_VERSION_CONFLICT = 'STATE_VERSION_CONFLICT';
+
+export function readStateVersion(room) {
+  return Number(room?.state_version ?? 0);
+}
+
+// Version the client claims to have seen, or undefined if it sent none.
+export function getClientStateVersion(req) {
+  const raw = req.body?.stateVersion ?? req.get?.('If-Match');
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  return Number(String(raw).replace(/"/g, ''));
+}
+
+// True when the client sent a version that is not the current one.
+export function isStaleClientVersion(req, room) {
+  const claimed = getClientStateVersion(req);
+  return claimed !== undefined && claimed !== readStateVersion(room);
+}
+
+// Fields to merge into an update written against `version`.
+export function bumpStateVersion(version) {
+  return { state_version: version + 1 };
+}
+
+export function sendVersionConflict(res, room = null) {
+  return res.status(409).json({
+    error: 'Room state has changed, refresh and retry',
+    code: STATE_VERSION_CONFLICT,
+    ...(room ? { stateVersion: readStateVersion(room) } : {}),
+  });
+}
@@ -0,0 +1,160 @@
+// ============================================
+// TOURNAMENT BRACKETS
+// ============================================
+// Single elimination for MIN_ENTRANTS..MAX_ENTRANTS players at tables of 2
+// or 4 (`tableSize`): the winner of each table moves on, until one champion
+// is left. A bracket of R rounds has tableSize^R slots; entrants are dealt
+// over the first round's tables in turn, so table sizes differ by at most
+// one and a table left with a single player is a bye (they move on without
+// playing). Only the first round has byes: every later table is fed by
+// `tableSize` tables of the round before.
+//
+// Bracket shape (stored in tournaments.bracket):
+// {
+//   table_size: 2,
+//   entrants: [uid, ...],
+//   rounds: [{
+//     round: 1, name: 'semifinal',
+//     matches: [{ match: 1, room_id, players: [uid | null, ...], status, winner }]
+//   }, ...],
+//   champion: uid | null
+// }
+// `players` of a later-round match is indexed by feeding table (null until
+// that table is decided). Match status: waiting (players missing, or room
+// not opened yet), playing, bye, finished.
+
+export const BRACKET_TABLE_SIZES = Object.freeze([2, 4]);
+export const MIN_ENTRANTS = 4;
+export const MAX_ENTRANTS = 256;
+
+export const MATCH_STATUS = Object.freeze({
+  WAITING: 'waiting',
+  PLAYING: 'playing',
+  BYE: 'bye',
+  FINISHED: 'finished',
+});
+
+const ROUND_NAMES_FROM_END = ['final', 'semifinal', 'quarterfinal'];
+
+export function isValidTableSize(tableSize) {
+  return BRACKET_TABLE_SIZES.includes(tableSize);
+}
+
+// 'final', 'semifinal', 'quarterfinal', then 'round_<n>' for earlier rounds
+export function roundName(round, totalRounds) {
+  return ROUND_NAMES_FROM_END[totalRounds - round] ?? `round_${round}`;
+}
+
+export function matchRoomId(tournamentId, round, match) {
+  return `tournament_${tournamentId}_r${round}_m${match}`;
+}
+
+export function roundsFor(entrantCount, tableSize) {
+  let rounds = 1;
+  while (tableSize ** rounds < entrantCount) rounds++;
+  return rounds;
+}
+
+// Put `winner` of match `index` (0-based) of round `round` in the table it feeds
+function moveOn(bracket, round, index, winner) {
+  const next = bracket.rounds[round]; // rounds are 1-based: rounds[round] is round + 1
+  if (!next) {
+    bracket.champion = winner;
+    return;
+  }
+  next.matches[Math.floor(index / bracket.table_size)].players[index % bracket.table_size] = winner;
+}
+
+/**
+ * Bracket for `entrants` (in seeding order) at tables of `tableSize`. Byes
+ * are already moved on. Returns { bracket } or { error }.
+ */
+export function buildBracket(tournamentId, entrants, tableSize = 2) {
+  if (!isValidTableSize(tableSize)) return { error: `Table size must be one of ${BRACKET_TABLE_SIZES.join(', ')}` };
+  if (entrants.length < MIN_ENTRANTS || entrants.length > MAX_ENTRANTS) {
+    return { error: `A bracket needs ${MIN_ENTRANTS} to ${MAX_ENTRANTS} entrants, got ${entrants.length}` };
+  }
+
+  const totalRounds = roundsFor(entrants.length, tableSize);
+  const bracket = { table_size: tableSize, entrants: [...entrants], rounds: [], champion: null };
+
+  for (let round = 1; round <= totalRounds; round++) {
+    const tables = tableSize ** (totalRounds - round);
+    bracket.rounds.push({
+      round,
+      name: roundName(round, totalRounds),
+      matches: Array.from({ length: tables }, (_, i) => ({
+        match: i + 1,
+        room_id: matchRoomId(tournamentId, round, i + 1),
+        players: round === 1 ? [] : Array(tableSize).fill(null),
+        status: MATCH_STATUS.WAITING,
+        winner: null,
+      })),
+    });
+  }
+
+  const [first] = bracket.rounds;
+  entrants.forEach((userId, i) => first.matches[i % first.matches.length].players.push(userId));
+  first.matches.forEach((match, index) => {
+    if (match.players.length > 1) return;
+    match.status = MATCH_STATUS.BYE;
+    match.room_id = null;
+    match.winner = match.players[0];
+    moveOn(bracket, 1, index, match.winner);
+  });
+
+  return { bracket };
+}
+
+// Matches whose players are all known and whose room is not opened yet
+export function readyMatches(bracket) {
+  return bracket.rounds.flatMap((round) => round.matches
+    .filter((match) => match.status === MATCH_STATUS.WAITING && match.players.length > 0 && match.players.every(Boolean))
+    .map((match) => ({ round: round.round, name: round.name, match })));
+}
+
+export function findMatchByRoom(bracket, roomId) {
+  for (const round of bracket.rounds) {
+    const match = round.matches.find((candidate) => candidate.room_id === roomId);
+    if (match) return { round: round.round, name: round.name, match };
+  }
+  return null;
+}
+
+/**
+ * Record `winner` of the match played in `roomId` on a copy of `bracket`.
+ * Returns { bracket, alreadyRecorded } or { error }.
+ */
+export function recordWinner(bracket, roomId, winner) {
+  const copy = structuredClone(bracket);
+  const found = findMatchByRoom(copy, roomId);
+  if (!found) return { error: 'Room is not part of this bracket' };
+
+  const { round, match } = found;
+  if (match.status === MATCH_STATUS.FINISHED) {
+    return match.winner === winner
+      ? { bracket, alreadyRecorded: true }
+      : { error: 'Match already has another winner' };
+  }
+  if (!match.players.includes(winner)) return { error: 'Winner did not play this match' };
+
+  match.status = MATCH_STATUS.FINISHED;
+  match.winner = winner;
+  moveOn(copy, round, match.match - 1, winner);
+  return { bracket: copy, alreadyRecorded: false };
+}
+
+/**
+ * Final standings of a decided bracket, best first: the champion, then the
+ * other players of the final, then the losers of each earlier round.
+ */
+export function eliminationStandings(bracket) {
+  if (!bracket.champion) return [];
+  const standings = [[bracket.champion]];
+  for (const round of [...bracket.rounds].reverse()) {
+    standings.push(round.matches.flatMap((match) => (
+      match.status === MATCH_STATUS.FINISHED ? match.players.filter((id) => id !== match.winner) : []
+    )));
+  }
+  return standings;
+}
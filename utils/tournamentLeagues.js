@@ -0,0 +1,323 @@
+// ============================================
+// TOURNAMENT LEAGUES
+// ============================================
+// League formats, where everyone keeps playing until the last round instead
+// of going out on a loss. Matches are one against one; a round opens once
+// the one before it is finished.
+//
+// swiss       - `total_rounds` rounds (default ceil(log2(players))). Each
+//               round pairs players of equal standing, avoiding rematches
+//               where the field allows it. With an odd field the lowest
+//               ranked player without a bye yet sits out, scoring a win.
+// round_robin - everyone plays everyone once (circle method). With an odd
+//               field one player sits out each round, scoring nothing.
+//
+// A win scores WIN_POINTS. Players level on points are split by the
+// league's tiebreaks, in order:
+// kills        - opponent tokens captured
+// tokens_home  - own tokens brought home
+// head_to_head - points scored in matches between the tied players
+// Players still level share the position. The champion is the first of the
+// final standings (the earlier seed when the top is shared).
+//
+// League shape (stored in tournaments.bracket, like an elimination bracket,
+// so readyMatches/findMatchByRoom work on both):
+// {
+//   format: 'swiss',
+//   tournament_id,
+//   table_size: 2,
+//   entrants: [uid, ...],
+//   tiebreaks: ['kills', 'tokens_home', 'head_to_head'],
+//   total_rounds: 3,
+//   rounds: [{
+//     round: 1, name: 'round_1',
+//     matches: [{ match: 1, room_id, players: [uid, uid], status, winner,
+//                 stats: { [uid]: { kills, tokens_home } } | null }]
+//   }, ...],   // grows by one round as each round finishes
+//   champion: uid | null
+// }
+
+import { MATCH_STATUS, MIN_ENTRANTS, findMatchByRoom, matchRoomId } from './tournamentBrackets.js';
+
+export const LEAGUE_FORMATS = Object.freeze({
+  SWISS: 'swiss',
+  ROUND_ROBIN: 'round_robin',
+});
+
+export const TIEBREAKS = Object.freeze({
+  KILLS: 'kills',
+  TOKENS_HOME: 'tokens_home',
+  HEAD_TO_HEAD: 'head_to_head',
+});
+
+export const DEFAULT_TIEBREAKS = Object.freeze([TIEBREAKS.KILLS, TIEBREAKS.TOKENS_HOME, TIEBREAKS.HEAD_TO_HEAD]);
+
+export const WIN_POINTS = 1;
+export const MAX_SWISS_ENTRANTS = 256;
+// Everyone plays everyone: 32 players are already 31 rounds
+export const MAX_ROUND_ROBIN_ENTRANTS = 32;
+
+// Pairing attempts before a Swiss round gives up on avoiding rematches
+const SWISS_PAIRING_BUDGET = 10_000;
+
+export function isLeagueFormat(format) {
+  return Object.values(LEAGUE_FORMATS).includes(format);
+}
+
+// Validate a tiebreak list. Returns { tiebreaks } or { error }.
+export function validateTiebreaks(tiebreaks) {
+  if (!Array.isArray(tiebreaks)) return { error: 'tiebreaks must be an array' };
+  const known = Object.values(TIEBREAKS);
+  const unknown = tiebreaks.find((tiebreak) => !known.includes(tiebreak));
+  if (unknown !== undefined) return { error: `Unknown tiebreak: ${unknown}` };
+  if (new Set(tiebreaks).size !== tiebreaks.length) return { error: 'tiebreaks must not repeat' };
+  return { tiebreaks: [...tiebreaks] };
+}
+
+// Circle method: the first player stays put, the rest rotate one seat a round
+function roundRobinPairings(entrants, round) {
+  const seats = entrants.length % 2 ? [...entrants, null] : [...entrants];
+  const rest = seats.slice(1);
+  const shift = (round - 1) % rest.length;
+  const rotated = [seats[0], ...rest.slice(rest.length - shift), ...rest.slice(0, rest.length - shift)];
+
+  return Array.from({ length: seats.length / 2 }, (_, i) => (
+    [rotated[i], rotated[seats.length - 1 - i]].filter(Boolean)
+  ));
+}
+
+function opponentsOf(league) {
+  const opponents = new Map(league.entrants.map((userId) => [userId, new Set()]));
+  for (const { matches } of league.rounds) {
+    for (const { players } of matches) {
+      for (const userId of players) {
+        for (const other of players) if (other !== userId) opponents.get(userId).add(other);
+      }
+    }
+  }
+  return opponents;
+}
+
+// Pair `pool` (best first) so nobody meets an old opponent, keeping pairs as
+// close in standing as possible. Returns null when no such pairing is found.
+function pairWithoutRematches(pool, opponents, budget) {
+  if (pool.length === 0) return [];
+  const [first, ...rest] = pool;
+  for (const candidate of rest) {
+    if (opponents.get(first).has(candidate)) continue;
+    if (--budget.left < 0) return null;
+    const paired = pairWithoutRematches(rest.filter((id) => id !== candidate), opponents, budget);
+    if (paired) return [[first, candidate], ...paired];
+  }
+  return null;
+}
+
+function swissPairings(league) {
+  const order = leagueStandings(league).map(({ userId }) => userId);
+  const hadBye = new Set(league.rounds.flatMap(({ matches }) => matches
+    .filter(({ status }) => status === MATCH_STATUS.BYE)
+    .map(({ winner }) => winner)));
+
+  let bye = null;
+  if (order.length % 2) {
+    bye = [...order].reverse().find((userId) => !hadBye.has(userId)) ?? order[order.length - 1];
+  }
+  const pool = order.filter((userId) => userId !== bye);
+  const pairs = pairWithoutRematches(pool, opponentsOf(league), { left: SWISS_PAIRING_BUDGET })
+    ?? Array.from({ length: pool.length / 2 }, (_, i) => [pool[2 * i], pool[2 * i + 1]]);
+
+  return bye ? [...pairs, [bye]] : pairs;
+}
+
+function nextRound(league) {
+  const round = league.rounds.length + 1;
+  const pairings = league.format === LEAGUE_FORMATS.ROUND_ROBIN
+    ? roundRobinPairings(league.entrants, round)
+    : swissPairings(league);
+
+  return {
+    round,
+    name: `round_${round}`,
+    matches: pairings.map((players, i) => {
+      const bye = players.length === 1;
+      return {
+        match: i + 1,
+        room_id: bye ? null : matchRoomId(league.tournament_id, round, i + 1),
+        players,
+        status: bye ? MATCH_STATUS.BYE : MATCH_STATUS.WAITING,
+        winner: bye ? players[0] : null,
+        stats: null,
+      };
+    }),
+  };
+}
+
+/**
+ * League of `format` for `entrants` (in seeding order), with its first round
+ * paired. `rounds` sets the number of Swiss rounds. Returns { bracket } or
+ * { error }.
+ */
+export function buildLeague(tournamentId, entrants, { format, rounds = null, tiebreaks = DEFAULT_TIEBREAKS } = {}) {
+  if (!isLeagueFormat(format)) return { error: `Unknown league format: ${format}` };
+  const maxEntrants = format === LEAGUE_FORMATS.ROUND_ROBIN ? MAX_ROUND_ROBIN_ENTRANTS : MAX_SWISS_ENTRANTS;
+  if (entrants.length < MIN_ENTRANTS || entrants.length > maxEntrants) {
+    return { error: `A ${format} league needs ${MIN_ENTRANTS} to ${maxEntrants} entrants, got ${entrants.length}` };
+  }
+  const { error: tiebreakError } = validateTiebreaks(tiebreaks);
+  if (tiebreakError) return { error: tiebreakError };
+
+  let totalRounds;
+  if (format === LEAGUE_FORMATS.ROUND_ROBIN) {
+    totalRounds = entrants.length % 2 ? entrants.length : entrants.length - 1;
+  } else {
+    totalRounds = rounds ?? Math.ceil(Math.log2(entrants.length));
+    if (!Number.isInteger(totalRounds) || totalRounds < 1 || totalRounds >= entrants.length) {
+      return { error: `A Swiss league of ${entrants.length} players plays 1 to ${entrants.length - 1} rounds` };
+    }
+  }
+
+  const league = {
+    format,
+    tournament_id: tournamentId,
+    table_size: 2,
+    entrants: [...entrants],
+    tiebreaks: [...tiebreaks],
+    total_rounds: totalRounds,
+    rounds: [],
+    champion: null,
+  };
+  league.rounds.push(nextRound(league));
+  return { bracket: league };
+}
+
+/**
+ * Record `winner` of the match played in `roomId`, with each player's
+ * `stats` ({ kills, tokens_home }), on a copy of `league`. Finishing a round
+ * pairs the next one, or names the champion after the last. Returns
+ * { bracket, alreadyRecorded } or { error }.
+ */
+export function recordLeagueResult(league, roomId, winner, stats = {}) {
+  const copy = structuredClone(league);
+  const found = findMatchByRoom(copy, roomId);
+  if (!found) return { error: 'Room is not part of this league' };
+
+  const { match } = found;
+  if (match.status === MATCH_STATUS.FINISHED) {
+    return match.winner === winner
+      ? { bracket: league, alreadyRecorded: true }
+      : { error: 'Match already has another winner' };
+  }
+  if (!match.players.includes(winner)) return { error: 'Winner did not play this match' };
+
+  match.status = MATCH_STATUS.FINISHED;
+  match.winner = winner;
+  match.stats = Object.fromEntries(match.players.map((userId) => [userId, {
+    kills: Number(stats[userId]?.kills ?? 0),
+    tokens_home: Number(stats[userId]?.tokens_home ?? 0),
+  }]));
+
+  const current = copy.rounds[copy.rounds.length - 1];
+  const roundDone = current.matches.every(({ status }) => [MATCH_STATUS.FINISHED, MATCH_STATUS.BYE].includes(status));
+  if (roundDone) {
+    if (copy.rounds.length >= copy.total_rounds) {
+      copy.champion = leagueStandings(copy)[0].userId;
+    } else {
+      copy.rounds.push(nextRound(copy));
+    }
+  }
+  return { bracket: copy, alreadyRecorded: false };
+}
+
+function tally(league, throughRound) {
+  const rows = new Map(league.entrants.map((userId) => [userId, {
+    userId, played: 0, wins: 0, losses: 0, byes: 0, points: 0, kills: 0, tokensHome: 0,
+  }]));
+  const decided = [];
+
+  for (const { round, matches } of league.rounds) {
+    if (round > throughRound) break;
+    for (const match of matches) {
+      if (match.status === MATCH_STATUS.BYE) {
+        const row = rows.get(match.winner);
+        row.byes++;
+        if (league.format === LEAGUE_FORMATS.SWISS) row.points += WIN_POINTS;
+      } else if (match.status === MATCH_STATUS.FINISHED) {
+        decided.push(match);
+        for (const userId of match.players) {
+          const row = rows.get(userId);
+          row.played++;
+          if (userId === match.winner) {
+            row.wins++;
+            row.points += WIN_POINTS;
+          } else {
+            row.losses++;
+          }
+          row.kills += match.stats?.[userId]?.kills ?? 0;
+          row.tokensHome += match.stats?.[userId]?.tokens_home ?? 0;
+        }
+      }
+    }
+  }
+  return { rows: [...rows.values()], decided };
+}
+
+// Points scored against the others of `group` only
+function headToHead(group, decided) {
+  const ids = new Set(group.map(({ userId }) => userId));
+  const points = new Map(group.map(({ userId }) => [userId, 0]));
+  for (const match of decided) {
+    if (match.players.every((userId) => ids.has(userId))) {
+      points.set(match.winner, points.get(match.winner) + WIN_POINTS);
+    }
+  }
+  return (row) => points.get(row.userId);
+}
+
+// Split `rows` into groups of equal `valueOf`, highest first
+function splitBy(rows, valueOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const value = valueOf(row);
+    groups.set(value, [...(groups.get(value) || []), row]);
+  }
+  return [...groups.entries()].sort(([a], [b]) => b - a).map(([, group]) => group);
+}
+
+function breakTies(group, tiebreaks, decided) {
+  const [tiebreak, ...rest] = tiebreaks;
+  if (group.length < 2 || !tiebreak) return [group];
+
+  const valueOf = {
+    [TIEBREAKS.KILLS]: (row) => row.kills,
+    [TIEBREAKS.TOKENS_HOME]: (row) => row.tokensHome,
+    [TIEBREAKS.HEAD_TO_HEAD]: headToHead(group, decided),
+  }[tiebreak];
+  return splitBy(group, valueOf).flatMap((tied) => breakTies(tied, rest, decided));
+}
+
+/**
+ * Standings after `throughRound` (default: every round so far), best first:
+ * [{ position, userId, played, wins, losses, byes, points, kills, tokensHome }].
+ * Players left level by every tiebreak share a position and are listed by
+ * seed; the next position follows on (1, 2, 2, 3).
+ */
+export function leagueStandings(league, throughRound = league.rounds.length) {
+  const { rows, decided } = tally(league, throughRound);
+  const seed = new Map(league.entrants.map((userId, index) => [userId, index]));
+
+  const groups = splitBy(rows, (row) => row.points)
+    .flatMap((group) => breakTies(group, league.tiebreaks ?? DEFAULT_TIEBREAKS, decided));
+
+  return groups.flatMap((group, index) => group
+    .sort((a, b) => seed.get(a.userId) - seed.get(b.userId))
+    .map((row) => ({ position: index + 1, ...row })));
+}
+
+// Final standings as payout positions: the ids at each position, best first
+export function leaguePositions(league) {
+  const positions = [];
+  for (const { position, userId } of leagueStandings(league)) {
+    (positions[position - 1] ??= []).push(userId);
+  }
+  return positions;
+}